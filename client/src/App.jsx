@@ -13,6 +13,9 @@ import VendorDashboard from './pages/VendorDashboard';
 import AdminPanel from './pages/AdminPanel';
 import StudentList from './pages/StudentList';
 import MyQRCode from './pages/MyQRCode';
+import VerificationAttempts from './pages/VerificationAttempts';
+import MealOptOuts from './pages/MealOptOuts';
+import Billing from './pages/Billing';
 import LoadingSpinner from './components/LoadingSpinner';
 
 // Protected Route Component
@@ -126,6 +129,22 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="verification-attempts" 
+                element={
+                  <ProtectedRoute requiredRoles={['admin']}>
+                    <VerificationAttempts />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="billing" 
+                element={
+                  <ProtectedRoute requiredRoles={['vendor', 'admin']}>
+                    <Billing />
+                  </ProtectedRoute>
+                } 
+              />
               <Route 
                 path="my-qr-code" 
                 element={
@@ -134,6 +153,14 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="skip-meals" 
+                element={
+                  <ProtectedRoute requiredRoles={['student']}>
+                    <MealOptOuts />
+                  </ProtectedRoute>
+                } 
+              />
             </Route>
 
             {/* Catch all route */}
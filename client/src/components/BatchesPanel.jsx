@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import MealGroupTable from './MealGroupTable';
+import toast from 'react-hot-toast';
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+// Active students per batch (from the admin stats) and the meals each batch claimed
+const BatchesPanel = ({ studentsByBatch }) => {
+  const [report, setReport] = useState(null);
+  const [reportLoading, setReportLoading] = useState(true);
+  const [reportFilters, setReportFilters] = useState({
+    batch: '',
+    from: formatDate(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000)),
+    to: formatDate(new Date())
+  });
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setReportLoading(true);
+      const response = await adminAPI.getBatchStats({
+        batch: reportFilters.batch || undefined,
+        from: reportFilters.from,
+        to: reportFilters.to
+      });
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error fetching batch stats:', error);
+      toast.error(error.response?.data?.message || 'Failed to load meals by batch');
+    } finally {
+      setReportLoading(false);
+    }
+  }, [reportFilters]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  return (
+    <div className="bg-white shadow rounded-lg mt-8">
+      <div className="px-4 py-5 sm:p-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+          Batches
+        </h3>
+
+        {studentsByBatch.length > 0 && (
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4 mb-6">
+            {studentsByBatch.map((group) => (
+              <div key={group.batch || 'none'} className="bg-gray-50 rounded-lg p-4">
+                <h4 className="text-sm font-medium text-gray-900">{group.batch || 'No batch'}</h4>
+                <p className="text-2xl font-bold text-primary-600">{group.count} students</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Meals by batch</h4>
+        <div className="grid grid-cols-1 gap-3 sm:grid-cols-3 mb-4">
+          <select
+            value={reportFilters.batch}
+            onChange={(e) => setReportFilters({ ...reportFilters, batch: e.target.value })}
+            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          >
+            <option value="">All batches</option>
+            {studentsByBatch.filter(group => group.batch).map((group) => (
+              <option key={group.batch} value={group.batch}>{group.batch}</option>
+            ))}
+            <option value="none">No batch</option>
+          </select>
+          <input
+            type="date"
+            value={reportFilters.from}
+            onChange={(e) => setReportFilters({ ...reportFilters, from: e.target.value })}
+            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          />
+          <input
+            type="date"
+            value={reportFilters.to}
+            onChange={(e) => setReportFilters({ ...reportFilters, to: e.target.value })}
+            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          />
+        </div>
+
+        {reportLoading ? (
+          <LoadingSpinner size="md" className="py-6" />
+        ) : (
+          <MealGroupTable
+            label="Batch"
+            rows={report?.batches || []}
+            getKey={(row) => row.batch || 'none'}
+            getName={(row) => row.batch || 'No batch'}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchesPanel;
@@ -0,0 +1,39 @@
+import React from 'react';
+
+const STYLES = {
+  vegetarian: {
+    label: 'Veg',
+    badge: 'bg-green-100 text-green-800 border-green-600',
+    dot: 'bg-green-600'
+  },
+  non_vegetarian: {
+    label: 'Non-Veg',
+    badge: 'bg-red-100 text-red-800 border-red-700',
+    dot: 'bg-red-700'
+  }
+};
+
+// The familiar square-with-dot food marking, so the counter can tell at a glance
+const DietaryBadge = ({ preference, size = 'sm' }) => {
+  const style = STYLES[preference];
+  if (!style) {
+    return size === 'lg' ? (
+      <span className="inline-flex items-center px-3 py-1 rounded-md border-2 border-gray-300 text-sm font-medium text-gray-600">
+        Preference not set
+      </span>
+    ) : null;
+  }
+
+  const large = size === 'lg';
+
+  return (
+    <span className={`inline-flex items-center rounded-md border-2 font-bold ${style.badge} ${large ? 'px-4 py-2 text-xl' : 'px-2 py-0.5 text-xs'}`}>
+      <span className={`inline-flex items-center justify-center border-2 ${style.badge} ${large ? 'h-6 w-6 mr-2' : 'h-3 w-3 mr-1'}`}>
+        <span className={`rounded-full ${style.dot} ${large ? 'h-3 w-3' : 'h-1.5 w-1.5'}`} />
+      </span>
+      {style.label}
+    </span>
+  );
+};
+
+export default DietaryBadge;
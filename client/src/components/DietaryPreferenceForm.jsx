@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { studentsAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Lets a student (for themselves) or an admin set dietary preference and allergy notes
+const DietaryPreferenceForm = ({ studentId, dietaryPreference, allergyNotes, onSaved }) => {
+  const [form, setForm] = useState({
+    dietaryPreference: dietaryPreference || '',
+    allergyNotes: allergyNotes || ''
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await studentsAPI.update(studentId, form);
+      toast.success('Dietary details saved');
+      onSaved?.(response.data.student);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to save dietary details';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Dietary preference</label>
+        <select
+          value={form.dietaryPreference}
+          onChange={(e) => setForm({ ...form, dietaryPreference: e.target.value })}
+          className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+        >
+          <option value="">Not set</option>
+          <option value="vegetarian">Vegetarian</option>
+          <option value="non_vegetarian">Non-Vegetarian</option>
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Allergies</label>
+        <textarea
+          rows={2}
+          maxLength={500}
+          value={form.allergyNotes}
+          onChange={(e) => setForm({ ...form, allergyNotes: e.target.value })}
+          className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          placeholder="e.g., Peanuts, shellfish"
+        />
+      </div>
+      <button
+        type="submit"
+        disabled={saving}
+        className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+      >
+        {saving ? 'Saving...' : 'Save'}
+      </button>
+    </form>
+  );
+};
+
+export default DietaryPreferenceForm;
@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { vendorsAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import DietaryBadge from './DietaryBadge';
+import toast from 'react-hot-toast';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+// How many veg and non-veg meals to cook at a vendor for a day, and how many were served
+const DietarySummaryPanel = ({ vendorId }) => {
+  // Blank means today on campus; the server fills in the date
+  const [date, setDate] = useState('');
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await vendorsAPI.getDietarySummary(vendorId, date ? { date } : {});
+      setSummary(response.data);
+    } catch (error) {
+      console.error('Error fetching dietary summary:', error);
+      toast.error('Failed to load kitchen headcount');
+    } finally {
+      setLoading(false);
+    }
+  }, [vendorId, date]);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg leading-6 font-medium text-gray-900">
+            Kitchen Headcount
+          </h3>
+          <input
+            type="date"
+            value={date || summary?.serviceDate || ''}
+            onChange={(e) => setDate(e.target.value)}
+            className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          />
+        </div>
+
+        {loading && !summary ? (
+          <LoadingSpinner size="md" className="py-6" />
+        ) : summary && (
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+            {MEAL_TYPES.map((mealType) => {
+              const expected = summary.expected[mealType];
+              const served = summary.served[mealType];
+              const optedOut = summary.optedOut[mealType];
+              return (
+                <div key={mealType} className="bg-gray-50 rounded-lg p-4">
+                  <h4 className="text-sm font-medium text-gray-900 capitalize mb-2">{mealType}</h4>
+                  <div className="space-y-2 text-sm">
+                    {['vegetarian', 'non_vegetarian'].map((preference) => (
+                      <div key={preference} className="flex justify-between items-center">
+                        <DietaryBadge preference={preference} />
+                        <span>
+                          <span className="text-lg font-bold text-gray-900">{expected[preference]}</span>
+                          <span className="text-gray-500"> expected · {served[preference]} served</span>
+                        </span>
+                      </div>
+                    ))}
+                    {expected.unspecified + served.unspecified > 0 && (
+                      <div className="flex justify-between text-gray-500">
+                        <span>Not set</span>
+                        <span>{expected.unspecified} expected · {served.unspecified} served</span>
+                      </div>
+                    )}
+                    {optedOut.total > 0 && (
+                      <p className="text-xs text-gray-500">
+                        {optedOut.total} opted out ({optedOut.vegetarian} veg · {optedOut.non_vegetarian} non-veg)
+                      </p>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DietarySummaryPanel;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const SEVERITY_STYLES = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-gray-100 text-gray-800'
+};
+
+const FraudFlagsPanel = ({ onChange }) => {
+  const [flags, setFlags] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [blockedStudents, setBlockedStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchFlags = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [flagsResponse, blockedResponse] = await Promise.all([
+        adminAPI.getFraudFlags({ status: 'open', limit: 20 }),
+        adminAPI.getBlockedStudents()
+      ]);
+      setFlags(flagsResponse.data.flags);
+      setTotal(flagsResponse.data.total);
+      setBlockedStudents(blockedResponse.data.students);
+    } catch (error) {
+      console.error('Error fetching fraud flags:', error);
+      toast.error('Failed to load fraud flags');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFlags();
+  }, [fetchFlags]);
+
+  const handleReview = async (flag, action) => {
+    if (action === 'suspend' && !window.confirm(`Block further meal claims for ${flag.student?.name}?`)) {
+      return;
+    }
+
+    const note = window.prompt('Review note (optional):', '');
+    if (note === null) return;
+
+    try {
+      setBusyId(flag._id);
+      await adminAPI.reviewFraudFlag(flag._id, action, note);
+      toast.success(action === 'suspend' ? 'Student\'s claims blocked' : `Flag ${action === 'dismiss' ? 'dismissed' : 'confirmed'}`);
+      fetchFlags();
+      onChange?.();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to review flag';
+      toast.error(message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleUnblock = async (student) => {
+    const note = window.prompt(`Allow ${student.name} to claim meals again? Add a note (optional):`, '');
+    if (note === null) return;
+
+    try {
+      setBusyId(student._id);
+      await adminAPI.unblockStudent(student._id, note);
+      toast.success(`${student.name} can claim meals again`);
+      fetchFlags();
+      onChange?.();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to unblock student';
+      toast.error(message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900 mb-1">
+          Fraud Flags ({total})
+        </h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Suspicious scans such as one QR code used at two vendors, repeated claims or unusually fast scanning
+        </p>
+
+        {loading ? (
+          <LoadingSpinner size="md" className="py-6" />
+        ) : (
+          <>
+            {flags.length === 0 ? (
+              <p className="text-sm text-gray-500">No open flags</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Flag</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student / Operator</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vendor</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Raised</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {flags.map((flag) => (
+                      <tr key={flag._id}>
+                        <td className="px-4 py-3 text-sm">
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${SEVERITY_STYLES[flag.severity]}`}>
+                            {flag.rule}
+                          </span>
+                          <div className="mt-1 text-xs text-gray-500">{flag.message}</div>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {flag.student ? `${flag.student.name} (${flag.student.rollNumber})` : flag.operator?.name}
+                          {flag.student?.claimsBlocked && (
+                            <div className="text-xs text-red-600">Claims blocked</div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-500">
+                          {flag.vendor?.name || '-'}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-500">
+                          {new Date(flag.createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3 text-sm space-x-3 whitespace-nowrap">
+                          <button
+                            onClick={() => handleReview(flag, 'dismiss')}
+                            disabled={busyId === flag._id}
+                            className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                          >
+                            Dismiss
+                          </button>
+                          <button
+                            onClick={() => handleReview(flag, 'confirm')}
+                            disabled={busyId === flag._id}
+                            className="text-primary-600 hover:text-primary-900 disabled:opacity-50"
+                          >
+                            Confirm
+                          </button>
+                          {flag.student && !flag.student.claimsBlocked && (
+                            <button
+                              onClick={() => handleReview(flag, 'suspend')}
+                              disabled={busyId === flag._id}
+                              className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                            >
+                              Suspend
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {blockedStudents.length > 0 && (
+              <div className="mt-6">
+                <h4 className="text-sm font-medium text-gray-900 mb-2">
+                  Students with blocked claims ({blockedStudents.length})
+                </h4>
+                <ul className="divide-y divide-gray-200">
+                  {blockedStudents.map((student) => (
+                    <li key={student._id} className="py-2 flex items-center justify-between text-sm">
+                      <div>
+                        <span className="font-medium text-gray-900">{student.name} ({student.rollNumber})</span>
+                        <span className="text-gray-500"> - {student.vendor?.name}</span>
+                        <div className="text-xs text-gray-500">
+                          {student.claimsBlock?.reason}
+                          {student.claimsBlock?.blockedBy ? ` - by ${student.claimsBlock.blockedBy.name}` : ' - blocked automatically'}
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => handleUnblock(student)}
+                        disabled={busyId === student._id}
+                        className="text-primary-600 hover:text-primary-900 disabled:opacity-50"
+                      >
+                        Unblock
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FraudFlagsPanel;
@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { hostelsAPI, adminAPI } from '../services/api';
+import { PlusIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from './LoadingSpinner';
+import MealGroupTable from './MealGroupTable';
+import toast from 'react-hot-toast';
+
+const EMPTY_HOSTEL = { name: '', address: '' };
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+// Hostels are loaded by the admin panel, which also offers them as an export filter
+const HostelsPanel = ({ hostels, vendors, onChange }) => {
+  const [showAddHostel, setShowAddHostel] = useState(false);
+  const [newHostel, setNewHostel] = useState(EMPTY_HOSTEL);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [report, setReport] = useState(null);
+  const [reportLoading, setReportLoading] = useState(true);
+  const [reportFilters, setReportFilters] = useState({
+    hostel: '',
+    from: formatDate(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000)),
+    to: formatDate(new Date())
+  });
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setReportLoading(true);
+      const response = await adminAPI.getHostelStats({
+        hostel: reportFilters.hostel || undefined,
+        from: reportFilters.from,
+        to: reportFilters.to
+      });
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error fetching hostel stats:', error);
+      toast.error(error.response?.data?.message || 'Failed to load meals by hostel');
+    } finally {
+      setReportLoading(false);
+    }
+  }, [reportFilters]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await hostelsAPI.create(newHostel);
+      toast.success('Hostel added');
+      setNewHostel(EMPTY_HOSTEL);
+      setShowAddHostel(false);
+      onChange?.();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to add hostel';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (hostel, update, successMessage) => {
+    try {
+      setBusyId(hostel._id);
+      await hostelsAPI.update(hostel._id, update);
+      toast.success(successMessage);
+      onChange?.();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update hostel';
+      toast.error(message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const toggleVendor = (hostel, vendor) => {
+    const served = hostel.vendors.some(v => v._id === vendor._id);
+    const vendorIds = served
+      ? hostel.vendors.filter(v => v._id !== vendor._id).map(v => v._id)
+      : [...hostel.vendors.map(v => v._id), vendor._id];
+    handleUpdate(
+      hostel,
+      { vendorIds },
+      served ? `${vendor.name} no longer serves ${hostel.name}` : `${vendor.name} now serves ${hostel.name}`
+    );
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <div>
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Hostels
+            </h3>
+            <p className="text-sm text-gray-500">
+              Where students live and which vendors serve them. CSV uploads add new hostels from the Hostel column
+            </p>
+          </div>
+          <button
+            onClick={() => setShowAddHostel(!showAddHostel)}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Add Hostel
+          </button>
+        </div>
+
+        {showAddHostel && (
+          <form onSubmit={handleCreate} className="mb-6 p-4 bg-gray-50 rounded-md space-y-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Name *</label>
+                <input
+                  type="text"
+                  required
+                  value={newHostel.name}
+                  onChange={(e) => setNewHostel({ ...newHostel, name: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  placeholder="e.g., Neeladri Micro Campus"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Address</label>
+                <input
+                  type="text"
+                  value={newHostel.address}
+                  onChange={(e) => setNewHostel({ ...newHostel, address: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setShowAddHostel(false)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Add Hostel'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {hostels.length === 0 ? (
+          <p className="text-sm text-gray-500">No hostels yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 mb-6">
+            {hostels.map((hostel) => (
+              <li key={hostel._id} className="py-3">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className={`text-sm font-medium ${hostel.isActive ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                      {hostel.name}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {hostel.residents} residents{hostel.address && ` · ${hostel.address}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleUpdate(
+                      hostel,
+                      { isActive: !hostel.isActive },
+                      hostel.isActive ? `${hostel.name} deactivated` : `${hostel.name} reactivated`
+                    )}
+                    disabled={busyId === hostel._id}
+                    className="text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                  >
+                    {hostel.isActive ? 'Deactivate' : 'Reactivate'}
+                  </button>
+                </div>
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {vendors.map((vendor) => {
+                    const served = hostel.vendors.some(v => v._id === vendor._id);
+                    return (
+                      <button
+                        key={vendor._id}
+                        type="button"
+                        onClick={() => toggleVendor(hostel, vendor)}
+                        disabled={busyId === hostel._id}
+                        title={served ? 'Serves this hostel. Click to remove' : 'Click to mark as serving this hostel'}
+                        className={`px-2 py-0.5 rounded-full text-xs font-medium border disabled:opacity-50 ${
+                          served
+                            ? 'bg-primary-50 border-primary-200 text-primary-700'
+                            : 'bg-white border-gray-200 text-gray-400'
+                        }`}
+                      >
+                        {vendor.name}
+                      </button>
+                    );
+                  })}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Meals by hostel</h4>
+        <div className="grid grid-cols-1 gap-3 sm:grid-cols-3 mb-4">
+          <select
+            value={reportFilters.hostel}
+            onChange={(e) => setReportFilters({ ...reportFilters, hostel: e.target.value })}
+            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          >
+            <option value="">All hostels</option>
+            {hostels.map((hostel) => (
+              <option key={hostel._id} value={hostel._id}>{hostel.name}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={reportFilters.from}
+            onChange={(e) => setReportFilters({ ...reportFilters, from: e.target.value })}
+            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          />
+          <input
+            type="date"
+            value={reportFilters.to}
+            onChange={(e) => setReportFilters({ ...reportFilters, to: e.target.value })}
+            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          />
+        </div>
+
+        {reportLoading ? (
+          <LoadingSpinner size="md" className="py-6" />
+        ) : (
+          <MealGroupTable
+            label="Hostel"
+            rows={report?.hostels || []}
+            getKey={(row) => row.hostel?._id || 'none'}
+            getName={(row) => row.hostel?.name || 'No hostel'}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HostelsPanel;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import RosterImportReview from './RosterImportReview';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  preview: 'bg-gray-100 text-gray-800',
+  queued: 'bg-blue-100 text-blue-800',
+  running: 'bg-blue-100 text-blue-800',
+  applied: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  rolledBack: 'bg-yellow-100 text-yellow-800'
+};
+
+const STATUS_LABELS = {
+  preview: 'Not applied',
+  queued: 'Queued',
+  running: 'Applying',
+  applied: 'Applied',
+  failed: 'Failed',
+  rolledBack: 'Rolled back'
+};
+
+// Past roster uploads: who uploaded them, the file, what they changed, and a rollback.
+// `refreshKey` reloads the list, e.g. when the current upload moves on.
+const ImportHistoryPanel = ({ refreshKey, onChange }) => {
+  const [imports, setImports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [viewing, setViewing] = useState(null);
+
+  const fetchImports = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getImports({ limit: 20 });
+      setImports(response.data.imports);
+    } catch (error) {
+      console.error('Error fetching imports:', error);
+      toast.error('Failed to load import history');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchImports();
+  }, [fetchImports, refreshKey]);
+
+  const handleView = async (rosterImport) => {
+    if (viewing?._id === rosterImport._id) {
+      setViewing(null);
+      return;
+    }
+
+    try {
+      setBusyId(rosterImport._id);
+      const response = await adminAPI.getImport(rosterImport._id);
+      setViewing(response.data.import);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to load the import';
+      toast.error(message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDownload = async (rosterImport) => {
+    try {
+      const response = await adminAPI.downloadImportFile(rosterImport._id);
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = rosterImport.fileName || 'roster.csv';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Import file download error:', error);
+      toast.error('Failed to download the file');
+    }
+  };
+
+  const handleRollback = async (rosterImport) => {
+    const reason = window.prompt(
+      `Roll back "${rosterImport.fileName}"? Students go back to how they were before it, and students it added are deactivated. Reason (optional):`,
+      ''
+    );
+    if (reason === null) return;
+
+    try {
+      setBusyId(rosterImport._id);
+      const response = await adminAPI.rollbackImport(rosterImport._id, reason);
+      toast.success(response.data.message);
+      if (viewing?._id === rosterImport._id) {
+        setViewing(response.data.import);
+      }
+      fetchImports();
+      onChange?.();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to roll back the import';
+      toast.error(message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+          Import History
+        </h3>
+
+        {loading ? (
+          <LoadingSpinner size="md" className="py-6" />
+        ) : imports.length === 0 ? (
+          <p className="text-sm text-gray-500">No roster uploads yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">File</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Uploaded</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Changes</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {imports.map((rosterImport) => (
+                  <tr key={rosterImport._id}>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {rosterImport.fileName}
+                      <div className="text-xs text-gray-500">
+                        {rosterImport.totalRows} rows · {rosterImport.plan?.name} · {rosterImport.startDate} to {rosterImport.endDate}
+                      </div>
+                    </td>
+                    <td className="px-4 py-2 text-sm">
+                      <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_STYLES[rosterImport.status] || STATUS_STYLES.preview}`}>
+                        {STATUS_LABELS[rosterImport.status] || rosterImport.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 text-xs text-gray-500">
+                      {new Date(rosterImport.createdAt).toLocaleString()}
+                      {rosterImport.createdBy && <div>by {rosterImport.createdBy.name}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-xs text-gray-500">
+                      {rosterImport.result && rosterImport.status !== 'preview'
+                        ? `${rosterImport.result.created} created, ${rosterImport.result.updated} updated, ${rosterImport.result.reactivated} reactivated, ${rosterImport.result.deactivated} deactivated`
+                        : '—'}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-right whitespace-nowrap space-x-3">
+                      <button
+                        onClick={() => handleView(rosterImport)}
+                        disabled={busyId === rosterImport._id}
+                        className="text-primary-600 hover:text-primary-900 disabled:opacity-50"
+                      >
+                        {viewing?._id === rosterImport._id ? 'Hide' : 'View'}
+                      </button>
+                      <button
+                        onClick={() => handleDownload(rosterImport)}
+                        className="text-primary-600 hover:text-primary-900"
+                      >
+                        File
+                      </button>
+                      {['applied', 'failed'].includes(rosterImport.status) && (
+                        <button
+                          onClick={() => handleRollback(rosterImport)}
+                          disabled={busyId === rosterImport._id}
+                          className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                        >
+                          Roll back
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {viewing && <RosterImportReview key={viewing._id} rosterImport={viewing} readOnly />}
+      </div>
+    </div>
+  );
+};
+
+export default ImportHistoryPanel;
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { importProfilesAPI } from '../services/api';
+import { PlusIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const EMPTY_PROFILE = { name: '', columns: {} };
+
+// Saved column mappings for roster uploads. `headers` are the columns of the last
+// uploaded file, offered as choices so the admin does not have to type them.
+const ImportProfilesPanel = ({ profiles, fields, headers, onChange }) => {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_PROFILE);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const startEditing = (profile) => {
+    setEditing(profile?._id || 'new');
+    setDraft(profile ? { name: profile.name, columns: { ...profile.columns } } : EMPTY_PROFILE);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      if (editing === 'new') {
+        await importProfilesAPI.create(draft);
+        toast.success('Import profile saved');
+      } else {
+        await importProfilesAPI.update(editing, draft);
+        toast.success('Import profile updated');
+      }
+      setEditing(null);
+      onChange?.();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to save import profile';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete the "${profile.name}" import profile?`)) return;
+
+    try {
+      setBusyId(profile._id);
+      await importProfilesAPI.delete(profile._id);
+      toast.success('Import profile deleted');
+      onChange?.();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete import profile';
+      toast.error(message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const setColumn = (field, header) => setDraft({ ...draft, columns: { ...draft.columns, [field]: header } });
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <div>
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Import Profiles
+            </h3>
+            <p className="text-sm text-gray-500">
+              Which CSV column holds each student field. Without a profile, uploads look for the usual header names
+            </p>
+          </div>
+          <button
+            onClick={() => (editing ? setEditing(null) : startEditing(null))}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Add Profile
+          </button>
+        </div>
+
+        {editing && (
+          <form onSubmit={handleSave} className="mb-6 p-4 bg-gray-50 rounded-md space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Name *</label>
+              <input
+                type="text"
+                required
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                placeholder="e.g., Sign-up form export"
+              />
+            </div>
+            {headers.length > 0 && (
+              <p className="text-xs text-gray-500">
+                Columns in the last uploaded file: {headers.join(', ')}
+              </p>
+            )}
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              {fields.map(({ field, label, required }) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700">
+                    {label}{required && ' *'}
+                  </label>
+                  {headers.length > 0 ? (
+                    <select
+                      required={required}
+                      value={draft.columns[field] || ''}
+                      onChange={(e) => setColumn(field, e.target.value)}
+                      className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                    >
+                      <option value="">Not imported</option>
+                      {draft.columns[field] && !headers.includes(draft.columns[field]) && (
+                        <option value={draft.columns[field]}>{draft.columns[field]} (not in the last file)</option>
+                      )}
+                      {headers.map((header) => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="text"
+                      required={required}
+                      value={draft.columns[field] || ''}
+                      onChange={(e) => setColumn(field, e.target.value)}
+                      className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                      placeholder="CSV header"
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setEditing(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Profile'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {profiles.length === 0 ? (
+          <p className="text-sm text-gray-500">No import profiles yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {profiles.map((profile) => (
+              <li key={profile._id} className="py-3 flex justify-between items-start">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{profile.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {fields
+                      .filter(({ field }) => profile.columns?.[field])
+                      .map(({ field, label }) => `${label} ← ${profile.columns[field]}`)
+                      .join(' · ')}
+                  </p>
+                </div>
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => startEditing(profile)}
+                    className="text-sm text-primary-600 hover:text-primary-900"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(profile)}
+                    disabled={busyId === profile._id}
+                    className="text-sm text-red-600 hover:text-red-900 disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportProfilesPanel;
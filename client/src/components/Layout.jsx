@@ -11,6 +11,9 @@ import {
   XMarkIcon,
   ArrowRightOnRectangleIcon,
   UserIcon,
+  ShieldExclamationIcon,
+  CalendarDaysIcon,
+  BanknotesIcon,
 } from '@heroicons/react/24/outline';
 
 const Layout = () => {
@@ -24,7 +27,10 @@ const Layout = () => {
     { name: 'Student Verification', href: '/verification', icon: ClipboardDocumentCheckIcon, roles: ['vendor', 'admin'] },
     { name: 'Vendor Dashboard', href: '/vendor-dashboard', icon: ChartBarIcon, roles: ['vendor', 'admin'] },
     { name: 'Student Management', href: '/students', icon: UserGroupIcon, roles: ['admin'] },
+    { name: 'Verification Log', href: '/verification-attempts', icon: ShieldExclamationIcon, roles: ['admin'] },
+    { name: 'Billing', href: '/billing', icon: BanknotesIcon, roles: ['vendor', 'admin'] },
     { name: 'Admin Panel', href: '/admin', icon: Cog6ToothIcon, roles: ['admin'] },
+    { name: 'Skip Meals', href: '/skip-meals', icon: CalendarDaysIcon, roles: ['student'] },
   ];
 
   const filteredNavigation = navigation.filter(item => 
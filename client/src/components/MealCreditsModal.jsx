@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { creditsAPI } from '../services/api';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from './LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const TYPE_STYLES = {
+  grant: 'text-green-700',
+  refund: 'text-green-700',
+  consume: 'text-gray-700',
+  revoke: 'text-red-700',
+  expire: 'text-red-700'
+};
+
+// Balances and ledger for one student, with admin grant/revoke
+const MealCreditsModal = ({ student, vendors, onClose }) => {
+  const [accounts, setAccounts] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [adjustment, setAdjustment] = useState({
+    action: 'grant',
+    vendorId: student.vendor?._id || '',
+    amount: '',
+    reason: '',
+    expiresOn: ''
+  });
+
+  const fetchCredits = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await creditsAPI.getForStudent(student._id);
+      setAccounts(response.data.accounts);
+      setTransactions(response.data.transactions);
+    } catch (error) {
+      console.error('Error fetching meal credits:', error);
+      toast.error('Failed to load meal credits');
+    } finally {
+      setLoading(false);
+    }
+  }, [student._id]);
+
+  useEffect(() => {
+    fetchCredits();
+  }, [fetchCredits]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      studentId: student._id,
+      vendorId: adjustment.vendorId,
+      amount: Number(adjustment.amount),
+      reason: adjustment.reason
+    };
+
+    try {
+      setSaving(true);
+      const response = adjustment.action === 'grant'
+        ? await creditsAPI.grant({ ...payload, expiresOn: adjustment.expiresOn || undefined })
+        : await creditsAPI.revoke(payload);
+      toast.success(response.data.message);
+      setAdjustment(prev => ({ ...prev, amount: '', reason: '', expiresOn: '' }));
+      fetchCredits();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update credits';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="px-4 py-5 sm:p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Meal Credits · {student.name}
+            </h3>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+          </div>
+
+          {loading ? (
+            <LoadingSpinner size="md" className="py-6" />
+          ) : (
+            <>
+              <div className="mb-6">
+                {accounts.length === 0 ? (
+                  <p className="text-sm text-gray-500">No credits yet</p>
+                ) : (
+                  <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                    {accounts.map((account) => (
+                      <div key={account.vendor._id} className="bg-gray-50 rounded-lg p-3">
+                        <p className="text-sm text-gray-600">{account.vendor.name}</p>
+                        <p className="text-2xl font-bold text-primary-600">{account.balance}</p>
+                        {account.expiresAt && (
+                          <p className="text-xs text-gray-500">Expires {new Date(account.expiresAt).toLocaleString()}</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-50 rounded-md space-y-3">
+                <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+                  <select
+                    value={adjustment.action}
+                    onChange={(e) => setAdjustment({ ...adjustment, action: e.target.value })}
+                    className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  >
+                    <option value="grant">Grant</option>
+                    <option value="revoke">Revoke</option>
+                  </select>
+                  <select
+                    required
+                    value={adjustment.vendorId}
+                    onChange={(e) => setAdjustment({ ...adjustment, vendorId: e.target.value })}
+                    className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  >
+                    <option value="">Select vendor</option>
+                    {vendors.map((vendor) => (
+                      <option key={vendor._id} value={vendor._id}>{vendor.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    required
+                    value={adjustment.amount}
+                    onChange={(e) => setAdjustment({ ...adjustment, amount: e.target.value })}
+                    className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                    placeholder="Credits"
+                  />
+                </div>
+                <input
+                  type="text"
+                  required
+                  value={adjustment.reason}
+                  onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+                  className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  placeholder="Reason (e.g., Bought 20-meal pack)"
+                />
+                {adjustment.action === 'grant' && (
+                  <div>
+                    <label className="block text-xs text-gray-500">Credits expire after (optional)</label>
+                    <input
+                      type="date"
+                      value={adjustment.expiresOn}
+                      onChange={(e) => setAdjustment({ ...adjustment, expiresOn: e.target.value })}
+                      className="mt-1 block border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                    />
+                  </div>
+                )}
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : adjustment.action === 'grant' ? 'Grant Credits' : 'Revoke Credits'}
+                </button>
+              </form>
+
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Recent activity</h4>
+              {transactions.length === 0 ? (
+                <p className="text-sm text-gray-500">No activity yet</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {transactions.map((transaction) => (
+                    <li key={transaction._id} className="py-2 text-sm flex justify-between">
+                      <div>
+                        <span className={`font-medium capitalize ${TYPE_STYLES[transaction.type]}`}>
+                          {transaction.type} {transaction.amount > 0 ? `+${transaction.amount}` : transaction.amount}
+                        </span>
+                        <span className="text-gray-500"> at {transaction.vendor?.name}</span>
+                        {transaction.reason && <div className="text-xs text-gray-500">{transaction.reason}</div>}
+                      </div>
+                      <div className="text-right text-xs text-gray-500">
+                        <div>{new Date(transaction.createdAt).toLocaleString()}</div>
+                        {transaction.actor && <div>by {transaction.actor.name}</div>}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MealCreditsModal;
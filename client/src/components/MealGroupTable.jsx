@@ -0,0 +1,44 @@
+import React from 'react';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+// Meals per group of students (hostel, batch) as returned by the /admin/stats reports
+const MealGroupTable = ({ label, rows, getKey, getName }) => {
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-500">No meals in this period</p>;
+  }
+
+  return (
+    <table className="min-w-full divide-y divide-gray-200">
+      <thead className="bg-gray-50">
+        <tr>
+          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+          {MEAL_TYPES.map((mealType) => (
+            <th key={mealType} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{mealType}</th>
+          ))}
+          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Meals</th>
+          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Students</th>
+        </tr>
+      </thead>
+      <tbody className="bg-white divide-y divide-gray-200">
+        {rows.map((row) => (
+          <tr key={getKey(row)}>
+            <td className="px-4 py-3 text-sm text-gray-900">{getName(row)}</td>
+            {MEAL_TYPES.map((mealType) => (
+              <td key={mealType} className="px-4 py-3 text-sm text-gray-900 text-right">
+                {row.byMealType[mealType] || 0}
+              </td>
+            ))}
+            <td className="px-4 py-3 text-sm font-medium text-gray-900 text-right">
+              {row.meals}
+              {row.voided > 0 && <span className="block text-xs font-normal text-gray-500">{row.voided} voided</span>}
+            </td>
+            <td className="px-4 py-3 text-sm text-gray-900 text-right">{row.uniqueStudents}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default MealGroupTable;
@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import { plansAPI } from '../services/api';
+import { PlusIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+const EMPTY_PLAN = {
+  name: '',
+  description: '',
+  mealTypes: [...MEAL_TYPES],
+  mealsPerDay: '',
+  mealsPerMonth: '',
+  usesCredits: false,
+  price: ''
+};
+
+// Plans are loaded by the admin panel, which also offers them on the CSV upload form
+const MealPlansPanel = ({ plans, onChange }) => {
+  const [showAddPlan, setShowAddPlan] = useState(false);
+  const [newPlan, setNewPlan] = useState(EMPTY_PLAN);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const toggleMealType = (mealType) => {
+    setNewPlan(prev => ({
+      ...prev,
+      mealTypes: prev.mealTypes.includes(mealType)
+        ? prev.mealTypes.filter(type => type !== mealType)
+        : [...prev.mealTypes, mealType]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (newPlan.mealTypes.length === 0) {
+      toast.error('Choose at least one meal type');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await plansAPI.create({
+        ...newPlan,
+        mealsPerDay: newPlan.mealsPerDay ? Number(newPlan.mealsPerDay) : undefined,
+        mealsPerMonth: newPlan.mealsPerMonth ? Number(newPlan.mealsPerMonth) : undefined,
+        price: newPlan.price ? Number(newPlan.price) : 0
+      });
+      toast.success('Meal plan created');
+      setNewPlan(EMPTY_PLAN);
+      setShowAddPlan(false);
+      onChange?.();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to create meal plan';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (plan, update, successMessage) => {
+    try {
+      setBusyId(plan._id);
+      await plansAPI.update(plan._id, update);
+      toast.success(successMessage);
+      onChange?.();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update meal plan';
+      toast.error(message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <div>
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Meal Plans
+            </h3>
+            <p className="text-sm text-gray-500">
+              Students can only claim meals included in the plan of their current subscription
+            </p>
+          </div>
+          <button
+            onClick={() => setShowAddPlan(!showAddPlan)}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Add Plan
+          </button>
+        </div>
+
+        {showAddPlan && (
+          <form onSubmit={handleCreate} className="mb-6 p-4 bg-gray-50 rounded-md space-y-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Name *</label>
+                <input
+                  type="text"
+                  required
+                  value={newPlan.name}
+                  onChange={(e) => setNewPlan({ ...newPlan, name: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  placeholder="e.g., Lunch only"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Description</label>
+                <input
+                  type="text"
+                  value={newPlan.description}
+                  onChange={(e) => setNewPlan({ ...newPlan, description: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Meals per day</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={newPlan.mealsPerDay}
+                  onChange={(e) => setNewPlan({ ...newPlan, mealsPerDay: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  placeholder="No limit"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Meals per month</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={newPlan.mealsPerMonth}
+                  onChange={(e) => setNewPlan({ ...newPlan, mealsPerMonth: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  placeholder="No limit"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Monthly price</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={newPlan.price}
+                  onChange={(e) => setNewPlan({ ...newPlan, price: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+              </div>
+              <div className="flex items-end">
+                <label className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={newPlan.usesCredits}
+                    onChange={(e) => setNewPlan({ ...newPlan, usesCredits: e.target.checked })}
+                    className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  Prepaid meal credits (each claim spends one credit)
+                </label>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Meals included *</label>
+                <div className="mt-2 flex space-x-4">
+                  {MEAL_TYPES.map((mealType) => (
+                    <label key={mealType} className="inline-flex items-center text-sm text-gray-700 capitalize">
+                      <input
+                        type="checkbox"
+                        checked={newPlan.mealTypes.includes(mealType)}
+                        onChange={() => toggleMealType(mealType)}
+                        className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      {mealType}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+            <div className="flex space-x-3">
+              <button
+                type="submit"
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+              >
+                {saving ? 'Creating...' : 'Create Plan'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowAddPlan(false)}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {plans.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No meal plans yet. A Standard plan with all meals is created on the first CSV upload.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Plan</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Meals</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Limits</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {plans.map((plan) => (
+                  <tr key={plan._id}>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {plan.name}
+                      {plan.usesCredits && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                          Credits
+                        </span>
+                      )}
+                      {plan.isDefault && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                          Default
+                        </span>
+                      )}
+                      {plan.description && <div className="text-xs text-gray-500">{plan.description}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900 capitalize">{plan.mealTypes.join(', ')}</td>
+                    <td className="px-4 py-3 text-sm text-gray-500">
+                      {plan.mealsPerDay ? `${plan.mealsPerDay}/day` : 'No daily limit'}
+                      {' · '}
+                      {plan.mealsPerMonth ? `${plan.mealsPerMonth}/month` : 'No monthly limit'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{plan.price}</td>
+                    <td className="px-4 py-3 text-sm space-x-3">
+                      {!plan.isDefault && (
+                        <button
+                          onClick={() => handleUpdate(plan, { isDefault: true }, `${plan.name} is now the default plan`)}
+                          disabled={busyId === plan._id}
+                          className="text-primary-600 hover:text-primary-900 disabled:opacity-50"
+                        >
+                          Make default
+                        </button>
+                      )}
+                      {!plan.isDefault && (
+                        <button
+                          onClick={() => handleUpdate(plan, { isActive: false }, `${plan.name} archived`)}
+                          disabled={busyId === plan._id}
+                          className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                        >
+                          Archive
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MealPlansPanel;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { settingsAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import toast from 'react-hot-toast';
+
+// When students may skip meals and whether skipping earns a meal credit
+const OptOutSettingsPanel = () => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await settingsAPI.get();
+        setSettings(response.data.settings);
+      } catch (error) {
+        console.error('Error fetching settings:', error);
+        toast.error('Failed to load settings');
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await settingsAPI.update({
+        optOutCutoffHours: Number(settings.optOutCutoffHours),
+        optOutEarnsCredits: settings.optOutEarnsCredits
+      });
+      setSettings(response.data.settings);
+      toast.success('Settings saved');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to save settings';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900">
+          Meal Opt-Outs
+        </h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Students can skip upcoming meals so they are left out of the vendor's expected headcount
+        </p>
+
+        {!settings ? (
+          <LoadingSpinner size="md" className="py-6" />
+        ) : (
+          <form onSubmit={handleSave} className="flex flex-col sm:flex-row sm:items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Cutoff (hours before the meal starts)
+              </label>
+              <input
+                type="number"
+                min="0"
+                max="72"
+                required
+                value={settings.optOutCutoffHours}
+                onChange={(e) => setSettings({ ...settings, optOutCutoffHours: e.target.value })}
+                className="mt-1 block w-40 border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+            <label className="flex items-center text-sm text-gray-700 sm:pb-2">
+              <input
+                type="checkbox"
+                checked={settings.optOutEarnsCredits}
+                onChange={(e) => setSettings({ ...settings, optOutEarnsCredits: e.target.checked })}
+                className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              Each skipped meal earns one meal credit
+            </label>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OptOutSettingsPanel;
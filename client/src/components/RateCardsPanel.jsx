@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { invoicesAPI } from '../services/api';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from './LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+const EMPTY_CARD = {
+  vendorId: '',
+  effectiveFrom: '',
+  rates: { breakfast: '', lunch: '', dinner: '' },
+  notes: ''
+};
+
+// Per-meal prices used to bill vendors. Cards are never edited: a new card with a
+// later date replaces the old prices from that day on.
+const RateCardsPanel = ({ vendors }) => {
+  const [rateCards, setRateCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showAddCard, setShowAddCard] = useState(false);
+  const [newCard, setNewCard] = useState(EMPTY_CARD);
+  const [saving, setSaving] = useState(false);
+
+  const fetchRateCards = useCallback(async () => {
+    try {
+      const response = await invoicesAPI.getRates();
+      setRateCards(response.data.rateCards);
+    } catch (error) {
+      console.error('Error fetching rate cards:', error);
+      toast.error('Failed to load rate cards');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRateCards();
+  }, [fetchRateCards]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await invoicesAPI.createRate({
+        ...newCard,
+        vendorId: newCard.vendorId || undefined
+      });
+      toast.success('Rate card added');
+      setNewCard(EMPTY_CARD);
+      setShowAddCard(false);
+      fetchRateCards();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to add rate card';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rateCard) => {
+    if (!window.confirm(`Remove the rate card starting ${rateCard.effectiveFrom}?`)) return;
+
+    try {
+      await invoicesAPI.deleteRate(rateCard._id);
+      toast.success('Rate card removed');
+      fetchRateCards();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to remove rate card';
+      toast.error(message);
+    }
+  };
+
+  const today = new Date().toISOString().split('T')[0];
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <div>
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Meal Rates
+            </h3>
+            <p className="text-sm text-gray-500">
+              Each meal is billed at the rate in force on the day it was served. A vendor's own rates override the default
+            </p>
+          </div>
+          <button
+            onClick={() => setShowAddCard(!showAddCard)}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Add Rates
+          </button>
+        </div>
+
+        {showAddCard && (
+          <form onSubmit={handleCreate} className="mb-6 p-4 bg-gray-50 rounded-md space-y-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Vendor</label>
+                <select
+                  value={newCard.vendorId}
+                  onChange={(e) => setNewCard({ ...newCard, vendorId: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                >
+                  <option value="">All vendors (default)</option>
+                  {vendors.map((vendor) => (
+                    <option key={vendor._id} value={vendor._id}>{vendor.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Effective from *</label>
+                <input
+                  type="date"
+                  required
+                  value={newCard.effectiveFrom}
+                  onChange={(e) => setNewCard({ ...newCard, effectiveFrom: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Notes</label>
+                <input
+                  type="text"
+                  value={newCard.notes}
+                  onChange={(e) => setNewCard({ ...newCard, notes: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  placeholder="e.g., 2026-27 contract"
+                />
+              </div>
+              {MEAL_TYPES.map((mealType) => (
+                <div key={mealType}>
+                  <label className="block text-sm font-medium text-gray-700 capitalize">{mealType} rate</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={newCard.rates[mealType]}
+                    onChange={(e) => setNewCard({ ...newCard, rates: { ...newCard.rates, [mealType]: e.target.value } })}
+                    className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                    placeholder="Not billed"
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setShowAddCard(false)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Add Rates'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <LoadingSpinner size="md" className="py-6" />
+        ) : rateCards.length === 0 ? (
+          <p className="text-sm text-gray-500">No rates yet. Add rates before generating invoices</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vendor</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">From</th>
+                {MEAL_TYPES.map((mealType) => (
+                  <th key={mealType} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{mealType}</th>
+                ))}
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rateCards.map((rateCard) => (
+                <tr key={rateCard._id}>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {rateCard.vendor?.name || 'All vendors'}
+                    {rateCard.notes && <p className="text-xs text-gray-500">{rateCard.notes}</p>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{rateCard.effectiveFrom}</td>
+                  {MEAL_TYPES.map((mealType) => (
+                    <td key={mealType} className="px-4 py-3 text-sm text-gray-900 text-right">
+                      {rateCard.rates?.[mealType] ?? '-'}
+                    </td>
+                  ))}
+                  <td className="px-4 py-3 text-right">
+                    {rateCard.effectiveFrom > today && (
+                      <button
+                        onClick={() => handleDelete(rateCard)}
+                        className="text-red-600 hover:text-red-900"
+                        title="Remove rates that have not taken effect"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RateCardsPanel;
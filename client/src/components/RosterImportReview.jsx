@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  rollNumber: 'Roll number',
+  batch: 'Batch',
+  vendor: 'Vendor',
+  hostel: 'Hostel',
+  dietaryPreference: 'Preference',
+  allergyNotes: 'Allergies',
+  isActive: 'Active'
+};
+
+const DELIMITER_LABELS = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return 'blank';
+  if (value === true) return 'yes';
+  if (value === false) return 'no';
+  return String(value);
+};
+
+const ChangeList = ({ title, items, tone = 'text-gray-900', showFrom = true }) => {
+  if (items.length === 0) return null;
+
+  return (
+    <details className="border border-gray-200 rounded-md">
+      <summary className={`px-3 py-2 cursor-pointer text-sm font-medium ${tone}`}>
+        {title} ({items.length})
+      </summary>
+      <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+        {items.map((item) => (
+          <li key={item.email} className="px-3 py-2 text-xs">
+            <div className="font-medium text-gray-900">
+              {item.name} <span className="font-normal text-gray-500">{item.email}{item.line && ` · line ${item.line}`}</span>
+            </div>
+            {item.changes.length > 0 && (
+              <ul className="mt-1 text-gray-600">
+                {item.changes.map((change) => (
+                  <li key={change.field}>
+                    {FIELD_LABELS[change.field] || change.field}:{' '}
+                    {showFrom && <><span className="line-through text-gray-400">{formatValue(change.from)}</span> → </>}
+                    <span className="text-gray-900">{formatValue(change.to)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+const TITLES = {
+  preview: 'Review changes before applying',
+  queued: 'Waiting to apply changes',
+  running: 'Applying changes',
+  failed: 'Import stopped',
+  applied: 'Upload Results',
+  rolledBack: 'Rolled back'
+};
+
+// What a roster upload will change (or changed), with the buttons to apply or discard a
+// preview, its progress while the worker applies it and a retry if that fails.
+// `readOnly` leaves the buttons out, for browsing past imports.
+const RosterImportReview = ({ rosterImport, applying, onApply, onDiscard, retrying, onRetry, readOnly = false }) => {
+  const [confirmDeactivation, setConfirmDeactivation] = useState(false);
+  const { changes, result, progress, applyErrors = [], rollbackResult } = rosterImport;
+  // Lines the parser could not read come first, then rows that failed validation
+  const rowErrors = [...(rosterImport.parseErrors || []), ...rosterImport.rowErrors];
+  const isPreview = rosterImport.status === 'preview' && !readOnly;
+  const isApplying = ['queued', 'running', 'failed'].includes(rosterImport.status);
+  const needsConfirmation = isPreview && changes.deactivate.length > 0;
+  const percent = progress?.total ? Math.round((progress.processed / progress.total) * 100) : 0;
+
+  return (
+    <div className="mt-6 p-4 bg-gray-50 rounded-md">
+      <h4 className="text-sm font-medium text-gray-900 mb-1">
+        {TITLES[rosterImport.status] || 'Upload Results'}
+      </h4>
+      <p className="text-xs text-gray-500 mb-1">
+        {rosterImport.fileName} · {rosterImport.totalRows} rows · {rosterImport.plan?.name} plan, {rosterImport.startDate} to {rosterImport.endDate}
+        {rosterImport.encoding && ` · ${rosterImport.encoding.toUpperCase()}, ${DELIMITER_LABELS[rosterImport.delimiter] || rosterImport.delimiter} separated`}
+      </p>
+      {rosterImport.columns && (
+        <p className="text-xs text-gray-500 mb-3">
+          Columns{rosterImport.profile && ` (${rosterImport.profile.name})`}:{' '}
+          {Object.entries(rosterImport.columns)
+            .map(([field, header]) => `${FIELD_LABELS[field] || field} ← ${header || 'not imported'}`)
+            .join(' · ')}
+          {rosterImport.unmatchedColumns?.length > 0 && (
+            <span className="text-yellow-700">
+              {' '}· Not in the file: {rosterImport.unmatchedColumns.map(({ header }) => header).join(', ')}
+            </span>
+          )}
+        </p>
+      )}
+
+      {isApplying && (
+        <div className="mb-3">
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className={`h-2 rounded-full ${rosterImport.status === 'failed' ? 'bg-red-500' : 'bg-primary-600'}`}
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+          <p className="mt-1 text-xs text-gray-500">
+            {progress?.processed || 0} of {progress?.total || 0} rows written
+          </p>
+          {rosterImport.status === 'failed' && !readOnly && (
+            <div className="mt-2 flex items-center justify-between text-sm text-red-700">
+              <span>{rosterImport.error || 'The import stopped before finishing'}</span>
+              <button
+                type="button"
+                onClick={onRetry}
+                disabled={retrying}
+                className="ml-3 inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+              >
+                {retrying ? <LoadingSpinner size="sm" /> : 'Retry'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {rollbackResult && (
+        <p className="text-sm text-yellow-800 mb-1">
+          Rolled back{rosterImport.rolledBackBy && ` by ${rosterImport.rolledBackBy.name}`}: {rollbackResult.restored} restored, {rollbackResult.reactivated} reactivated, {rollbackResult.deactivated} new students deactivated, {rollbackResult.subscriptionsCancelled} subscriptions cancelled
+        </p>
+      )}
+
+      {['applied', 'rolledBack'].includes(rosterImport.status) && result ? (
+        <div className="text-sm text-gray-600 space-y-1 mb-3">
+          <p>
+            {result.created} created, {result.updated} updated, {result.reactivated} reactivated, {result.unchanged} unchanged, {result.deactivated} deactivated
+          </p>
+          <p>
+            Subscriptions: {result.subscriptions.created} created, {result.subscriptions.renewed} renewed, {result.subscriptions.unchanged} unchanged
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600 mb-3">
+          {changes.create.length} new, {changes.update.length} updated, {changes.reactivate.length} reactivated, {changes.unchanged} unchanged, {' '}
+          <span className={changes.deactivate.length > 0 ? 'font-medium text-red-600' : ''}>
+            {changes.deactivate.length} deactivated
+          </span>
+          {rowErrors.length > 0 && `, ${rowErrors.length} rows skipped`}
+        </p>
+      )}
+
+      <div className="space-y-2">
+        <ChangeList title="New students" items={changes.create} showFrom={false} />
+        <ChangeList title="Updated students" items={changes.update} />
+        <ChangeList title="Reactivated students" items={changes.reactivate} />
+        <ChangeList title="Deactivated (not in the file)" items={changes.deactivate} tone="text-red-700" />
+
+        {(changes.vendorsToCreate.length > 0 || changes.hostelsToCreate.length > 0) && (
+          <div className="text-xs text-gray-600">
+            {changes.vendorsToCreate.length > 0 && <p>New vendors: {changes.vendorsToCreate.join(', ')}</p>}
+            {changes.hostelsToCreate.length > 0 && <p>New hostels: {changes.hostelsToCreate.join(', ')}</p>}
+          </div>
+        )}
+
+        {applyErrors.length > 0 && (
+          <details className="border border-red-200 rounded-md">
+            <summary className="px-3 py-2 cursor-pointer text-sm font-medium text-red-700">
+              Rows that could not be written ({applyErrors.length})
+            </summary>
+            <ul className="px-3 py-2 list-disc list-inside text-xs text-red-600 max-h-64 overflow-y-auto">
+              {applyErrors.map((error, index) => (
+                <li key={index}>Line {error.line} ({error.email}): {error.message}</li>
+              ))}
+            </ul>
+          </details>
+        )}
+
+        {rowErrors.length > 0 && (
+          <details className="border border-red-200 rounded-md">
+            <summary className="px-3 py-2 cursor-pointer text-sm font-medium text-red-700">
+              Rows that will be skipped ({rowErrors.length})
+            </summary>
+            <ul className="px-3 py-2 list-disc list-inside text-xs text-red-600 max-h-64 overflow-y-auto">
+              {rowErrors.map((error, index) => (
+                <li key={index}>{error}</li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </div>
+
+      {isPreview && (
+        <div className="mt-4 space-y-3">
+          {needsConfirmation && (
+            <label className="flex items-start text-sm text-red-700">
+              <input
+                type="checkbox"
+                checked={confirmDeactivation}
+                onChange={(e) => setConfirmDeactivation(e.target.checked)}
+                className="mt-0.5 mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              I understand {changes.deactivate.length} students not in this file will be deactivated
+            </label>
+          )}
+          <div className="flex space-x-3">
+            <button
+              type="button"
+              onClick={onApply}
+              disabled={applying || (needsConfirmation && !confirmDeactivation)}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {applying ? <LoadingSpinner size="sm" /> : 'Apply Changes'}
+            </button>
+            <button
+              type="button"
+              onClick={onDiscard}
+              disabled={applying}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RosterImportReview;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const SyncConflictsPanel = () => {
+  const [conflicts, setConflicts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [resolvingId, setResolvingId] = useState(null);
+
+  const fetchConflicts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getSyncConflicts({ status: 'open', limit: 20 });
+      setConflicts(response.data.conflicts);
+      setTotal(response.data.total);
+    } catch (error) {
+      console.error('Error fetching sync conflicts:', error);
+      toast.error('Failed to load offline sync conflicts');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConflicts();
+  }, [fetchConflicts]);
+
+  const handleResolve = async (conflictId) => {
+    const resolution = window.prompt('Resolution note (optional):', '');
+    if (resolution === null) return;
+
+    try {
+      setResolvingId(conflictId);
+      await adminAPI.resolveSyncConflict(conflictId, resolution);
+      toast.success('Conflict marked as resolved');
+      fetchConflicts();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to resolve conflict';
+      toast.error(message);
+    } finally {
+      setResolvingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900 mb-1">
+          Offline Sync Conflicts ({total})
+        </h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Claims verified at a counter while offline that could not be applied when the device synced
+        </p>
+
+        {loading ? (
+          <LoadingSpinner size="md" className="py-6" />
+        ) : conflicts.length === 0 ? (
+          <p className="text-sm text-gray-500">No open conflicts</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vendor</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Claimed At</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {conflicts.map((conflict) => (
+                  <tr key={conflict._id}>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {conflict.student ? `${conflict.student.name} (${conflict.student.rollNumber})` : 'Unknown'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500">
+                      {conflict.vendor?.name}
+                      <div className="text-xs text-gray-400">by {conflict.operator?.name}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500">
+                      {conflict.claimedAt ? new Date(conflict.claimedAt).toLocaleString() : '-'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500">
+                      <div className="font-medium text-red-600">{conflict.reason}</div>
+                      <div className="text-xs">{conflict.message}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <button
+                        onClick={() => handleResolve(conflict._id)}
+                        disabled={resolvingId === conflict._id}
+                        className="text-primary-600 hover:text-primary-900 disabled:opacity-50"
+                      >
+                        Resolve
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SyncConflictsPanel;
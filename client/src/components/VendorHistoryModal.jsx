@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { studentsAPI } from '../services/api';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from './LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const SOURCE_LABELS = {
+  csv: 'CSV upload',
+  admin: 'Admin',
+  request: 'Request',
+  migration: 'Migration'
+};
+
+// Which vendor a student belonged to and when, with an admin form to move them
+const VendorHistoryModal = ({ student, vendors, onClose, onChanged }) => {
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [change, setChange] = useState({
+    vendorId: '',
+    startDate: new Date().toISOString().split('T')[0],
+    reason: ''
+  });
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await studentsAPI.getVendorHistory(student._id);
+      setAssignments(response.data.assignments);
+    } catch (error) {
+      console.error('Error fetching vendor history:', error);
+      toast.error('Failed to load vendor history');
+    } finally {
+      setLoading(false);
+    }
+  }, [student._id]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await studentsAPI.assignVendor(student._id, change);
+      toast.success(response.data.message);
+      setChange(prev => ({ ...prev, vendorId: '', reason: '' }));
+      fetchHistory();
+      onChanged?.();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to change vendor';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="px-4 py-5 sm:p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Vendor History · {student.name}
+            </h3>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-50 rounded-md space-y-3">
+            <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+              <select
+                required
+                value={change.vendorId}
+                onChange={(e) => setChange({ ...change, vendorId: e.target.value })}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              >
+                <option value="">Move to vendor</option>
+                {vendors.map((vendor) => (
+                  <option key={vendor._id} value={vendor._id}>{vendor.name}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                required
+                value={change.startDate}
+                onChange={(e) => setChange({ ...change, startDate: e.target.value })}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+            <input
+              type="text"
+              value={change.reason}
+              onChange={(e) => setChange({ ...change, reason: e.target.value })}
+              className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              placeholder="Reason (optional)"
+            />
+            <p className="text-xs text-gray-500">
+              Meals before the start date stay with the previous vendor in reports and invoices
+            </p>
+            <button
+              type="submit"
+              disabled={saving}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Change Vendor'}
+            </button>
+          </form>
+
+          {loading ? (
+            <LoadingSpinner size="md" className="py-6" />
+          ) : assignments.length === 0 ? (
+            <p className="text-sm text-gray-500">No vendor history yet</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {assignments.map((assignment) => (
+                <li key={assignment._id} className="py-2 text-sm flex justify-between">
+                  <div>
+                    <span className="font-medium text-gray-900">{assignment.vendor?.name || 'Unknown vendor'}</span>
+                    <div className="text-xs text-gray-500">
+                      {assignment.startDate} to {assignment.endDate || 'now'}
+                      {!assignment.appliedAt && ' (scheduled)'}
+                    </div>
+                    {assignment.reason && <div className="text-xs text-gray-500">{assignment.reason}</div>}
+                  </div>
+                  <div className="text-right text-xs text-gray-500">
+                    <div>{SOURCE_LABELS[assignment.source] || assignment.source}</div>
+                    {assignment.createdBy && <div>by {assignment.createdBy.name}</div>}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VendorHistoryModal;
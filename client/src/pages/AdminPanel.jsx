@@ -1,15 +1,45 @@
 import React, { useState, useEffect } from 'react';
-import { adminAPI, studentsAPI, vendorsAPI } from '../services/api';
+import { adminAPI, studentsAPI, vendorsAPI, plansAPI, hostelsAPI, importProfilesAPI } from '../services/api';
 import { DocumentArrowUpIcon, DocumentArrowDownIcon, ChartBarIcon, PlusIcon } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
+import SyncConflictsPanel from '../components/SyncConflictsPanel';
+import FraudFlagsPanel from '../components/FraudFlagsPanel';
+import MealPlansPanel from '../components/MealPlansPanel';
+import OptOutSettingsPanel from '../components/OptOutSettingsPanel';
+import HostelsPanel from '../components/HostelsPanel';
+import BatchesPanel from '../components/BatchesPanel';
+import RosterImportReview from '../components/RosterImportReview';
+import ImportProfilesPanel from '../components/ImportProfilesPanel';
+import ImportHistoryPanel from '../components/ImportHistoryPanel';
 import toast from 'react-hot-toast';
 
+// How often a queued or running import is checked on
+const IMPORT_POLL_INTERVAL_MS = 2000;
+
 const AdminPanel = () => {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [csvFile, setCsvFile] = useState(null);
   const [uploading, setUploading] = useState(false);
+  // The uploaded roster's import: a preview until the admin applies it
   const [uploadResult, setUploadResult] = useState(null);
+  const [applyingImport, setApplyingImport] = useState(false);
+  const [retryingImport, setRetryingImport] = useState(false);
+  // Columns the last upload was missing, with the headers it did have
+  const [columnsProblem, setColumnsProblem] = useState(null);
+  const [importProfiles, setImportProfiles] = useState([]);
+  const [rosterFields, setRosterFields] = useState([]);
+  const [importProfileId, setImportProfileId] = useState('');
+  // Subscription created or renewed for everyone in the sheet; blank dates mean the current month
+  const [subscriptionOptions, setSubscriptionOptions] = useState({
+    planId: '',
+    startDate: '',
+    endDate: ''
+  });
+  const [plans, setPlans] = useState([]);
+  const [hostels, setHostels] = useState([]);
+  const [exportHostel, setExportHostel] = useState('');
+  const [exportBatch, setExportBatch] = useState('');
   
   // Vendor management state
   const [vendors, setVendors] = useState([]);
@@ -36,12 +66,45 @@ const AdminPanel = () => {
     vendorId: ''
   });
   const [creatingUser, setCreatingUser] = useState(false);
+  const [rollingUp, setRollingUp] = useState(false);
 
   useEffect(() => {
     fetchStats();
     fetchVendors();
+    fetchPlans();
+    fetchHostels();
+    fetchImportProfiles();
   }, []);
 
+  // Follow an import while the worker applies it
+  const pollingImportId = ['queued', 'running'].includes(uploadResult?.status) ? uploadResult._id : null;
+  useEffect(() => {
+    if (!pollingImportId) return undefined;
+
+    const pollTimer = setInterval(async () => {
+      try {
+        const response = await adminAPI.getImport(pollingImportId);
+        const rosterImport = response.data.import;
+        setUploadResult(rosterImport);
+
+        if (rosterImport.status === 'applied') {
+          toast.success('Roster changes applied');
+          setCsvFile(null);
+          // Refresh stats, vendors and hostels (the import may have created some)
+          fetchStats();
+          fetchVendors();
+          fetchHostels();
+        } else if (rosterImport.status === 'failed') {
+          toast.error('The import stopped before finishing. You can retry it');
+        }
+      } catch (error) {
+        console.error('Error fetching import progress:', error);
+      }
+    }, IMPORT_POLL_INTERVAL_MS);
+
+    return () => clearInterval(pollTimer);
+  }, [pollingImportId]);
+
   const fetchStats = async () => {
     try {
       setLoading(true);
@@ -55,6 +118,20 @@ const AdminPanel = () => {
     }
   };
 
+  const handleRollupStats = async () => {
+    try {
+      setRollingUp(true);
+      const response = await adminAPI.rollupStats();
+      toast.success(response.data.message);
+      fetchStats();
+    } catch (error) {
+      console.error('Stats rollup error:', error);
+      toast.error(error.response?.data?.message || 'Failed to refresh stats');
+    } finally {
+      setRollingUp(false);
+    }
+  };
+
   const fetchVendors = async () => {
     try {
       const response = await vendorsAPI.getAll();
@@ -65,6 +142,37 @@ const AdminPanel = () => {
     }
   };
 
+  const fetchPlans = async () => {
+    try {
+      const response = await plansAPI.getAll();
+      setPlans(response.data.plans);
+    } catch (error) {
+      console.error('Error fetching meal plans:', error);
+      toast.error('Failed to load meal plans');
+    }
+  };
+
+  const fetchHostels = async () => {
+    try {
+      const response = await hostelsAPI.getAll({ includeInactive: true });
+      setHostels(response.data.hostels);
+    } catch (error) {
+      console.error('Error fetching hostels:', error);
+      toast.error('Failed to load hostels');
+    }
+  };
+
+  const fetchImportProfiles = async () => {
+    try {
+      const response = await importProfilesAPI.getAll();
+      setImportProfiles(response.data.profiles);
+      setRosterFields(response.data.fields);
+    } catch (error) {
+      console.error('Error fetching import profiles:', error);
+      toast.error('Failed to load import profiles');
+    }
+  };
+
   const handleFileChange = (e) => {
     const file = e.target.files[0];
     if (file && file.type === 'text/csv') {
@@ -84,23 +192,26 @@ const AdminPanel = () => {
 
     setUploading(true);
     setUploadResult(null);
+    setColumnsProblem(null);
 
     try {
       const formData = new FormData();
       formData.append('csvFile', csvFile);
+      Object.entries(subscriptionOptions).forEach(([key, value]) => {
+        if (value) formData.append(key, value);
+      });
+      if (importProfileId) formData.append('profileId', importProfileId);
 
       const response = await adminAPI.uploadCSV(formData);
-      setUploadResult(response.data);
-      
-      if (response.data.errors > 0) {
-        toast.error(`Upload completed with ${response.data.errors} errors`);
-      } else {
-        toast.success('CSV uploaded and processed successfully!');
-      }
-      
-      // Refresh stats
-      fetchStats();
+      setUploadResult(response.data.import);
+      toast.success('CSV read. Review the changes, then apply them');
+
+      // The default plan is created on first use
+      fetchPlans();
     } catch (error) {
+      if (error.response?.data?.code === 'COLUMNS_UNMAPPED') {
+        setColumnsProblem(error.response.data);
+      }
       const message = error.response?.data?.message || 'Upload failed';
       toast.error(message);
     } finally {
@@ -108,9 +219,43 @@ const AdminPanel = () => {
     }
   };
 
+  const handleApplyImport = async () => {
+    try {
+      setApplyingImport(true);
+      const response = await adminAPI.applyImport(uploadResult._id);
+      setUploadResult(response.data.import);
+      toast.success('Applying the roster changes');
+    } catch (error) {
+      // The roster moved on since the preview; show the refreshed one
+      if (error.response?.data?.code === 'IMPORT_CHANGED') {
+        setUploadResult(error.response.data.import);
+      }
+      const message = error.response?.data?.message || 'Failed to apply the import';
+      toast.error(message);
+    } finally {
+      setApplyingImport(false);
+    }
+  };
+
+  const handleRetryImport = async () => {
+    try {
+      setRetryingImport(true);
+      const response = await adminAPI.retryImport(uploadResult._id);
+      setUploadResult(response.data.import);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to retry the import';
+      toast.error(message);
+    } finally {
+      setRetryingImport(false);
+    }
+  };
+
   const handleExport = async () => {
     try {
-      const response = await adminAPI.exportStudents();
+      const response = await adminAPI.exportStudents({
+        hostel: exportHostel || undefined,
+        batch: exportBatch || undefined
+      });
       
       // Create and download CSV
       const csvContent = convertToCSV(response.data.students);
@@ -196,6 +341,10 @@ const AdminPanel = () => {
       toast.error('Name, email, and password are required');
       return;
     }
+    if (newUser.role === 'vendor' && !newUser.vendorId) {
+      toast.error('Vendor users must be assigned to a vendor');
+      return;
+    }
 
     setCreatingUser(true);
     try {
@@ -488,6 +637,9 @@ const AdminPanel = () => {
               <div key={vendor._id} className="bg-gray-50 rounded-lg p-4">
                 <h4 className="text-sm font-medium text-gray-900">{vendor.name}</h4>
                 <p className="text-sm text-gray-600 mt-1">{vendor.location}</p>
+                {vendor.hostels?.length > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">Serves {vendor.hostels.map(h => h.name).join(', ')}</p>
+                )}
                 {vendor.description && (
                   <p className="text-xs text-gray-500 mt-2">{vendor.description}</p>
                 )}
@@ -595,9 +747,10 @@ const AdminPanel = () => {
                       name="vendorId"
                       value={newUser.vendorId}
                       onChange={handleCreateUserChange}
+                      required
                       className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
                     >
-                      <option value="">Select a vendor (optional)</option>
+                      <option value="">Select a vendor</option>
                       {vendors.map((vendor) => (
                         <option key={vendor._id} value={vendor._id}>
                           {vendor.name} - {vendor.location}
@@ -671,6 +824,56 @@ const AdminPanel = () => {
               )}
             </div>
 
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Columns</label>
+                <select
+                  value={importProfileId}
+                  onChange={(e) => setImportProfileId(e.target.value)}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                >
+                  <option value="">Usual header names</option>
+                  {importProfiles.map((profile) => (
+                    <option key={profile._id} value={profile._id}>{profile.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Meal plan</label>
+                <select
+                  value={subscriptionOptions.planId}
+                  onChange={(e) => setSubscriptionOptions({ ...subscriptionOptions, planId: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                >
+                  <option value="">Default plan</option>
+                  {plans.map((plan) => (
+                    <option key={plan._id} value={plan._id}>{plan.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Subscription start</label>
+                <input
+                  type="date"
+                  value={subscriptionOptions.startDate}
+                  onChange={(e) => setSubscriptionOptions({ ...subscriptionOptions, startDate: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Subscription end</label>
+                <input
+                  type="date"
+                  value={subscriptionOptions.endDate}
+                  onChange={(e) => setSubscriptionOptions({ ...subscriptionOptions, endDate: e.target.value })}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              Everyone in the sheet gets a subscription for this period, or has their current one extended. Leave the dates blank for the current month. Nothing changes until you review and apply the preview.
+            </p>
+
             <div className="flex space-x-3">
               <button
                 type="submit"
@@ -682,7 +885,7 @@ const AdminPanel = () => {
                 ) : (
                   <>
                     <DocumentArrowUpIcon className="h-4 w-4 mr-2" />
-                    Upload CSV
+                    Upload & Preview
                   </>
                 )}
               </button>
@@ -695,33 +898,127 @@ const AdminPanel = () => {
                 <DocumentArrowDownIcon className="h-4 w-4 mr-2" />
                 Export Students
               </button>
+              <select
+                value={exportHostel}
+                onChange={(e) => setExportHostel(e.target.value)}
+                className="block border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                title="Only export residents of this hostel"
+              >
+                <option value="">All hostels</option>
+                {hostels.map((hostel) => (
+                  <option key={hostel._id} value={hostel._id}>{hostel.name}</option>
+                ))}
+                <option value="none">No hostel</option>
+              </select>
+              <select
+                value={exportBatch}
+                onChange={(e) => setExportBatch(e.target.value)}
+                className="block border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                title="Only export students of this batch"
+              >
+                <option value="">All batches</option>
+                {stats?.studentsByBatch?.filter(group => group.batch).map((group) => (
+                  <option key={group.batch} value={group.batch}>{group.batch}</option>
+                ))}
+                <option value="none">No batch</option>
+              </select>
             </div>
           </form>
 
-          {/* Upload Results */}
-          {uploadResult && (
-            <div className="mt-6 p-4 bg-gray-50 rounded-md">
-              <h4 className="text-sm font-medium text-gray-900 mb-2">Upload Results</h4>
-              <div className="text-sm text-gray-600 space-y-1">
-                <p>Total rows processed: {uploadResult.totalRows}</p>
-                <p>Successfully processed: {uploadResult.processed}</p>
-                <p>Errors: {uploadResult.errors}</p>
-                {uploadResult.errorDetails && uploadResult.errorDetails.length > 0 && (
-                  <div className="mt-2">
-                    <p className="font-medium">Error details:</p>
-                    <ul className="list-disc list-inside text-xs">
-                      {uploadResult.errorDetails.map((error, index) => (
-                        <li key={index} className="text-red-600">{error}</li>
-                      ))}
-                    </ul>
-                  </div>
-                )}
-              </div>
+          {/* Required columns the file was missing */}
+          {columnsProblem && (
+            <div className="mt-6 p-4 bg-red-50 rounded-md text-sm">
+              <p className="font-medium text-red-800">{columnsProblem.message}</p>
+              <p className="mt-2 text-red-700">Columns found in the file: {columnsProblem.headers.join(', ') || 'none'}</p>
+              {columnsProblem.unmatched?.length > 0 && (
+                <p className="text-red-700">
+                  Profile columns not in the file: {columnsProblem.unmatched.map(({ header }) => header).join(', ')}
+                </p>
+              )}
+              <p className="mt-2 text-red-700">Add or edit an import profile below to map them, then upload again.</p>
             </div>
           )}
+
+          {/* Preview of the upload, its progress while it is applied, then its results */}
+          {uploadResult && (
+            <RosterImportReview
+              key={`${uploadResult._id}-${uploadResult.fingerprint}`}
+              rosterImport={uploadResult}
+              applying={applyingImport}
+              onApply={handleApplyImport}
+              retrying={retryingImport}
+              onRetry={handleRetryImport}
+              onDiscard={() => setUploadResult(null)}
+            />
+          )}
         </div>
       </div>
 
+      {/* Import Profiles */}
+      <ImportProfilesPanel
+        profiles={importProfiles}
+        fields={rosterFields}
+        headers={columnsProblem?.headers || uploadResult?.headers || []}
+        onChange={fetchImportProfiles}
+      />
+
+      {/* Past uploads, with rollback */}
+      <ImportHistoryPanel
+        refreshKey={`${uploadResult?._id}-${uploadResult?.status}`}
+        onChange={fetchStats}
+      />
+
+      {/* Recently Voided Meals */}
+      {stats?.recentVoids && stats.recentVoids.length > 0 && (
+        <div className="bg-white shadow rounded-lg mb-8">
+          <div className="px-4 py-5 sm:p-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+              Recently Voided Meals ({stats.todaysVoids || 0} today)
+            </h3>
+            <ul className="divide-y divide-gray-200">
+              {stats.recentVoids.map((record) => (
+                <li key={record._id} className="py-3 text-sm">
+                  <div className="flex justify-between">
+                    <span className="font-medium text-gray-900">
+                      {record.student?.name} ({record.student?.rollNumber})
+                    </span>
+                    <span className="text-gray-500">
+                      {new Date(record.voidedAt).toLocaleString(undefined, { timeZone: stats.timezone })}
+                    </span>
+                  </div>
+                  <p className="text-gray-600">
+                    <span className="capitalize">{record.mealType}</span> at {record.vendor?.name}, voided by {record.voidedBy?.name} ({record.voidedBy?.role})
+                  </p>
+                  <p className="text-gray-500 italic">{record.voidReason}</p>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {/* Meal Plans */}
+      <MealPlansPanel plans={plans} onChange={fetchPlans} />
+
+      {/* Meal Opt-Out Settings */}
+      <OptOutSettingsPanel />
+
+      {/* Hostels */}
+      <HostelsPanel
+        hostels={hostels}
+        vendors={vendors}
+        onChange={() => {
+          fetchHostels();
+          fetchVendors();
+        }}
+      />
+
+      {/* Fraud Flags */}
+      <FraudFlagsPanel onChange={fetchStats} />
+
+      {/* Offline Sync Conflicts */}
+      <SyncConflictsPanel />
+
       {/* Students by Vendor */}
       {stats?.studentsByVendor && (
         <div className="bg-white shadow rounded-lg">
@@ -740,6 +1037,70 @@ const AdminPanel = () => {
           </div>
         </div>
       )}
+
+      {/* Students by Hostel */}
+      {stats?.studentsByHostel?.length > 0 && (
+        <div className="bg-white shadow rounded-lg mt-8">
+          <div className="px-4 py-5 sm:p-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+              Students by Hostel
+            </h3>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+              {stats.studentsByHostel.map((hostel) => (
+                <div key={hostel._id || 'none'} className="bg-gray-50 rounded-lg p-4">
+                  <h4 className="text-sm font-medium text-gray-900">{hostel.hostelName || 'No hostel'}</h4>
+                  <p className="text-2xl font-bold text-primary-600">{hostel.count} students</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Batches */}
+      {stats && <BatchesPanel studentsByBatch={stats.studentsByBatch || []} />}
+
+      {/* Meals by Vendor (precomputed) */}
+      {stats && (
+        <div className="bg-white shadow rounded-lg mt-8">
+          <div className="px-4 py-5 sm:p-6">
+            <div className="flex justify-between items-center mb-4">
+              <div>
+                <h3 className="text-lg leading-6 font-medium text-gray-900">
+                  Meals by Vendor This Month
+                </h3>
+                <p className="text-sm text-gray-500">
+                  {stats.lastStatsRollupAt
+                    ? `Last updated ${new Date(stats.lastStatsRollupAt).toLocaleString()}`
+                    : 'Not computed yet'}
+                </p>
+              </div>
+              <button
+                onClick={handleRollupStats}
+                disabled={rollingUp}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                {rollingUp ? 'Refreshing...' : 'Refresh Now'}
+              </button>
+            </div>
+            {stats.mealsByVendorThisMonth?.length > 0 ? (
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                {stats.mealsByVendorThisMonth.map((vendor) => (
+                  <div key={vendor.vendorName} className="bg-gray-50 rounded-lg p-4">
+                    <h4 className="text-sm font-medium text-gray-900">{vendor.vendorName}</h4>
+                    <p className="text-2xl font-bold text-primary-600">{vendor.meals} meals</p>
+                    <p className="text-xs text-gray-500">
+                      {vendor.uniqueStudents} students{vendor.voided > 0 && ` · ${vendor.voided} voided`}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No meals this month</p>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { invoicesAPI, vendorsAPI } from '../services/api';
+import { DocumentArrowDownIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/LoadingSpinner';
+import RateCardsPanel from '../components/RateCardsPanel';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  approved: 'bg-blue-100 text-blue-800',
+  paid: 'bg-green-100 text-green-800'
+};
+
+// Invoices are usually raised for the month that just ended
+const previousMonth = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const formatAmount = (invoice, amount) => `${invoice.currency} ${Number(amount).toFixed(2)}`;
+
+const Billing = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const [vendors, setVendors] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ month: '', vendor: '', status: '' });
+  const [generateMonth, setGenerateMonth] = useState(previousMonth());
+  const [generating, setGenerating] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    const fetchVendors = async () => {
+      try {
+        const response = await vendorsAPI.getAll();
+        setVendors(response.data.vendors);
+      } catch (error) {
+        console.error('Error fetching vendors:', error);
+        toast.error('Failed to load vendors');
+      }
+    };
+
+    fetchVendors();
+  }, [isAdmin]);
+
+  const fetchInvoices = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await invoicesAPI.getAll(params);
+      setInvoices(response.data.invoices);
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+      toast.error('Failed to load invoices');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [fetchInvoices]);
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setGenerating(true);
+      const response = await invoicesAPI.generate(generateMonth, filters.vendor || undefined);
+      const failed = response.data.results.filter(result => result.status === 'error');
+      if (failed.length > 0) {
+        failed.forEach(result => toast.error(`${result.vendor}: ${result.message}`));
+      } else {
+        toast.success(response.data.message);
+      }
+      fetchInvoices();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to generate invoices';
+      toast.error(message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const toggleDetails = async (invoice) => {
+    if (expanded?._id === invoice._id) {
+      setExpanded(null);
+      return;
+    }
+
+    try {
+      const response = await invoicesAPI.getById(invoice._id);
+      setExpanded(response.data.invoice);
+    } catch (error) {
+      console.error('Error fetching invoice:', error);
+      toast.error('Failed to load invoice');
+    }
+  };
+
+  const handleDownload = async (invoice, format) => {
+    try {
+      const response = await invoicesAPI.download(invoice._id, format);
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${invoice.number}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Invoice download error:', error);
+      toast.error('Failed to download invoice');
+    }
+  };
+
+  const runAction = async (invoice, action, successMessage) => {
+    try {
+      setBusyId(invoice._id);
+      await action();
+      toast.success(successMessage);
+      setExpanded(null);
+      fetchInvoices();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update invoice';
+      toast.error(message);
+      // A refreshed draft comes back when meals changed since it was generated
+      if (error.response?.data?.code === 'INVOICE_CHANGED') {
+        fetchInvoices();
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleApprove = (invoice) => {
+    if (!window.confirm(`Approve ${invoice.number} for ${formatAmount(invoice, invoice.totals.amount)}? Approved invoices cannot be changed.`)) return;
+    runAction(invoice, () => invoicesAPI.approve(invoice._id), `Invoice ${invoice.number} approved`);
+  };
+
+  const handleMarkPaid = (invoice) => {
+    const reference = window.prompt('Payment reference (e.g. bank transfer ID):');
+    if (reference === null) return;
+    runAction(invoice, () => invoicesAPI.markPaid(invoice._id, reference), `Invoice ${invoice.number} marked as paid`);
+  };
+
+  const handleDelete = (invoice) => {
+    if (!window.confirm(`Delete draft ${invoice.number}?`)) return;
+    runAction(invoice, () => invoicesAPI.delete(invoice._id), 'Draft deleted');
+  };
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900">Billing</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Monthly vendor invoices computed from claimed meals, minus voided claims
+        </p>
+      </div>
+
+      {isAdmin && <RateCardsPanel vendors={vendors} />}
+
+      <div className="bg-white shadow rounded-lg">
+        <div className="px-4 py-5 sm:p-6">
+          <div className="flex flex-col lg:flex-row lg:justify-between lg:items-end gap-4 mb-4">
+            <div className="flex flex-wrap gap-3">
+              <input
+                type="month"
+                value={filters.month}
+                onChange={(e) => setFilters({ ...filters, month: e.target.value })}
+                className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+              {isAdmin && (
+                <select
+                  value={filters.vendor}
+                  onChange={(e) => setFilters({ ...filters, vendor: e.target.value })}
+                  className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                >
+                  <option value="">All vendors</option>
+                  {vendors.map((vendor) => (
+                    <option key={vendor._id} value={vendor._id}>{vendor.name}</option>
+                  ))}
+                </select>
+              )}
+              <select
+                value={filters.status}
+                onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              >
+                <option value="">Any status</option>
+                <option value="draft">Draft</option>
+                <option value="approved">Approved</option>
+                <option value="paid">Paid</option>
+              </select>
+            </div>
+
+            {isAdmin && (
+              <form onSubmit={handleGenerate} className="flex gap-3">
+                <input
+                  type="month"
+                  required
+                  value={generateMonth}
+                  onChange={(e) => setGenerateMonth(e.target.value)}
+                  className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+                <button
+                  type="submit"
+                  disabled={generating}
+                  className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {generating ? 'Generating...' : filters.vendor ? 'Generate Draft' : 'Generate Drafts'}
+                </button>
+              </form>
+            )}
+          </div>
+
+          {loading ? (
+            <LoadingSpinner size="md" className="py-6" />
+          ) : invoices.length === 0 ? (
+            <p className="text-sm text-gray-500">No invoices found</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vendor</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Month</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Meals</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {invoices.map((invoice) => (
+                  <React.Fragment key={invoice._id}>
+                    <tr>
+                      <td className="px-4 py-3 text-sm">
+                        <button onClick={() => toggleDetails(invoice)} className="text-primary-600 hover:text-primary-900 font-medium">
+                          {invoice.number}
+                        </button>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{invoice.vendor?.name}</td>
+                      <td className="px-4 py-3 text-sm text-gray-500">{invoice.month}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900 text-right">
+                        {invoice.totals.quantity}
+                        {invoice.totals.voided > 0 && (
+                          <span className="text-xs text-gray-500"> ({invoice.totals.voided} voided)</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900 text-right">{formatAmount(invoice, invoice.totals.amount)}</td>
+                      <td className="px-4 py-3 text-sm">
+                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[invoice.status]}`}>
+                          {invoice.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-3">
+                        <button onClick={() => handleDownload(invoice, 'pdf')} className="text-gray-600 hover:text-gray-900" title="Download PDF">
+                          <DocumentArrowDownIcon className="h-4 w-4 inline" /> PDF
+                        </button>
+                        <button onClick={() => handleDownload(invoice, 'csv')} className="text-gray-600 hover:text-gray-900" title="Download CSV">
+                          CSV
+                        </button>
+                        {isAdmin && invoice.status === 'draft' && (
+                          <>
+                            <button
+                              onClick={() => handleApprove(invoice)}
+                              disabled={busyId === invoice._id}
+                              className="text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => handleDelete(invoice)}
+                              disabled={busyId === invoice._id}
+                              className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                            >
+                              Delete
+                            </button>
+                          </>
+                        )}
+                        {isAdmin && invoice.status === 'approved' && (
+                          <button
+                            onClick={() => handleMarkPaid(invoice)}
+                            disabled={busyId === invoice._id}
+                            className="text-green-600 hover:text-green-900 disabled:opacity-50"
+                          >
+                            Mark Paid
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expanded?._id === invoice._id && (
+                      <tr>
+                        <td colSpan="7" className="px-4 py-3 bg-gray-50">
+                          {expanded.lineItems.length === 0 ? (
+                            <p className="text-sm text-gray-500">No meals were claimed this month</p>
+                          ) : (
+                            <table className="min-w-full text-sm">
+                              <thead>
+                                <tr className="text-xs text-gray-500 uppercase">
+                                  <th className="text-left py-1">Meal</th>
+                                  <th className="text-left py-1">Dates</th>
+                                  <th className="text-right py-1">Rate</th>
+                                  <th className="text-right py-1">Claimed</th>
+                                  <th className="text-right py-1">Voided</th>
+                                  <th className="text-right py-1">Billable</th>
+                                  <th className="text-right py-1">Amount</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {expanded.lineItems.map((line) => (
+                                  <tr key={`${line.mealType}-${line.fromDate}`}>
+                                    <td className="py-1 capitalize">{line.mealType}</td>
+                                    <td className="py-1 text-gray-500">{line.fromDate} to {line.toDate}</td>
+                                    <td className="py-1 text-right">{Number(line.rate).toFixed(2)}</td>
+                                    <td className="py-1 text-right">{line.claimed}</td>
+                                    <td className="py-1 text-right">{line.voided}</td>
+                                    <td className="py-1 text-right">{line.quantity}</td>
+                                    <td className="py-1 text-right">{formatAmount(expanded, line.amount)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                          <p className="mt-2 text-xs text-gray-500">
+                            Generated {new Date(expanded.generatedAt).toLocaleString()}
+                            {expanded.generatedBy && ` by ${expanded.generatedBy.name}`}
+                            {expanded.approvedAt && ` · approved ${new Date(expanded.approvedAt).toLocaleString()} by ${expanded.approvedBy?.name}`}
+                            {expanded.paidAt && ` · paid ${new Date(expanded.paidAt).toLocaleString()}${expanded.paymentReference ? ` (ref ${expanded.paymentReference})` : ''}`}
+                          </p>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Billing;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { optOutsAPI } from '../services/api';
+import { CalendarDaysIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+// Service dates are campus calendar days, so format them without shifting timezones
+const formatServiceDate = (serviceDate) => {
+  const [year, month, day] = serviceDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(undefined, {
+    timeZone: 'UTC',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short'
+  });
+};
+
+const MealOptOuts = () => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+
+  const fetchCalendar = useCallback(async () => {
+    try {
+      const response = await optOutsAPI.getMine();
+      setData(response.data);
+    } catch (error) {
+      console.error('Error fetching opt-outs:', error);
+      toast.error(error.response?.data?.message || 'Failed to load your meals');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCalendar();
+  }, [fetchCalendar]);
+
+  const toggleMeal = async (serviceDate, meal) => {
+    setSaving(`${serviceDate}-${meal.mealType}`);
+    try {
+      const response = meal.optOutId
+        ? await optOutsAPI.cancel(meal.optOutId)
+        : await optOutsAPI.create(serviceDate, meal.mealType);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update meal');
+    } finally {
+      setSaving(null);
+      fetchCalendar();
+    }
+  };
+
+  // Skip every meal of the day that is still open
+  const skipDay = async (day) => {
+    setSaving(day.serviceDate);
+    try {
+      for (const meal of day.meals.filter(m => m.open && !m.optOutId)) {
+        await optOutsAPI.create(day.serviceDate, meal.mealType);
+      }
+      toast.success(`Skipped ${formatServiceDate(day.serviceDate)}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to skip the day');
+    } finally {
+      setSaving(null);
+      fetchCalendar();
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="text-center py-12">
+        <CalendarDaysIcon className="mx-auto h-12 w-12 text-gray-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">No meals to show</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Please contact the admin to add your student record and subscription.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Skip Meals</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Going home or eating out? Mark the meals you will miss so your vendor cooks less.
+          Changes close {data.cutoffHours} hours before each meal starts.
+          {data.earnsCredits && ' You get one meal credit for every meal you skip.'}
+        </p>
+      </div>
+
+      <div className="bg-white shadow rounded-lg divide-y divide-gray-200">
+        {data.calendar.map((day) => {
+          const canSkipDay = day.meals.some(m => m.open && !m.optOutId);
+          return (
+            <div key={day.serviceDate} className="px-4 py-4 sm:px-6 flex flex-col sm:flex-row sm:items-center gap-3">
+              <div className="sm:w-40">
+                <p className="text-sm font-medium text-gray-900">{formatServiceDate(day.serviceDate)}</p>
+                <p className="text-xs text-gray-500">{day.vendor || 'No subscription'}</p>
+              </div>
+
+              <div className="flex flex-wrap gap-2 flex-1">
+                {day.meals.map((meal) => {
+                  const skipped = Boolean(meal.optOutId);
+                  return (
+                    <button
+                      key={meal.mealType}
+                      type="button"
+                      onClick={() => toggleMeal(day.serviceDate, meal)}
+                      disabled={!meal.open || saving !== null}
+                      title={meal.open
+                        ? `Change until ${new Date(meal.cutoffAt).toLocaleString()}`
+                        : 'Too late to change this meal'}
+                      className={`px-3 py-1 rounded-full text-sm font-medium capitalize border disabled:opacity-50 disabled:cursor-not-allowed ${
+                        skipped
+                          ? 'bg-red-50 border-red-200 text-red-700 line-through'
+                          : 'bg-green-50 border-green-200 text-green-700'
+                      }`}
+                    >
+                      {meal.mealType}
+                    </button>
+                  );
+                })}
+              </div>
+
+              {canSkipDay && (
+                <button
+                  type="button"
+                  onClick={() => skipDay(day)}
+                  disabled={saving !== null}
+                  className="text-sm text-primary-600 hover:text-primary-800 disabled:opacity-50"
+                >
+                  {saving === day.serviceDate ? 'Skipping...' : 'Skip whole day'}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="mt-3 text-xs text-gray-500">
+        Green meals are expected; crossed-out meals are skipped. Tap a meal to switch it.
+      </p>
+    </div>
+  );
+};
+
+export default MealOptOuts;
@@ -1,26 +1,28 @@
-import React, { useState, useEffect } from 'react';
-import { useAuth } from '../contexts/AuthContext';
+import React, { useState, useEffect, useCallback } from 'react';
 import { qrAPI } from '../services/api';
-import { QrCodeIcon, ArrowDownTrayIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { QrCodeIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
+import DietaryPreferenceForm from '../components/DietaryPreferenceForm';
 import toast from 'react-hot-toast';
 
+// Refresh the token this many seconds before it expires so the code on screen is always valid
+const REFRESH_MARGIN_SECONDS = 10;
+// After a failed automatic refresh, try again after 2s, 4s, 8s... up to 30s
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 30000;
+
 const MyQRCode = () => {
-  const { user } = useAuth();
   const [qrData, setQrData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [refreshFailures, setRefreshFailures] = useState(0);
 
-  useEffect(() => {
-    fetchQRCode();
-  }, []);
-
-  const fetchQRCode = async () => {
+  const fetchQRCode = useCallback(async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
-      console.log('🔄 Fetching QR code...');
+      if (!silent) setLoading(true);
       const response = await qrAPI.getMyQRCode();
-      console.log('✅ QR code response:', response.data);
       setQrData(response.data);
+      setRefreshFailures(0);
     } catch (error) {
       console.error('❌ Error fetching QR code:', error);
       console.error('Error response:', error.response?.data);
@@ -32,23 +34,48 @@ const MyQRCode = () => {
       if (errorCode === 'STUDENT_NOT_FOUND' || errorCode === 'NO_VENDOR_ASSIGNED') {
         // Don't show toast for these cases, let the component handle the display
         setQrData(null);
+      } else if (silent) {
+        setRefreshFailures(failures => failures + 1);
       } else {
         toast.error(errorMessage || 'Failed to load QR code');
       }
     } finally {
-      setLoading(false);
-    }
-  };
-
-  const downloadQRCode = () => {
-    if (qrData?.qrCodeDataURL) {
-      const link = document.createElement('a');
-      link.download = `qr-code-${user?.name || 'student'}.png`;
-      link.href = qrData.qrCodeDataURL;
-      link.click();
-      toast.success('QR code downloaded!');
+      if (!silent) setLoading(false);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    fetchQRCode();
+  }, [fetchQRCode]);
+
+  // Fetch a fresh signed token shortly before the current one expires
+  useEffect(() => {
+    if (!qrData?.expiresAt) return undefined;
+
+    const expiresAt = new Date(qrData.expiresAt).getTime();
+    const refreshIn = Math.max(expiresAt - Date.now() - REFRESH_MARGIN_SECONDS * 1000, 1000);
+    const refreshTimer = setTimeout(() => fetchQRCode({ silent: true }), refreshIn);
+
+    const updateCountdown = () => {
+      setSecondsLeft(Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 0));
+    };
+    updateCountdown();
+    const countdownTimer = setInterval(updateCountdown, 1000);
+
+    return () => {
+      clearTimeout(refreshTimer);
+      clearInterval(countdownTimer);
+    };
+  }, [qrData, fetchQRCode]);
+
+  // qrData stays the same when a refresh fails, so retry from here with backoff
+  useEffect(() => {
+    if (refreshFailures === 0) return undefined;
+
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (refreshFailures - 1), RETRY_MAX_MS);
+    const retryTimer = setTimeout(() => fetchQRCode({ silent: true }), delay);
+    return () => clearTimeout(retryTimer);
+  }, [refreshFailures, fetchQRCode]);
 
   if (loading) {
     return (
@@ -87,7 +114,7 @@ const MyQRCode = () => {
           </div>
         </div>
         <button
-          onClick={fetchQRCode}
+          onClick={() => fetchQRCode()}
           className="mt-4 bg-primary-600 text-white px-4 py-2 rounded-md hover:bg-primary-700"
         >
           Check Again
@@ -105,7 +132,7 @@ const MyQRCode = () => {
               Your Meal QR Code
             </h3>
             <button
-              onClick={fetchQRCode}
+              onClick={() => fetchQRCode()}
               className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
             >
               <ArrowPathIcon className="h-4 w-4 mr-2" />
@@ -115,20 +142,41 @@ const MyQRCode = () => {
 
           {/* Student Info */}
           <div className="mb-6 p-4 bg-gray-50 rounded-md">
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700">Name</label>
                 <p className="mt-1 text-sm text-gray-900">{qrData.student.name}</p>
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700">Batch</label>
+                <label className="block text-sm font-medium text-gray-700">Roll Number</label>
                 <p className="mt-1 text-sm text-gray-900">{qrData.student.rollNumber}</p>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Batch</label>
+                <p className="mt-1 text-sm text-gray-900">{qrData.student.batch || 'Not set'}</p>
+              </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700">Assigned Vendor</label>
                 <p className="mt-1 text-sm text-gray-900">{qrData.student.vendor}</p>
               </div>
             </div>
+            {qrData.subscription ? (
+              <p className="mt-3 text-sm text-gray-600">
+                {qrData.subscription.plan} plan ({qrData.subscription.mealTypes.join(', ')}) · valid {qrData.subscription.startDate} to {qrData.subscription.endDate}
+              </p>
+            ) : (
+              <p className="mt-3 text-sm text-red-600">
+                You have no active meal subscription today. Please contact the admin.
+              </p>
+            )}
+            {qrData.credits && (
+              <p className={`mt-1 text-sm font-medium ${qrData.credits.balance > 0 ? 'text-gray-900' : 'text-red-600'}`}>
+                Meal credits left: {qrData.credits.balance}
+                {qrData.credits.expiresAt && (
+                  <span className="font-normal text-gray-500"> · expire {new Date(qrData.credits.expiresAt).toLocaleString()}</span>
+                )}
+              </p>
+            )}
           </div>
 
           {/* QR Code Display */}
@@ -143,17 +191,18 @@ const MyQRCode = () => {
             <p className="mt-4 text-sm text-gray-600">
               Show this QR code to your vendor to claim your meal
             </p>
-          </div>
-
-          {/* Action Buttons */}
-          <div className="mt-6 flex justify-center space-x-4">
-            <button
-              onClick={downloadQRCode}
-              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-            >
-              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
-              Download QR Code
-            </button>
+            {secondsLeft !== null && (secondsLeft > 0 || refreshFailures === 0) && (
+              <p className="mt-1 text-xs text-gray-500">
+                {secondsLeft > 0
+                  ? `This code refreshes automatically · valid for ${secondsLeft}s`
+                  : 'Refreshing code...'}
+              </p>
+            )}
+            {secondsLeft === 0 && refreshFailures > 0 && (
+              <p className="mt-1 text-xs text-red-600">
+                This code has expired and could not be refreshed. Retrying; check your connection or press Refresh
+              </p>
+            )}
           </div>
 
           {/* Instructions */}
@@ -171,7 +220,8 @@ const MyQRCode = () => {
                     <li>Go to your assigned vendor: <strong>{qrData.student.vendor}</strong></li>
                     <li>Show this QR code to the vendor staff</li>
                     <li>The vendor will scan your QR code to verify your meal</li>
-                    <li>You can only claim one meal per day</li>
+                    <li>Screenshots will not work - the code changes every few seconds and can only be used once</li>
+                    <li>You can claim each meal (breakfast, lunch, dinner) once per day, during its serving hours</li>
                   </ol>
                 </div>
               </div>
@@ -179,6 +229,23 @@ const MyQRCode = () => {
           </div>
         </div>
       </div>
+
+      {/* Dietary Preference */}
+      <div className="mt-6 bg-white shadow rounded-lg">
+        <div className="px-4 py-5 sm:p-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 mb-1">
+            Dietary Preference
+          </h3>
+          <p className="text-sm text-gray-500 mb-4">
+            Shown to the counter staff when you claim a meal and used to plan how much food to cook
+          </p>
+          <DietaryPreferenceForm
+            studentId={qrData.student.id}
+            dietaryPreference={qrData.student.dietaryPreference}
+            allergyNotes={qrData.student.allergyNotes}
+          />
+        </div>
+      </div>
     </div>
   );
 };
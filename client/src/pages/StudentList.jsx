@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { studentsAPI, vendorsAPI } from '../services/api';
-import { MagnifyingGlassIcon, EyeIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { studentsAPI, vendorsAPI, hostelsAPI } from '../services/api';
+import { MagnifyingGlassIcon, EyeIcon, PencilIcon, TrashIcon, TicketIcon, XMarkIcon, ArrowsRightLeftIcon } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
+import MealCreditsModal from '../components/MealCreditsModal';
+import VendorHistoryModal from '../components/VendorHistoryModal';
+import DietaryPreferenceForm from '../components/DietaryPreferenceForm';
+import DietaryBadge from '../components/DietaryBadge';
 import toast from 'react-hot-toast';
 
 const StudentList = () => {
@@ -9,8 +13,15 @@ const StudentList = () => {
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedVendor, setSelectedVendor] = useState('');
+  const [selectedHostel, setSelectedHostel] = useState('');
+  const [selectedBatch, setSelectedBatch] = useState('');
   const [activeFilter, setActiveFilter] = useState('all');
   const [vendors, setVendors] = useState([]);
+  const [hostels, setHostels] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [creditsStudent, setCreditsStudent] = useState(null);
+  const [editingStudent, setEditingStudent] = useState(null);
+  const [historyStudent, setHistoryStudent] = useState(null);
   const [pagination, setPagination] = useState({
     page: 1,
     totalPages: 1,
@@ -19,11 +30,13 @@ const StudentList = () => {
 
   useEffect(() => {
     fetchVendors();
+    fetchHostels();
+    fetchBatches();
   }, []);
 
   useEffect(() => {
     fetchStudents();
-  }, [searchQuery, selectedVendor, activeFilter, pagination.page]);
+  }, [searchQuery, selectedVendor, selectedHostel, selectedBatch, activeFilter, pagination.page]);
 
   const fetchVendors = async () => {
     try {
@@ -35,6 +48,26 @@ const StudentList = () => {
     }
   };
 
+  const fetchHostels = async () => {
+    try {
+      const response = await hostelsAPI.getAll({ includeInactive: true });
+      setHostels(response.data.hostels);
+    } catch (error) {
+      console.error('Error fetching hostels:', error);
+      toast.error('Failed to load hostels');
+    }
+  };
+
+  const fetchBatches = async () => {
+    try {
+      const response = await studentsAPI.getBatches();
+      setBatches(response.data.batches);
+    } catch (error) {
+      console.error('Error fetching batches:', error);
+      toast.error('Failed to load batches');
+    }
+  };
+
   const fetchStudents = async () => {
     try {
       setLoading(true);
@@ -43,6 +76,8 @@ const StudentList = () => {
         limit: 20,
         search: searchQuery || undefined,
         vendor: selectedVendor || undefined,
+        hostel: selectedHostel || undefined,
+        batch: selectedBatch || undefined,
         active: activeFilter === 'all' ? undefined : activeFilter === 'active'
       };
 
@@ -109,7 +144,7 @@ const StudentList = () => {
       <div className="bg-white shadow rounded-lg mb-6">
         <div className="px-4 py-5 sm:p-6">
           <form onSubmit={handleSearch} className="space-y-4">
-            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-5">
               <div>
                 <label htmlFor="search" className="block text-sm font-medium text-gray-700">
                   Search Students
@@ -120,7 +155,7 @@ const StudentList = () => {
                     id="search"
                     value={searchQuery}
                     onChange={(e) => setSearchQuery(e.target.value)}
-                    placeholder="Search by name, batch, or email"
+                    placeholder="Search by name, roll number, batch, or email"
                     className="block w-full px-3 py-2 pr-10 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
                   />
                   <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
@@ -148,6 +183,46 @@ const StudentList = () => {
                 </select>
               </div>
 
+              <div>
+                <label htmlFor="hostel" className="block text-sm font-medium text-gray-700">
+                  Filter by Hostel
+                </label>
+                <select
+                  id="hostel"
+                  value={selectedHostel}
+                  onChange={(e) => setSelectedHostel(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                >
+                  <option value="">All Hostels</option>
+                  {hostels.map((hostel) => (
+                    <option key={hostel._id} value={hostel._id}>
+                      {hostel.name}
+                    </option>
+                  ))}
+                  <option value="none">No Hostel</option>
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="batch" className="block text-sm font-medium text-gray-700">
+                  Filter by Batch
+                </label>
+                <select
+                  id="batch"
+                  value={selectedBatch}
+                  onChange={(e) => setSelectedBatch(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                >
+                  <option value="">All Batches</option>
+                  {batches.map(({ batch, students }) => (
+                    <option key={batch} value={batch}>
+                      {batch} ({students})
+                    </option>
+                  ))}
+                  <option value="none">No Batch</option>
+                </select>
+              </div>
+
               <div>
                 <label htmlFor="status" className="block text-sm font-medium text-gray-700">
                   Filter by Status
@@ -199,7 +274,7 @@ const StudentList = () => {
                         Student
                       </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Batch
+                        Roll No
                       </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Email
@@ -231,17 +306,24 @@ const StudentList = () => {
                               <div className="text-sm font-medium text-gray-900">
                                 {student.name}
                               </div>
+                              <DietaryBadge preference={student.dietaryPreference} />
                             </div>
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {student.rollNumber}
+                          {student.batch && (
+                            <div className="text-xs text-gray-400">{student.batch}</div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {student.email}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {student.vendor?.name || 'N/A'}
+                          {student.hostel && (
+                            <div className="text-xs text-gray-400">{student.hostel.name}</div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           {getStatusBadge(student.isActive)}
@@ -255,11 +337,26 @@ const StudentList = () => {
                               <EyeIcon className="h-4 w-4" />
                             </button>
                             <button
-                              onClick={() => {/* Edit student */}}
+                              onClick={() => setEditingStudent(student)}
+                              title="Dietary preference"
                               className="text-indigo-600 hover:text-indigo-900"
                             >
                               <PencilIcon className="h-4 w-4" />
                             </button>
+                            <button
+                              onClick={() => setCreditsStudent(student)}
+                              className="text-green-600 hover:text-green-900"
+                              title="Meal credits"
+                            >
+                              <TicketIcon className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => setHistoryStudent(student)}
+                              className="text-gray-600 hover:text-gray-900"
+                              title="Vendor history"
+                            >
+                              <ArrowsRightLeftIcon className="h-4 w-4" />
+                            </button>
                             {student.isActive && (
                               <button
                                 onClick={() => handleDeactivate(student._id)}
@@ -304,6 +401,47 @@ const StudentList = () => {
           )}
         </div>
       </div>
+
+      {editingStudent && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-md w-full px-4 py-5 sm:p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">
+                {editingStudent.name}
+              </h3>
+              <button onClick={() => setEditingStudent(null)} className="text-gray-400 hover:text-gray-600">
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+            <DietaryPreferenceForm
+              studentId={editingStudent._id}
+              dietaryPreference={editingStudent.dietaryPreference}
+              allergyNotes={editingStudent.allergyNotes}
+              onSaved={() => {
+                setEditingStudent(null);
+                fetchStudents();
+              }}
+            />
+          </div>
+        </div>
+      )}
+
+      {creditsStudent && (
+        <MealCreditsModal
+          student={creditsStudent}
+          vendors={vendors}
+          onClose={() => setCreditsStudent(null)}
+        />
+      )}
+
+      {historyStudent && (
+        <VendorHistoryModal
+          student={historyStudent}
+          vendors={vendors}
+          onClose={() => setHistoryStudent(null)}
+          onChanged={fetchStudents}
+        />
+      )}
     </div>
   );
 };
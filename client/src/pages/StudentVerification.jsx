@@ -1,11 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { verificationAPI, vendorsAPI } from '../services/api';
-import { MagnifyingGlassIcon, QrCodeIcon } from '@heroicons/react/24/outline';
+import { MagnifyingGlassIcon, QrCodeIcon, SignalSlashIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
 import QRScanner from '../components/QRScanner';
+import DietaryBadge from '../components/DietaryBadge';
+import { saveRoster, getRoster, queueClaim, getQueuedClaims, removeClaims } from '../services/offlineStore';
+import { verifyOffline } from '../services/offlineVerifier';
 import toast from 'react-hot-toast';
 
+// Delays before resending a verification that got no response
+const RETRY_DELAYS_MS = [1000, 3000];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 const StudentVerification = () => {
   const { user } = useAuth();
   const [searchQuery, setSearchQuery] = useState('');
@@ -14,13 +22,26 @@ const StudentVerification = () => {
   const [vendors, setVendors] = useState([]);
   const [selectedVendor, setSelectedVendor] = useState('');
   const [showQRScanner, setShowQRScanner] = useState(false);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [pendingClaims, setPendingClaims] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const [voiding, setVoiding] = useState(false);
+  // Idempotency-Key of each scan that was sent but never answered. The server may have
+  // claimed the meal, so the next scan of that code resends the same key rather than
+  // claiming it again offline.
+  const unansweredKeys = useRef(new Map());
+
+  // Vendor staff always work at their own vendor; only admins pick one
+  const isVendorUser = user?.role === 'vendor';
 
   useEffect(() => {
     const fetchVendors = async () => {
       try {
         const response = await vendorsAPI.getAll();
         setVendors(response.data.vendors);
-        if (response.data.vendors.length > 0) {
+        if (isVendorUser) {
+          setSelectedVendor(user.vendor || '');
+        } else if (response.data.vendors.length > 0) {
           setSelectedVendor(response.data.vendors[0]._id);
         }
       } catch (error) {
@@ -30,36 +51,166 @@ const StudentVerification = () => {
     };
 
     fetchVendors();
-  }, []);
+  }, [isVendorUser, user]);
 
-  const handleSearch = async (e) => {
-    e.preventDefault();
-    if (!searchQuery.trim() || !selectedVendor) {
-      toast.error('Please enter a search query and select a vendor');
-      return;
+  const refreshPendingClaims = useCallback(async () => {
+    if (!selectedVendor) return;
+    try {
+      const claims = await getQueuedClaims(selectedVendor);
+      setPendingClaims(claims.length);
+    } catch (error) {
+      console.error('Error reading offline claims:', error);
+    }
+  }, [selectedVendor]);
+
+  // Cache the vendor's roster so the counter can keep verifying without a connection
+  const downloadRoster = useCallback(async () => {
+    if (!selectedVendor || !navigator.onLine) return;
+    try {
+      const response = await verificationAPI.getRoster(selectedVendor);
+      await saveRoster(selectedVendor, response.data);
+    } catch (error) {
+      console.error('Error caching offline roster:', error);
+    }
+  }, [selectedVendor]);
+
+  const syncClaims = useCallback(async () => {
+    if (!selectedVendor || !navigator.onLine) return;
+
+    try {
+      const claims = await getQueuedClaims(selectedVendor);
+      if (claims.length === 0) return;
+
+      setSyncing(true);
+      const response = await verificationAPI.syncOfflineClaims(selectedVendor, claims);
+      const { results, summary } = response.data;
+
+      // Keep claims that hit a server error so they are retried on the next sync
+      const settled = results
+        .filter(result => result.status !== 'error')
+        .map(result => result.clientClaimId);
+      await removeClaims(settled);
+
+      const synced = (summary.accepted || 0) + (summary.duplicate || 0);
+      if (synced > 0) {
+        toast.success(`Synced ${synced} offline claim${synced === 1 ? '' : 's'}`);
+      }
+      const conflicts = (summary.conflict || 0) + (summary.rejected || 0);
+      if (conflicts > 0) {
+        toast.error(`${conflicts} offline claim${conflicts === 1 ? '' : 's'} conflicted and were sent for admin review`);
+      }
+
+      await downloadRoster();
+    } catch (error) {
+      console.error('Error syncing offline claims:', error);
+      toast.error('Failed to sync offline claims');
+    } finally {
+      setSyncing(false);
+      refreshPendingClaims();
+    }
+  }, [selectedVendor, downloadRoster, refreshPendingClaims]);
+
+  useEffect(() => {
+    downloadRoster();
+    refreshPendingClaims();
+    syncClaims();
+  }, [downloadRoster, refreshPendingClaims, syncClaims]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncClaims();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncClaims]);
+
+  const verifyLocally = async (identifier) => {
+    const roster = await getRoster(selectedVendor);
+    if (!roster) {
+      return {
+        verified: false,
+        offline: true,
+        message: 'You are offline and no student roster is cached for this vendor'
+      };
     }
 
+    const queuedClaims = await getQueuedClaims(selectedVendor);
+    const result = await verifyOffline({ identifier, roster, queuedClaims });
+
+    if (result.verified) {
+      await queueClaim(result.claim);
+      refreshPendingClaims();
+    }
+
+    return result;
+  };
+
+  // Send a verification, retrying with the same Idempotency-Key while the request gets
+  // no response (e.g. a timeout on flaky counter Wi-Fi). The cached roster is only used
+  // when the device is offline before anything is sent for this code.
+  const verifyIdentifier = async (identifier) => {
     setLoading(true);
     setVerificationResult(null);
 
+    const idempotencyKey = unansweredKeys.current.get(identifier) || crypto.randomUUID();
+    const payload = { identifier, vendorId: selectedVendor };
+
     try {
-      const response = await verificationAPI.verify({
-        identifier: searchQuery.trim(),
-        vendorId: selectedVendor
-      });
+      let result;
+
+      if (!navigator.onLine && !unansweredKeys.current.has(identifier)) {
+        result = await verifyLocally(identifier);
+      } else if (!navigator.onLine) {
+        result = {
+          verified: false,
+          offline: true,
+          message: 'The last scan of this code got no answer from the server, so it may already be claimed. Reconnect and scan it again to check'
+        };
+      } else {
+        for (let attempt = 0; !result; attempt++) {
+          try {
+            result = (await verificationAPI.verify(payload, { idempotencyKey })).data;
+            unansweredKeys.current.delete(identifier);
+          } catch (error) {
+            if (error.response) {
+              unansweredKeys.current.delete(identifier);
+              throw error;
+            }
+            unansweredKeys.current.set(identifier, idempotencyKey);
+            if (attempt >= RETRY_DELAYS_MS.length) {
+              result = {
+                verified: false,
+                message: 'No answer from the server. The meal may have been claimed; scan the code again to check'
+              };
+            } else {
+              await wait(RETRY_DELAYS_MS[attempt]);
+            }
+          }
+        }
+      }
 
-      setVerificationResult(response.data);
+      setVerificationResult(result);
       
-      if (response.data.verified) {
+      if (result.verified && result.warning) {
+        toast(result.warning.message, { icon: '⚠️' });
+      } else if (result.verified) {
         toast.success('Student verified successfully!');
       } else {
-        toast.error(response.data.message);
+        toast.error(result.message);
       }
     } catch (error) {
       const message = error.response?.data?.message || 'Verification failed';
       toast.error(message);
       setVerificationResult({
         verified: false,
+        code: error.response?.data?.code,
         message: message
       });
     } finally {
@@ -67,6 +218,16 @@ const StudentVerification = () => {
     }
   };
 
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!searchQuery.trim() || !selectedVendor) {
+      toast.error('Please enter a search query and select a vendor');
+      return;
+    }
+
+    await verifyIdentifier(searchQuery.trim());
+  };
+
   const handleQRScan = () => {
     console.log('QR Scan button clicked');
     if (!selectedVendor) {
@@ -78,49 +239,49 @@ const StudentVerification = () => {
   };
 
   const handleQRCodeScanned = async (qrData) => {
+    setShowQRScanner(false);
+    
+    // Parse QR code data
+    let identifier;
     try {
-      setShowQRScanner(false);
-      
-      // Parse QR code data
-      let identifier;
-      try {
-        const parsedData = JSON.parse(qrData);
-        identifier = parsedData.qrCode || parsedData.studentId || qrData;
-      } catch {
-        // If not JSON, use the raw data as identifier
-        identifier = qrData;
-      }
+      const parsedData = JSON.parse(qrData);
+      identifier = parsedData.qrCode || parsedData.studentId || qrData;
+    } catch {
+      // If not JSON, use the raw data (e.g. a signed QR token) as identifier
+      identifier = qrData;
+    }
 
-      console.log('QR Code scanned:', identifier);
-      
-      // Use the scanned identifier for verification
-      setSearchQuery(identifier);
-      
-      // Automatically trigger verification
-      setLoading(true);
-      setVerificationResult(null);
+    console.log('QR Code scanned:', identifier);
+    
+    // Use the scanned identifier for verification
+    setSearchQuery(identifier);
+    
+    // Automatically trigger verification
+    await verifyIdentifier(identifier);
+  };
 
-      const response = await verificationAPI.verify({
-        identifier: identifier,
-        vendorId: selectedVendor
-      });
+  const handleVoid = async () => {
+    const reason = window.prompt('Why are you voiding this meal? (e.g. wrong student scanned)');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      toast.error('A reason is required to void a meal');
+      return;
+    }
 
-      setVerificationResult(response.data);
-      
-      if (response.data.verified) {
-        toast.success('Student verified successfully!');
-      } else {
-        toast.error(response.data.message);
-      }
+    try {
+      setVoiding(true);
+      const response = await verificationAPI.voidMeal(verificationResult.mealRecord.id, reason.trim());
+      setVerificationResult(prev => ({
+        ...prev,
+        message: 'This claim has been voided',
+        mealRecord: { ...prev.mealRecord, ...response.data.mealRecord }
+      }));
+      toast.success('Meal voided');
     } catch (error) {
-      const message = error.response?.data?.message || 'Verification failed';
+      const message = error.response?.data?.message || 'Failed to void meal';
       toast.error(message);
-      setVerificationResult({
-        verified: false,
-        message: message
-      });
     } finally {
-      setLoading(false);
+      setVoiding(false);
     }
   };
 
@@ -139,6 +300,37 @@ const StudentVerification = () => {
         </p>
       </div>
 
+      {(!isOnline || pendingClaims > 0) && (
+        <div className={`mb-6 p-4 rounded-md border flex items-center justify-between ${
+          isOnline ? 'bg-blue-50 border-blue-200' : 'bg-yellow-50 border-yellow-200'
+        }`}>
+          <div className="flex items-center">
+            <SignalSlashIcon className={`h-5 w-5 mr-3 ${isOnline ? 'text-blue-400' : 'text-yellow-500'}`} />
+            <div className="text-sm">
+              <p className={`font-medium ${isOnline ? 'text-blue-800' : 'text-yellow-800'}`}>
+                {isOnline ? 'Back online' : 'Offline mode'}
+              </p>
+              <p className={isOnline ? 'text-blue-700' : 'text-yellow-700'}>
+                {isOnline
+                  ? `${pendingClaims} offline claim${pendingClaims === 1 ? '' : 's'} waiting to sync`
+                  : `Verifying against the cached roster. ${pendingClaims} claim${pendingClaims === 1 ? '' : 's'} will sync when the connection returns`}
+              </p>
+            </div>
+          </div>
+          {isOnline && pendingClaims > 0 && (
+            <button
+              type="button"
+              onClick={syncClaims}
+              disabled={syncing}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ArrowPathIcon className={`h-4 w-4 mr-2 ${syncing ? 'animate-spin' : ''}`} />
+              Sync now
+            </button>
+          )}
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Verification Form */}
         <div className="bg-white shadow rounded-lg">
@@ -148,24 +340,39 @@ const StudentVerification = () => {
             </h3>
             
             <form onSubmit={handleSearch} className="space-y-4">
-              <div>
-                <label htmlFor="vendor" className="block text-sm font-medium text-gray-700">
-                  Select Vendor
-                </label>
-                <select
-                  id="vendor"
-                  value={selectedVendor}
-                  onChange={(e) => setSelectedVendor(e.target.value)}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
-                >
-                  <option value="">Select a vendor</option>
-                  {vendors.map((vendor) => (
-                    <option key={vendor._id} value={vendor._id}>
-                      {vendor.name} - {vendor.location}
-                    </option>
-                  ))}
-                </select>
-              </div>
+              {isVendorUser ? (
+                <div>
+                  <p className="block text-sm font-medium text-gray-700">Vendor</p>
+                  {selectedVendor ? (
+                    <p className="mt-1 text-sm text-gray-900">
+                      {vendors.find(v => v._id === selectedVendor)?.name || 'Your vendor'}
+                    </p>
+                  ) : (
+                    <p className="mt-1 text-sm text-red-600">
+                      Your account is not linked to a vendor. Please contact an admin.
+                    </p>
+                  )}
+                </div>
+              ) : (
+                <div>
+                  <label htmlFor="vendor" className="block text-sm font-medium text-gray-700">
+                    Select Vendor
+                  </label>
+                  <select
+                    id="vendor"
+                    value={selectedVendor}
+                    onChange={(e) => setSelectedVendor(e.target.value)}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  >
+                    <option value="">Select a vendor</option>
+                    {vendors.map((vendor) => (
+                      <option key={vendor._id} value={vendor._id}>
+                        {vendor.name} - {vendor.location}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
 
               <div>
                 <label htmlFor="search" className="block text-sm font-medium text-gray-700">
@@ -241,26 +448,67 @@ const StudentVerification = () => {
                       verificationResult.verified ? 'text-green-800' : 'text-red-800'
                     }`}>
                       {verificationResult.verified ? 'Verification Successful' : 'Verification Failed'}
+                      {verificationResult.offline && ' (offline)'}
                     </h3>
                     <div className={`mt-2 text-sm ${
                       verificationResult.verified ? 'text-green-700' : 'text-red-700'
                     }`}>
                       <p>{verificationResult.message}</p>
+
+                      {verificationResult.warning && (
+                        <p className="mt-2 px-3 py-2 rounded-md bg-orange-100 text-orange-900 font-semibold">
+                          {verificationResult.warning.message}
+                        </p>
+                      )}
                       
+                      {verificationResult.verified && verificationResult.student && (
+                        <div className="mt-3">
+                          <DietaryBadge preference={verificationResult.student.dietaryPreference} size="lg" />
+                          {verificationResult.student.allergyNotes && (
+                            <p className="mt-2 px-3 py-2 rounded-md bg-yellow-100 text-yellow-900 font-semibold">
+                              Allergies: {verificationResult.student.allergyNotes}
+                            </p>
+                          )}
+                        </div>
+                      )}
+
                       {verificationResult.student && (
                         <div className="mt-3 space-y-1">
                           <p><strong>Name:</strong> {verificationResult.student.name}</p>
-                          <p><strong>Batch:</strong> {verificationResult.student.rollNumber}</p>
+                          <p><strong>Roll No:</strong> {verificationResult.student.rollNumber}</p>
+                          {verificationResult.student.batch && (
+                            <p><strong>Batch:</strong> {verificationResult.student.batch}</p>
+                          )}
                           <p><strong>Email:</strong> {verificationResult.student.email}</p>
                           <p><strong>Vendor:</strong> {verificationResult.student.vendor}</p>
+                          {verificationResult.subscription && (
+                            <p><strong>Plan:</strong> {verificationResult.subscription.plan} (until {verificationResult.subscription.endDate})</p>
+                          )}
                         </div>
                       )}
                       
                       {verificationResult.mealRecord && (
                         <div className="mt-3">
+                          <p><strong>Meal:</strong> <span className="capitalize">{verificationResult.mealRecord.mealType}</span></p>
                           <p><strong>Meal Claimed At:</strong> {new Date(verificationResult.mealRecord.claimedAt).toLocaleString()}</p>
+                          {verificationResult.mealRecord.voided && (
+                            <p className="mt-1 text-red-700">
+                              <strong>Voided:</strong> {verificationResult.mealRecord.voidReason}
+                            </p>
+                          )}
                         </div>
                       )}
+
+                      {verificationResult.verified && verificationResult.mealRecord?.id && !verificationResult.mealRecord.voided && (
+                        <button
+                          type="button"
+                          onClick={handleVoid}
+                          disabled={voiding}
+                          className="mt-4 px-3 py-1.5 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+                        >
+                          {voiding ? 'Voiding...' : 'Void this claim'}
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
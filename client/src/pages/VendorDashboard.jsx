@@ -3,6 +3,9 @@ import { useAuth } from '../contexts/AuthContext';
 import { vendorsAPI, verificationAPI } from '../services/api';
 import { UserGroupIcon, ClipboardDocumentCheckIcon, ChartBarIcon } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
+import DietarySummaryPanel from '../components/DietarySummaryPanel';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
 
 const VendorDashboard = () => {
   const { user } = useAuth();
@@ -10,6 +13,10 @@ const VendorDashboard = () => {
   const [loading, setLoading] = useState(true);
   const [selectedVendor, setSelectedVendor] = useState('');
   const [vendors, setVendors] = useState([]);
+  const [history, setHistory] = useState([]);
+
+  // Vendor staff only see their own vendor; only admins pick one
+  const isVendorUser = user?.role === 'vendor';
 
   useEffect(() => {
     const fetchData = async () => {
@@ -21,9 +28,11 @@ const VendorDashboard = () => {
         setVendors(vendorsResponse.data.vendors);
         
         // Set default vendor (user's vendor or first available)
-        const defaultVendor = user.vendor || vendorsResponse.data.vendors[0]?._id;
+        const defaultVendor = user.vendor || (isVendorUser ? null : vendorsResponse.data.vendors[0]?._id);
         if (defaultVendor) {
           setSelectedVendor(defaultVendor);
+        } else {
+          setLoading(false);
         }
       } catch (error) {
         console.error('Error fetching vendors:', error);
@@ -31,7 +40,7 @@ const VendorDashboard = () => {
     };
 
     fetchData();
-  }, [user]);
+  }, [user, isVendorUser]);
 
   useEffect(() => {
     if (selectedVendor) {
@@ -42,8 +51,12 @@ const VendorDashboard = () => {
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
-      const response = await vendorsAPI.getDashboard(selectedVendor);
+      const [response, historyResponse] = await Promise.all([
+        vendorsAPI.getDashboard(selectedVendor),
+        verificationAPI.getHistory(selectedVendor, { limit: 20 })
+      ]);
       setDashboardData(response.data);
+      setHistory(historyResponse.data.mealRecords);
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     } finally {
@@ -73,24 +86,32 @@ const VendorDashboard = () => {
       </div>
 
       {/* Vendor Selection */}
-      <div className="mb-6">
-        <label htmlFor="vendor-select" className="block text-sm font-medium text-gray-700 mb-2">
-          Select Vendor
-        </label>
-        <select
-          id="vendor-select"
-          value={selectedVendor}
-          onChange={(e) => setSelectedVendor(e.target.value)}
-          className="block w-full max-w-xs px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
-        >
-          <option value="">Select a vendor</option>
-          {vendors.map((vendor) => (
-            <option key={vendor._id} value={vendor._id}>
-              {vendor.name} - {vendor.location}
-            </option>
-          ))}
-        </select>
-      </div>
+      {isVendorUser ? (
+        !selectedVendor && (
+          <div className="mb-6 p-4 bg-red-50 rounded-md text-sm text-red-700">
+            Your account is not linked to a vendor. Please contact an admin.
+          </div>
+        )
+      ) : (
+        <div className="mb-6">
+          <label htmlFor="vendor-select" className="block text-sm font-medium text-gray-700 mb-2">
+            Select Vendor
+          </label>
+          <select
+            id="vendor-select"
+            value={selectedVendor}
+            onChange={(e) => setSelectedVendor(e.target.value)}
+            className="block w-full max-w-xs px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          >
+            <option value="">Select a vendor</option>
+            {vendors.map((vendor) => (
+              <option key={vendor._id} value={vendor._id}>
+                {vendor.name} - {vendor.location}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
 
       {dashboardData && (
         <>
@@ -179,6 +200,108 @@ const VendorDashboard = () => {
             </div>
           </div>
 
+          {/* Meal Type Breakdown */}
+          {dashboardData.vendor.mealTypeStats && (
+            <div className="bg-white shadow rounded-lg mb-8">
+              <div className="px-4 py-5 sm:p-6">
+                <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+                  Today by Meal
+                </h3>
+                <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                  {MEAL_TYPES.map((mealType) => {
+                    const window = dashboardData.vendor.serviceWindows?.find(w => w.mealType === mealType);
+                    const headcount = dashboardData.vendor.headcount?.[mealType];
+                    return (
+                      <div key={mealType} className="bg-gray-50 rounded-lg p-4">
+                        <h4 className="text-sm font-medium text-gray-900 capitalize">{mealType}</h4>
+                        <p className="text-2xl font-bold text-primary-600">
+                          {dashboardData.vendor.mealTypeStats[mealType] || 0}
+                          {headcount && (
+                            <span className="text-sm font-normal text-gray-500"> / {headcount.expected} expected</span>
+                          )}
+                        </p>
+                        {headcount?.optedOut > 0 && (
+                          <p className="text-xs text-gray-500">{headcount.optedOut} opted out</p>
+                        )}
+                        <p className="text-xs text-gray-500 mt-1">
+                          {window ? `Served ${window.start} - ${window.end}` : 'Not served'}
+                        </p>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Veg / Non-Veg Headcount */}
+          <DietarySummaryPanel vendorId={selectedVendor} />
+
+          {/* Recent Verifications */}
+          <div className="bg-white shadow rounded-lg mb-8">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+                Recent Verifications
+              </h3>
+
+              {history.length === 0 ? (
+                <p className="text-sm text-gray-500">No verifications yet</p>
+              ) : (
+                <div className="overflow-hidden">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Student
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Meal
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Claimed At
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {history.map((record) => (
+                        <tr key={record._id}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            {record.student?.name || 'Unknown'}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 capitalize">
+                            {record.mealType}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {new Date(record.claimedAt).toLocaleString(undefined, { timeZone: dashboardData.vendor.timezone })}
+                          </td>
+                          <td className="px-6 py-4 text-sm">
+                            {record.voided ? (
+                              <div>
+                                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                  Voided
+                                </span>
+                                <p className="mt-1 text-xs text-gray-500">
+                                  {record.voidReason}{record.voidedBy ? ` - ${record.voidedBy.name}` : ''}
+                                </p>
+                              </div>
+                            ) : (
+                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                Claimed
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+
           {/* Students List */}
           <div className="bg-white shadow rounded-lg">
             <div className="px-4 py-5 sm:p-6">
@@ -194,7 +317,7 @@ const VendorDashboard = () => {
                         Name
                       </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Batch
+                        Roll No
                       </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Email
@@ -212,13 +335,14 @@ const VendorDashboard = () => {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {student.rollNumber}
+                          {student.batch && <span className="block text-xs text-gray-400">{student.batch}</span>}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {student.email}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                          {student.lastMealClaimed 
-                            ? new Date(student.lastMealClaimed).toLocaleDateString()
+                          {student.lastMealClaimed?.date
+                            ? new Date(student.lastMealClaimed.date).toLocaleDateString(undefined, { timeZone: dashboardData.vendor.timezone })
                             : 'Never'
                           }
                         </td>
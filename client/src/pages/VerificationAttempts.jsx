@@ -0,0 +1,332 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI, vendorsAPI } from '../services/api';
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const OUTCOMES = [
+  'VERIFIED',
+  'ALREADY_CLAIMED',
+  'VENDOR_MISMATCH',
+  'NO_ACTIVE_SUBSCRIPTION',
+  'MEAL_NOT_IN_PLAN',
+  'MEAL_LIMIT_REACHED',
+  'NO_MEAL_CREDITS',
+  'CREDITS_EXPIRED',
+  'STUDENT_NOT_FOUND',
+  'OUTSIDE_SERVICE_WINDOW',
+  'QR_TOKEN_EXPIRED',
+  'QR_TOKEN_INVALID',
+  'QR_TOKEN_REPLAYED',
+  'LEGACY_QR_DISABLED',
+  'CLAIMS_BLOCKED',
+  'VENDOR_NOT_FOUND',
+  'INVALID_CLAIM_TIME'
+];
+
+const VerificationAttempts = () => {
+  const [attempts, setAttempts] = useState([]);
+  const [outcomes, setOutcomes] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    outcome: 'denied',
+    vendor: '',
+    search: '',
+    from: '',
+    to: ''
+  });
+  const [searchInput, setSearchInput] = useState('');
+  const [pagination, setPagination] = useState({
+    page: 1,
+    totalPages: 1,
+    total: 0
+  });
+
+  useEffect(() => {
+    const fetchVendors = async () => {
+      try {
+        const response = await vendorsAPI.getAll();
+        setVendors(response.data.vendors);
+      } catch (error) {
+        console.error('Error fetching vendors:', error);
+        toast.error('Failed to load vendors');
+      }
+    };
+
+    fetchVendors();
+  }, []);
+
+  const fetchAttempts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = {
+        page: pagination.page,
+        limit: 50,
+        outcome: filters.outcome || undefined,
+        vendor: filters.vendor || undefined,
+        search: filters.search || undefined,
+        from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+        to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined
+      };
+
+      const response = await adminAPI.getVerificationAttempts(params);
+      setAttempts(response.data.attempts);
+      setOutcomes(response.data.outcomes);
+      setPagination(prev => ({
+        ...prev,
+        totalPages: response.data.totalPages,
+        total: response.data.total
+      }));
+    } catch (error) {
+      console.error('Error fetching verification attempts:', error);
+      toast.error('Failed to load verification attempts');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, pagination.page]);
+
+  useEffect(() => {
+    fetchAttempts();
+  }, [fetchAttempts]);
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('search', searchInput.trim());
+  };
+
+  const getOutcomeBadge = (attempt) => {
+    return attempt.verified ? (
+      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+        {attempt.outcome}
+      </span>
+    ) : (
+      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+        {attempt.outcome}
+      </span>
+    );
+  };
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900">
+          Verification Log
+        </h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Every scan at a vendor counter, including denied ones
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white shadow rounded-lg mb-6">
+        <div className="px-4 py-5 sm:p-6">
+          <form onSubmit={handleSearch} className="grid grid-cols-1 gap-4 sm:grid-cols-5">
+            <div className="sm:col-span-2">
+              <label htmlFor="search" className="block text-sm font-medium text-gray-700">
+                Student
+              </label>
+              <div className="mt-1 relative">
+                <input
+                  type="text"
+                  id="search"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Roll number, email or scanned code"
+                  className="block w-full px-3 py-2 pr-10 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+                <button type="submit" className="absolute inset-y-0 right-0 pr-3 flex items-center">
+                  <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+                </button>
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="outcome" className="block text-sm font-medium text-gray-700">
+                Outcome
+              </label>
+              <select
+                id="outcome"
+                value={filters.outcome}
+                onChange={(e) => updateFilter('outcome', e.target.value)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              >
+                <option value="">All Outcomes</option>
+                <option value="denied">All Denials</option>
+                {OUTCOMES.map((outcome) => (
+                  <option key={outcome} value={outcome}>
+                    {outcome}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="vendor" className="block text-sm font-medium text-gray-700">
+                Vendor
+              </label>
+              <select
+                id="vendor"
+                value={filters.vendor}
+                onChange={(e) => updateFilter('vendor', e.target.value)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              >
+                <option value="">All Vendors</option>
+                {vendors.map((vendor) => (
+                  <option key={vendor._id} value={vendor._id}>
+                    {vendor.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label htmlFor="from" className="block text-sm font-medium text-gray-700">
+                  From
+                </label>
+                <input
+                  type="date"
+                  id="from"
+                  value={filters.from}
+                  onChange={(e) => updateFilter('from', e.target.value)}
+                  className="mt-1 block w-full px-2 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+              </div>
+              <div>
+                <label htmlFor="to" className="block text-sm font-medium text-gray-700">
+                  To
+                </label>
+                <input
+                  type="date"
+                  id="to"
+                  value={filters.to}
+                  onChange={(e) => updateFilter('to', e.target.value)}
+                  className="mt-1 block w-full px-2 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+              </div>
+            </div>
+          </form>
+
+          {/* Outcome breakdown for the current filters */}
+          {outcomes.length > 0 && (
+            <div className="mt-4 flex flex-wrap gap-2">
+              {outcomes.map(({ outcome, count }) => (
+                <button
+                  key={outcome}
+                  onClick={() => updateFilter('outcome', outcome)}
+                  className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+                >
+                  {outcome}: {count}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Attempts */}
+      <div className="bg-white shadow rounded-lg">
+        <div className="px-4 py-5 sm:p-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+            Attempts ({pagination.total})
+          </h3>
+
+          {loading ? (
+            <LoadingSpinner size="md" className="py-6" />
+          ) : attempts.length === 0 ? (
+            <p className="text-sm text-gray-500">No verification attempts match these filters</p>
+          ) : (
+            <>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vendor</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Outcome</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scanned</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {attempts.map((attempt) => (
+                      <tr key={attempt._id}>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                          {new Date(attempt.createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {attempt.student ? (
+                            <button
+                              onClick={() => {
+                                setSearchInput(attempt.student.rollNumber);
+                                updateFilter('search', attempt.student.rollNumber);
+                              }}
+                              className="text-left hover:text-primary-600"
+                            >
+                              {attempt.student.name} ({attempt.student.rollNumber})
+                            </button>
+                          ) : (
+                            <span className="text-gray-400">Unknown</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-500">
+                          {attempt.vendor?.name || '-'}
+                          <div className="text-xs text-gray-400">by {attempt.operator?.name}</div>
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          {getOutcomeBadge(attempt)}
+                          {attempt.message && (
+                            <div className="mt-1 text-xs text-gray-500">{attempt.message}</div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-500">
+                          <div className="capitalize">{attempt.identifierType.replace('_', ' ')}</div>
+                          <div className="text-gray-400">
+                            {attempt.source}{attempt.mealType ? ` · ${attempt.mealType}` : ''}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Pagination */}
+              {pagination.totalPages > 1 && (
+                <div className="mt-6 flex items-center justify-between">
+                  <div className="text-sm text-gray-700">
+                    Showing page {pagination.page} of {pagination.totalPages}
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                      disabled={pagination.page === 1}
+                      className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                      disabled={pagination.page === pagination.totalPages}
+                      className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerificationAttempts;
@@ -53,6 +53,9 @@ export const studentsAPI = {
   update: (id, data) => api.put(`/students/${id}`, data),
   deactivate: (id) => api.delete(`/students/${id}`),
   getMeals: (id, params) => api.get(`/students/${id}/meals`, { params }),
+  getBatches: () => api.get('/students/batches'),
+  getVendorHistory: (id) => api.get(`/students/${id}/vendor-assignments`),
+  assignVendor: (id, data) => api.post(`/students/${id}/vendor-assignments`, data),
 };
 
 // Vendors API
@@ -60,6 +63,7 @@ export const vendorsAPI = {
   getAll: () => api.get('/vendors'),
   getById: (id) => api.get(`/vendors/${id}`),
   getDashboard: (id) => api.get(`/vendors/${id}/dashboard`),
+  getDietarySummary: (id, params) => api.get(`/vendors/${id}/dietary-summary`, { params }),
   searchStudents: (id, query) => api.get(`/vendors/${id}/students/search`, { params: { q: query } }),
   create: (data) => api.post('/vendors', data),
   update: (id, data) => api.put(`/vendors/${id}`, data),
@@ -67,9 +71,15 @@ export const vendorsAPI = {
 
 // Verification API
 export const verificationAPI = {
-  verify: (data) => api.post('/verification/verify', data),
+  verify: (data, { idempotencyKey } = {}) => api.post('/verification/verify', data, {
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+    timeout: 10000
+  }),
   getHistory: (vendorId, params) => api.get(`/verification/history/${vendorId}`, { params }),
   getStats: (vendorId) => api.get(`/verification/stats/${vendorId}`),
+  voidMeal: (mealRecordId, reason) => api.post(`/verification/meals/${mealRecordId}/void`, { reason }),
+  getRoster: (vendorId) => api.get(`/verification/roster/${vendorId}`),
+  syncOfflineClaims: (vendorId, claims) => api.post('/verification/sync', { vendorId, claims }),
 };
 
 // Admin API
@@ -77,14 +87,88 @@ export const adminAPI = {
   uploadCSV: (formData) => api.post('/admin/upload-csv', formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
+  getImports: (params) => api.get('/admin/imports', { params }),
+  getImport: (id) => api.get(`/admin/imports/${id}`),
+  downloadImportFile: (id) => api.get(`/admin/imports/${id}/file`, { responseType: 'blob' }),
+  rollbackImport: (id, reason) => api.post(`/admin/imports/${id}/rollback`, { reason }),
+  applyImport: (id) => api.post(`/admin/imports/${id}/apply`),
+  retryImport: (id) => api.post(`/admin/imports/${id}/retry`),
   exportStudents: (params) => api.get('/admin/export-students', { params }),
   getStats: () => api.get('/admin/stats'),
+  rollupStats: (range) => api.post('/admin/stats/rollup', range),
+  getHostelStats: (params) => api.get('/admin/stats/hostels', { params }),
+  getBatchStats: (params) => api.get('/admin/stats/batches', { params }),
   bulkDeactivate: (studentIds) => api.post('/admin/bulk-deactivate', { studentIds }),
+  getSyncConflicts: (params) => api.get('/admin/sync-conflicts', { params }),
+  resolveSyncConflict: (id, resolution) => api.put(`/admin/sync-conflicts/${id}/resolve`, { resolution }),
+  getVerificationAttempts: (params) => api.get('/admin/verification-attempts', { params }),
+  getFraudFlags: (params) => api.get('/admin/fraud-flags', { params }),
+  reviewFraudFlag: (id, action, note) => api.put(`/admin/fraud-flags/${id}/review`, { action, note }),
+  getBlockedStudents: () => api.get('/admin/blocked-students'),
+  unblockStudent: (id, note) => api.put(`/admin/students/${id}/unblock`, { note }),
+};
+
+// Meal plans and subscriptions API
+export const plansAPI = {
+  getAll: (params) => api.get('/plans', { params }),
+  create: (planData) => api.post('/plans', planData),
+  update: (id, planData) => api.put(`/plans/${id}`, planData),
+};
+
+export const subscriptionsAPI = {
+  getAll: (params) => api.get('/subscriptions', { params }),
+  create: (subscriptionData) => api.post('/subscriptions', subscriptionData),
+  cancel: (id, reason) => api.put(`/subscriptions/${id}/cancel`, { reason }),
+};
+
+export const creditsAPI = {
+  getTransactions: (params) => api.get('/credits/transactions', { params }),
+  getForStudent: (studentId) => api.get(`/credits/students/${studentId}`),
+  grant: (data) => api.post('/credits/grant', data),
+  revoke: (data) => api.post('/credits/revoke', data),
+};
+
+export const optOutsAPI = {
+  getAll: (params) => api.get('/opt-outs', { params }),
+  getMine: () => api.get('/opt-outs/me'),
+  create: (serviceDate, mealType) => api.post('/opt-outs/me', { serviceDate, mealType }),
+  cancel: (id) => api.delete(`/opt-outs/me/${id}`),
+};
+
+export const settingsAPI = {
+  get: () => api.get('/settings'),
+  update: (settings) => api.put('/settings', settings),
+};
+
+export const invoicesAPI = {
+  getAll: (params) => api.get('/invoices', { params }),
+  getById: (id) => api.get(`/invoices/${id}`),
+  generate: (month, vendorId) => api.post('/invoices/generate', { month, vendorId }),
+  approve: (id) => api.put(`/invoices/${id}/approve`),
+  markPaid: (id, reference) => api.put(`/invoices/${id}/pay`, { reference }),
+  delete: (id) => api.delete(`/invoices/${id}`),
+  download: (id, format) => api.get(`/invoices/${id}/${format}`, { responseType: 'blob' }),
+  getRates: (params) => api.get('/invoices/rates', { params }),
+  createRate: (rateData) => api.post('/invoices/rates', rateData),
+  deleteRate: (id) => api.delete(`/invoices/rates/${id}`),
+};
+
+export const hostelsAPI = {
+  getAll: (params) => api.get('/hostels', { params }),
+  create: (hostelData) => api.post('/hostels', hostelData),
+  update: (id, hostelData) => api.put(`/hostels/${id}`, hostelData),
+};
+
+// Import profiles API
+export const importProfilesAPI = {
+  getAll: () => api.get('/import-profiles'),
+  create: (profileData) => api.post('/import-profiles', profileData),
+  update: (id, profileData) => api.put(`/import-profiles/${id}`, profileData),
+  delete: (id) => api.delete(`/import-profiles/${id}`),
 };
 
 export const qrAPI = {
   getMyQRCode: () => api.get('/students/my-qr-code'),
-  getQRCode: (studentId) => api.get(`/students/qr-code/${studentId}`),
 };
 
 export default api;
@@ -0,0 +1,71 @@
+// IndexedDB storage for offline scanning: the vendor roster and claims waiting to be synced
+
+const DB_NAME = 'scan2go-offline';
+const DB_VERSION = 1;
+const ROSTER_STORE = 'rosters';
+const CLAIM_STORE = 'claims';
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ROSTER_STORE)) {
+          db.createObjectStore(ROSTER_STORE, { keyPath: 'vendorId' });
+        }
+        if (!db.objectStoreNames.contains(CLAIM_STORE)) {
+          const claims = db.createObjectStore(CLAIM_STORE, { keyPath: 'clientClaimId' });
+          claims.createIndex('vendorId', 'vendorId');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, action) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const saveRoster = (vendorId, roster) => {
+  return runRequest(ROSTER_STORE, 'readwrite', store => store.put({ vendorId, ...roster, savedAt: new Date().toISOString() }));
+};
+
+export const getRoster = (vendorId) => {
+  return runRequest(ROSTER_STORE, 'readonly', store => store.get(vendorId));
+};
+
+export const queueClaim = (claim) => {
+  return runRequest(CLAIM_STORE, 'readwrite', store => store.add(claim));
+};
+
+export const getQueuedClaims = (vendorId) => {
+  return runRequest(CLAIM_STORE, 'readonly', store => store.index('vendorId').getAll(vendorId));
+};
+
+export const removeClaims = async (clientClaimIds) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CLAIM_STORE, 'readwrite');
+    const store = transaction.objectStore(CLAIM_STORE);
+    clientClaimIds.forEach(id => store.delete(id));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
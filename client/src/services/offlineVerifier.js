@@ -0,0 +1,208 @@
+// Verifies students against a cached vendor roster when the counter has no connection.
+// Mirrors the checks done by POST /verification/verify; the server re-checks every
+// claim when it is synced and reports conflicts for admin review.
+
+const TOKEN_PREFIX = 'S2G1';
+
+const base64UrlToBytes = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Wall-clock time on campus, which may differ from the device's timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') parts[type] = value;
+  }
+  return parts;
+};
+
+export const toServiceDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+};
+
+const resolveMealType = (serviceWindows, date, timeZone) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  const minutes = Number(hour) * 60 + Number(minute);
+  const window = serviceWindows.find(w => minutes >= toMinutes(w.start) && minutes < toMinutes(w.end));
+  return window ? window.mealType : null;
+};
+
+// Returns the token payload if the signature is valid, otherwise null
+const verifySignedToken = async (token, publicKey) => {
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) return null;
+
+  try {
+    const key = await crypto.subtle.importKey('raw', base64UrlToBytes(publicKey), { name: 'Ed25519' }, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      { name: 'Ed25519' },
+      key,
+      base64UrlToBytes(parts[2]),
+      new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+    );
+    if (!valid) return null;
+    return JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[1])));
+  } catch (error) {
+    console.error('Offline token verification error:', error);
+    return null;
+  }
+};
+
+// Same normalization as the server (utils/rollNumber.js and the lowercase Student.email),
+// applied to both the scan and the cached roster, which may predate it
+const normalizeRollNumber = (value) => {
+  if (value === undefined || value === null) return null;
+  const normalized = String(value).trim().toLowerCase().replace(/\s+/g, '');
+  return normalized || null;
+};
+
+const normalizeEmail = (value) => {
+  if (typeof value !== 'string') return null;
+  return value.trim().toLowerCase() || null;
+};
+
+const failure = (code, message, extra = {}) => ({ verified: false, offline: true, code, message, ...extra });
+
+export const verifyOffline = async ({ identifier, roster, queuedClaims, now = new Date() }) => {
+  let student;
+  let tokenId;
+
+  if (identifier.startsWith(`${TOKEN_PREFIX}.`)) {
+    const payload = await verifySignedToken(identifier, roster.publicKey);
+    if (!payload) {
+      return failure('QR_TOKEN_INVALID', 'QR code is invalid or has been tampered with');
+    }
+    if (payload.exp * 1000 <= now.getTime()) {
+      return failure('QR_TOKEN_EXPIRED', 'QR code has expired. Ask the student to refresh it');
+    }
+    if (queuedClaims.some(claim => claim.tokenId === payload.jti)) {
+      return failure('QR_TOKEN_REPLAYED', 'This QR code has already been used. Ask the student to show a fresh one');
+    }
+    tokenId = payload.jti;
+    student = roster.students.find(s => s.id === payload.sid);
+  } else {
+    const rollNumber = normalizeRollNumber(identifier);
+    const email = normalizeEmail(identifier);
+    student = roster.students.find(s => {
+      return (roster.vendor.allowLegacyQr && s.qrCode === identifier)
+        || (rollNumber && normalizeRollNumber(s.rollNumber) === rollNumber)
+        || (email && normalizeEmail(s.email) === email);
+    });
+  }
+
+  if (!student) {
+    return failure('STUDENT_NOT_FOUND', 'Student is not on this vendor\'s roster');
+  }
+
+  if (student.claimsBlocked) {
+    return failure('CLAIMS_BLOCKED', 'Meal claims are on hold for this student. Please contact an admin');
+  }
+
+  const serviceDate = toServiceDate(now, roster.timezone);
+  const subscription = (student.subscriptions || []).find(s => s.startDate <= serviceDate && s.endDate >= serviceDate);
+  if (!subscription) {
+    return failure('NO_ACTIVE_SUBSCRIPTION', `Student has no active meal subscription for ${serviceDate}`);
+  }
+
+  const mealType = resolveMealType(roster.vendor.serviceWindows, now, roster.timezone);
+  if (!mealType) {
+    return failure('OUTSIDE_SERVICE_WINDOW', 'No meal is being served at this time');
+  }
+
+  if (!subscription.mealTypes.includes(mealType)) {
+    return failure('MEAL_NOT_IN_PLAN', `The student's plan does not include ${mealType}`);
+  }
+
+  const claimedOnServer = roster.serviceDate === serviceDate && roster.claimedToday.some(claim => {
+    return claim.student === student.id && claim.mealType === mealType;
+  });
+  const claimedOffline = queuedClaims.some(claim => {
+    return claim.studentId === student.id && claim.serviceDate === serviceDate && claim.mealType === mealType;
+  });
+
+  if (claimedOnServer || claimedOffline) {
+    return failure('ALREADY_CLAIMED', `Student has already claimed today's ${mealType}`, {
+      alreadyClaimed: true,
+      student: { name: student.name, rollNumber: student.rollNumber }
+    });
+  }
+
+  // Monthly limits need the full claim history, so only the server checks those at sync
+  if (subscription.mealsPerDay) {
+    const mealTypesToday = new Set([
+      ...(roster.serviceDate === serviceDate ? roster.claimedToday : [])
+        .filter(claim => claim.student === student.id)
+        .map(claim => claim.mealType),
+      ...queuedClaims
+        .filter(claim => claim.studentId === student.id && claim.serviceDate === serviceDate)
+        .map(claim => claim.mealType)
+    ]);
+    if (mealTypesToday.size >= subscription.mealsPerDay) {
+      return failure('MEAL_LIMIT_REACHED', `Daily limit of ${subscription.mealsPerDay} meal(s) reached`);
+    }
+  }
+
+  // Prepaid plans: credits already spent by claims still waiting to sync count too
+  if (subscription.usesCredits) {
+    if (student.creditsExpireAt && new Date(student.creditsExpireAt) <= now) {
+      return failure('CREDITS_EXPIRED', 'Student\'s meal credits have expired');
+    }
+    const pendingClaims = queuedClaims.filter(claim => claim.studentId === student.id).length;
+    if (student.creditBalance - pendingClaims <= 0) {
+      return failure('NO_MEAL_CREDITS', 'Student has no meal credits left');
+    }
+  }
+
+  const claim = {
+    clientClaimId: crypto.randomUUID(),
+    vendorId: roster.vendorId,
+    identifier,
+    studentId: student.id,
+    tokenId,
+    mealType,
+    serviceDate,
+    claimedAt: now.toISOString()
+  };
+
+  const optedOut = (roster.optOuts || []).some(optOut => {
+    return optOut.student === student.id && optOut.serviceDate === serviceDate && optOut.mealType === mealType;
+  });
+
+  return {
+    verified: true,
+    offline: true,
+    message: 'Verified offline - the claim will sync when the connection returns',
+    warning: optedOut ? { code: 'OPTED_OUT', message: `Student had opted out of ${mealType} today` } : undefined,
+    student: {
+      name: student.name,
+      rollNumber: student.rollNumber,
+      email: student.email,
+      vendor: roster.vendor.name,
+      dietaryPreference: student.dietaryPreference,
+      allergyNotes: student.allergyNotes
+    },
+    mealRecord: {
+      mealType,
+      claimedAt: claim.claimedAt
+    },
+    claim
+  };
+};
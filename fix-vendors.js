@@ -4,6 +4,7 @@ require('dotenv').config();
 // Import models
 const Student = require('./models/Student');
 const Vendor = require('./models/Vendor');
+const { assignVendor } = require('./services/vendorAssignments');
 
 async function fixVendorReferences() {
   try {
@@ -32,8 +33,12 @@ async function fixVendorReferences() {
         });
         
         if (vendor) {
-          student.vendor = vendor._id;
-          await student.save();
+          await assignVendor({
+            studentId: student._id,
+            vendorId: vendor._id,
+            source: 'admin',
+            reason: 'Fixed invalid vendor reference'
+          });
           fixed++;
           console.log(`✅ Fixed student: ${student.name}, vendor: ${student.vendor} -> ${vendor.name}`);
         } else {
@@ -63,8 +68,12 @@ async function fixVendorReferences() {
         // Assign to first available vendor as default
         const defaultVendor = await Vendor.findOne();
         if (defaultVendor) {
-          student.vendor = defaultVendor._id;
-          await student.save();
+          await assignVendor({
+            studentId: student._id,
+            vendorId: defaultVendor._id,
+            source: 'admin',
+            reason: 'Assigned default vendor'
+          });
           fixed++;
           console.log(`✅ Assigned default vendor to student: ${student.name}`);
         }
@@ -1,8 +1,17 @@
 const mongoose = require('mongoose');
 const fs = require('fs');
-const csv = require('csv-parser');
 const Student = require('./models/Student');
 const Vendor = require('./models/Vendor');
+const Subscription = require('./models/Subscription');
+const VendorAssignment = require('./models/VendorAssignment');
+const { getDefaultPlan, renewSubscription } = require('./services/subscriptions');
+const { assignVendor } = require('./services/vendorAssignments');
+const { findOrCreateHostel } = require('./services/hostels');
+const { getMonthServiceDates } = require('./utils/date');
+const { parseDietaryPreference } = require('./utils/dietary');
+const { parseBatch } = require('./utils/batch');
+const { normalizeRollNumber, deriveRollNumber } = require('./utils/rollNumber');
+const { readCSV } = require('./utils/csv');
 require('dotenv').config();
 
 async function importStudents() {
@@ -14,22 +23,23 @@ async function importStudents() {
     // Clear existing students
     console.log('🧹 Clearing existing students...');
     await Student.deleteMany({});
+    await Subscription.deleteMany({});
+    await VendorAssignment.deleteMany({});
     console.log('✅ Students cleared');
 
+    // Everyone imported gets the default plan for the current month
+    const plan = await getDefaultPlan();
+    const { startDate, endDate } = getMonthServiceDates();
+    console.log(`📅 Subscribing students to the ${plan.name} plan from ${startDate} to ${endDate}`);
+
     // Read CSV file
-    const results = [];
     const filePath = '/Users/gauravsmac/Downloads/Scan2Go_Data - Sheet1.csv';
     
     console.log('📖 Reading CSV file...');
-    await new Promise((resolve, reject) => {
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (data) => results.push(data))
-        .on('end', resolve)
-        .on('error', reject);
-    });
+    const { records: results, errors: parseErrors, encoding, delimiter } = await readCSV(fs.createReadStream(filePath));
 
-    console.log(`📊 Found ${results.length} rows in CSV`);
+    console.log(`📊 Found ${results.length} rows in CSV (${encoding}, ${JSON.stringify(delimiter)} separated)`);
+    parseErrors.forEach(error => console.log(`❌ ${error}`));
 
     // Get vendors
     const vendors = await Vendor.find({ isActive: true });
@@ -45,33 +55,34 @@ async function importStudents() {
     });
 
     let processed = 0;
-    let errors = 0;
+    let errors = parseErrors.length;
 
     console.log('🔄 Processing students...');
 
-    for (let i = 0; i < results.length; i++) {
-      const row = results[i];
+    for (const row of results) {
       
       try {
         // Map CSV headers to expected fields
         const studentData = {
           name: row['Full Name'],
           email: row['Email Address'],
-          rollNumber: row['Batch'],
+          rollNumber: normalizeRollNumber(row['Roll Number']) || deriveRollNumber(row['Email Address']),
+          batch: parseBatch(row['Batch']),
           vendor: row['Vendor'],
-          vendorLocation: row['Hostel :']
+          hostel: row['Hostel :']?.trim(),
+          dietaryPreference: parseDietaryPreference(row['Choose your preference'])
         };
 
         // Validate required fields
         if (!studentData.name || !studentData.email || !studentData.rollNumber || !studentData.vendor) {
-          console.log(`❌ Row ${i + 2}: Missing required fields`);
+          console.log(`❌ Line ${row.line}: Missing required fields`);
           errors++;
           continue;
         }
 
         // Validate email domain
         if (!studentData.email.endsWith('@sst.scaler.com')) {
-          console.log(`❌ Row ${i + 2}: Invalid email domain for ${studentData.email}`);
+          console.log(`❌ Line ${row.line}: Invalid email domain for ${studentData.email}`);
           errors++;
           continue;
         }
@@ -90,23 +101,44 @@ async function importStudents() {
             vendorId = existingVendor._id;
             console.log(`✅ Found vendor by partial match: ${existingVendor.name}`);
           } else {
-            console.log(`❌ Row ${i + 2}: Vendor not found: ${cleanVendorName}`);
+            console.log(`❌ Line ${row.line}: Vendor not found: ${cleanVendorName}`);
             errors++;
             continue;
           }
         }
 
+        const hostel = await findOrCreateHostel(studentData.hostel);
+        if (hostel) {
+          await Vendor.updateOne({ _id: vendorId }, { $addToSet: { hostels: hostel._id } });
+        }
+
         // Create student
         const student = new Student({
           name: studentData.name,
           email: studentData.email,
           rollNumber: studentData.rollNumber,
+          batch: studentData.batch || undefined,
           vendor: vendorId,
-          vendorLocation: studentData.vendorLocation || 'TBD',
+          hostel: hostel?._id,
+          dietaryPreference: studentData.dietaryPreference || undefined,
           isActive: true
         });
 
         await student.save();
+        await assignVendor({
+          studentId: student._id,
+          vendorId,
+          startDate,
+          source: 'csv'
+        });
+        await renewSubscription({
+          studentId: student._id,
+          vendorId,
+          planId: plan._id,
+          startDate,
+          endDate,
+          source: 'csv'
+        });
         processed++;
 
         if (processed % 100 === 0) {
@@ -114,7 +146,7 @@ async function importStudents() {
         }
 
       } catch (error) {
-        console.log(`❌ Row ${i + 2}: Error - ${error.message}`);
+        console.log(`❌ Line ${row.line}: Error - ${error.message}`);
         errors++;
       }
     }
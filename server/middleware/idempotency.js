@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// A key still processing after this long belongs to a request that crashed, so a retry may take it over
+const STALE_PROCESSING_MS = 60 * 1000;
+
+// Replays the stored response for a repeated Idempotency-Key instead of running the handler again.
+// Must run after `auth` since keys are scoped per user.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const requestHash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(req.body || {}))
+    .digest('hex');
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    try {
+      const existing = await IdempotencyKey.findOne({ key, user: req.user._id }).lean();
+
+      if (!existing || existing.path !== req.originalUrl || existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          message: 'This Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (existing.status === 'processing') {
+        const since = existing.processingSince || existing.createdAt;
+        record = since < new Date(Date.now() - STALE_PROCESSING_MS)
+          ? await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: 'processing', processingSince: existing.processingSince || null },
+            { $set: { processingSince: new Date() } },
+            { new: true }
+          )
+          : null;
+
+        if (!record) {
+          return res.status(409).json({
+            message: 'The original request is still being processed. Please retry shortly',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+          });
+        }
+      } else {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    } catch (lookupError) {
+      return next(lookupError);
+    }
+  }
+
+  // Store the response before sending it so a retry can never miss it
+  let stored = false;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const store = res.statusCode >= 500
+      // Let server errors be retried
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+      );
+
+    store
+      .catch(error => console.error('Failed to store idempotent response:', error))
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  // A handler that fails without a JSON response must not leave the key blocking retries
+  res.on('close', () => {
+    if (stored) return;
+    IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+      .catch(error => console.error('Failed to release idempotency key:', error));
+  });
+
+  next();
+};
+
+module.exports = idempotency;
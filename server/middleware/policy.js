@@ -0,0 +1,203 @@
+// Central authorization policy. Every route declares the resource and action it
+// performs; the table below says which roles may perform it and on whose records.
+//
+// Scopes:
+//   any        - every record
+//   ownVendor  - records belonging to the vendor linked to the user (User.vendor)
+//   self       - the student record belonging to the user (matched by email)
+//
+// A role missing from an action is denied. Register and login are the only public routes.
+
+const ANY = 'any';
+const OWN_VENDOR = 'ownVendor';
+const SELF = 'self';
+
+const POLICIES = {
+  user: {
+    readSelf: { admin: ANY, vendor: ANY, student: ANY },
+    create: { admin: ANY }
+  },
+  student: {
+    list: { admin: ANY },
+    read: { admin: ANY, vendor: OWN_VENDOR, student: SELF },
+    search: { admin: ANY, vendor: OWN_VENDOR },
+    // Students may only rename themselves; changing vendor or status needs `manage`
+    update: { admin: ANY, student: SELF },
+    manage: { admin: ANY },
+    deactivate: { admin: ANY },
+    readMeals: { admin: ANY, vendor: OWN_VENDOR, student: SELF },
+    readVendorHistory: { admin: ANY, student: SELF },
+    readQrCode: { admin: ANY, student: SELF },
+    import: { admin: ANY },
+    export: { admin: ANY },
+    cleanup: { admin: ANY },
+    unblock: { admin: ANY }
+  },
+  vendor: {
+    list: { admin: ANY, vendor: ANY, student: ANY },
+    read: { admin: ANY, vendor: ANY, student: ANY },
+    create: { admin: ANY },
+    // Vendor staff may edit their profile; settings and (de)activation need `manage`
+    update: { admin: ANY, vendor: OWN_VENDOR },
+    manage: { admin: ANY },
+    readDashboard: { admin: ANY, vendor: OWN_VENDOR },
+    readDietarySummary: { admin: ANY, vendor: OWN_VENDOR },
+    searchStudents: { admin: ANY, vendor: OWN_VENDOR }
+  },
+  meal: {
+    verify: { admin: ANY, vendor: OWN_VENDOR },
+    void: { admin: ANY, vendor: OWN_VENDOR },
+    sync: { admin: ANY, vendor: OWN_VENDOR },
+    readRoster: { admin: ANY, vendor: OWN_VENDOR },
+    readHistory: { admin: ANY, vendor: OWN_VENDOR },
+    readStats: { admin: ANY, vendor: OWN_VENDOR }
+  },
+  report: {
+    read: { admin: ANY },
+    rollup: { admin: ANY }
+  },
+  syncConflict: {
+    list: { admin: ANY },
+    resolve: { admin: ANY }
+  },
+  verificationAttempt: {
+    list: { admin: ANY }
+  },
+  fraudFlag: {
+    list: { admin: ANY },
+    review: { admin: ANY }
+  },
+  mealPlan: {
+    list: { admin: ANY },
+    create: { admin: ANY },
+    update: { admin: ANY }
+  },
+  subscription: {
+    list: { admin: ANY },
+    create: { admin: ANY },
+    cancel: { admin: ANY }
+  },
+  mealCredit: {
+    list: { admin: ANY },
+    read: { admin: ANY, student: SELF },
+    grant: { admin: ANY },
+    revoke: { admin: ANY }
+  },
+  // Students skip meals themselves; staff only see the list
+  mealOptOut: {
+    list: { admin: ANY, vendor: OWN_VENDOR },
+    read: { student: SELF },
+    create: { student: SELF },
+    cancel: { student: SELF }
+  },
+  setting: {
+    read: { admin: ANY },
+    update: { admin: ANY }
+  },
+  // Vendors can see and download their own invoices; finance work is admin only
+  invoice: {
+    list: { admin: ANY, vendor: OWN_VENDOR },
+    read: { admin: ANY, vendor: OWN_VENDOR },
+    generate: { admin: ANY },
+    approve: { admin: ANY },
+    pay: { admin: ANY },
+    delete: { admin: ANY }
+  },
+  hostel: {
+    list: { admin: ANY, vendor: ANY, student: ANY },
+    create: { admin: ANY },
+    update: { admin: ANY }
+  },
+  importProfile: {
+    list: { admin: ANY },
+    create: { admin: ANY },
+    update: { admin: ANY },
+    delete: { admin: ANY }
+  },
+  rosterImport: {
+    list: { admin: ANY },
+    rollback: { admin: ANY }
+  },
+  rateCard: {
+    list: { admin: ANY },
+    create: { admin: ANY },
+    delete: { admin: ANY }
+  }
+};
+
+const toId = (value) => (value?._id || value)?.toString();
+
+// Ownership checks. `target` describes the record: { vendor, email }
+const SCOPES = {
+  [ANY]: () => true,
+  [OWN_VENDOR]: (user, target) => Boolean(user.vendor && target.vendor && toId(user.vendor) === toId(target.vendor)),
+  [SELF]: (user, target) => Boolean(target.email && target.email === user.email)
+};
+
+const getScope = (user, resource, action) => {
+  const rule = POLICIES[resource]?.[action];
+  if (!rule) {
+    throw new Error(`No policy defined for ${resource}.${action}`);
+  }
+  return user ? rule[user.role] : undefined;
+};
+
+// Whether the user may perform the action on a record they have already loaded
+const can = (user, resource, action, target) => {
+  const scope = getScope(user, resource, action);
+  if (!scope) return false;
+  return SCOPES[scope](user, target || {});
+};
+
+// Route middleware. Rejects roles the policy does not allow at all. For vendor-scoped
+// routes, pass `vendor: [source, key]` to check the vendor id in req[source][key];
+// vendor staff who omit it get their own vendor. Record-level checks happen in the
+// handler with can() once the record is loaded.
+const authorize = (resource, action, { vendor } = {}) => {
+  // Fail at startup rather than on the first request if a route names an unknown policy
+  getScope(null, resource, action);
+
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    const scope = getScope(req.user, resource, action);
+    if (!scope) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    if (scope === OWN_VENDOR && vendor) {
+      if (!req.user.vendor) {
+        return res.status(403).json({
+          message: 'Your account is not linked to a vendor. Please contact an admin',
+          code: 'VENDOR_NOT_LINKED'
+        });
+      }
+
+      const [source, key] = vendor;
+      const container = req[source] || {};
+
+      if (!container[key]) {
+        container[key] = req.user.vendor.toString();
+      } else if (container[key].toString() !== req.user.vendor.toString()) {
+        return res.status(403).json({
+          message: 'You can only access your own vendor',
+          code: 'VENDOR_FORBIDDEN'
+        });
+      }
+    }
+
+    next();
+  };
+
+  // Lets the route table be checked against the policy
+  middleware.policy = { resource, action, vendor };
+  return middleware;
+};
+
+module.exports = {
+  POLICIES,
+  authorize,
+  can
+};
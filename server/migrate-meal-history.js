@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Student = require('./models/Student');
+const Vendor = require('./models/Vendor');
+const MealRecord = require('./models/MealRecord');
+const { toServiceDate } = require('./utils/date');
+const { resolveMealType } = require('./utils/serviceWindows');
+
+// Claims used to be written both to MealRecord and to the embedded Student.mealHistory
+// array. This copies any history entry that has no MealRecord yet, then removes the
+// array from each student whose entries are all accounted for.
+// Run migrate-meal-records.js first so the unique claim index is in place.
+
+// History entries and their MealRecord were written a moment apart
+const MATCH_WINDOW_MS = 60 * 1000;
+
+async function migrateMealHistory() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scan2go');
+    console.log('✅ Connected to MongoDB');
+
+    const vendors = new Map((await Vendor.find()).map(vendor => [vendor._id.toString(), vendor]));
+
+    // mealHistory is no longer in the schema, so read the raw documents
+    const cursor = Student.collection.find(
+      { 'mealHistory.0': { $exists: true } },
+      { projection: { mealHistory: 1, name: 1 } }
+    );
+
+    let studentsProcessed = 0;
+    let created = 0;
+    let alreadyPresent = 0;
+    let duplicates = 0;
+    let failed = 0;
+    const cleanedStudents = [];
+
+    for await (const student of cursor) {
+      studentsProcessed++;
+      let studentFailed = false;
+
+      for (const entry of student.mealHistory) {
+        if (!entry.claimed || !entry.date || !entry.vendor) continue;
+
+        try {
+          if (entry.mealRecord && await MealRecord.exists({ _id: entry.mealRecord })) {
+            alreadyPresent++;
+            continue;
+          }
+
+          const date = new Date(entry.date);
+          const existing = await MealRecord.exists({
+            student: student._id,
+            vendor: entry.vendor,
+            date: {
+              $gte: new Date(date.getTime() - MATCH_WINDOW_MS),
+              $lte: new Date(date.getTime() + MATCH_WINDOW_MS)
+            }
+          });
+          if (existing) {
+            alreadyPresent++;
+            continue;
+          }
+
+          const vendor = vendors.get(entry.vendor.toString());
+          const mealType = entry.mealType || (vendor && resolveMealType(vendor, date)) || 'lunch';
+
+          await MealRecord.create({
+            student: student._id,
+            vendor: entry.vendor,
+            date,
+            serviceDate: toServiceDate(date),
+            mealType,
+            claimed: true,
+            claimedAt: date,
+            voided: Boolean(entry.voided),
+            notes: 'Backfilled from Student.mealHistory'
+          });
+          created++;
+        } catch (error) {
+          // A claim for the same meal that day already exists; the history entry was a double count
+          if (error.code === 11000) {
+            duplicates++;
+            continue;
+          }
+          console.error(`❌ Could not migrate a meal for ${student.name}:`, error.message);
+          failed++;
+          studentFailed = true;
+        }
+      }
+
+      if (!studentFailed) {
+        cleanedStudents.push(student._id);
+      }
+    }
+
+    console.log(`📊 Students with meal history: ${studentsProcessed}`);
+    console.log(`✅ Meal records created: ${created}`);
+    console.log(`ℹ️  Entries already in MealRecord: ${alreadyPresent}`);
+    console.log(`ℹ️  Duplicate claims skipped: ${duplicates}`);
+    if (failed > 0) {
+      console.log(`⚠️  Entries that failed (history kept for those students): ${failed}`);
+    }
+
+    const result = await Student.collection.updateMany(
+      { _id: { $in: cleanedStudents } },
+      { $unset: { mealHistory: '' } }
+    );
+    console.log(`✅ Removed mealHistory from ${result.modifiedCount} students`);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+migrateMealHistory();
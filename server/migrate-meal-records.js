@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MealRecord = require('./models/MealRecord');
+const { toServiceDate } = require('./utils/date');
+
+// Backfills MealRecord.serviceDate / voided and replaces the old timestamp-based unique
+// index with the { student, serviceDate, mealType } one.
+async function migrateMealRecords() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scan2go');
+    console.log('✅ Connected to MongoDB');
+
+    const records = await MealRecord.find({ serviceDate: { $exists: false } })
+      .select('date claimedAt')
+      .lean();
+    console.log(`📊 Found ${records.length} meal records without a service date`);
+
+    if (records.length > 0) {
+      const operations = records.map(record => ({
+        updateOne: {
+          filter: { _id: record._id },
+          update: { $set: { serviceDate: toServiceDate(record.claimedAt || record.date) } }
+        }
+      }));
+
+      const result = await MealRecord.bulkWrite(operations, { ordered: false });
+      console.log(`✅ Backfilled service date on ${result.modifiedCount} meal records`);
+    }
+
+    // Records from before voiding existed count as not voided
+    const voidedResult = await MealRecord.updateMany(
+      { voided: { $exists: false } },
+      { $set: { voided: false } }
+    );
+    console.log(`✅ Set voided=false on ${voidedResult.modifiedCount} meal records`);
+
+    // Drops indexes no longer in the schema and builds the new unique index.
+    // Fails if existing data already contains duplicate claims for the same meal.
+    console.log('🔄 Syncing indexes...');
+    const dropped = await MealRecord.syncIndexes();
+    console.log('✅ Indexes synced. Dropped:', dropped);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+migrateMealRecords();
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Student = require('./models/Student');
+const { parseBatch } = require('./utils/batch');
+const { normalizeRollNumber, deriveRollNumber } = require('./utils/rollNumber');
+
+// The sign-up sheet's "Batch" column used to be imported as the roll number, so many
+// students share values like "Batch 2028". This moves those into the new batch field,
+// gives every student their own roll number from their email, and then builds the
+// unique roll number index.
+async function migrateRollNumbers() {
+  try {
+    // The unique index can only be built once the duplicates are gone
+    mongoose.set('autoIndex', false);
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scan2go');
+    console.log('✅ Connected to MongoDB');
+
+    const students = await Student.find({}).select('email rollNumber batch').lean();
+    console.log(`📊 Found ${students.length} students`);
+
+    const usage = new Map();
+    students.forEach(student => {
+      const rollNumber = normalizeRollNumber(student.rollNumber);
+      if (rollNumber) usage.set(rollNumber, (usage.get(rollNumber) || 0) + 1);
+    });
+
+    // A value shared by several students, or shaped like a year, is a batch
+    const isBatch = (value) => /^(?:batch\s*)?\d{4}$/i.test(value.trim()) || usage.get(normalizeRollNumber(value)) > 1;
+
+    const plans = students.map(student => {
+      const current = student.rollNumber || '';
+      const kept = Boolean(current.trim()) && !isBatch(current);
+      return {
+        student,
+        kept,
+        batch: student.batch || (kept ? null : parseBatch(current)),
+        rollNumber: kept ? normalizeRollNumber(current) : deriveRollNumber(student.email)
+      };
+    });
+
+    // Roll numbers that are kept are claimed first, so a derived one cannot take them
+    const taken = new Set(plans.filter(plan => plan.kept).map(plan => plan.rollNumber));
+    const operations = [];
+    const conflicts = [];
+
+    for (const { student, kept, batch, rollNumber } of plans) {
+      if (!kept) {
+        if (!rollNumber || taken.has(rollNumber)) {
+          conflicts.push(`${student.email}: ${rollNumber || 'no roll number in the email'} is already taken`);
+          continue;
+        }
+        taken.add(rollNumber);
+      }
+
+      if (rollNumber === student.rollNumber && (batch || null) === (student.batch || null)) continue;
+
+      const update = { rollNumber, updatedAt: new Date() };
+      if (batch) update.batch = batch;
+      operations.push({ updateOne: { filter: { _id: student._id }, update: { $set: update } } });
+    }
+
+    if (operations.length > 0) {
+      await Student.bulkWrite(operations);
+    }
+    console.log(`✅ Updated ${operations.length} students`);
+
+    if (conflicts.length > 0) {
+      console.log(`❌ ${conflicts.length} students still need a roll number by hand:`);
+      conflicts.forEach(conflict => console.log(`   ${conflict}`));
+      console.log('⚠️  Fix these and run the migration again to build the unique index');
+      return;
+    }
+
+    await Student.syncIndexes();
+    console.log('✅ Unique roll number index built');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('✅ Disconnected from MongoDB');
+  }
+}
+
+migrateRollNumbers();
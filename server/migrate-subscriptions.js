@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Student = require('./models/Student');
+const Subscription = require('./models/Subscription');
+const { getDefaultPlan } = require('./services/subscriptions');
+const { getMonthServiceDates } = require('./utils/date');
+
+// Verification now needs an active subscription on the day of the scan. This gives
+// every active student with a vendor, and no subscription yet, the default plan
+// with their current vendor for the rest of this month.
+async function migrateSubscriptions() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scan2go');
+    console.log('✅ Connected to MongoDB');
+
+    const plan = await getDefaultPlan();
+    const { startDate, endDate } = getMonthServiceDates();
+    console.log(`📅 Using the ${plan.name} plan from ${startDate} to ${endDate}`);
+
+    const subscribed = await Subscription.distinct('student', { status: 'active', endDate: { $gte: startDate } });
+    const students = await Student.find({
+      _id: { $nin: subscribed },
+      isActive: true,
+      vendor: { $type: 'objectId' }
+    }).select('vendor').lean();
+
+    console.log(`📊 Found ${students.length} active students without a subscription`);
+
+    if (students.length > 0) {
+      const result = await Subscription.insertMany(students.map(student => ({
+        student: student._id,
+        vendor: student.vendor,
+        plan: plan._id,
+        startDate,
+        endDate,
+        source: 'migration'
+      })));
+      console.log(`✅ Created ${result.length} subscriptions`);
+    }
+
+    await Subscription.syncIndexes();
+    console.log('✅ Subscription indexes in place');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+migrateSubscriptions();
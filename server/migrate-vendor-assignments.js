@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Student = require('./models/Student');
+const Subscription = require('./models/Subscription');
+const VendorAssignment = require('./models/VendorAssignment');
+const { toServiceDate, addServiceDays } = require('./utils/date');
+
+// Reports and invoices now look up which vendor a student belonged to on each day.
+// This rebuilds that history for students who have none: one assignment per run of
+// subscriptions with the same vendor, ending with the student's current vendor.
+async function migrateVendorAssignments() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scan2go');
+    console.log('✅ Connected to MongoDB');
+
+    const today = toServiceDate();
+    const now = new Date();
+    const migrated = await VendorAssignment.distinct('student');
+    const students = await Student.find({
+      _id: { $nin: migrated },
+      vendor: { $type: 'objectId' }
+    }).select('vendor createdAt').lean();
+
+    console.log(`📊 Found ${students.length} students without a vendor history`);
+
+    let created = 0;
+
+    for (const student of students) {
+      // Subscriptions that have started; later ones are assigned when they are renewed
+      const subscriptions = await Subscription.find({
+        student: student._id,
+        status: 'active',
+        startDate: { $lte: today }
+      }).sort({ startDate: 1 }).select('vendor startDate').lean();
+
+      const runs = [];
+      for (const subscription of subscriptions) {
+        const last = runs[runs.length - 1];
+        if (last && last.vendor.toString() === subscription.vendor.toString()) continue;
+        if (last) last.endDate = addServiceDays(subscription.startDate, -1);
+        runs.push({ vendor: subscription.vendor, startDate: subscription.startDate, endDate: null });
+      }
+
+      // Student.vendor is the source of truth for today
+      const last = runs[runs.length - 1];
+      if (!last) {
+        runs.push({ vendor: student.vendor, startDate: toServiceDate(student.createdAt || now), endDate: null });
+      } else if (last.vendor.toString() !== student.vendor.toString()) {
+        if (last.startDate < today) {
+          last.endDate = addServiceDays(today, -1);
+        } else {
+          runs.pop();
+        }
+        runs.push({ vendor: student.vendor, startDate: today, endDate: null });
+      }
+
+      await VendorAssignment.insertMany(runs.map(run => ({
+        ...run,
+        student: student._id,
+        source: 'migration',
+        appliedAt: now
+      })));
+      created += runs.length;
+    }
+
+    console.log(`✅ Created ${created} vendor assignments`);
+
+    await VendorAssignment.syncIndexes();
+    console.log('✅ Vendor assignment indexes in place');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+migrateVendorAssignments();
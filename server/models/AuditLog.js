@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Append-only record of sensitive changes (voided meals, manual corrections, ...)
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetModel: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'targetModel'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+auditLogSchema.index({ targetModel: 1, target: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A suspicious verification pattern raised by services/fraudRules, pending admin review
+const fraudFlagSchema = new mongoose.Schema({
+  rule: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  operator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The attempt that triggered the flag
+  attempt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VerificationAttempt',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'confirmed'],
+    default: 'open'
+  },
+  // Whether the student's claims were blocked because of this flag
+  blockedClaims: {
+    type: Boolean,
+    default: false
+  },
+  reviewAction: {
+    type: String,
+    enum: ['dismiss', 'confirm', 'suspend']
+  },
+  reviewNote: {
+    type: String,
+    trim: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+fraudFlagSchema.index({ status: 1, createdAt: -1 });
+fraudFlagSchema.index({ rule: 1, student: 1, createdAt: -1 });
+fraudFlagSchema.index({ rule: 1, operator: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FraudFlag', fraudFlagSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A hostel or micro campus students live in. Vendors list the hostels they serve.
+const hostelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Names are matched case-insensitively ("Neeladri micro campus" is the same hostel)
+hostelSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Hostel', hostelSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Stores the outcome of requests sent with an Idempotency-Key header so that
+// retries (e.g. a vendor tablet retrying after a timeout) get the original response
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // When the request holding the key started; a stale one can be taken over
+  processingSince: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Keys are scoped to the user that sent them
+idempotencyKeySchema.index({ key: 1, user: 1 }, { unique: true });
+
+// Keep stored responses for 24 hours
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
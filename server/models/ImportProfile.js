@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { ROSTER_FIELDS } = require('../utils/rosterColumns');
+
+// Which CSV column holds each student field, saved for a sheet layout an admin
+// uploads regularly (e.g. the sign-up form export)
+const importProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Header per field in ROSTER_FIELDS; unset fields are not imported
+  columns: Object.fromEntries(Object.keys(ROSTER_FIELDS).map(field => [field, { type: String, trim: true }])),
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+importProfileSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema);
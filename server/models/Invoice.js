@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// Fields that may still change once an invoice is approved (recording payment)
+const PAYMENT_FIELDS = ['status', 'paidAt', 'paidBy', 'paymentReference', 'updatedAt'];
+
+const lineItemSchema = new mongoose.Schema({
+  mealType: {
+    type: String,
+    enum: ['breakfast', 'lunch', 'dinner'],
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true
+  },
+  rateCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard'
+  },
+  // Service dates billed at this rate
+  fromDate: String,
+  toDate: String,
+  claimed: {
+    type: Number,
+    default: 0
+  },
+  voided: {
+    type: Number,
+    default: 0
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// What a vendor is owed for one month of meals, computed from MealRecord
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  // YYYY-MM
+  month: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}$/
+  },
+  periodStart: String,
+  periodEnd: String,
+  lineItems: [lineItemSchema],
+  totals: {
+    claimed: { type: Number, default: 0 },
+    voided: { type: Number, default: 0 },
+    quantity: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'paid'],
+    default: 'draft'
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: {
+    type: Date
+  },
+  paymentReference: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One invoice per vendor per month
+invoiceSchema.index({ vendor: 1, month: 1 }, { unique: true });
+invoiceSchema.index({ status: 1, month: -1 });
+
+invoiceSchema.post('init', function () {
+  this.$locals.loadedStatus = this.status;
+});
+
+// Approved figures are final. Services update invoices conditionally on status; this
+// catches anything that loads and saves an approved invoice directly.
+invoiceSchema.pre('save', function (next) {
+  const locked = ['approved', 'paid'].includes(this.$locals.loadedStatus);
+  const changed = this.modifiedPaths({ includeChildren: false }).filter(path => !PAYMENT_FIELDS.includes(path));
+
+  if (!this.isNew && locked && changed.length > 0) {
+    return next(new Error(`Invoice ${this.number} is ${this.$locals.loadedStatus} and cannot be changed`));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
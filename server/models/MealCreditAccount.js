@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A student's prepaid meal credits at one vendor. Every change to the balance is
+// written to MealCreditTransaction.
+const mealCreditAccountSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Remaining credits lapse at this time; unset means they never expire
+  expiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+mealCreditAccountSchema.index({ student: 1, vendor: 1 }, { unique: true });
+
+module.exports = mongoose.model('MealCreditAccount', mealCreditAccountSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of meal credit changes. `amount` is signed: grants and refunds
+// add credits, consumption, revocation and expiry remove them.
+const mealCreditTransactionSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MealCreditAccount',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['grant', 'consume', 'refund', 'revoke', 'expire'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number
+  },
+  // The claim a credit was consumed by or refunded for
+  mealRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MealRecord'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Expiry set by a grant
+  expiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+mealCreditTransactionSchema.index({ student: 1, vendor: 1, createdAt: -1 });
+mealCreditTransactionSchema.index({ type: 1, createdAt: -1 });
+
+// A claim consumes at most one credit and is refunded at most once
+mealCreditTransactionSchema.index(
+  { mealRecord: 1, type: 1 },
+  { unique: true, partialFilterExpression: { mealRecord: { $exists: true } } }
+);
+
+module.exports = mongoose.model('MealCreditTransaction', mealCreditTransactionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A meal a student has said they will skip (e.g. going home for the weekend), so it
+// is left out of the vendor's expected headcount
+const mealOptOutSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  // Vendor of the subscription covering the day
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  serviceDate: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  mealType: {
+    type: String,
+    enum: ['breakfast', 'lunch', 'dinner'],
+    required: true
+  },
+  // 'claimed' means the student turned up and ate anyway
+  status: {
+    type: String,
+    enum: ['active', 'cancelled', 'claimed'],
+    default: 'active'
+  },
+  // Credit granted for skipping the meal, when opt-outs earn credits
+  creditTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MealCreditTransaction'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  claimedMealRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MealRecord'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+mealOptOutSchema.index({ vendor: 1, serviceDate: 1, status: 1 });
+
+// One live opt-out per student per meal per day
+mealOptOutSchema.index(
+  { student: 1, serviceDate: 1, mealType: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+module.exports = mongoose.model('MealOptOut', mealOptOutSchema);
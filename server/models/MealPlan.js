@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// What a subscription entitles a student to: which meals, how many, and at what price
+const mealPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  mealTypes: {
+    type: [{
+      type: String,
+      enum: ['breakfast', 'lunch', 'dinner']
+    }],
+    validate: {
+      validator: (mealTypes) => mealTypes.length > 0,
+      message: 'A meal plan must include at least one meal type'
+    },
+    default: () => ['breakfast', 'lunch', 'dinner']
+  },
+  // Limits on claimed meals; unset means no limit beyond one claim per meal type per day
+  mealsPerDay: {
+    type: Number,
+    min: 1
+  },
+  mealsPerMonth: {
+    type: Number,
+    min: 1
+  },
+  // Each claim spends a prepaid credit (e.g. a 20-meal pack); see MealCreditAccount
+  usesCredits: {
+    type: Boolean,
+    default: false
+  },
+  // Monthly price
+  price: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Used by the CSV upload when no plan is chosen
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('MealPlan', mealPlanSchema);
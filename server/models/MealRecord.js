@@ -16,6 +16,11 @@ const mealRecordSchema = new mongoose.Schema({
     required: true,
     default: Date.now
   },
+  // Day the meal belongs to (YYYY-MM-DD)
+  serviceDate: {
+    type: String,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
   mealType: {
     type: String,
     enum: ['breakfast', 'lunch', 'dinner'],
@@ -32,6 +37,33 @@ const mealRecordSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // 'offline' claims were verified on a vendor device and synced later
+  source: {
+    type: String,
+    enum: ['online', 'offline'],
+    default: 'online'
+  },
+  // Id generated by the vendor device for offline claims, so re-syncing is harmless
+  clientClaimId: {
+    type: String,
+    trim: true
+  },
+  // Voided claims are kept for the audit trail but no longer count as eaten
+  voided: {
+    type: Boolean,
+    default: false
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  },
   notes: {
     type: String,
     trim: true
@@ -47,7 +79,18 @@ mealRecordSchema.index({ student: 1, date: 1 });
 mealRecordSchema.index({ vendor: 1, date: 1 });
 mealRecordSchema.index({ date: 1, claimed: 1 });
 
-// Compound index for unique daily meals per student
-mealRecordSchema.index({ student: 1, date: 1, mealType: 1 }, { unique: true });
+// One claim per student per meal per day, enforced by the database (voided claims excluded)
+mealRecordSchema.index(
+  { student: 1, serviceDate: 1, mealType: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { claimed: true, voided: false, serviceDate: { $exists: true } }
+  }
+);
+
+mealRecordSchema.index(
+  { clientClaimId: 1 },
+  { unique: true, partialFilterExpression: { clientClaimId: { $exists: true } } }
+);
 
 module.exports = mongoose.model('MealRecord', mealRecordSchema);
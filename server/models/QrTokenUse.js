@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Records each signed QR token the first time it is presented, so a token
+// (e.g. a screenshot) cannot be replayed within its validity window.
+const qrTokenUseSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  usedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove entries once the token could no longer be accepted anyway
+qrTokenUseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('QrTokenUse', qrTokenUseSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const rateField = {
+  type: Number,
+  min: 0
+};
+
+// Per-meal prices paid to a vendor from `effectiveFrom` until the next card takes
+// over. A card without a vendor is the default for vendors without their own.
+// Cards are never edited: to change a price, add a card with a later date.
+const rateCardSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null
+  },
+  effectiveFrom: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  rates: {
+    breakfast: rateField,
+    lunch: rateField,
+    dinner: rateField
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+rateCardSchema.index({ vendor: 1, effectiveFrom: 1 }, { unique: true });
+
+module.exports = mongoose.model('RateCard', rateCardSchema);
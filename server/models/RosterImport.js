@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// One CSV roster upload. It is previewed first: the changes it would make are computed
+// without writing anything, and applied only when an admin confirms them. Applying
+// is a background job (services/importWorker.js) that saves its progress as it goes,
+// and snapshots every student it touches so the import can be rolled back.
+// The file is kept in GridFS, and the rows, changes and entries in RosterImportChunk
+// documents, so a large roster stays well under the document size limit.
+const rosterImportSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['preview', 'queued', 'running', 'applied', 'failed', 'rolledBack'],
+    default: 'preview'
+  },
+  fileName: String,
+  // The uploaded file as it was, in the rosterImports GridFS bucket
+  fileId: mongoose.Schema.Types.ObjectId,
+  // How the file was read, e.g. 'windows-1252' and ';' for an Excel export
+  encoding: String,
+  delimiter: String,
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MealPlan',
+    required: true
+  },
+  // Subscription period for everyone in the sheet
+  startDate: {
+    type: String,
+    required: true
+  },
+  endDate: {
+    type: String,
+    required: true
+  },
+  // Import profile the columns were mapped with; none means the usual header names
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportProfile'
+  },
+  headers: [String],
+  // Header found for each student field, null when the file has none
+  columns: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Profile columns the file does not have, e.g. { field: 'hostel', header: 'Hostel :' }
+  unmatchedColumns: [{
+    _id: false,
+    field: String,
+    header: String
+  }],
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  // Lines the parser skipped, e.g. "Line 7: 9 values, but the header has 8 columns"
+  parseErrors: [String],
+  // Rows that cannot be imported, e.g. "Line 12: Missing required fields"
+  rowErrors: [String],
+  // The lists of students created, updated, reactivated and deactivated are in the chunks
+  changes: {
+    unchanged: {
+      type: Number,
+      default: 0
+    },
+    vendorsToCreate: [String],
+    hostelsToCreate: [String]
+  },
+  // Hash of rowErrors and changes, to tell whether they moved on before applying
+  fingerprint: String,
+  // Entries written so far; a retry carries on from the next chunk
+  progress: {
+    processed: {
+      type: Number,
+      default: 0
+    },
+    chunks: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  // First day the import's vendor changes apply from, fixed on the first run
+  assignmentStart: String,
+  // Rows the worker could not write, e.g. a roll number taken since the preview
+  applyErrors: [{
+    _id: false,
+    line: Number,
+    email: String,
+    message: String
+  }],
+  // Why the job stopped, when it failed
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Held by the worker running the job, which checks in after every chunk
+  lock: String,
+  lockedAt: Date,
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appliedAt: Date,
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rolledBackAt: Date,
+  rollbackResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+rosterImportSchema.index({ createdAt: -1 });
+rosterImportSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('RosterImport', rosterImportSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A student as read from one row of the sheet
+const rosterRowSchema = new mongoose.Schema({
+  // Line in the file (the header is line 1)
+  line: Number,
+  name: String,
+  email: String,
+  rollNumber: String,
+  batch: String,
+  vendor: String,
+  hostel: String,
+  dietaryPreference: String,
+  allergyNotes: String
+}, { _id: false });
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: String,
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const studentChangeSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  line: Number,
+  name: String,
+  email: String,
+  changes: [fieldChangeSchema]
+}, { _id: false });
+
+// How to apply one row, fixed when the admin confirms the preview
+const importEntrySchema = new mongoose.Schema({
+  // Index of the row in the whole sheet
+  row: Number,
+  action: {
+    type: String,
+    enum: ['create', 'update', 'reactivate', 'unchanged']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  // Empty when the import creates the vendor or hostel
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  hostel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hostel'
+  },
+  changes: [fieldChangeSchema]
+}, { _id: false });
+
+// A slice of a roster import: up to CHUNK_SIZE rows (services/rosterImportChunks.js) with
+// the entries for applying them, and a slice of each list of student changes
+const rosterImportChunkSchema = new mongoose.Schema({
+  rosterImport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RosterImport',
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true
+  },
+  rows: [rosterRowSchema],
+  // Set when the import is queued
+  entries: [importEntrySchema],
+  changes: {
+    create: [studentChangeSchema],
+    update: [studentChangeSchema],
+    reactivate: [studentChangeSchema],
+    deactivate: [studentChangeSchema]
+  }
+});
+
+rosterImportChunkSchema.index({ rosterImport: 1, index: 1 }, { unique: true });
+
+module.exports = mongoose.model('RosterImportChunk', rosterImportChunkSchema);
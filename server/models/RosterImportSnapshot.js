@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A student as it was just before a roster import changed it, kept so the import can
+// be rolled back. Written by the import worker before each chunk.
+const rosterImportSnapshotSchema = new mongoose.Schema({
+  rosterImport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RosterImport',
+    required: true
+  },
+  // New students have no id until the import creates them
+  email: {
+    type: String,
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'reactivate', 'unchanged', 'deactivate'],
+    required: true
+  },
+  // Student fields before the import; empty for new students
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Vendor assignments and subscriptions the import could change, as they were
+  vendorAssignments: [mongoose.Schema.Types.Mixed],
+  subscriptions: [mongoose.Schema.Types.Mixed],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+rosterImportSnapshotSchema.index({ rosterImport: 1, email: 1 }, { unique: true });
+
+module.exports = mongoose.model('RosterImportSnapshot', rosterImportSnapshotSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { DIETARY_PREFERENCES } = require('../utils/dietary');
+const { deriveRollNumber } = require('../utils/rollNumber');
 
 const studentSchema = new mongoose.Schema({
   name: {
@@ -19,9 +21,17 @@ const studentSchema = new mongoose.Schema({
       message: 'Email must end with @sst.scaler.com'
     }
   },
+  // Unique per student; taken from the email when not given (see utils/rollNumber)
   rollNumber: {
     type: String,
     required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  // Cohort, e.g. "Batch 2028"
+  batch: {
+    type: String,
     trim: true
   },
   vendor: {
@@ -29,6 +39,10 @@ const studentSchema = new mongoose.Schema({
     ref: 'Vendor',
     required: true
   },
+  hostel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hostel'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -37,6 +51,33 @@ const studentSchema = new mongoose.Schema({
     type: String,
     unique: true
   },
+  // Shown at the counter and totalled per vendor per day for the kitchen
+  dietaryPreference: {
+    type: String,
+    enum: DIETARY_PREFERENCES
+  },
+  allergyNotes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Set by an admin (or automatically by a high-severity fraud flag) to stop further claims
+  claimsBlocked: {
+    type: Boolean,
+    default: false
+  },
+  claimsBlock: {
+    reason: String,
+    flag: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FraudFlag'
+    },
+    blockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    blockedAt: Date
+  },
   lastMealClaimed: {
     date: Date,
     vendor: {
@@ -44,20 +85,6 @@ const studentSchema = new mongoose.Schema({
       ref: 'Vendor'
     }
   },
-  mealHistory: [{
-    date: {
-      type: Date,
-      default: Date.now
-    },
-    vendor: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Vendor'
-    },
-    claimed: {
-      type: Boolean,
-      default: false
-    }
-  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -68,6 +95,13 @@ const studentSchema = new mongoose.Schema({
   }
 });
 
+studentSchema.pre('validate', function(next) {
+  if (!this.rollNumber) {
+    this.rollNumber = deriveRollNumber(this.email);
+  }
+  next();
+});
+
 // Update the updatedAt field before saving
 studentSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -84,5 +118,7 @@ studentSchema.pre('save', function(next) {
 
 // Index for faster queries
 studentSchema.index({ vendor: 1, isActive: 1 });
+studentSchema.index({ hostel: 1, isActive: 1 });
+studentSchema.index({ batch: 1, isActive: 1 });
 
 module.exports = mongoose.model('Student', studentSchema);
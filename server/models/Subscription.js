@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A student's entitlement to meals from a vendor under a plan, for a range of
+// service dates (YYYY-MM-DD, both inclusive)
+const subscriptionSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MealPlan',
+    required: true
+  },
+  startDate: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  endDate: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  source: {
+    type: String,
+    enum: ['csv', 'manual', 'migration'],
+    default: 'manual'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelReason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+subscriptionSchema.index({ student: 1, status: 1, startDate: 1, endDate: 1 });
+subscriptionSchema.index({ vendor: 1, status: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// An offline claim that could not be applied when the vendor device synced,
+// e.g. because the student had meanwhile claimed the same meal at another counter
+const syncConflictSchema = new mongoose.Schema({
+  clientClaimId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  operator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  mealType: {
+    type: String,
+    enum: ['breakfast', 'lunch', 'dinner']
+  },
+  serviceDate: {
+    type: String
+  },
+  claimedAt: {
+    type: Date
+  },
+  // The claim that already existed on the server, if any
+  existingMealRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MealRecord'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    type: String,
+    trim: true
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+syncConflictSchema.index({ status: 1, createdAt: -1 });
+syncConflictSchema.index({ vendor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SyncConflict', syncConflictSchema);
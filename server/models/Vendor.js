@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_SERVICE_WINDOWS } = require('../utils/serviceWindows');
 
 const vendorSchema = new mongoose.Schema({
   name: {
@@ -21,10 +22,50 @@ const vendorSchema = new mongoose.Schema({
     email: String,
     address: String
   },
+  // Hostels whose residents this vendor serves
+  hostels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hostel'
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  settings: {
+    // Accept the old static qrCode UUIDs while students move to signed QR tokens
+    allowLegacyQr: {
+      type: Boolean,
+      default: true
+    },
+    // How long after a claim vendor staff may still void it (admins can void anytime)
+    voidGraceMinutes: {
+      type: Number,
+      default: 15,
+      min: 0
+    },
+    // Times of day (HH:MM, 24h) during which each meal is served
+    serviceWindows: {
+      type: [{
+        _id: false,
+        mealType: {
+          type: String,
+          enum: ['breakfast', 'lunch', 'dinner'],
+          required: true
+        },
+        start: {
+          type: String,
+          required: true,
+          match: /^([01]\d|2[0-3]):[0-5]\d$/
+        },
+        end: {
+          type: String,
+          required: true,
+          match: /^([01]\d|2[0-3]):[0-5]\d$/
+        }
+      }],
+      default: () => DEFAULT_SERVICE_WINDOWS.map(window => ({ ...window }))
+    }
+  },
   totalStudents: {
     type: Number,
     default: 0
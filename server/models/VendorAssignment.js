@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Which vendor a student belongs to over a range of service dates (YYYY-MM-DD,
+// both inclusive). The open assignment (no endDate) is the current one and is
+// mirrored on Student.vendor once its startDate arrives.
+const vendorAssignmentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  startDate: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  endDate: {
+    type: String,
+    default: null,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  source: {
+    type: String,
+    enum: ['csv', 'admin', 'request', 'migration'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When Student.vendor was switched to this assignment; unset while it starts in the future
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+vendorAssignmentSchema.index({ student: 1, startDate: -1 });
+vendorAssignmentSchema.index({ vendor: 1, startDate: 1 });
+vendorAssignmentSchema.index({ appliedAt: 1, startDate: 1 });
+
+module.exports = mongoose.model('VendorAssignment', vendorAssignmentSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Precomputed meal counts per vendor, written by the stats rollup
+// (services/vendorStats.js) so dashboards do not aggregate MealRecord on every load.
+// mealType 'all' rows hold the vendor's totals, including unique students, which
+// cannot be added up from the per-meal rows.
+const vendorStatSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['day', 'month'],
+    required: true
+  },
+  // YYYY-MM-DD for days, YYYY-MM for months
+  periodKey: {
+    type: String,
+    required: true
+  },
+  mealType: {
+    type: String,
+    enum: ['breakfast', 'lunch', 'dinner', 'all'],
+    required: true
+  },
+  // Claimed and not voided
+  meals: {
+    type: Number,
+    default: 0
+  },
+  voided: {
+    type: Number,
+    default: 0
+  },
+  uniqueStudents: {
+    type: Number,
+    default: 0
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+vendorStatSchema.index({ vendor: 1, period: 1, periodKey: 1, mealType: 1 }, { unique: true });
+vendorStatSchema.index({ period: 1, periodKey: 1 });
+
+module.exports = mongoose.model('VendorStat', vendorStatSchema);
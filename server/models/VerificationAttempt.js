@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Every scan at a vendor counter, successful or not. Identifiers are stored
+// hashed so roll numbers, emails and QR codes are not kept in plain text.
+const verificationAttemptSchema = new mongoose.Schema({
+  identifierHash: {
+    type: String,
+    required: true
+  },
+  identifierType: {
+    type: String,
+    enum: ['token', 'legacy_qr', 'roll_number', 'email', 'unknown'],
+    default: 'unknown'
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  operator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // VERIFIED, or the error code returned to the counter (ALREADY_CLAIMED, VENDOR_MISMATCH, ...)
+  outcome: {
+    type: String,
+    required: true
+  },
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  mealType: {
+    type: String,
+    enum: ['breakfast', 'lunch', 'dinner']
+  },
+  source: {
+    type: String,
+    enum: ['online', 'offline'],
+    default: 'online'
+  },
+  // When the code was scanned; earlier than createdAt for claims synced from offline counters
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+verificationAttemptSchema.index({ createdAt: -1 });
+verificationAttemptSchema.index({ outcome: 1, createdAt: -1 });
+verificationAttemptSchema.index({ vendor: 1, createdAt: -1 });
+verificationAttemptSchema.index({ student: 1, scannedAt: -1 });
+verificationAttemptSchema.index({ operator: 1, scannedAt: -1 });
+verificationAttemptSchema.index({ identifierHash: 1, createdAt: -1 });
+
+module.exports = mongoose.model('VerificationAttempt', verificationAttemptSchema);
@@ -1,15 +1,38 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
-const csv = require('csv-parser');
-const fs = require('fs');
-const path = require('path');
+const { pipeline } = require('stream/promises');
 const Student = require('../models/Student');
 const Vendor = require('../models/Vendor');
 const MealRecord = require('../models/MealRecord');
-const { auth, requireAdmin } = require('../middleware/auth');
+const SyncConflict = require('../models/SyncConflict');
+const VerificationAttempt = require('../models/VerificationAttempt');
+const FraudFlag = require('../models/FraudFlag');
+const MealPlan = require('../models/MealPlan');
+const AuditLog = require('../models/AuditLog');
+const VendorStat = require('../models/VendorStat');
+const Hostel = require('../models/Hostel');
+const RosterImport = require('../models/RosterImport');
+const ImportProfile = require('../models/ImportProfile');
+const { hashIdentifier } = require('../services/verificationAttempts');
+const { getMealsByStudentField } = require('../services/mealStats');
+const { blockStudentClaims, unblockStudentClaims } = require('../services/fraudRules');
+const { getDefaultPlan } = require('../services/subscriptions');
+const { assignVendor } = require('../services/vendorAssignments');
+const { getLastRollupAt } = require('../services/vendorStats');
+const { runStatsRollup } = require('../services/statsScheduler');
+const { previewRosterImport, queueRosterImport, retryRosterImport, rollbackRosterImport } = require('../services/rosterImports');
+const { runImportWorker } = require('../services/importWorker');
+const { loadChanges, openImportFile } = require('../services/rosterImportChunks');
+const { getDayRange, getTimezone, isServiceDate, getMonthServiceDates, toServiceDate, addServiceDays } = require('../utils/date');
+const { auth } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
 
 const router = express.Router();
 
+// Longest range the hostel meals report covers in one request
+const MAX_REPORT_DAYS = 366;
+
 // Configure multer for CSV upload (using memory storage for Vercel)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -25,491 +48,253 @@ const upload = multer({
   }
 });
 
-// Upload and process CSV
-router.post('/upload-csv', auth, requireAdmin, upload.single('csvFile'), async (req, res) => {
-  const mongoose = require('mongoose');
-  const session = await mongoose.startSession();
-  
+// A roster import as sent to the admin panel: its changes in full, without the worker's bookkeeping
+const importResponse = async (rosterImport) => {
+  await rosterImport.populate([
+    { path: 'plan', select: 'name' },
+    { path: 'profile', select: 'name' },
+    { path: 'createdBy', select: 'name' },
+    { path: 'appliedBy', select: 'name' },
+    { path: 'rolledBackBy', select: 'name' }
+  ]);
+  const { fileId, lock, lockedAt, ...rest } = rosterImport.toObject();
+  return { ...rest, changes: await loadChanges(rosterImport._id, rest.changes) };
+};
+
+// Upload a CSV roster and preview the changes it would make. Nothing is written to
+// students or vendors until the preview is applied.
+router.post('/upload-csv', auth, authorize('student', 'import'), upload.single('csvFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No CSV file uploaded' });
     }
 
-    const results = [];
-    const errors = [];
+    // Subscription period for everyone in the sheet; defaults to the current month
+    const period = getMonthServiceDates();
+    const startDate = req.body.startDate || period.startDate;
+    const endDate = req.body.endDate || period.endDate;
 
-    // Parse CSV file from memory buffer using proper CSV parsing
-    const csvData = req.file.buffer.toString('utf8');
-    const lines = csvData.split('\n').filter(line => line.trim());
-    
-    if (lines.length === 0) {
-      return res.status(400).json({ message: 'CSV file is empty' });
+    if (!isServiceDate(startDate) || !isServiceDate(endDate) || startDate > endDate) {
+      return res.status(400).json({ message: 'Start and end dates must be YYYY-MM-DD with the start on or before the end' });
     }
-    
-    // Parse header row with proper CSV parsing
-    const parseCSVLine = (line) => {
-      const result = [];
-      let current = '';
-      let inQuotes = false;
-      
-      for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        
-        if (char === '"') {
-          inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-          result.push(current.trim());
-          current = '';
-        } else {
-          current += char;
-        }
-      }
-      
-      result.push(current.trim());
-      return result;
-    };
-    
-    const headers = parseCSVLine(lines[0]);
-    console.log('📋 CSV Headers:', headers);
-    
-    // Parse data rows
-    for (let i = 1; i < lines.length; i++) {
-      const values = parseCSVLine(lines[i]);
-      const row = {};
-      
-      headers.forEach((header, index) => {
-        row[header] = values[index] || '';
-      });
-      
-      results.push(row);
+
+    const plan = req.body.planId
+      ? await MealPlan.findOne({ _id: mongoose.Types.ObjectId.isValid(req.body.planId) ? req.body.planId : null, isActive: true })
+      : await getDefaultPlan();
+
+    if (!plan) {
+      return res.status(404).json({ message: 'Meal plan not found' });
     }
-    
-    console.log(`📊 Parsed ${results.length} rows from CSV`);
-    console.log('📋 Sample parsed data:', results.slice(0, 2));
-    
-    // Debug: Check CSV parsing results
-    console.log('🔍 CSV Parsing Debug:');
-    console.log('- Total rows parsed:', results.length);
-    console.log('- First row keys:', Object.keys(results[0] || {}));
-    console.log('- Sample emails found:', results.map(r => r['Email Address']).slice(0, 5));
-    console.log('- All emails valid:', results.every(r => r['Email Address'] && r['Email Address'].includes('@')));
-
-    // Start transaction
-    await session.startTransaction();
-    console.log(`🔄 Transaction started - Session ID: ${session.id}`);
-    
-    // Test database connection
-    const connectionTest = await Student.countDocuments({}).session(session);
-    console.log(`🔍 Database connection test - Total students in DB: ${connectionTest}`);
-
-    // Process in batches to avoid timeout
-    const BATCH_SIZE = 20;
-    const processedStudents = [];
-    const vendors = await Vendor.find({ isActive: true }).session(session);
-    const vendorMap = new Map();
-    
-    // Create multiple mappings for each vendor (with and without spaces, different cases)
-    vendors.forEach(vendor => {
-      const cleanName = vendor.name.trim().toLowerCase();
-      vendorMap.set(cleanName, vendor._id);
-      // Also add without spaces for "Uniworld " -> "Uniworld" matching
-      vendorMap.set(cleanName.replace(/\s+/g, ''), vendor._id);
+
+    const profile = req.body.profileId
+      ? await ImportProfile.findById(mongoose.Types.ObjectId.isValid(req.body.profileId) ? req.body.profileId : null)
+      : null;
+
+    if (req.body.profileId && !profile) {
+      return res.status(404).json({ message: 'Import profile not found' });
+    }
+
+    const { rosterImport, error } = await previewRosterImport({
+      file: req.file,
+      plan,
+      profile,
+      startDate,
+      endDate,
+      user: req.user
     });
 
-    console.log(`📊 Processing ${results.length} rows from CSV in batches of ${BATCH_SIZE}`);
-    console.log('Available vendors:', vendors.map(v => v.name));
-    console.log('📋 CSV Headers detected:', headers);
+    if (error) {
+      const { status, ...details } = error;
+      return res.status(status).json(details);
+    }
 
-    // Process all records in a single transaction to ensure consistency
-    console.log(`🔄 Processing ${results.length} rows in single transaction`);
-    
-    // Add progress logging for large files
-    const progressInterval = results.length > 20 ? Math.floor(results.length / 10) : results.length;
-    
-    for (let i = 0; i < results.length; i++) {
-      // Log progress for large files
-      if (i > 0 && i % progressInterval === 0) {
-        console.log(`📊 Progress: ${i}/${results.length} rows processed (${Math.round((i/results.length)*100)}%)`);
-      }
-      const row = results[i];
-      
-      try {
-        console.log(`📝 Processing row ${i + 1}:`, row);
-        
-        // Map your headers to expected fields - try multiple variations
-        const possibleNameHeaders = ['Full Name', 'Name', 'name', 'full_name', 'FullName'];
-        const possibleEmailHeaders = ['Email Address', 'Email', 'email', 'EmailAddress', 'email_address'];
-        const possibleBatchHeaders = ['Batch', 'batch', 'Roll Number', 'roll_number', 'RollNumber'];
-        const possibleVendorHeaders = ['Vendor', 'vendor', 'Vendor Name', 'vendor_name'];
-        const possibleLocationHeaders = ['Hostel :', 'Hostel', 'hostel', 'Location', 'location'];
-        
-        const findHeader = (possibleHeaders) => {
-          for (const header of possibleHeaders) {
-            if (headers.includes(header)) {
-              return header;
-            }
-          }
-          return possibleHeaders[0]; // fallback to first option
-        };
-        
-        const studentData = {
-          name: row[findHeader(possibleNameHeaders)],
-          email: row[findHeader(possibleEmailHeaders)],
-          rollNumber: row[findHeader(possibleBatchHeaders)],
-          vendor: row[findHeader(possibleVendorHeaders)],
-          vendorLocation: row[findHeader(possibleLocationHeaders)]
-        };
-        
-        console.log(`📋 Mapped data:`, studentData);
+    res.status(201).json({ import: await importResponse(rosterImport) });
+  } catch (error) {
+    console.error('CSV upload error:', error);
+    res.status(500).json({ message: 'Server error during CSV processing' });
+  }
+});
 
-        // Validate required fields
-        if (!studentData.name || !studentData.email || !studentData.rollNumber || !studentData.vendor) {
-          errors.push(`Row ${i + 2}: Missing required fields`);
-          continue;
-        }
+// Past roster imports, newest first, without their rows or changes
+router.get('/imports', auth, authorize('rosterImport', 'list'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
 
-        // Validate email domain
-        if (!studentData.email.endsWith('@sst.scaler.com')) {
-          errors.push(`Row ${i + 2}: Invalid email domain for ${studentData.email}`);
-          continue;
-        }
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
 
-        // Find or create vendor (trim whitespace for matching)
-        const cleanVendorName = studentData.vendor.trim();
-        let vendorId = vendorMap.get(cleanVendorName.toLowerCase());
-        
-        if (i < 3) { // Debug first 3 rows
-          console.log(`Row ${i + 1}: ${studentData.name} -> Vendor: "${studentData.vendor}" -> Clean: "${cleanVendorName}" -> Found: ${!!vendorId}`);
-        }
-        
-        if (!vendorId) {
-          // Try to find vendor by partial name match (case insensitive)
-          const existingVendor = await Vendor.findOne({
-            name: { $regex: new RegExp(cleanVendorName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') }
-          }).session(session);
-          
-          if (existingVendor) {
-            vendorId = existingVendor._id;
-            vendorMap.set(cleanVendorName.toLowerCase(), vendorId);
-            console.log(`✅ Found existing vendor by partial match: ${existingVendor.name}`);
-          } else {
-            const newVendor = new Vendor({
-              name: cleanVendorName,
-              location: studentData.vendorLocation || 'TBD',
-              description: `Auto-created from CSV import`
-            });
-            await newVendor.save({ session });
-            vendorId = newVendor._id;
-            vendorMap.set(cleanVendorName.toLowerCase(), vendorId);
-            console.log(`Created new vendor: ${cleanVendorName}`);
-          }
-        }
-        
-        // CRITICAL: Verify vendorId is valid
-        if (!vendorId) {
-          console.log(`❌ CRITICAL ERROR: No vendor ID found for student ${studentData.name}!`);
-          errors.push(`Row ${i + 2}: No vendor found for ${studentData.vendor}`);
-          continue;
-        }
-        
-        console.log(`🔍 DEBUG: Vendor ID for ${studentData.name}: ${vendorId}`);
-
-        // Check if student exists
-        let student = await Student.findOne({ 
-          $or: [
-            { email: studentData.email },
-            { rollNumber: studentData.rollNumber }
-          ]
-        }).session(session);
-
-        if (student) {
-          // Update existing student
-          console.log(`🔄 Updating existing student: ${student.name} (${student.email})`);
-          console.log(`   - Current isActive: ${student.isActive}`);
-          console.log(`   - Setting isActive to: true`);
-          
-          student.name = studentData.name;
-          student.rollNumber = studentData.rollNumber;
-          student.vendor = vendorId;
-          student.vendorLocation = studentData.vendorLocation || 'TBD';
-          student.isActive = true;
-          student.updatedAt = new Date();
-          
-          const savedStudent = await student.save({ session });
-          console.log(`✅ Updated student: ${savedStudent.name} - isActive: ${savedStudent.isActive}`);
-          
-          // CRITICAL: Verify the student is actually active in database
-          const verifyStudent = await Student.findById(savedStudent._id).session(session);
-          console.log(`🔍 VERIFICATION: Student ${verifyStudent.name} - isActive: ${verifyStudent.isActive}`);
-          
-          if (!verifyStudent.isActive) {
-            console.log(`❌ CRITICAL ERROR: Student ${verifyStudent.name} is NOT active after save!`);
-          }
-        } else {
-          // Create new student
-          console.log(`🆕 Creating new student: ${studentData.name} (${studentData.email})`);
-          
-          student = new Student({
-            name: studentData.name,
-            email: studentData.email,
-            rollNumber: studentData.rollNumber,
-            vendor: vendorId,
-            vendorLocation: studentData.vendorLocation || 'TBD',
-            isActive: true
-          });
-          
-          // DEBUG: Check student object before save
-          console.log(`🔍 DEBUG: Student object before save:`, {
-            name: student.name,
-            email: student.email,
-            isActive: student.isActive,
-            vendor: student.vendor
-          });
-          
-          const savedStudent = await student.save({ session });
-          console.log(`✅ Created student: ${savedStudent.name} - isActive: ${savedStudent.isActive}`);
-          
-          // CRITICAL: Verify the student is actually active in database
-          const verifyStudent = await Student.findById(savedStudent._id).session(session);
-          console.log(`🔍 VERIFICATION: Student ${verifyStudent.name} - isActive: ${verifyStudent.isActive}`);
-          
-          if (!verifyStudent.isActive) {
-            console.log(`❌ CRITICAL ERROR: Student ${verifyStudent.name} is NOT active after save!`);
-            console.log(`🔍 DEBUG: Full student object:`, verifyStudent);
-          }
-        }
+    const imports = await RosterImport.find(query)
+      .select('fileName status plan profile startDate endDate totalRows progress result rollbackResult createdBy appliedBy rolledBackBy createdAt appliedAt rolledBackAt')
+      .populate('plan', 'name')
+      .populate('profile', 'name')
+      .populate('createdBy', 'name')
+      .populate('appliedBy', 'name')
+      .populate('rolledBackBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
 
-        processedStudents.push({
-          name: student.name,
-          email: student.email,
-          rollNumber: student.rollNumber,
-          vendor: row.vendor,
-          status: 'processed'
-        });
+    const total = await RosterImport.countDocuments(query);
 
-      } catch (error) {
-        console.error(`❌ Error processing row ${i + 1}:`, error);
-        errors.push(`Row ${i + 2}: ${error.message}`);
-      }
+    res.json({
+      imports,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a roster import with its changes, or how far applying it has got
+router.get('/imports/:id', auth, authorize('student', 'import'), async (req, res) => {
+  try {
+    const rosterImport = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await RosterImport.findById(req.params.id)
+      : null;
+
+    if (!rosterImport) {
+      return res.status(404).json({ message: 'Import not found' });
     }
-    
-    console.log(`✅ All ${results.length} rows processed in single transaction`);
 
-    // Deactivate students not in the CSV
-    console.log('🔍 Email Extraction Debug:');
-    console.log('- Available headers:', headers);
-    console.log('- Sample row keys:', Object.keys(results[0] || {}));
-    console.log('- Sample row data:', results[0]);
-    
-    // Try multiple possible email header variations
-    const possibleEmailHeaders = ['Email Address', 'Email', 'email', 'EmailAddress', 'email_address'];
-    let emailHeader = null;
-    
-    for (const header of possibleEmailHeaders) {
-      if (headers.includes(header)) {
-        emailHeader = header;
-        console.log(`✅ Found email header: "${header}"`);
-        break;
-      }
+    // Polling wakes the worker, in case no schedule is running on this instance
+    if (['queued', 'running'].includes(rosterImport.status)) {
+      runImportWorker();
     }
-    
-    if (!emailHeader) {
-      console.log('❌ No email header found! Available headers:', headers);
-      console.log('⚠️ Skipping deactivation logic to prevent data loss');
+
+    res.json({ import: await importResponse(rosterImport) });
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Apply a previewed roster import exactly as previewed. The rows are written in the
+// background; poll the import for progress.
+router.post('/imports/:id/apply', auth, authorize('student', 'import'), async (req, res) => {
+  try {
+    const rosterImport = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await RosterImport.findById(req.params.id)
+      : null;
+
+    if (!rosterImport) {
+      return res.status(404).json({ message: 'Import not found' });
     }
-    
-    const csvEmails = emailHeader ? results.map(row => {
-      const email = row[emailHeader];
-      return email ? email.trim() : null;
-    }).filter(Boolean) : [];
-    
-    console.log(`📧 CSV emails to keep active:`, csvEmails.slice(0, 5));
-    console.log(`📊 Total emails found in CSV: ${csvEmails.length}`);
-    
-    if (csvEmails.length === 0) {
-      console.log('⚠️ CRITICAL: No emails found in CSV - skipping deactivation to prevent data loss!');
-      console.log('📋 Available row keys:', Object.keys(results[0] || {}));
-      console.log('📋 Sample row data:', results[0]);
-    } else {
-      console.log('✅ Email extraction working - students in CSV will be kept active');
+
+    const { rosterImport: queued, error } = await queueRosterImport({ rosterImport, user: req.user });
+
+    if (error) {
+      return res.status(error.status).json({
+        message: error.message,
+        code: error.code,
+        import: error.rosterImport ? await importResponse(error.rosterImport) : undefined
+      });
     }
-    
-    // NOTE: Deactivation moved to AFTER transaction commit to prevent conflicts
-
-    // Clean up any students with invalid vendor references
-    try {
-      const invalidStudents = await Student.find({
-        vendor: { $type: 'string' }
-      }).session(session);
-      
-      if (invalidStudents.length > 0) {
-        console.log(`Found ${invalidStudents.length} students with invalid vendor references, cleaning up...`);
-        
-        for (const student of invalidStudents) {
-          // Find the correct vendor by name
-          const vendor = await Vendor.findOne({ 
-            name: { $regex: student.vendor, $options: 'i' } 
-          }).session(session);
-          
-          if (vendor) {
-            student.vendor = vendor._id;
-            await student.save({ session });
-            console.log(`Fixed vendor reference for student: ${student.name}`);
-          } else {
-            console.log(`Could not find vendor for student: ${student.name}, vendor: ${student.vendor}`);
-          }
-        }
-      }
-    } catch (cleanupError) {
-      console.error('Error during cleanup:', cleanupError);
+
+    runImportWorker();
+
+    res.status(202).json({
+      message: 'Import started',
+      import: await importResponse(queued)
+    });
+  } catch (error) {
+    console.error('Apply import error:', error);
+    res.status(500).json({ message: 'Server error while applying the import' });
+  }
+});
+
+// Retry a failed import from the last chunk it saved
+router.post('/imports/:id/retry', auth, authorize('student', 'import'), async (req, res) => {
+  try {
+    const rosterImport = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await RosterImport.findById(req.params.id)
+      : null;
+
+    if (!rosterImport) {
+      return res.status(404).json({ message: 'Import not found' });
     }
 
-    // Commit final transaction
-    await session.commitTransaction();
-    console.log(`✅ Transaction committed successfully`);
+    const { rosterImport: queued, error } = await retryRosterImport({ rosterImport });
 
-    // Wait a moment for database to be consistent
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // CRITICAL: Immediately check database state after commit
-    console.log(`🔍 CRITICAL CHECK: Database state immediately after commit`);
-    
-    // Force database refresh by ending session
-    await session.endSession();
-    console.log(`🔄 Session ended, checking database without session`);
-    
-    const immediateActiveCount = await Student.countDocuments({ isActive: true });
-    console.log(`   - Immediate active count: ${immediateActiveCount}`);
-    
-    // NOW perform deactivation AFTER transaction commit
-    let deactivateResult = { modifiedCount: 0 };
-    
-    if (csvEmails.length > 0) {
-      console.log(`🔍 Deactivation Debug (AFTER commit):`);
-      console.log(`   - CSV emails count: ${csvEmails.length}`);
-      console.log(`   - Sample CSV emails: ${csvEmails.slice(0, 3)}`);
-      
-      // Check current active students before deactivation
-      const activeStudentsBeforeDeactivation = await Student.countDocuments({ isActive: true });
-      console.log(`   - Active students before deactivation: ${activeStudentsBeforeDeactivation}`);
-      
-      // Check how many students will be deactivated
-      const studentsToDeactivate = await Student.countDocuments({
-        email: { $nin: csvEmails },
-        isActive: true
-      });
-      console.log(`   - Students that will be deactivated: ${studentsToDeactivate}`);
-      
-      deactivateResult = await Student.updateMany(
-        { 
-          email: { $nin: csvEmails },
-          isActive: true 
-        },
-        { 
-          isActive: false,
-          updatedAt: new Date()
-        }
-      );
-      
-      console.log(`❌ Deactivated ${deactivateResult.modifiedCount} students not in CSV`);
-      
-      // Verify deactivation worked
-      const activeStudentsAfterDeactivation = await Student.countDocuments({ isActive: true });
-      console.log(`   - Active students after deactivation: ${activeStudentsAfterDeactivation}`);
-      
-      if (deactivateResult.modifiedCount !== studentsToDeactivate) {
-        console.log(`⚠️ WARNING: Expected to deactivate ${studentsToDeactivate}, but deactivated ${deactivateResult.modifiedCount}`);
-      }
-    } else {
-      console.log('⚠️ Skipping deactivation - no valid emails found in CSV');
+    if (error) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
     }
-    
-    // Check if our processed students are actually in the database
-    const processedEmails = processedStudents.map(s => s.email);
-    const immediateProcessedCount = await Student.countDocuments({
-      email: { $in: processedEmails },
-      isActive: true
+
+    runImportWorker();
+
+    res.status(202).json({
+      message: 'Import restarted',
+      import: await importResponse(queued)
     });
-    console.log(`   - Immediate processed students active: ${immediateProcessedCount}/${processedStudents.length}`);
-    
-    if (immediateProcessedCount !== processedStudents.length) {
-      console.log(`❌ CRITICAL ISSUE: Not all processed students are active immediately after commit!`);
-      
-      // Check what happened to the missing students
-      const missingStudents = await Student.find({
-        email: { $in: processedEmails },
-        isActive: false
-      }).select('name email isActive createdAt updatedAt');
-      
-      console.log(`❌ Missing students (inactive):`, missingStudents.map(s => 
-        `${s.name} (${s.email}) - Created: ${s.createdAt}, Updated: ${s.updatedAt}`
-      ));
-    }
-
-    // Get final counts
-    const totalActiveStudents = await Student.countDocuments({ isActive: true });
-    const totalInactiveStudents = await Student.countDocuments({ isActive: false });
-    const activeProcessedStudents = await Student.countDocuments({
-      email: { $in: processedEmails },
-      isActive: true
+  } catch (error) {
+    console.error('Retry import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download the file a roster import was read from
+router.get('/imports/:id/file', auth, authorize('rosterImport', 'list'), async (req, res) => {
+  try {
+    const rosterImport = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await RosterImport.findById(req.params.id).select('fileName fileId')
+      : null;
+
+    if (!rosterImport?.fileId) {
+      return res.status(404).json({ message: 'Import file not found' });
+    }
+
+    const download = openImportFile(rosterImport.fileId);
+    download.once('file', () => {
+      res.attachment(rosterImport.fileName || 'roster.csv');
+      res.type('text/csv');
     });
-    
-    // Additional verification: Check specific students
-    const sampleProcessedStudents = processedStudents.slice(0, 5);
-    console.log(`🔍 Verification - Sample processed students:`);
-    for (const student of sampleProcessedStudents) {
-      const dbStudent = await Student.findOne({ email: student.email });
-      console.log(`- ${student.name} (${student.email}): Active=${dbStudent?.isActive}, Vendor=${dbStudent?.vendor}`);
+    await pipeline(download, res);
+  } catch (error) {
+    console.error('Download import file error:', error);
+    if (res.headersSent) {
+      return res.end();
     }
-    
-    console.log(`✅ CSV Processing Complete:`);
-    console.log(`- Total CSV rows: ${results.length}`);
-    console.log(`- Processed students: ${processedStudents.length}`);
-    console.log(`- Processed students that are active: ${activeProcessedStudents}`);
-    console.log(`- Errors: ${errors.length}`);
-    console.log(`- Total active students: ${totalActiveStudents}`);
-    console.log(`- Total inactive students: ${totalInactiveStudents}`);
-    
-    if (activeProcessedStudents !== processedStudents.length) {
-      console.log(`⚠️ WARNING: Not all processed students are active! Expected ${processedStudents.length}, found ${activeProcessedStudents}`);
-      
-      // Find which students are not active
-      const inactiveProcessedStudents = await Student.find({
-        email: { $in: processedEmails },
-        isActive: false
-      }).select('name email isActive');
-      
-      console.log(`❌ Inactive processed students:`, inactiveProcessedStudents.map(s => `${s.name} (${s.email})`));
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Undo a roster import, restoring the students it touched as they were before it
+router.post('/imports/:id/rollback', auth, authorize('rosterImport', 'rollback'), async (req, res) => {
+  try {
+    const rosterImport = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await RosterImport.findById(req.params.id)
+      : null;
+
+    if (!rosterImport) {
+      return res.status(404).json({ message: 'Import not found' });
     }
 
-    res.json({
-      message: 'CSV processed successfully',
-      totalRows: results.length,
-      processed: processedStudents.length,
-      errors: errors.length,
-      totalActiveStudents: totalActiveStudents,
-      totalInactiveStudents: totalInactiveStudents,
-      deactivatedCount: deactivateResult.modifiedCount,
-      processedStudents: processedStudents.slice(0, 10), // Return first 10 for preview
-      errorDetails: errors.slice(0, 10) // Return first 10 errors
+    const { rosterImport: rolledBack, error } = await rollbackRosterImport({
+      rosterImport,
+      user: req.user,
+      reason: req.body.reason
     });
 
-  } catch (error) {
-    console.error('CSV upload error:', error);
-    await session.abortTransaction();
-    await session.endSession();
-    res.status(500).json({ message: 'Server error during CSV processing' });
-  } finally {
-    // Session is already ended in the main flow, only end if not already ended
-    if (session.inTransaction()) {
-      await session.abortTransaction();
-      await session.endSession();
+    if (error) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
     }
+
+    res.json({
+      message: 'Import rolled back',
+      import: await importResponse(rolledBack)
+    });
+  } catch (error) {
+    console.error('Rollback import error:', error);
+    res.status(500).json({ message: 'Server error while rolling back the import' });
   }
 });
 
 // Clean up invalid vendor references
-router.post('/cleanup-vendors', auth, requireAdmin, async (req, res) => {
+router.post('/cleanup-vendors', auth, authorize('student', 'cleanup'), async (req, res) => {
   try {
     const invalidStudents = await Student.find({
       vendor: { $type: 'string' }
@@ -531,8 +316,13 @@ router.post('/cleanup-vendors', auth, requireAdmin, async (req, res) => {
         });
         
         if (vendor) {
-          student.vendor = vendor._id;
-          await student.save();
+          await assignVendor({
+            studentId: student._id,
+            vendorId: vendor._id,
+            source: 'admin',
+            reason: 'Fixed invalid vendor reference',
+            user: req.user
+          });
           fixed++;
           console.log(`✅ Fixed student: ${student.name}, vendor: ${student.vendor} -> ${vendor.name}`);
         } else {
@@ -562,8 +352,13 @@ router.post('/cleanup-vendors', auth, requireAdmin, async (req, res) => {
         // Assign to first available vendor as default
         const defaultVendor = await Vendor.findOne();
         if (defaultVendor) {
-          student.vendor = defaultVendor._id;
-          await student.save();
+          await assignVendor({
+            studentId: student._id,
+            vendorId: defaultVendor._id,
+            source: 'admin',
+            reason: 'Assigned default vendor',
+            user: req.user
+          });
           fixed++;
           console.log(`✅ Assigned default vendor to student: ${student.name}`);
         }
@@ -588,15 +383,18 @@ router.post('/cleanup-vendors', auth, requireAdmin, async (req, res) => {
 });
 
 // Export students data
-router.get('/export-students', auth, requireAdmin, async (req, res) => {
+router.get('/export-students', auth, authorize('student', 'export'), async (req, res) => {
   try {
-    const { vendor, active = 'true' } = req.query;
+    const { vendor, hostel, batch, active = 'true' } = req.query;
     
     const query = { isActive: active === 'true' };
     if (vendor) query.vendor = vendor;
+    if (hostel) query.hostel = hostel === 'none' ? null : hostel;
+    if (batch) query.batch = batch === 'none' ? null : batch;
 
     const students = await Student.find(query)
       .populate('vendor', 'name location')
+      .populate('hostel', 'name')
       .sort({ name: 1 });
 
     // Convert to CSV format
@@ -604,9 +402,13 @@ router.get('/export-students', auth, requireAdmin, async (req, res) => {
       name: student.name,
       email: student.email,
       rollNumber: student.rollNumber,
+      batch: student.batch || '',
       vendor: student.vendor.name,
+      hostel: student.hostel?.name || '',
       qrCode: student.qrCode,
       isActive: student.isActive,
+      dietaryPreference: student.dietaryPreference || '',
+      allergyNotes: student.allergyNotes || '',
       lastMealClaimed: student.lastMealClaimed?.date || '',
       createdAt: student.createdAt
     }));
@@ -624,25 +426,43 @@ router.get('/export-students', auth, requireAdmin, async (req, res) => {
 });
 
 // Get system statistics
-router.get('/stats', auth, requireAdmin, async (req, res) => {
+router.get('/stats', auth, authorize('report', 'read'), async (req, res) => {
   try {
     const totalStudents = await Student.countDocuments({ isActive: true });
     const totalVendors = await Vendor.countDocuments({ isActive: true });
     
     // Get today's verifications (meal records claimed today)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const { from: today, to: tomorrow } = getDayRange();
     
     const todaysVerifications = await MealRecord.countDocuments({
       claimed: true,
+      voided: { $ne: true },
       claimedAt: {
         $gte: today,
         $lt: tomorrow
       }
     });
+
+    // Get meals voided today and the most recent voids for review
+    const todaysVoids = await MealRecord.countDocuments({
+      voided: true,
+      voidedAt: {
+        $gte: today,
+        $lt: tomorrow
+      }
+    });
+
+    const recentVoids = await MealRecord.find({ voided: true })
+      .sort({ voidedAt: -1 })
+      .limit(10)
+      .populate('student', 'name rollNumber')
+      .populate('vendor', 'name')
+      .populate('voidedBy', 'name role')
+      .select('student vendor mealType serviceDate claimedAt voidedAt voidedBy voidReason');
     
+    const openFraudFlags = await FraudFlag.countDocuments({ status: 'open' });
+    const blockedStudents = await Student.countDocuments({ claimsBlocked: true });
+
     // Get active students (students who have claimed meals recently)
     const activeStudents = await Student.countDocuments({
       isActive: true,
@@ -660,6 +480,38 @@ router.get('/stats', auth, requireAdmin, async (req, res) => {
       { $project: { vendorName: '$vendor.name', count: 1 } }
     ]);
 
+    // Get students by hostel (null for students not linked to one yet)
+    const studentsByHostel = await Student.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$hostel', count: { $sum: 1 } } },
+      { $lookup: { from: 'hostels', localField: '_id', foreignField: '_id', as: 'hostel' } },
+      { $project: { hostelName: { $ifNull: [{ $arrayElemAt: ['$hostel.name', 0] }, null] }, count: 1 } },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Get students by batch (null for students without one)
+    const studentsByBatch = await Student.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: { $ifNull: ['$batch', null] }, count: { $sum: 1 } } },
+      { $project: { _id: 0, batch: '$_id', count: 1 } },
+      { $sort: { batch: -1 } }
+    ]);
+
+    // This month's meals per vendor, from the stats rollup
+    const monthRows = await VendorStat.find({
+      period: 'month',
+      periodKey: toServiceDate().slice(0, 7),
+      mealType: 'all'
+    }).populate('vendor', 'name');
+    const mealsByVendorThisMonth = monthRows
+      .filter(row => row.vendor)
+      .map(row => ({
+        vendorName: row.vendor.name,
+        meals: row.meals,
+        voided: row.voided,
+        uniqueStudents: row.uniqueStudents
+      }));
+
     // Get recent activity
     const recentStudents = await Student.find({ isActive: true })
       .sort({ updatedAt: -1 })
@@ -671,9 +523,18 @@ router.get('/stats', auth, requireAdmin, async (req, res) => {
       totalStudents,
       totalVendors,
       todaysVerifications,
+      todaysVoids,
+      recentVoids,
+      openFraudFlags,
+      blockedStudents,
       activeStudents,
       studentsByVendor,
-      recentStudents
+      studentsByHostel,
+      studentsByBatch,
+      mealsByVendorThisMonth,
+      lastStatsRollupAt: await getLastRollupAt(),
+      recentStudents,
+      timezone: getTimezone()
     });
 
   } catch (error) {
@@ -682,8 +543,369 @@ router.get('/stats', auth, requireAdmin, async (req, res) => {
   }
 });
 
+// Service date range for the meal reports: ?from&to, by default the last 7 days.
+// Returns { from, to } or { error }
+const parseReportRange = ({ from, to }) => {
+  const today = toServiceDate();
+  const range = { from: from || addServiceDays(today, -6), to: to || today };
+
+  if (!isServiceDate(range.from) || !isServiceDate(range.to) || range.from > range.to) {
+    return { error: 'Dates must be YYYY-MM-DD with the start on or before the end' };
+  }
+  if (addServiceDays(range.from, MAX_REPORT_DAYS) <= range.to) {
+    return { error: `At most ${MAX_REPORT_DAYS} days can be reported at once` };
+  }
+  return range;
+};
+
+// Meals served to the residents of each hostel, optionally for a single hostel
+router.get('/stats/hostels', auth, authorize('report', 'read'), async (req, res) => {
+  try {
+    const { from, to, error } = parseReportRange(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { hostel } = req.query;
+    if (hostel && !mongoose.Types.ObjectId.isValid(hostel)) {
+      return res.status(400).json({ message: 'Invalid hostel' });
+    }
+
+    const groups = await getMealsByStudentField('hostel', {
+      from,
+      to,
+      value: hostel ? new mongoose.Types.ObjectId(hostel) : undefined
+    });
+    const hostels = await Hostel.find({ _id: { $in: groups.map(group => group.key).filter(Boolean) } }).select('name');
+
+    res.json({
+      from,
+      to,
+      hostels: groups.map(({ key, ...group }) => ({
+        hostel: (key && hostels.find(h => h._id.toString() === key.toString())) || null,
+        ...group
+      }))
+    });
+  } catch (error) {
+    console.error('Get hostel stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Meals claimed by each batch, optionally for a single batch ('none' for students without one)
+router.get('/stats/batches', auth, authorize('report', 'read'), async (req, res) => {
+  try {
+    const { from, to, error } = parseReportRange(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { batch } = req.query;
+    const groups = await getMealsByStudentField('batch', {
+      from,
+      to,
+      value: batch ? (batch === 'none' ? null : batch) : undefined
+    });
+
+    res.json({
+      from,
+      to,
+      batches: groups.map(({ key, ...group }) => ({ batch: key, ...group }))
+    });
+  } catch (error) {
+    console.error('Get batch stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Recompute the precomputed vendor stats now (optionally for a past range)
+router.post('/stats/rollup', auth, authorize('report', 'rollup'), async (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+
+    for (const value of [from, to]) {
+      if (value && !isServiceDate(value)) {
+        return res.status(400).json({ message: 'Dates must be in YYYY-MM-DD format' });
+      }
+    }
+
+    const summary = await runStatsRollup({ from, to });
+    if (summary.error) {
+      return res.status(summary.error.status).json({ message: summary.error.message });
+    }
+
+    res.json({ message: `Vendor stats rolled up for ${summary.from} to ${summary.to}`, summary });
+  } catch (error) {
+    console.error('Stats rollup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List offline sync conflicts for review
+router.get('/sync-conflicts', auth, authorize('syncConflict', 'list'), async (req, res) => {
+  try {
+    const { status = 'open', vendor, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (vendor) query.vendor = vendor;
+
+    const conflicts = await SyncConflict.find(query)
+      .populate('student', 'name rollNumber email')
+      .populate('vendor', 'name')
+      .populate('operator', 'name email')
+      .populate('existingMealRecord', 'vendor claimedAt mealType')
+      .populate('resolvedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await SyncConflict.countDocuments(query);
+
+    res.json({
+      conflicts,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get sync conflicts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark an offline sync conflict as reviewed
+router.put('/sync-conflicts/:id/resolve', auth, authorize('syncConflict', 'resolve'), async (req, res) => {
+  try {
+    const { resolution } = req.body;
+
+    const conflict = await SyncConflict.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      {
+        status: 'resolved',
+        resolution,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!conflict) {
+      return res.status(404).json({ message: 'Open conflict not found' });
+    }
+
+    res.json({ conflict });
+  } catch (error) {
+    console.error('Resolve sync conflict error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List verification attempts, e.g. denials by reason, vendor or student
+router.get('/verification-attempts', auth, authorize('verificationAttempt', 'list'), async (req, res) => {
+  try {
+    const { outcome, vendor, student, search, from, to, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+
+    // 'denied' matches every failed outcome; otherwise a single outcome code
+    if (outcome === 'denied') {
+      query.verified = false;
+    } else if (outcome) {
+      query.outcome = outcome;
+    }
+
+    // Cast ids up front so the same query works in the aggregation below
+    for (const [field, value] of [['vendor', vendor], ['student', student]]) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${field} ID` });
+      }
+      query[field] = new mongoose.Types.ObjectId(value);
+    }
+
+    // Search by roll number, email or the raw scanned identifier
+    if (search) {
+      const term = search.trim();
+      const matchingStudents = await Student.find({
+        $or: [
+          { rollNumber: term },
+          { email: term.toLowerCase() }
+        ]
+      }).select('_id');
+
+      query.$or = [
+        { identifierHash: hashIdentifier(term) },
+        { student: { $in: matchingStudents.map(s => s._id) } }
+      ];
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const attempts = await VerificationAttempt.find(query)
+      .populate('student', 'name rollNumber email')
+      .populate('vendor', 'name')
+      .populate('operator', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await VerificationAttempt.countDocuments(query);
+
+    // Outcome breakdown for the same filters
+    const outcomes = await VerificationAttempt.aggregate([
+      { $match: query },
+      { $group: { _id: '$outcome', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      attempts,
+      outcomes: outcomes.map(o => ({ outcome: o._id, count: o.count })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get verification attempts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List fraud flags raised by the verification rules
+router.get('/fraud-flags', auth, authorize('fraudFlag', 'list'), async (req, res) => {
+  try {
+    const { status = 'open', rule, vendor, student, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (rule) query.rule = rule;
+    if (vendor) query.vendor = vendor;
+    if (student) query.student = student;
+
+    const flags = await FraudFlag.find(query)
+      .populate('student', 'name rollNumber email claimsBlocked')
+      .populate('vendor', 'name')
+      .populate('operator', 'name email')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await FraudFlag.countDocuments(query);
+
+    res.json({
+      flags,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get fraud flags error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Review a fraud flag: dismiss it, confirm it, or confirm it and block the student's claims
+router.put('/fraud-flags/:id/review', auth, authorize('fraudFlag', 'review'), async (req, res) => {
+  try {
+    const { action, note } = req.body;
+
+    if (!['dismiss', 'confirm', 'suspend'].includes(action)) {
+      return res.status(400).json({ message: 'Action must be dismiss, confirm or suspend' });
+    }
+
+    const flag = await FraudFlag.findOne({ _id: req.params.id, status: 'open' });
+    if (!flag) {
+      return res.status(404).json({ message: 'Open fraud flag not found' });
+    }
+
+    if (action === 'suspend' && !flag.student) {
+      return res.status(400).json({ message: 'This flag is not about a student' });
+    }
+
+    flag.status = action === 'dismiss' ? 'dismissed' : 'confirmed';
+    flag.reviewAction = action;
+    flag.reviewNote = note;
+    flag.reviewedBy = req.user._id;
+    flag.reviewedAt = new Date();
+
+    if (action === 'suspend') {
+      await blockStudentClaims({
+        studentId: flag.student,
+        reason: note || flag.message,
+        flag,
+        user: req.user
+      });
+      flag.blockedClaims = true;
+    }
+
+    await flag.save();
+
+    await AuditLog.create({
+      action: `fraudFlag.${action}`,
+      actor: req.user._id,
+      targetModel: 'FraudFlag',
+      target: flag._id,
+      reason: note,
+      details: { rule: flag.rule, student: flag.student }
+    });
+
+    res.json({ flag });
+  } catch (error) {
+    console.error('Review fraud flag error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Students whose meal claims are currently blocked
+router.get('/blocked-students', auth, authorize('student', 'list'), async (req, res) => {
+  try {
+    const students = await Student.find({ claimsBlocked: true })
+      .populate('vendor', 'name')
+      .populate('claimsBlock.blockedBy', 'name email')
+      .sort({ 'claimsBlock.blockedAt': -1 })
+      .select('name email rollNumber vendor claimsBlock');
+
+    res.json({ students });
+  } catch (error) {
+    console.error('Get blocked students error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Let a blocked student claim meals again
+router.put('/students/:id/unblock', auth, authorize('student', 'unblock'), async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, claimsBlocked: true });
+    if (!student) {
+      return res.status(404).json({ message: 'Blocked student not found' });
+    }
+
+    await unblockStudentClaims(student._id);
+
+    await AuditLog.create({
+      action: 'student.unblockClaims',
+      actor: req.user._id,
+      targetModel: 'Student',
+      target: student._id,
+      reason: req.body.note,
+      details: { previousBlock: student.claimsBlock }
+    });
+
+    res.json({ message: 'Student can claim meals again' });
+  } catch (error) {
+    console.error('Unblock student error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Bulk operations
-router.post('/bulk-deactivate', auth, requireAdmin, async (req, res) => {
+router.post('/bulk-deactivate', auth, authorize('student', 'deactivate'), async (req, res) => {
   try {
     const { studentIds } = req.body;
     
@@ -1,7 +1,10 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { auth, requireAdmin } = require('../middleware/auth');
+const Vendor = require('../models/Vendor');
+const { auth } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
 
 const router = express.Router();
 
@@ -96,7 +99,8 @@ router.post('/register', async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        vendor: user.vendor
       }
     });
   } catch (error) {
@@ -205,7 +209,8 @@ router.post('/login', async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        vendor: user.vendor
       }
     });
   } catch (error) {
@@ -215,7 +220,7 @@ router.post('/login', async (req, res) => {
 });
 
 // Get current user
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth, authorize('user', 'readSelf'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
     res.json({ user });
@@ -226,12 +231,12 @@ router.get('/me', auth, async (req, res) => {
 });
 
 // Logout (client-side token removal)
-router.post('/logout', auth, (req, res) => {
+router.post('/logout', auth, authorize('user', 'readSelf'), (req, res) => {
   res.json({ message: 'Logout successful' });
 });
 
 // ADMIN ONLY: Create vendor or admin accounts
-router.post('/create-user', auth, requireAdmin, async (req, res) => {
+router.post('/create-user', auth, authorize('user', 'create'), async (req, res) => {
   try {
     console.log('🔍 Admin creating user:', req.body);
     const { name, email, password, role, vendorId } = req.body;
@@ -272,9 +277,18 @@ router.post('/create-user', auth, requireAdmin, async (req, res) => {
       authProvider: 'local'
     };
 
-    // Add vendor field if role is vendor and vendorId is provided
-    if (role === 'vendor' && vendorId) {
-      userData.vendor = vendorId;
+    // Vendor staff can only work at the vendor they are linked to
+    if (role === 'vendor') {
+      if (!vendorId) {
+        return res.status(400).json({ message: 'Vendor users must be assigned to a vendor' });
+      }
+
+      const vendor = mongoose.Types.ObjectId.isValid(vendorId) ? await Vendor.findById(vendorId) : null;
+      if (!vendor) {
+        return res.status(400).json({ message: 'Vendor not found' });
+      }
+
+      userData.vendor = vendor._id;
     }
 
     const user = new User(userData);
@@ -293,7 +307,8 @@ router.post('/create-user', auth, requireAdmin, async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        vendor: user.vendor
       }
     });
   } catch (error) {
@@ -0,0 +1,193 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Vendor = require('../models/Vendor');
+const MealCreditTransaction = require('../models/MealCreditTransaction');
+const { auth } = require('../middleware/auth');
+const { authorize, can } = require('../middleware/policy');
+const { getAccounts, grantCredits, revokeCredits } = require('../services/mealCredits');
+const { isServiceDate, getServiceDateRange } = require('../utils/date');
+
+const router = express.Router();
+
+// Validate a grant/revoke request. Returns { student, vendor, amount, reason } or { error }
+const loadAdjustment = async (body) => {
+  const { studentId, vendorId } = body;
+  const amount = Number(body.amount);
+  const reason = body.reason?.trim();
+
+  if (!mongoose.Types.ObjectId.isValid(studentId) || !mongoose.Types.ObjectId.isValid(vendorId)) {
+    return { error: { status: 400, message: 'Valid student and vendor IDs are required' } };
+  }
+  if (!Number.isInteger(amount) || amount < 1) {
+    return { error: { status: 400, message: 'Amount must be a whole number of at least 1' } };
+  }
+  if (!reason) {
+    return { error: { status: 400, message: 'A reason is required' } };
+  }
+
+  const [student, vendor] = await Promise.all([
+    Student.findById(studentId),
+    Vendor.findById(vendorId)
+  ]);
+
+  if (!student) {
+    return { error: { status: 404, message: 'Student not found' } };
+  }
+  if (!vendor) {
+    return { error: { status: 404, message: 'Vendor not found' } };
+  }
+
+  return { student, vendor, amount, reason };
+};
+
+// Get the credit ledger
+router.get('/transactions', auth, authorize('mealCredit', 'list'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, student, vendor, type } = req.query;
+
+    const query = {};
+
+    for (const [field, value] of Object.entries({ student, vendor })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${field} ID` });
+      }
+      query[field] = value;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    const transactions = await MealCreditTransaction.find(query)
+      .populate('student', 'name rollNumber email')
+      .populate('vendor', 'name')
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await MealCreditTransaction.countDocuments(query);
+
+    res.json({
+      transactions,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get credit transactions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a student's credit balances and recent ledger entries
+router.get('/students/:studentId', auth, authorize('mealCredit', 'read'), async (req, res) => {
+  try {
+    const student = mongoose.Types.ObjectId.isValid(req.params.studentId)
+      ? await Student.findById(req.params.studentId)
+      : null;
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!can(req.user, 'mealCredit', 'read', { email: student.email })) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const accounts = await getAccounts(student._id);
+    const transactions = await MealCreditTransaction.find({ student: student._id })
+      .populate('vendor', 'name')
+      .populate('actor', 'name role')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      accounts: accounts.map(account => ({
+        vendor: account.vendor,
+        balance: account.balance,
+        expiresAt: account.expiresAt
+      })),
+      transactions
+    });
+  } catch (error) {
+    console.error('Get student credits error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Grant credits (e.g. a meal pack was bought)
+router.post('/grant', auth, authorize('mealCredit', 'grant'), async (req, res) => {
+  try {
+    const { student, vendor, amount, reason, error } = await loadAdjustment(req.body);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    // Credits last until the end of the chosen day on campus
+    let expiresAt;
+    if (req.body.expiresOn) {
+      if (!isServiceDate(req.body.expiresOn)) {
+        return res.status(400).json({ message: 'Expiry date must be in YYYY-MM-DD format' });
+      }
+      expiresAt = getServiceDateRange(req.body.expiresOn).to;
+      if (expiresAt <= new Date()) {
+        return res.status(400).json({ message: 'Expiry date must be in the future' });
+      }
+    }
+
+    const { account, transaction } = await grantCredits({
+      studentId: student._id,
+      vendorId: vendor._id,
+      amount,
+      reason,
+      expiresAt,
+      user: req.user
+    });
+
+    res.status(201).json({
+      message: `Granted ${amount} credits to ${student.name}`,
+      balance: account.balance,
+      expiresAt: account.expiresAt,
+      transaction
+    });
+  } catch (error) {
+    console.error('Grant credits error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke credits (e.g. a refunded pack or a mistaken grant)
+router.post('/revoke', auth, authorize('mealCredit', 'revoke'), async (req, res) => {
+  try {
+    const { student, vendor, amount, reason, error } = await loadAdjustment(req.body);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const result = await revokeCredits({
+      studentId: student._id,
+      vendorId: vendor._id,
+      amount,
+      reason,
+      user: req.user
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    res.json({
+      message: `Revoked ${amount} credits from ${student.name}`,
+      balance: result.account.balance,
+      transaction: result.transaction
+    });
+  } catch (error) {
+    console.error('Revoke credits error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Hostel = require('../models/Hostel');
+const Student = require('../models/Student');
+const Vendor = require('../models/Vendor');
+const { auth } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
+const { cleanHostelName, findHostelByName, setHostelVendors } = require('../services/hostels');
+
+const router = express.Router();
+
+// Returns an error message, or null if every id is a valid ObjectId
+const validateVendorIds = (vendorIds) => {
+  if (vendorIds === undefined) return null;
+  if (!Array.isArray(vendorIds) || !vendorIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return 'Vendors must be a list of vendor IDs';
+  }
+  return null;
+};
+
+// Get all hostels with their active resident count and the vendors serving them
+router.get('/', auth, authorize('hostel', 'list'), async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' && req.user.role === 'admin' ? {} : { isActive: true };
+    const hostels = await Hostel.find(query).sort({ name: 1 }).lean();
+
+    const [residentCounts, vendors] = await Promise.all([
+      Student.aggregate([
+        { $match: { isActive: true, hostel: { $in: hostels.map(h => h._id) } } },
+        { $group: { _id: '$hostel', count: { $sum: 1 } } }
+      ]),
+      Vendor.find({ isActive: true, hostels: { $in: hostels.map(h => h._id) } }).select('name hostels').lean()
+    ]);
+
+    res.json({
+      hostels: hostels.map(hostel => ({
+        ...hostel,
+        residents: residentCounts.find(c => c._id.toString() === hostel._id.toString())?.count || 0,
+        vendors: vendors
+          .filter(vendor => vendor.hostels.some(id => id.toString() === hostel._id.toString()))
+          .map(vendor => ({ _id: vendor._id, name: vendor.name }))
+      }))
+    });
+  } catch (error) {
+    console.error('Get hostels error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create hostel
+router.post('/', auth, authorize('hostel', 'create'), async (req, res) => {
+  try {
+    const { address, vendorIds } = req.body;
+    const name = cleanHostelName(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ message: 'Hostel name is required' });
+    }
+
+    const vendorError = validateVendorIds(vendorIds);
+    if (vendorError) {
+      return res.status(400).json({ message: vendorError });
+    }
+
+    if (await findHostelByName(name)) {
+      return res.status(400).json({ message: 'A hostel with this name already exists' });
+    }
+
+    const hostel = await Hostel.create({ name, address });
+    if (vendorIds) {
+      await setHostelVendors(hostel._id, vendorIds);
+    }
+
+    res.status(201).json({ hostel });
+  } catch (error) {
+    console.error('Create hostel error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update hostel, including which vendors serve it
+router.put('/:id', auth, authorize('hostel', 'update'), async (req, res) => {
+  try {
+    const { address, isActive, vendorIds } = req.body;
+    const name = req.body.name === undefined ? undefined : cleanHostelName(req.body.name);
+
+    if (name === '') {
+      return res.status(400).json({ message: 'Hostel name is required' });
+    }
+
+    const vendorError = validateVendorIds(vendorIds);
+    if (vendorError) {
+      return res.status(400).json({ message: vendorError });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Hostel not found' });
+    }
+
+    if (name) {
+      const existing = await findHostelByName(name);
+      if (existing && existing._id.toString() !== req.params.id) {
+        return res.status(400).json({ message: 'A hostel with this name already exists' });
+      }
+    }
+
+    const hostel = await Hostel.findByIdAndUpdate(
+      req.params.id,
+      { name, address, isActive, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+
+    if (!hostel) {
+      return res.status(404).json({ message: 'Hostel not found' });
+    }
+
+    if (vendorIds) {
+      await setHostelVendors(hostel._id, vendorIds);
+    }
+
+    res.json({ hostel });
+  } catch (error) {
+    console.error('Update hostel error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
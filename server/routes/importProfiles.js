@@ -0,0 +1,140 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ImportProfile = require('../models/ImportProfile');
+const { auth } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
+const { ROSTER_FIELDS, REQUIRED_ROSTER_FIELDS } = require('../utils/rosterColumns');
+
+const router = express.Router();
+
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Returns { columns } with blank headers dropped, or { error }
+const parseColumns = (columns) => {
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    return { error: 'Columns must map student fields to CSV headers' };
+  }
+
+  const unknown = Object.keys(columns).filter(field => !ROSTER_FIELDS[field]);
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')}. Fields are ${Object.keys(ROSTER_FIELDS).join(', ')}` };
+  }
+
+  const parsed = {};
+  for (const [field, header] of Object.entries(columns)) {
+    if (header !== undefined && header !== null && typeof header !== 'string') {
+      return { error: `The ${ROSTER_FIELDS[field]} column must be a header name` };
+    }
+    if (header?.trim()) parsed[field] = header.trim();
+  }
+
+  const unmapped = REQUIRED_ROSTER_FIELDS.filter(field => !parsed[field]);
+  if (unmapped.length > 0) {
+    return { error: `Choose a column for ${unmapped.map(field => ROSTER_FIELDS[field]).join(', ')}` };
+  }
+
+  return { columns: parsed };
+};
+
+// Get all import profiles, with the fields they can map
+router.get('/', auth, authorize('importProfile', 'list'), async (req, res) => {
+  try {
+    const profiles = await ImportProfile.find().collation(NAME_COLLATION).sort({ name: 1 });
+
+    res.json({
+      profiles,
+      fields: Object.entries(ROSTER_FIELDS).map(([field, label]) => ({
+        field,
+        label,
+        required: REQUIRED_ROSTER_FIELDS.includes(field)
+      }))
+    });
+  } catch (error) {
+    console.error('Get import profiles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create import profile
+router.post('/', auth, authorize('importProfile', 'create'), async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) {
+      return res.status(400).json({ message: 'Profile name is required' });
+    }
+
+    const { columns, error } = parseColumns(req.body.columns);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (await ImportProfile.exists({ name }).collation(NAME_COLLATION)) {
+      return res.status(400).json({ message: 'An import profile with this name already exists' });
+    }
+
+    const profile = await ImportProfile.create({ name, columns, createdBy: req.user._id });
+
+    res.status(201).json({ profile });
+  } catch (error) {
+    console.error('Create import profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update import profile. The columns sent replace the saved mapping
+router.put('/:id', auth, authorize('importProfile', 'update'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Import profile not found' });
+    }
+
+    const name = req.body.name === undefined ? undefined : req.body.name?.trim();
+    if (name === '' || name === null) {
+      return res.status(400).json({ message: 'Profile name is required' });
+    }
+
+    const update = { name, updatedAt: new Date() };
+    if (req.body.columns !== undefined) {
+      const { columns, error } = parseColumns(req.body.columns);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      update.columns = columns;
+    }
+
+    if (name && await ImportProfile.exists({ name, _id: { $ne: req.params.id } }).collation(NAME_COLLATION)) {
+      return res.status(400).json({ message: 'An import profile with this name already exists' });
+    }
+
+    const profile = await ImportProfile.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+
+    if (!profile) {
+      return res.status(404).json({ message: 'Import profile not found' });
+    }
+
+    res.json({ profile });
+  } catch (error) {
+    console.error('Update import profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete import profile. Past imports keep the columns they used
+router.delete('/:id', auth, authorize('importProfile', 'delete'), async (req, res) => {
+  try {
+    const profile = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ImportProfile.findByIdAndDelete(req.params.id)
+      : null;
+
+    if (!profile) {
+      return res.status(404).json({ message: 'Import profile not found' });
+    }
+
+    res.json({ message: 'Import profile deleted' });
+  } catch (error) {
+    console.error('Delete import profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
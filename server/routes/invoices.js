@@ -0,0 +1,331 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Vendor = require('../models/Vendor');
+const Invoice = require('../models/Invoice');
+const RateCard = require('../models/RateCard');
+const { auth } = require('../middleware/auth');
+const { authorize, can } = require('../middleware/policy');
+const { isServiceDate, toServiceDate } = require('../utils/date');
+const { MEAL_TYPES } = require('../utils/serviceWindows');
+const {
+  isMonth,
+  generateInvoice,
+  approveInvoice,
+  markInvoicePaid,
+  invoiceToCsv,
+  invoiceToPdf
+} = require('../services/invoices');
+
+const router = express.Router();
+
+// Load an invoice the user may read, or send the error response and return null
+const loadInvoice = async (req, res, action) => {
+  const invoice = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Invoice.findById(req.params.id)
+      .populate('vendor', 'name location')
+      .populate('generatedBy', 'name email')
+      .populate('approvedBy', 'name email')
+      .populate('paidBy', 'name email')
+    : null;
+
+  if (!invoice || !can(req.user, 'invoice', action, { vendor: invoice.vendor })) {
+    res.status(404).json({ message: 'Invoice not found' });
+    return null;
+  }
+
+  return invoice;
+};
+
+// Get rate cards
+router.get('/rates', auth, authorize('rateCard', 'list'), async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.vendor) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.vendor)) {
+        return res.status(400).json({ message: 'Invalid vendor ID' });
+      }
+      query.vendor = { $in: [req.query.vendor, null] };
+    }
+
+    const rateCards = await RateCard.find(query)
+      .populate('vendor', 'name')
+      .populate('createdBy', 'name')
+      .sort({ effectiveFrom: -1 });
+
+    res.json({ rateCards });
+  } catch (error) {
+    console.error('Get rate cards error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a rate card. Leave vendor empty for the default rates.
+router.post('/rates', auth, authorize('rateCard', 'create'), async (req, res) => {
+  try {
+    const { vendorId, effectiveFrom, rates = {}, notes } = req.body;
+
+    if (!isServiceDate(effectiveFrom)) {
+      return res.status(400).json({ message: 'Effective date must be in YYYY-MM-DD format' });
+    }
+
+    if (vendorId && (!mongoose.Types.ObjectId.isValid(vendorId) || !await Vendor.exists({ _id: vendorId }))) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    const cleanRates = {};
+    for (const mealType of MEAL_TYPES) {
+      if (rates[mealType] === undefined || rates[mealType] === null || rates[mealType] === '') continue;
+      const rate = Number(rates[mealType]);
+      if (!Number.isFinite(rate) || rate < 0) {
+        return res.status(400).json({ message: `The ${mealType} rate must be a positive number` });
+      }
+      cleanRates[mealType] = Math.round(rate * 100) / 100;
+    }
+
+    if (Object.keys(cleanRates).length === 0) {
+      return res.status(400).json({ message: 'Set a rate for at least one meal' });
+    }
+
+    // Changing a rate must not alter invoices that are already approved
+    const lockedInvoice = await Invoice.findOne({
+      ...(vendorId ? { vendor: vendorId } : {}),
+      status: { $in: ['approved', 'paid'] },
+      periodEnd: { $gte: effectiveFrom }
+    });
+    if (lockedInvoice) {
+      return res.status(400).json({
+        message: `Invoice ${lockedInvoice.number} for ${lockedInvoice.month} is already approved. New rates must start after ${lockedInvoice.periodEnd}`
+      });
+    }
+
+    let rateCard;
+    try {
+      rateCard = await RateCard.create({
+        vendor: vendorId || null,
+        effectiveFrom,
+        rates: cleanRates,
+        notes,
+        createdBy: req.user._id
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(400).json({ message: `A rate card starting ${effectiveFrom} already exists for this vendor` });
+    }
+
+    res.status(201).json({ message: 'Rate card added successfully', rateCard });
+  } catch (error) {
+    console.error('Create rate card error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a rate card that has not taken effect yet
+router.delete('/rates/:id', auth, authorize('rateCard', 'delete'), async (req, res) => {
+  try {
+    const rateCard = mongoose.Types.ObjectId.isValid(req.params.id) ? await RateCard.findById(req.params.id) : null;
+    if (!rateCard) {
+      return res.status(404).json({ message: 'Rate card not found' });
+    }
+
+    if (rateCard.effectiveFrom <= toServiceDate()) {
+      return res.status(400).json({ message: 'Rates already in force cannot be removed. Add a new rate card instead' });
+    }
+
+    await rateCard.deleteOne();
+
+    res.json({ message: 'Rate card removed' });
+  } catch (error) {
+    console.error('Delete rate card error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get invoices
+router.get('/', auth, authorize('invoice', 'list', { vendor: ['query', 'vendor'] }), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, vendor, month, status } = req.query;
+
+    const query = {};
+
+    if (vendor) {
+      if (!mongoose.Types.ObjectId.isValid(vendor)) {
+        return res.status(400).json({ message: 'Invalid vendor ID' });
+      }
+      query.vendor = vendor;
+    }
+
+    if (month) {
+      if (!isMonth(month)) {
+        return res.status(400).json({ message: 'Month must be in YYYY-MM format' });
+      }
+      query.month = month;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const invoices = await Invoice.find(query)
+      .select('-lineItems')
+      .populate('vendor', 'name location')
+      .sort({ month: -1, number: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invoice.countDocuments(query);
+
+    res.json({
+      invoices,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Generate (or refresh) draft invoices for a month, for one vendor or all active vendors
+router.post('/generate', auth, authorize('invoice', 'generate'), async (req, res) => {
+  try {
+    const { vendorId, month } = req.body;
+
+    if (!isMonth(month)) {
+      return res.status(400).json({ message: 'Month must be in YYYY-MM format' });
+    }
+
+    let vendors;
+    if (vendorId) {
+      const vendor = mongoose.Types.ObjectId.isValid(vendorId) ? await Vendor.findById(vendorId) : null;
+      if (!vendor) {
+        return res.status(404).json({ message: 'Vendor not found' });
+      }
+      vendors = [vendor];
+    } else {
+      vendors = await Vendor.find({ isActive: true }).sort({ name: 1 });
+    }
+
+    const results = [];
+    for (const vendor of vendors) {
+      const { invoice, action, error } = await generateInvoice({ vendor, month, user: req.user });
+      results.push(error
+        ? { vendor: vendor.name, status: 'error', code: error.code, message: error.message }
+        : { vendor: vendor.name, status: action, invoiceId: invoice._id, number: invoice.number, amount: invoice.totals.amount });
+    }
+
+    // A single vendor gets its error as the response status
+    if (vendorId && results[0].status === 'error') {
+      return res.status(400).json({ message: results[0].message, code: results[0].code, results });
+    }
+
+    res.json({ message: `Generated invoices for ${month}`, results });
+  } catch (error) {
+    console.error('Generate invoices error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one invoice with its line items
+router.get('/:id', auth, authorize('invoice', 'read'), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'read');
+    if (!invoice) return;
+
+    res.json({ invoice });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download an invoice as CSV
+router.get('/:id/csv', auth, authorize('invoice', 'read'), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'read');
+    if (!invoice) return;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.csv"`);
+    res.send(invoiceToCsv(invoice));
+  } catch (error) {
+    console.error('Export invoice CSV error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download an invoice as PDF
+router.get('/:id/pdf', auth, authorize('invoice', 'read'), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'read');
+    if (!invoice) return;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+    res.send(invoiceToPdf(invoice));
+  } catch (error) {
+    console.error('Export invoice PDF error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a draft; its figures can no longer change
+router.put('/:id/approve', auth, authorize('invoice', 'approve'), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'approve');
+    if (!invoice) return;
+
+    const { invoice: approved, error } = await approveInvoice({ invoice, user: req.user });
+    if (error) {
+      return res.status(error.status).json({ message: error.message, code: error.code, invoice: error.invoice });
+    }
+
+    res.json({ message: `Invoice ${approved.number} approved`, invoice: approved });
+  } catch (error) {
+    console.error('Approve invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record payment of an approved invoice
+router.put('/:id/pay', auth, authorize('invoice', 'pay'), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'pay');
+    if (!invoice) return;
+
+    const { invoice: paid, error } = await markInvoicePaid({
+      invoice,
+      user: req.user,
+      reference: req.body.reference?.trim()
+    });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({ message: `Invoice ${paid.number} marked as paid`, invoice: paid });
+  } catch (error) {
+    console.error('Mark invoice paid error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a draft invoice
+router.delete('/:id', auth, authorize('invoice', 'delete'), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'delete');
+    if (!invoice) return;
+
+    const deleted = await Invoice.findOneAndDelete({ _id: invoice._id, status: 'draft' });
+    if (!deleted) {
+      return res.status(400).json({ message: `Invoice is ${invoice.status} and cannot be deleted` });
+    }
+
+    res.json({ message: `Draft invoice ${invoice.number} deleted` });
+  } catch (error) {
+    console.error('Delete invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
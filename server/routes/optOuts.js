@@ -0,0 +1,134 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const MealOptOut = require('../models/MealOptOut');
+const { auth } = require('../middleware/auth');
+const { authorize, can } = require('../middleware/policy');
+const { isServiceDate } = require('../utils/date');
+const { getSettings } = require('../services/settings');
+const { getOptOutCalendar, createOptOut, cancelOptOut } = require('../services/optOuts');
+
+const router = express.Router();
+
+const findOwnStudent = (user) => Student.findOne({ email: user.email, isActive: true });
+
+const studentNotFound = (res) => res.status(404).json({
+  message: 'No active student record found for your account',
+  code: 'STUDENT_NOT_FOUND'
+});
+
+// Get opt-outs at a vendor for a service day
+router.get('/', auth, authorize('mealOptOut', 'list', { vendor: ['query', 'vendor'] }), async (req, res) => {
+  try {
+    const { vendor, date, status = 'active' } = req.query;
+
+    const query = { status };
+
+    if (vendor) {
+      if (!mongoose.Types.ObjectId.isValid(vendor)) {
+        return res.status(400).json({ message: 'Invalid vendor ID' });
+      }
+      query.vendor = vendor;
+    }
+
+    if (date) {
+      if (!isServiceDate(date)) {
+        return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format' });
+      }
+      query.serviceDate = date;
+    }
+
+    const optOuts = await MealOptOut.find(query)
+      .populate('student', 'name rollNumber email')
+      .populate('vendor', 'name')
+      .sort({ serviceDate: 1, mealType: 1 })
+      .limit(500);
+
+    res.json({ optOuts });
+  } catch (error) {
+    console.error('Get opt-outs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the student's upcoming meals and which ones they are skipping
+router.get('/me', auth, authorize('mealOptOut', 'read'), async (req, res) => {
+  try {
+    const student = await findOwnStudent(req.user);
+    if (!student || !can(req.user, 'mealOptOut', 'read', { email: student.email })) {
+      return studentNotFound(res);
+    }
+
+    const [calendar, settings] = await Promise.all([
+      getOptOutCalendar(student),
+      getSettings()
+    ]);
+
+    res.json({
+      calendar,
+      cutoffHours: settings.optOutCutoffHours,
+      earnsCredits: settings.optOutEarnsCredits
+    });
+  } catch (error) {
+    console.error('Get my opt-outs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Skip a meal
+router.post('/me', auth, authorize('mealOptOut', 'create'), async (req, res) => {
+  try {
+    const { serviceDate, mealType } = req.body;
+
+    if (!isServiceDate(serviceDate)) {
+      return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const student = await findOwnStudent(req.user);
+    if (!student || !can(req.user, 'mealOptOut', 'create', { email: student.email })) {
+      return studentNotFound(res);
+    }
+
+    const { optOut, error } = await createOptOut({ student, serviceDate, mealType, user: req.user });
+    if (error) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    res.status(201).json({
+      message: `Skipped ${mealType} on ${serviceDate}`,
+      optOut,
+      creditEarned: Boolean(optOut.creditTransaction)
+    });
+  } catch (error) {
+    console.error('Create opt-out error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Take back a skipped meal
+router.delete('/me/:id', auth, authorize('mealOptOut', 'cancel'), async (req, res) => {
+  try {
+    const optOut = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await MealOptOut.findById(req.params.id).populate('student', 'email')
+      : null;
+
+    if (!optOut || !can(req.user, 'mealOptOut', 'cancel', { email: optOut.student?.email })) {
+      return res.status(404).json({ message: 'Opt-out not found' });
+    }
+
+    const { optOut: cancelled, error } = await cancelOptOut({ optOut, user: req.user });
+    if (error) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    res.json({
+      message: `You will be expected for ${cancelled.mealType} on ${cancelled.serviceDate}`,
+      optOut: cancelled
+    });
+  } catch (error) {
+    console.error('Cancel opt-out error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const MealPlan = require('../models/MealPlan');
+const { auth } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
+
+const router = express.Router();
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+// Returns an error message, or null if the plan fields are valid
+const validatePlan = ({ mealTypes, mealsPerDay, mealsPerMonth, price }) => {
+  if (mealTypes !== undefined) {
+    if (!Array.isArray(mealTypes) || mealTypes.length === 0) {
+      return 'Choose at least one meal type';
+    }
+    if (mealTypes.some(mealType => !MEAL_TYPES.includes(mealType))) {
+      return `Meal types must be one of ${MEAL_TYPES.join(', ')}`;
+    }
+  }
+
+  for (const [field, value] of Object.entries({ mealsPerDay, mealsPerMonth })) {
+    if (value !== undefined && value !== null && !(Number.isInteger(Number(value)) && Number(value) >= 1)) {
+      return `${field} must be a whole number of at least 1`;
+    }
+  }
+
+  if (price !== undefined && !(Number.isFinite(Number(price)) && Number(price) >= 0)) {
+    return 'Price must be a non-negative number';
+  }
+
+  return null;
+};
+
+// Get all meal plans
+router.get('/', auth, authorize('mealPlan', 'list'), async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const plans = await MealPlan.find(query).sort({ name: 1 });
+
+    res.json({ plans });
+  } catch (error) {
+    console.error('Get meal plans error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create meal plan
+router.post('/', auth, authorize('mealPlan', 'create'), async (req, res) => {
+  try {
+    const { name, description, mealTypes, mealsPerDay, mealsPerMonth, usesCredits, price, isDefault } = req.body;
+
+    if (!name?.trim()) {
+      return res.status(400).json({ message: 'Plan name is required' });
+    }
+
+    const validationError = validatePlan(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (await MealPlan.exists({ name: name.trim() })) {
+      return res.status(400).json({ message: 'A meal plan with this name already exists' });
+    }
+
+    // Only one plan can be the default
+    if (isDefault) {
+      await MealPlan.updateMany({ isDefault: true }, { isDefault: false });
+    }
+
+    const plan = await MealPlan.create({
+      name,
+      description,
+      mealTypes,
+      mealsPerDay: mealsPerDay || undefined,
+      mealsPerMonth: mealsPerMonth || undefined,
+      usesCredits: Boolean(usesCredits),
+      price,
+      isDefault: Boolean(isDefault)
+    });
+
+    res.status(201).json({ plan });
+  } catch (error) {
+    console.error('Create meal plan error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update meal plan. Changes apply to every subscription on the plan from the next scan.
+router.put('/:id', auth, authorize('mealPlan', 'update'), async (req, res) => {
+  try {
+    const { name, description, mealTypes, mealsPerDay, mealsPerMonth, usesCredits, price, isDefault, isActive } = req.body;
+
+    const validationError = validatePlan(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const update = { name, description, mealTypes, usesCredits, price, isActive, updatedAt: new Date() };
+    const unset = {};
+
+    // null clears a limit
+    for (const [field, value] of Object.entries({ mealsPerDay, mealsPerMonth })) {
+      if (value === null || value === '') unset[field] = 1;
+      else if (value !== undefined) update[field] = Number(value);
+    }
+
+    if (isDefault !== undefined) {
+      update.isDefault = Boolean(isDefault);
+      if (update.isDefault) {
+        await MealPlan.updateMany({ _id: { $ne: req.params.id }, isDefault: true }, { isDefault: false });
+      }
+    }
+
+    const plan = await MealPlan.findByIdAndUpdate(
+      req.params.id,
+      Object.keys(unset).length > 0 ? { ...update, $unset: unset } : update,
+      { new: true, runValidators: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({ message: 'Meal plan not found' });
+    }
+
+    res.json({ plan });
+  } catch (error) {
+    console.error('Update meal plan error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
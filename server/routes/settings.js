@@ -0,0 +1,34 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
+const { getSettings, updateSettings } = require('../services/settings');
+
+const router = express.Router();
+
+// Get institution-wide settings
+router.get('/', auth, authorize('setting', 'read'), async (req, res) => {
+  try {
+    const settings = await getSettings();
+    res.json({ settings });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update settings; omitted keys keep their current values
+router.put('/', auth, authorize('setting', 'update'), async (req, res) => {
+  try {
+    const { settings, error } = await updateSettings(req.body || {}, req.user);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({ message: 'Settings updated successfully', settings });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
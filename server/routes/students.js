@@ -1,13 +1,28 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Student = require('../models/Student');
 const Vendor = require('../models/Vendor');
-const { auth, requireStudent, requireAdmin } = require('../middleware/auth');
+const MealRecord = require('../models/MealRecord');
+const Invoice = require('../models/Invoice');
+const Hostel = require('../models/Hostel');
+const VendorAssignment = require('../models/VendorAssignment');
+const Subscription = require('../models/Subscription');
+const { auth } = require('../middleware/auth');
+const { authorize, can } = require('../middleware/policy');
 const QRCode = require('qrcode');
+const { signToken, getTokenTTL } = require('../utils/qrToken');
+const { findActiveSubscription } = require('../services/subscriptions');
+const { getAccounts } = require('../services/mealCredits');
+const { assignVendor, getVendorHistory, openAssignmentsFilter } = require('../services/vendorAssignments');
+const { toServiceDate, isServiceDate } = require('../utils/date');
+const { DIETARY_PREFERENCES } = require('../utils/dietary');
+const { parseBatch } = require('../utils/batch');
+const { normalizeRollNumber } = require('../utils/rollNumber');
 
 const router = express.Router();
 
 // Get student's QR code (for students to view their own QR) - MUST BE FIRST
-router.get('/my-qr-code', auth, requireStudent, async (req, res) => {
+router.get('/my-qr-code', auth, authorize('student', 'readQrCode'), async (req, res) => {
   try {
     console.log('🔍 QR Code Request - User:', req.user.email);
     
@@ -38,17 +53,11 @@ router.get('/my-qr-code', auth, requireStudent, async (req, res) => {
       await student.save();
     }
 
-    // Generate QR code data URL
-    const qrData = {
-      studentId: student._id,
-      qrCode: student.qrCode,
-      name: student.name,
-      rollNumber: student.rollNumber,
-      vendor: student.vendor?.name || 'Unknown'
-    };
+    // Issue a short-lived signed token; the client refreshes it before it expires
+    const { token, expiresAt } = signToken(student._id);
 
     console.log('🔄 Generating QR code data URL...');
-    const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(qrData), {
+    const qrCodeDataURL = await QRCode.toDataURL(token, {
       width: 300,
       margin: 2,
       color: {
@@ -59,14 +68,40 @@ router.get('/my-qr-code', auth, requireStudent, async (req, res) => {
 
     console.log('✅ QR code generated successfully');
 
+    const subscription = await findActiveSubscription(student._id, toServiceDate());
+
+    // Prepaid plans show the credits left at the subscribed vendor
+    let credits = null;
+    if (subscription?.plan.usesCredits) {
+      const [account] = await getAccounts(student._id, { vendorId: subscription.vendor._id });
+      credits = {
+        balance: account?.balance || 0,
+        expiresAt: account?.expiresAt
+      };
+    }
+
     res.json({
-      qrCode: student.qrCode,
+      qrToken: token,
       qrCodeDataURL,
+      expiresAt,
+      ttlSeconds: getTokenTTL(),
       student: {
+        id: student._id,
         name: student.name,
         rollNumber: student.rollNumber,
-        vendor: student.vendor?.name || 'Unknown'
-      }
+        batch: student.batch,
+        vendor: student.vendor?.name || 'Unknown',
+        dietaryPreference: student.dietaryPreference,
+        allergyNotes: student.allergyNotes
+      },
+      subscription: subscription ? {
+        plan: subscription.plan.name,
+        mealTypes: subscription.plan.mealTypes,
+        vendor: subscription.vendor.name,
+        startDate: subscription.startDate,
+        endDate: subscription.endDate
+      } : null,
+      credits
     });
   } catch (error) {
     console.error('❌ QR code generation error:', error);
@@ -78,9 +113,9 @@ router.get('/my-qr-code', auth, requireStudent, async (req, res) => {
 });
 
 // Get all students (admin only)
-router.get('/', auth, requireStudent, async (req, res) => {
+router.get('/', auth, authorize('student', 'list'), async (req, res) => {
   try {
-    const { page = 1, limit = 50, vendor, search, active } = req.query;
+    const { page = 1, limit = 50, vendor, hostel, batch, search, active } = req.query;
     
     const query = {};
     
@@ -108,17 +143,34 @@ router.get('/', auth, requireStudent, async (req, res) => {
       }
     }
     
+    // 'none' finds students not linked to a hostel yet
+    if (hostel === 'none') {
+      query.hostel = null;
+    } else if (hostel) {
+      if (!mongoose.Types.ObjectId.isValid(hostel)) {
+        return res.status(400).json({ message: 'Invalid hostel' });
+      }
+      query.hostel = hostel;
+    }
+
+    // 'none' finds students without a batch
+    if (batch) {
+      query.batch = batch === 'none' ? null : batch;
+    }
+    
     if (active !== undefined) query.isActive = active === 'true';
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
         { rollNumber: { $regex: search, $options: 'i' } },
+        { batch: { $regex: search, $options: 'i' } },
         { email: { $regex: search, $options: 'i' } }
       ];
     }
 
     const students = await Student.find(query)
       .populate('vendor', 'name location')
+      .populate('hostel', 'name')
       .sort({ name: 1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -137,16 +189,38 @@ router.get('/', auth, requireStudent, async (req, res) => {
   }
 });
 
+// Batches with their active student count, for filters and reports
+router.get('/batches', auth, authorize('student', 'list'), async (req, res) => {
+  try {
+    const batches = await Student.aggregate([
+      { $match: { isActive: true, batch: { $ne: null } } },
+      { $group: { _id: '$batch', students: { $sum: 1 } } },
+      { $project: { _id: 0, batch: '$_id', students: 1 } },
+      { $sort: { batch: -1 } }
+    ]);
+
+    res.json({ batches });
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get student by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('student', 'read'), async (req, res) => {
   try {
     const student = await Student.findById(req.params.id)
-      .populate('vendor', 'name location contactInfo');
+      .populate('vendor', 'name location contactInfo')
+      .populate('hostel', 'name');
     
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    if (!can(req.user, 'student', 'read', student)) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
     res.json({ student });
   } catch (error) {
     console.error('Get student error:', error);
@@ -155,15 +229,15 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Search student by roll number or QR code
-router.get('/search/:identifier', auth, async (req, res) => {
+router.get('/search/:identifier', auth, authorize('student', 'search'), async (req, res) => {
   try {
     const { identifier } = req.params;
     
     const student = await Student.findOne({
       $or: [
-        { rollNumber: identifier },
+        { rollNumber: normalizeRollNumber(identifier) },
         { qrCode: identifier },
-        { email: identifier }
+        { email: identifier.trim().toLowerCase() }
       ],
       isActive: true
     }).populate('vendor', 'name location');
@@ -172,6 +246,10 @@ router.get('/search/:identifier', auth, async (req, res) => {
       return res.status(404).json({ message: 'Student not found or inactive' });
     }
 
+    if (!can(req.user, 'student', 'search', student)) {
+      return res.status(403).json({ message: 'Student is not assigned to your vendor' });
+    }
+
     res.json({ student });
   } catch (error) {
     console.error('Search student error:', error);
@@ -180,19 +258,82 @@ router.get('/search/:identifier', auth, async (req, res) => {
 });
 
 // Update student
-router.put('/:id', auth, requireStudent, async (req, res) => {
+router.put('/:id', auth, authorize('student', 'update'), async (req, res) => {
   try {
-    const { name, vendor, isActive } = req.body;
+    const { name, vendor, hostel, isActive, dietaryPreference, allergyNotes } = req.body;
+    const batch = req.body.batch === undefined ? undefined : parseBatch(req.body.batch);
+    const rollNumber = req.body.rollNumber === undefined ? undefined : normalizeRollNumber(req.body.rollNumber);
+
+    if (dietaryPreference && !DIETARY_PREFERENCES.includes(dietaryPreference)) {
+      return res.status(400).json({ message: `Dietary preference must be one of ${DIETARY_PREFERENCES.join(', ')}` });
+    }
+
+    const existing = await Student.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!can(req.user, 'student', 'update', existing)) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    // Reassigning a vendor, hostel or batch, changing the roll number, or (de)activating, is reserved for admins
+    const managedFields = [vendor, hostel, batch, rollNumber, isActive];
+    if (managedFields.some(field => field !== undefined) && !can(req.user, 'student', 'manage', existing)) {
+      return res.status(403).json({ message: 'Only admins can change a student\'s vendor, hostel, batch, roll number or status' });
+    }
+
+    if (rollNumber === null) {
+      return res.status(400).json({ message: 'Roll number cannot be empty' });
+    }
+
+    if (rollNumber && await Student.exists({ rollNumber, _id: { $ne: existing._id } })) {
+      return res.status(400).json({ message: `Roll number ${rollNumber} already belongs to another student` });
+    }
+
+    if (hostel && !(mongoose.Types.ObjectId.isValid(hostel) && await Hostel.exists({ _id: hostel }))) {
+      return res.status(404).json({ message: 'Hostel not found' });
+    }
+
+    // A vendor change starts today; earlier days stay with the previous vendor
+    if (vendor !== undefined && vendor?.toString() !== existing.vendor?.toString()) {
+      const newVendor = mongoose.Types.ObjectId.isValid(vendor) ? await Vendor.findById(vendor) : null;
+      if (!newVendor) {
+        return res.status(404).json({ message: 'Vendor not found' });
+      }
+      await assignVendor({ studentId: existing._id, vendorId: newVendor._id, source: 'admin', user: req.user });
+    }
     
+    const update = { name, rollNumber, isActive, allergyNotes, updatedAt: new Date() };
+
+    // An empty preference, hostel or batch clears it
+    const unset = {};
+    if (dietaryPreference) {
+      update.dietaryPreference = dietaryPreference;
+    } else if (dietaryPreference !== undefined) {
+      unset.dietaryPreference = 1;
+    }
+    if (hostel) {
+      update.hostel = hostel;
+    } else if (hostel !== undefined) {
+      unset.hostel = 1;
+    }
+    if (batch) {
+      update.batch = batch;
+    } else if (batch !== undefined) {
+      unset.batch = 1;
+    }
+    if (Object.keys(unset).length > 0) {
+      update.$unset = unset;
+    }
+
     const student = await Student.findByIdAndUpdate(
       req.params.id,
-      { name, vendor, isActive },
+      update,
       { new: true, runValidators: true }
-    ).populate('vendor', 'name location');
-
-    if (!student) {
-      return res.status(404).json({ message: 'Student not found' });
-    }
+    )
+      .populate('vendor', 'name location')
+      .populate('hostel', 'name');
 
     res.json({ student });
   } catch (error) {
@@ -202,7 +343,7 @@ router.put('/:id', auth, requireStudent, async (req, res) => {
 });
 
 // Deactivate student
-router.delete('/:id', auth, requireStudent, async (req, res) => {
+router.delete('/:id', auth, authorize('student', 'deactivate'), async (req, res) => {
   try {
     const student = await Student.findByIdAndUpdate(
       req.params.id,
@@ -222,7 +363,7 @@ router.delete('/:id', auth, requireStudent, async (req, res) => {
 });
 
 // Get student meal history
-router.get('/:id/meals', auth, async (req, res) => {
+router.get('/:id/meals', auth, authorize('student', 'readMeals'), async (req, res) => {
   try {
     const { page = 1, limit = 30 } = req.query;
     
@@ -231,15 +372,26 @@ router.get('/:id/meals', auth, async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    const meals = student.mealHistory
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice((page - 1) * limit, page * limit);
+    if (!can(req.user, 'student', 'readMeals', student)) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    const query = { student: student._id, claimed: true };
+
+    const meals = await MealRecord.find(query)
+      .populate('vendor', 'name')
+      .sort({ claimedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('vendor date serviceDate mealType claimed claimedAt source voided voidedAt voidReason');
+
+    const total = await MealRecord.countDocuments(query);
 
     res.json({
       meals,
-      totalPages: Math.ceil(student.mealHistory.length / limit),
+      totalPages: Math.ceil(total / limit),
       currentPage: page,
-      total: student.mealHistory.length
+      total
     });
   } catch (error) {
     console.error('Get student meals error:', error);
@@ -247,8 +399,92 @@ router.get('/:id/meals', auth, async (req, res) => {
   }
 });
 
+// Vendor assignment history
+router.get('/:id/vendor-assignments', auth, authorize('student', 'readVendorHistory'), async (req, res) => {
+  try {
+    const student = mongoose.Types.ObjectId.isValid(req.params.id) ? await Student.findById(req.params.id) : null;
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!can(req.user, 'student', 'readVendorHistory', student)) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    const assignments = await getVendorHistory(student._id);
+
+    res.json({ assignments });
+  } catch (error) {
+    console.error('Get vendor history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a student to another vendor from a given date (today by default)
+router.post('/:id/vendor-assignments', auth, authorize('student', 'manage'), async (req, res) => {
+  try {
+    const { vendorId, reason } = req.body;
+    const startDate = req.body.startDate || toServiceDate();
+
+    if (!isServiceDate(startDate)) {
+      return res.status(400).json({ message: 'Start date must be YYYY-MM-DD' });
+    }
+
+    const [student, vendor] = await Promise.all([
+      mongoose.Types.ObjectId.isValid(req.params.id) ? Student.findById(req.params.id) : null,
+      mongoose.Types.ObjectId.isValid(vendorId) ? Vendor.findById(vendorId) : null
+    ]);
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    // Moving meals between vendors must not alter invoices that are already approved.
+    // Only the vendors the student leaves and joins are affected
+    const [assignedVendors, subscribedVendors] = await Promise.all([
+      VendorAssignment.distinct('vendor', { student: student._id, ...openAssignmentsFilter(startDate) }),
+      Subscription.distinct('vendor', { student: student._id, status: 'active', endDate: { $gte: startDate } })
+    ]);
+    const lockedInvoice = await Invoice.findOne({
+      vendor: { $in: [vendor._id, student.vendor, ...assignedVendors, ...subscribedVendors].filter(Boolean) },
+      status: { $in: ['approved', 'paid'] },
+      periodEnd: { $gte: startDate }
+    }).sort({ periodEnd: -1 });
+
+    if (lockedInvoice) {
+      return res.status(409).json({
+        code: 'INVOICE_LOCKED',
+        message: `Invoice ${lockedInvoice.number} for ${lockedInvoice.month} is already approved. The change must start after ${lockedInvoice.periodEnd}`
+      });
+    }
+
+    const { assignment, action } = await assignVendor({
+      studentId: student._id,
+      vendorId: vendor._id,
+      startDate,
+      source: 'admin',
+      reason: reason?.trim() || undefined,
+      user: req.user
+    });
+
+    res.status(action === 'created' ? 201 : 200).json({
+      message: action === 'unchanged'
+        ? `${student.name} is already with ${vendor.name}`
+        : `${student.name} moves to ${vendor.name} from ${startDate}`,
+      assignment,
+      action
+    });
+  } catch (error) {
+    console.error('Assign vendor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Clean up invalid vendor references
-router.post('/cleanup-vendors', auth, requireAdmin, async (req, res) => {
+router.post('/cleanup-vendors', auth, authorize('student', 'cleanup'), async (req, res) => {
   try {
     const mongoose = require('mongoose');
     
@@ -269,8 +505,13 @@ router.post('/cleanup-vendors', auth, requireAdmin, async (req, res) => {
         });
         
         if (vendor) {
-          student.vendor = vendor._id;
-          await student.save();
+          await assignVendor({
+            studentId: student._id,
+            vendorId: vendor._id,
+            source: 'admin',
+            reason: 'Fixed invalid vendor reference',
+            user: req.user
+          });
           fixed++;
           console.log(`Fixed student: ${student.name}, vendor: ${student.vendor} -> ${vendor.name}`);
         } else {
@@ -298,48 +539,4 @@ router.post('/cleanup-vendors', auth, requireAdmin, async (req, res) => {
   }
 });
 
-// Generate QR code for student
-router.get('/qr-code/:id', auth, async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Find student
-    const student = await Student.findById(id).populate('vendor', 'name');
-    if (!student) {
-      return res.status(404).json({ message: 'Student not found' });
-    }
-
-    // Generate QR code data URL
-    const qrData = {
-      studentId: student._id,
-      qrCode: student.qrCode,
-      name: student.name,
-      rollNumber: student.rollNumber,
-      vendor: student.vendor.name
-    };
-
-    const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(qrData), {
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
-
-    res.json({
-      qrCode: student.qrCode,
-      qrCodeDataURL,
-      student: {
-        name: student.name,
-        rollNumber: student.rollNumber,
-        vendor: student.vendor.name
-      }
-    });
-  } catch (error) {
-    console.error('QR code generation error:', error);
-    res.status(500).json({ message: 'Server error generating QR code' });
-  }
-});
-
 module.exports = router;
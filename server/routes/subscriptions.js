@@ -0,0 +1,169 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const MealPlan = require('../models/MealPlan');
+const Student = require('../models/Student');
+const Vendor = require('../models/Vendor');
+const AuditLog = require('../models/AuditLog');
+const { auth } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
+const { renewSubscription, cancelSubscription } = require('../services/subscriptions');
+const { assignVendor } = require('../services/vendorAssignments');
+const { toServiceDate, isServiceDate } = require('../utils/date');
+
+const router = express.Router();
+
+// Get subscriptions, optionally only those valid on a service date
+router.get('/', auth, authorize('subscription', 'list'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, student, vendor, plan, status, date } = req.query;
+
+    const query = {};
+
+    for (const [field, value] of Object.entries({ student, vendor, plan })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${field} ID` });
+      }
+      query[field] = value;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (date) {
+      if (!isServiceDate(date)) {
+        return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format' });
+      }
+      query.startDate = { $lte: date };
+      query.endDate = { $gte: date };
+    }
+
+    const subscriptions = await Subscription.find(query)
+      .populate('student', 'name email rollNumber')
+      .populate('vendor', 'name')
+      .populate('plan', 'name mealTypes mealsPerDay mealsPerMonth')
+      .sort({ startDate: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Subscription.countDocuments(query);
+
+    res.json({
+      subscriptions,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create or renew a student's subscription
+router.post('/', auth, authorize('subscription', 'create'), async (req, res) => {
+  try {
+    const { studentId, vendorId, planId, startDate, endDate } = req.body;
+
+    if (![studentId, vendorId, planId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Valid student, vendor and plan IDs are required' });
+    }
+
+    if (!isServiceDate(startDate) || !isServiceDate(endDate) || startDate > endDate) {
+      return res.status(400).json({ message: 'Start and end dates must be YYYY-MM-DD with the start on or before the end' });
+    }
+
+    const [student, vendor, plan] = await Promise.all([
+      Student.findById(studentId),
+      Vendor.findById(vendorId),
+      MealPlan.findById(planId)
+    ]);
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+    if (!plan || !plan.isActive) {
+      return res.status(404).json({ message: 'Meal plan not found' });
+    }
+
+    const { subscription, action } = await renewSubscription({
+      studentId: student._id,
+      vendorId: vendor._id,
+      planId: plan._id,
+      startDate,
+      endDate,
+      source: 'manual',
+      user: req.user
+    });
+
+    // Keep the student's vendor in step with the subscription from today (or its start) on
+    const today = toServiceDate();
+    if (subscription.endDate >= today) {
+      await assignVendor({
+        studentId: student._id,
+        vendorId: vendor._id,
+        startDate: startDate > today ? startDate : today,
+        source: 'admin',
+        user: req.user
+      });
+    }
+    if (subscription.startDate <= today && subscription.endDate >= today && !student.isActive) {
+      student.isActive = true;
+      student.updatedAt = new Date();
+      await student.save();
+    }
+
+    if (action !== 'unchanged') {
+      await AuditLog.create({
+        action: `subscription.${action === 'created' ? 'create' : 'renew'}`,
+        actor: req.user._id,
+        targetModel: 'Subscription',
+        target: subscription._id,
+        details: {
+          student: student._id,
+          vendor: vendor._id,
+          plan: plan._id,
+          startDate: subscription.startDate,
+          endDate: subscription.endDate
+        }
+      });
+    }
+
+    res.status(action === 'created' ? 201 : 200).json({ subscription, action });
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a subscription
+router.put('/:id/cancel', auth, authorize('subscription', 'cancel'), async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to cancel a subscription' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !await Subscription.exists({ _id: req.params.id })) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    const subscription = await cancelSubscription({ subscriptionId: req.params.id, user: req.user, reason });
+    if (!subscription) {
+      return res.status(400).json({ message: 'This subscription has already been cancelled' });
+    }
+
+    res.json({ message: 'Subscription cancelled', subscription });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,21 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Vendor = require('../models/Vendor');
 const Student = require('../models/Student');
-const { auth, requireVendor } = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
+const { authorize, can } = require('../middleware/policy');
+const { MEAL_TYPES, getServiceWindows, validateServiceWindows } = require('../utils/serviceWindows');
+const { getDayRange, getTimezone, toServiceDate, isServiceDate } = require('../utils/date');
+const { getVendorMealStats, getDietarySummary } = require('../services/mealStats');
+const { getMonthToDateMeals } = require('../services/vendorStats');
 
 const router = express.Router();
 
 // Get all vendors
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('vendor', 'list'), async (req, res) => {
   try {
     const vendors = await Vendor.find({ isActive: true })
+      .populate('hostels', 'name')
       .sort({ name: 1 });
 
     res.json({ vendors });
@@ -19,7 +26,7 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get vendor by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('vendor', 'read'), async (req, res) => {
   try {
     const vendor = await Vendor.findById(req.params.id);
     
@@ -35,7 +42,7 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Get vendor dashboard data
-router.get('/:id/dashboard', auth, requireVendor, async (req, res) => {
+router.get('/:id/dashboard', auth, authorize('vendor', 'readDashboard', { vendor: ['params', 'id'] }), async (req, res) => {
   try {
     const vendor = await Vendor.findById(req.params.id);
     if (!vendor) {
@@ -46,50 +53,26 @@ router.get('/:id/dashboard', auth, requireVendor, async (req, res) => {
     const students = await Student.find({ 
       vendor: req.params.id, 
       isActive: true 
-    }).select('name rollNumber email lastMealClaimed');
-
-    // Get today's meal records
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const todayMeals = await Student.aggregate([
-      { $match: { vendor: vendor._id, isActive: true } },
-      { $unwind: '$mealHistory' },
-      { 
-        $match: { 
-          'mealHistory.date': { 
-            $gte: today, 
-            $lt: tomorrow 
-          } 
-        } 
-      },
-      { $count: 'total' }
-    ]);
-
-    // Get monthly stats
-    const currentMonth = new Date().getMonth();
-    const currentYear = new Date().getFullYear();
-    
-    const monthlyStats = await Student.aggregate([
-      { $match: { vendor: vendor._id, isActive: true } },
-      { $unwind: '$mealHistory' },
-      {
-        $match: {
-          'mealHistory.date': {
-            $gte: new Date(currentYear, currentMonth, 1),
-            $lt: new Date(currentYear, currentMonth + 1, 1)
-          }
-        }
-      },
-      { $count: 'total' }
-    ]);
+    }).select('name rollNumber batch email lastMealClaimed');
+
+    // Today's meals at this counter are counted live like /verification/stats. The month
+    // total counts meals by the vendor each student is assigned to, like the stats rollup
+    const todayStats = await getVendorMealStats(vendor._id, getDayRange());
+    const monthlyMeals = await getMonthToDateMeals(vendor._id);
+
+    // Expected headcount per meal: subscribed students minus those who opted out
+    const todaySummary = await getDietarySummary(vendor._id, toServiceDate());
+    const headcount = MEAL_TYPES.reduce((counts, mealType) => {
+      counts[mealType] = {
+        expected: todaySummary.expected[mealType].total,
+        optedOut: todaySummary.optedOut[mealType].total
+      };
+      return counts;
+    }, {});
 
     // Calculate claim rate (percentage of students who claimed meals today)
     const totalStudents = students.length;
-    const claimedToday = todayMeals[0]?.total || 0;
-    const claimRate = totalStudents > 0 ? (claimedToday / totalStudents * 100).toFixed(1) : 0;
+    const claimRate = totalStudents > 0 ? (todayStats.studentsClaimed / totalStudents * 100).toFixed(1) : 0;
 
     res.json({
       vendor: {
@@ -97,14 +80,20 @@ router.get('/:id/dashboard', auth, requireVendor, async (req, res) => {
         name: vendor.name,
         location: vendor.location,
         totalStudents: students.length,
-        todayMeals: todayMeals[0]?.total || 0,
-        monthlyMeals: monthlyStats[0]?.total || 0,
-        claimRate: parseFloat(claimRate)
+        todayMeals: todayStats.totalMeals,
+        monthlyMeals,
+        claimedToday: todayStats.studentsClaimed,
+        claimRate: parseFloat(claimRate),
+        mealTypeStats: todayStats.mealTypeStats,
+        headcount,
+        serviceWindows: getServiceWindows(vendor),
+        timezone: getTimezone()
       },
       students: students.map(student => ({
         id: student._id,
         name: student.name,
         rollNumber: student.rollNumber,
+        batch: student.batch,
         email: student.email,
         lastMealClaimed: student.lastMealClaimed
       }))
@@ -115,8 +104,29 @@ router.get('/:id/dashboard', auth, requireVendor, async (req, res) => {
   }
 });
 
+// Veg/non-veg headcount for a service day (defaults to today)
+router.get('/:id/dietary-summary', auth, authorize('vendor', 'readDietarySummary', { vendor: ['params', 'id'] }), async (req, res) => {
+  try {
+    const serviceDate = req.query.date || toServiceDate();
+    if (!isServiceDate(serviceDate)) {
+      return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !await Vendor.exists({ _id: req.params.id })) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    const summary = await getDietarySummary(req.params.id, serviceDate);
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Get dietary summary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Search students for a vendor
-router.get('/:id/students/search', auth, requireVendor, async (req, res) => {
+router.get('/:id/students/search', auth, authorize('vendor', 'searchStudents', { vendor: ['params', 'id'] }), async (req, res) => {
   try {
     const { q } = req.query;
     
@@ -142,15 +152,20 @@ router.get('/:id/students/search', auth, requireVendor, async (req, res) => {
 });
 
 // Create new vendor (admin only)
-router.post('/', auth, requireVendor, async (req, res) => {
+router.post('/', auth, authorize('vendor', 'create'), async (req, res) => {
   try {
-    const { name, description, location, contactInfo } = req.body;
+    const { name, description, location, contactInfo, hostels } = req.body;
+
+    if (hostels !== undefined && !(Array.isArray(hostels) && hostels.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({ message: 'Hostels must be a list of hostel IDs' });
+    }
 
     const vendor = new Vendor({
       name,
       description,
       location,
-      contactInfo
+      contactInfo,
+      hostels
     });
 
     await vendor.save();
@@ -163,13 +178,41 @@ router.post('/', auth, requireVendor, async (req, res) => {
 });
 
 // Update vendor
-router.put('/:id', auth, requireVendor, async (req, res) => {
+router.put('/:id', auth, authorize('vendor', 'update', { vendor: ['params', 'id'] }), async (req, res) => {
   try {
-    const { name, description, location, contactInfo, isActive } = req.body;
+    const { name, description, location, contactInfo, isActive, settings } = req.body;
+
+    // Void grace, legacy QR, service windows and (de)activation are reserved for admins
+    if ((settings !== undefined || isActive !== undefined) && !can(req.user, 'vendor', 'manage', { vendor: req.params.id })) {
+      return res.status(403).json({ message: 'Only admins can change a vendor\'s settings or status' });
+    }
+
+    const update = { name, description, location, contactInfo, isActive };
+
+    // Update individual settings so omitted ones keep their current values
+    if (settings) {
+      if (settings.allowLegacyQr !== undefined) {
+        update['settings.allowLegacyQr'] = Boolean(settings.allowLegacyQr);
+      }
+      if (settings.voidGraceMinutes !== undefined) {
+        const graceMinutes = Number(settings.voidGraceMinutes);
+        if (!Number.isFinite(graceMinutes) || graceMinutes < 0) {
+          return res.status(400).json({ message: 'Void grace period must be a non-negative number of minutes' });
+        }
+        update['settings.voidGraceMinutes'] = graceMinutes;
+      }
+      if (settings.serviceWindows !== undefined) {
+        const windowError = validateServiceWindows(settings.serviceWindows);
+        if (windowError) {
+          return res.status(400).json({ message: windowError });
+        }
+        update['settings.serviceWindows'] = settings.serviceWindows;
+      }
+    }
     
     const vendor = await Vendor.findByIdAndUpdate(
       req.params.id,
-      { name, description, location, contactInfo, isActive },
+      update,
       { new: true, runValidators: true }
     );
 
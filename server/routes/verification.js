@@ -1,12 +1,276 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Student = require('../models/Student');
+const Vendor = require('../models/Vendor');
 const MealRecord = require('../models/MealRecord');
-const { auth, requireVendor } = require('../middleware/auth');
+const QrTokenUse = require('../models/QrTokenUse');
+const SyncConflict = require('../models/SyncConflict');
+const Subscription = require('../models/Subscription');
+const MealCreditAccount = require('../models/MealCreditAccount');
+const MealOptOut = require('../models/MealOptOut');
+const { auth } = require('../middleware/auth');
+const { authorize, can } = require('../middleware/policy');
+const idempotency = require('../middleware/idempotency');
+const { isSignedToken, verifyToken, getPublicKey } = require('../utils/qrToken');
+const { resolveMealType, getServiceWindows } = require('../utils/serviceWindows');
+const { toServiceDate, isServiceDate, addServiceDays, getDayRange, getTimezone } = require('../utils/date');
+const { normalizeRollNumber } = require('../utils/rollNumber');
+const { claimMeal, voidMeal } = require('../services/mealClaims');
+const { recordAttempt } = require('../services/verificationAttempts');
+const { getVendorMealStats } = require('../services/mealStats');
+const { findActiveSubscription, noSubscriptionError, checkPlanAllowance } = require('../services/subscriptions');
+const { consumeCredit, restoreCredit, recordConsumption } = require('../services/mealCredits');
+const { recordClaimDespiteOptOut, optedOutWarning } = require('../services/optOuts');
 
 const router = express.Router();
 
+// Resolve the student behind a scanned identifier (signed token, legacy QR UUID,
+// roll number or email). Signed tokens are checked against `at` and refused if they
+// were used before. Returns { student, tokenUse } or { error: { status, code, message, student } },
+// where error.student is set when the identifier could still be traced to a student.
+// `tokenUse` is for recordTokenUse once the claim is accepted
+const findStudentForClaim = async (identifier, vendor, { userId, at = new Date() }) => {
+  let student;
+  let tokenUse;
+
+  if (isSignedToken(identifier)) {
+    const result = verifyToken(identifier, { now: at.getTime() });
+    if (!result.valid) {
+      return {
+        error: {
+          status: 400,
+          code: result.code,
+          message: result.code === 'QR_TOKEN_EXPIRED'
+            ? 'QR code has expired. Ask the student to refresh it'
+            : 'QR code is invalid or has been tampered with',
+          student: result.payload?.sid
+        }
+      };
+    }
+
+    student = await Student.findOne({
+      _id: result.payload.sid,
+      isActive: true
+    }).populate('vendor', 'name location');
+
+    if (student) {
+      // Each token may only be presented once
+      if (await QrTokenUse.exists({ jti: result.payload.jti })) {
+        return {
+          error: {
+            status: 409,
+            code: 'QR_TOKEN_REPLAYED',
+            message: 'This QR code has already been used. Ask the student to show a fresh one',
+            student
+          }
+        };
+      }
+      tokenUse = {
+        jti: result.payload.jti,
+        student: student._id,
+        vendor: vendor._id,
+        usedBy: userId,
+        expiresAt: new Date(result.payload.exp * 1000)
+      };
+    }
+  } else {
+    student = await Student.findOne({
+      $or: [
+        { qrCode: identifier },
+        { rollNumber: normalizeRollNumber(identifier) },
+        { email: String(identifier).trim().toLowerCase() }
+      ],
+      isActive: true
+    }).populate('vendor', 'name location');
+
+    // Static UUID QR codes can be switched off per vendor
+    if (student && student.qrCode === identifier && !vendor.settings?.allowLegacyQr) {
+      return {
+        error: {
+          status: 400,
+          code: 'LEGACY_QR_DISABLED',
+          message: 'Legacy QR codes are no longer accepted at this vendor. Ask the student to open their QR code in the app',
+          student
+        }
+      };
+    }
+  }
+
+  if (!student) {
+    return {
+      error: {
+        status: 404,
+        code: 'STUDENT_NOT_FOUND',
+        message: 'Student not found or inactive'
+      }
+    };
+  }
+
+  if (student.claimsBlocked) {
+    return {
+      error: {
+        status: 403,
+        code: 'CLAIMS_BLOCKED',
+        message: 'Meal claims are on hold for this student. Please contact an admin',
+        student
+      }
+    };
+  }
+
+  return { student, tokenUse };
+};
+
+// Mark a signed token as used once its claim went through. Refused scans leave it
+// unused, so the student can show the same code at the right counter
+const recordTokenUse = async (tokenUse) => {
+  if (!tokenUse) return;
+  try {
+    await QrTokenUse.create(tokenUse);
+  } catch (error) {
+    // Already recorded, e.g. by an earlier sync of the same offline claim
+    if (error.code !== 11000) throw error;
+  }
+};
+
+const MAX_SYNC_CLAIMS = 500;
+
+// Claims may be verified offline a little ahead of the server clock, but not from the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Apply one offline claim. Returns null when accepted, or the SyncConflict recorded for admin review
+const applyOfflineClaim = async ({ claim, claimedAt, vendor, user }) => {
+  const logAttempt = (outcome, { student, message, mealType } = {}) => {
+    return recordAttempt({
+      identifier: claim.identifier,
+      student,
+      vendor: vendor._id,
+      operator: user._id,
+      outcome,
+      message,
+      mealType,
+      source: 'offline',
+      scannedAt: claimedAt
+    });
+  };
+
+  const recordConflict = async (reason, message, extra = {}) => {
+    await logAttempt(reason, { student: extra.student, message, mealType: extra.mealType });
+    return SyncConflict.create({
+      clientClaimId: claim.clientClaimId,
+      vendor: vendor._id,
+      operator: user._id,
+      reason,
+      message,
+      claimedAt,
+      ...extra
+    });
+  };
+
+  if (claimedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return recordConflict('INVALID_CLAIM_TIME', 'Claim time is in the future');
+  }
+
+  const { student, tokenUse, error } = await findStudentForClaim(claim.identifier, vendor, {
+    userId: user._id,
+    at: claimedAt
+  });
+
+  if (error) {
+    const studentId = error.student?._id || error.student || claim.studentId;
+    return recordConflict(error.code, error.message, {
+      student: mongoose.Types.ObjectId.isValid(studentId) ? studentId : undefined
+    });
+  }
+
+  const serviceDate = toServiceDate(claimedAt);
+
+  // Checked against the subscription on the day of the scan, not the day of the sync
+  const subscription = await findActiveSubscription(student._id, serviceDate);
+  if (!subscription) {
+    const subscriptionError = noSubscriptionError(serviceDate);
+    return recordConflict(subscriptionError.code, subscriptionError.message, { student, serviceDate });
+  }
+
+  if (subscription.vendor._id.toString() !== vendor._id.toString()) {
+    return recordConflict('VENDOR_MISMATCH', `Student is assigned to ${subscription.vendor.name}`, {
+      student
+    });
+  }
+
+  const mealType = resolveMealType(vendor, claimedAt);
+
+  if (!mealType) {
+    return recordConflict('OUTSIDE_SERVICE_WINDOW', 'Claim was made outside service hours', {
+      student,
+      serviceDate
+    });
+  }
+
+  const planError = await checkPlanAllowance({ subscription, studentId: student._id, mealType, serviceDate });
+  if (planError) {
+    return recordConflict(planError.code, planError.message, { student, mealType, serviceDate });
+  }
+
+  let credit;
+  if (subscription.plan.usesCredits) {
+    credit = await consumeCredit({ studentId: student._id, vendorId: vendor._id, at: claimedAt });
+    if (credit.error) {
+      return recordConflict(credit.error.code, credit.error.message, { student, mealType, serviceDate });
+    }
+  }
+
+  let result;
+  try {
+    result = await claimMeal({
+      student,
+      vendorId: vendor._id,
+      mealType,
+      serviceDate,
+      claimedAt,
+      claimedBy: user._id,
+      source: 'offline',
+      clientClaimId: claim.clientClaimId
+    });
+  } catch (error) {
+    // The credit was spent for a claim that never got written
+    if (credit) await restoreCredit(credit);
+    throw error;
+  }
+
+  // A claim that was synced before already spent its credit
+  if (credit && (!result.claimed || result.duplicate)) {
+    await restoreCredit(credit);
+  } else if (credit) {
+    await recordConsumption({ account: credit.account, mealRecord: result.mealRecord, user });
+  }
+
+  if (!result.claimed) {
+    return recordConflict('ALREADY_CLAIMED', `Student had already claimed this ${mealType}`, {
+      student,
+      mealType,
+      serviceDate,
+      existingMealRecord: result.existingMeal?._id
+    });
+  }
+
+  await recordTokenUse(tokenUse);
+
+  if (!result.duplicate) {
+    await recordClaimDespiteOptOut({
+      studentId: student._id,
+      serviceDate,
+      mealType,
+      mealRecord: result.mealRecord,
+      user
+    });
+  }
+
+  await logAttempt('VERIFIED', { student, mealType });
+  return null;
+};
+
 // Verify student by QR code or roll number
-router.post('/verify', auth, requireVendor, async (req, res) => {
+router.post('/verify', auth, authorize('meal', 'verify', { vendor: ['body', 'vendorId'] }), idempotency, async (req, res) => {
   try {
     const { identifier, vendorId } = req.body;
     
@@ -14,99 +278,211 @@ router.post('/verify', auth, requireVendor, async (req, res) => {
       return res.status(400).json({ message: 'Identifier and vendor ID are required' });
     }
 
-    // Find student
-    const student = await Student.findOne({
-      $or: [
-        { qrCode: identifier },
-        { rollNumber: identifier },
-        { email: identifier }
-      ],
-      isActive: true
-    }).populate('vendor', 'name location');
+    // Every outcome below is logged so denied scans can be reviewed later. Logging and the
+    // fraud rules run once the response is sent, so they never hold up the counter
+    const logAttempt = (outcome, { student, vendor, message, mealType } = {}) => {
+      const scannedAt = new Date();
+      res.once('finish', () => {
+        recordAttempt({
+          identifier,
+          student,
+          vendor: vendor?._id,
+          operator: req.user._id,
+          outcome,
+          message,
+          mealType,
+          scannedAt
+        });
+      });
+    };
+
+    const vendor = mongoose.Types.ObjectId.isValid(vendorId) ? await Vendor.findById(vendorId) : null;
+    if (!vendor) {
+      logAttempt('VENDOR_NOT_FOUND', { message: 'Vendor not found' });
+      return res.status(404).json({ message: 'Vendor not found', verified: false });
+    }
+
+    const { student, tokenUse, error: lookupError } = await findStudentForClaim(identifier, vendor, {
+      userId: req.user._id
+    });
 
-    if (!student) {
-      return res.status(404).json({ 
-        message: 'Student not found or inactive',
-        verified: false 
+    if (lookupError) {
+      logAttempt(lookupError.code, {
+        student: lookupError.student,
+        vendor,
+        message: lookupError.message
+      });
+      return res.status(lookupError.status).json({
+        message: lookupError.message,
+        code: lookupError.code,
+        verified: false
+      });
+    }
+
+    const now = new Date();
+    const serviceDate = toServiceDate(now);
+
+    // The subscription for today decides which vendor the student eats at
+    const subscription = await findActiveSubscription(student._id, serviceDate);
+    if (!subscription) {
+      const subscriptionError = noSubscriptionError(serviceDate);
+      logAttempt(subscriptionError.code, { student, vendor, message: subscriptionError.message });
+      return res.status(subscriptionError.status).json({
+        message: subscriptionError.message,
+        code: subscriptionError.code,
+        verified: false,
+        student: {
+          name: student.name,
+          rollNumber: student.rollNumber
+        }
       });
     }
 
     // Check if student is assigned to this vendor
-    if (student.vendor._id.toString() !== vendorId) {
+    if (subscription.vendor._id.toString() !== vendorId) {
+      logAttempt('VENDOR_MISMATCH', {
+        student,
+        vendor,
+        message: `Student is assigned to ${subscription.vendor.name}`
+      });
       return res.status(400).json({ 
         message: 'Student is not assigned to this vendor',
+        code: 'VENDOR_MISMATCH',
         verified: false,
         student: {
           name: student.name,
           rollNumber: student.rollNumber,
-          assignedVendor: student.vendor.name
+          assignedVendor: subscription.vendor.name
         }
       });
     }
 
-    // Check if student has already claimed today's meal
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Work out which meal is being served right now
+    const mealType = resolveMealType(vendor, now);
 
-    const todayMeal = await MealRecord.findOne({
-      student: student._id,
-      date: { $gte: today, $lt: tomorrow },
-      claimed: true
-    });
+    if (!mealType) {
+      logAttempt('OUTSIDE_SERVICE_WINDOW', {
+        student,
+        vendor,
+        message: 'No meal is being served at this time'
+      });
+      return res.status(400).json({
+        message: 'No meal is being served at this time',
+        code: 'OUTSIDE_SERVICE_WINDOW',
+        verified: false,
+        serviceWindows: getServiceWindows(vendor)
+      });
+    }
+
+    const planError = await checkPlanAllowance({ subscription, studentId: student._id, mealType, serviceDate });
+    if (planError) {
+      logAttempt(planError.code, { student, vendor, message: planError.message, mealType });
+      return res.status(planError.status).json({
+        message: planError.message,
+        code: planError.code,
+        verified: false,
+        mealType,
+        student: {
+          name: student.name,
+          rollNumber: student.rollNumber
+        }
+      });
+    }
 
-    if (todayMeal) {
+    // Credit-based plans spend one credit per claim
+    let credit;
+    if (subscription.plan.usesCredits) {
+      credit = await consumeCredit({ studentId: student._id, vendorId: vendor._id, at: now });
+      if (credit.error) {
+        logAttempt(credit.error.code, { student, vendor, message: credit.error.message, mealType });
+        return res.status(credit.error.status).json({
+          message: credit.error.message,
+          code: credit.error.code,
+          verified: false,
+          mealType,
+          student: {
+            name: student.name,
+            rollNumber: student.rollNumber
+          }
+        });
+      }
+    }
+
+    // Record the claim; only one claim per meal per day can succeed
+    let claim;
+    try {
+      claim = await claimMeal({
+        student,
+        vendorId,
+        mealType,
+        serviceDate,
+        claimedAt: now,
+        claimedBy: req.user._id
+      });
+    } catch (error) {
+      if (credit) await restoreCredit(credit);
+      throw error;
+    }
+
+    if (!claim.claimed) {
+      if (credit) await restoreCredit(credit);
+      logAttempt('ALREADY_CLAIMED', {
+        student,
+        vendor,
+        message: `Student has already claimed today's ${mealType}`,
+        mealType
+      });
       return res.status(400).json({
-        message: 'Student has already claimed today\'s meal',
+        message: `Student has already claimed today's ${mealType}`,
+        code: 'ALREADY_CLAIMED',
         verified: false,
         alreadyClaimed: true,
+        mealType,
         student: {
           name: student.name,
           rollNumber: student.rollNumber,
-          claimedAt: todayMeal.claimedAt
+          claimedAt: claim.existingMeal?.claimedAt
         }
       });
     }
 
-    // Create meal record
-    const mealRecord = new MealRecord({
-      student: student._id,
-      vendor: vendorId,
-      date: new Date(),
-      claimed: true,
-      claimedAt: new Date(),
-      claimedBy: req.user._id
-    });
-
-    await mealRecord.save();
-
-    // Update student's last meal claimed
-    student.lastMealClaimed = {
-      date: new Date(),
-      vendor: vendorId
-    };
+    const { mealRecord } = claim;
+    await recordTokenUse(tokenUse);
+    if (credit) {
+      await recordConsumption({ account: credit.account, mealRecord, user: req.user });
+    }
+    logAttempt('VERIFIED', { student, vendor, mealType });
 
-    // Add to meal history
-    student.mealHistory.push({
-      date: new Date(),
-      vendor: vendorId,
-      claimed: true
+    // Skipping a meal does not stop the student eating it, but the counter should know
+    const optOut = await recordClaimDespiteOptOut({
+      studentId: student._id,
+      serviceDate,
+      mealType,
+      mealRecord,
+      user: req.user
     });
 
-    await student.save();
-
     res.json({
       message: 'Student verified successfully',
       verified: true,
+      warning: optOut ? optedOutWarning(mealType) : undefined,
       student: {
         name: student.name,
         rollNumber: student.rollNumber,
+        batch: student.batch,
         email: student.email,
-        vendor: student.vendor.name
+        vendor: subscription.vendor.name,
+        dietaryPreference: student.dietaryPreference,
+        allergyNotes: student.allergyNotes
+      },
+      subscription: {
+        plan: subscription.plan.name,
+        endDate: subscription.endDate,
+        creditsLeft: credit ? credit.account.balance : undefined
       },
       mealRecord: {
         id: mealRecord._id,
+        mealType: mealRecord.mealType,
         claimedAt: mealRecord.claimedAt
       }
     });
@@ -116,25 +492,260 @@ router.post('/verify', auth, requireVendor, async (req, res) => {
   }
 });
 
+// Void a claimed meal (e.g. the wrong student was scanned)
+router.post('/meals/:id/void', auth, authorize('meal', 'void'), async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to void a meal' });
+    }
+
+    const mealRecord = await MealRecord.findById(req.params.id).populate('vendor', 'settings');
+    if (!mealRecord || !mealRecord.claimed) {
+      return res.status(404).json({ message: 'Meal record not found' });
+    }
+
+    if (!can(req.user, 'meal', 'void', { vendor: mealRecord.vendor })) {
+      return res.status(403).json({ message: 'You can only void meals served by your own vendor', code: 'VENDOR_FORBIDDEN' });
+    }
+
+    if (mealRecord.voided) {
+      return res.status(400).json({ message: 'This meal has already been voided', code: 'ALREADY_VOIDED' });
+    }
+
+    // Vendor staff can only undo recent claims; admins can void anytime
+    if (req.user.role !== 'admin') {
+      const graceMinutes = mealRecord.vendor?.settings?.voidGraceMinutes ?? 15;
+      const elapsedMinutes = (Date.now() - mealRecord.claimedAt.getTime()) / 60000;
+
+      if (elapsedMinutes > graceMinutes) {
+        return res.status(403).json({
+          message: `Meals can only be voided within ${graceMinutes} minutes of being claimed. Please contact an admin`,
+          code: 'VOID_WINDOW_EXPIRED'
+        });
+      }
+    }
+
+    const voidedRecord = await voidMeal({ mealRecord, user: req.user, reason });
+    if (!voidedRecord) {
+      return res.status(400).json({ message: 'This meal has already been voided', code: 'ALREADY_VOIDED' });
+    }
+
+    res.json({
+      message: 'Meal voided successfully',
+      mealRecord: {
+        id: voidedRecord._id,
+        mealType: voidedRecord.mealType,
+        claimedAt: voidedRecord.claimedAt,
+        voided: true,
+        voidedAt: voidedRecord.voidedAt,
+        voidReason: voidedRecord.voidReason
+      }
+    });
+  } catch (error) {
+    console.error('Void meal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Roster and verification material for offline scanning at a vendor counter
+router.get('/roster/:vendorId', auth, authorize('meal', 'readRoster', { vendor: ['params', 'vendorId'] }), async (req, res) => {
+  try {
+    const vendor = await Vendor.findById(req.params.vendorId);
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    const allowLegacyQr = Boolean(vendor.settings?.allowLegacyQr);
+    const serviceDate = toServiceDate();
+
+    // Students subscribed to this vendor today, plus those starting tomorrow so a
+    // roster cached overnight still works. The device checks the dates per scan.
+    const subscriptions = await Subscription.find({
+      vendor: vendor._id,
+      status: 'active',
+      startDate: { $lte: addServiceDays(serviceDate, 1) },
+      endDate: { $gte: serviceDate }
+    })
+      .populate('plan', 'mealTypes mealsPerDay usesCredits')
+      .lean();
+
+    const subscriptionsByStudent = new Map();
+    for (const subscription of subscriptions) {
+      const key = subscription.student.toString();
+      if (!subscriptionsByStudent.has(key)) subscriptionsByStudent.set(key, []);
+      subscriptionsByStudent.get(key).push({
+        startDate: subscription.startDate,
+        endDate: subscription.endDate,
+        mealTypes: subscription.plan?.mealTypes || [],
+        mealsPerDay: subscription.plan?.mealsPerDay,
+        usesCredits: Boolean(subscription.plan?.usesCredits)
+      });
+    }
+
+    // Credit balances at this vendor, so prepaid students can be checked offline
+    const creditAccounts = await MealCreditAccount.find({
+      vendor: vendor._id,
+      student: { $in: [...subscriptionsByStudent.keys()] }
+    }).select('student balance expiresAt').lean();
+    const creditsByStudent = new Map(creditAccounts.map(account => [account.student.toString(), account]));
+
+    const students = await Student.find({
+      _id: { $in: [...subscriptionsByStudent.keys()] },
+      isActive: true
+    })
+      .select('name rollNumber batch email qrCode claimsBlocked dietaryPreference allergyNotes')
+      .lean();
+
+    // Meals already claimed today, so the counter does not accept them again offline
+    const claimedToday = await MealRecord.find({
+      student: { $in: students.map(s => s._id) },
+      serviceDate,
+      claimed: true,
+      voided: { $ne: true }
+    }).select('student mealType').lean();
+
+    // Meals students said they would skip, so the counter can warn offline too
+    const optOuts = await MealOptOut.find({
+      vendor: vendor._id,
+      serviceDate: { $gte: serviceDate, $lte: addServiceDays(serviceDate, 1) },
+      status: 'active'
+    }).select('student serviceDate mealType').lean();
+
+    res.json({
+      vendor: {
+        id: vendor._id,
+        name: vendor.name,
+        allowLegacyQr,
+        serviceWindows: getServiceWindows(vendor)
+      },
+      publicKey: getPublicKey(),
+      generatedAt: new Date(),
+      serviceDate,
+      timezone: getTimezone(),
+      students: students.map(student => ({
+        id: student._id,
+        name: student.name,
+        rollNumber: student.rollNumber,
+        batch: student.batch,
+        email: student.email,
+        qrCode: allowLegacyQr ? student.qrCode : undefined,
+        claimsBlocked: Boolean(student.claimsBlocked),
+        dietaryPreference: student.dietaryPreference,
+        allergyNotes: student.allergyNotes,
+        subscriptions: subscriptionsByStudent.get(student._id.toString()),
+        creditBalance: creditsByStudent.get(student._id.toString())?.balance || 0,
+        creditsExpireAt: creditsByStudent.get(student._id.toString())?.expiresAt
+      })),
+      claimedToday: claimedToday.map(record => ({
+        student: record.student,
+        mealType: record.mealType
+      })),
+      optOuts: optOuts.map(optOut => ({
+        student: optOut.student,
+        serviceDate: optOut.serviceDate,
+        mealType: optOut.mealType
+      }))
+    });
+  } catch (error) {
+    console.error('Get offline roster error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sync claims that a vendor device verified while offline
+router.post('/sync', auth, authorize('meal', 'sync', { vendor: ['body', 'vendorId'] }), async (req, res) => {
+  try {
+    const { vendorId, claims } = req.body;
+
+    if (!vendorId || !Array.isArray(claims)) {
+      return res.status(400).json({ message: 'Vendor ID and claims array are required' });
+    }
+
+    if (claims.length > MAX_SYNC_CLAIMS) {
+      return res.status(400).json({ message: `At most ${MAX_SYNC_CLAIMS} claims can be synced at once` });
+    }
+
+    const vendor = await Vendor.findById(vendorId);
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    const results = [];
+
+    for (const claim of claims) {
+      const { clientClaimId, identifier } = claim;
+      const claimedAt = new Date(claim.claimedAt);
+
+      if (!clientClaimId || !identifier || isNaN(claimedAt.getTime())) {
+        results.push({ clientClaimId, status: 'rejected', message: 'Claim is missing required fields' });
+        continue;
+      }
+
+      try {
+        // Already applied by an earlier sync
+        const syncedMeal = await MealRecord.findOne({ clientClaimId });
+        if (syncedMeal) {
+          results.push({ clientClaimId, status: 'duplicate', mealRecordId: syncedMeal._id });
+          continue;
+        }
+
+        const existingConflict = await SyncConflict.findOne({ clientClaimId });
+        if (existingConflict) {
+          results.push({
+            clientClaimId,
+            status: 'conflict',
+            code: existingConflict.reason,
+            message: existingConflict.message
+          });
+          continue;
+        }
+
+        const conflict = await applyOfflineClaim({ claim, claimedAt, vendor, user: req.user });
+        results.push(conflict
+          ? { clientClaimId, status: 'conflict', code: conflict.reason, message: conflict.message }
+          : { clientClaimId, status: 'accepted' });
+      } catch (error) {
+        console.error(`Error syncing offline claim ${clientClaimId}:`, error);
+        results.push({ clientClaimId, status: 'error', message: 'Server error while syncing this claim' });
+      }
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    console.log(`🔄 Offline sync for vendor ${vendor.name}:`, summary);
+
+    res.json({ results, summary });
+  } catch (error) {
+    console.error('Offline sync error:', error);
+    res.status(500).json({ message: 'Server error during sync' });
+  }
+});
+
 // Get verification history for a vendor
-router.get('/history/:vendorId', auth, requireVendor, async (req, res) => {
+router.get('/history/:vendorId', auth, authorize('meal', 'readHistory', { vendor: ['params', 'vendorId'] }), async (req, res) => {
   try {
     const { vendorId } = req.params;
     const { page = 1, limit = 50, date } = req.query;
 
     const query = { vendor: vendorId, claimed: true };
     
+    // Filter by service day (YYYY-MM-DD on campus)
     if (date) {
-      const startDate = new Date(date);
-      startDate.setHours(0, 0, 0, 0);
-      const endDate = new Date(startDate);
-      endDate.setDate(endDate.getDate() + 1);
-      query.date = { $gte: startDate, $lt: endDate };
+      if (!isServiceDate(date)) {
+        return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format' });
+      }
+      query.serviceDate = date;
     }
 
     const mealRecords = await MealRecord.find(query)
       .populate('student', 'name rollNumber email')
       .populate('claimedBy', 'name email')
+      .populate('voidedBy', 'name email')
       .sort({ claimedAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -154,14 +765,10 @@ router.get('/history/:vendorId', auth, requireVendor, async (req, res) => {
 });
 
 // Get today's verification stats
-router.get('/stats/:vendorId', auth, requireVendor, async (req, res) => {
+router.get('/stats/:vendorId', auth, authorize('meal', 'readStats', { vendor: ['params', 'vendorId'] }), async (req, res) => {
   try {
     const { vendorId } = req.params;
-    
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const { from: today, to: tomorrow } = getDayRange();
 
     // Get total students assigned to vendor
     const totalStudents = await Student.countDocuments({ 
@@ -169,40 +776,43 @@ router.get('/stats/:vendorId', auth, requireVendor, async (req, res) => {
       isActive: true 
     });
 
-    // Get students who claimed today
-    const claimedToday = await MealRecord.countDocuments({
-      vendor: vendorId,
+    const todayStats = await getVendorMealStats(vendorId, { from: today, to: tomorrow });
+    const todayMatch = {
+      vendor: new mongoose.Types.ObjectId(vendorId),
       date: { $gte: today, $lt: tomorrow },
-      claimed: true
-    });
+      claimed: true,
+      voided: { $ne: true }
+    };
 
-    // Get students who haven't claimed today
+    // Students who claimed at least one meal today, and those who haven't
+    const claimedToday = todayStats.studentsClaimed;
     const notClaimedToday = totalStudents - claimedToday;
 
     // Get hourly breakdown
     const hourlyStats = await MealRecord.aggregate([
-      {
-        $match: {
-          vendor: vendorId,
-          date: { $gte: today, $lt: tomorrow },
-          claimed: true
-        }
-      },
+      { $match: todayMatch },
       {
         $group: {
-          _id: { $hour: '$claimedAt' },
+          _id: { $hour: { date: '$claimedAt', timezone: getTimezone() } },
           count: { $sum: 1 }
         }
       },
       { $sort: { _id: 1 } }
     ]);
 
+    const voidedToday = await MealRecord.countDocuments({ ...todayMatch, voided: true });
+
     res.json({
       totalStudents,
       claimedToday,
+      voidedToday,
       notClaimedToday,
+      mealsToday: todayStats.totalMeals,
+      mealTypeStats: todayStats.mealTypeStats,
       claimRate: totalStudents > 0 ? (claimedToday / totalStudents * 100).toFixed(2) : 0,
-      hourlyStats
+      hourlyStats,
+      serviceDate: toServiceDate(),
+      timezone: getTimezone()
     });
   } catch (error) {
     console.error('Get verification stats error:', error);
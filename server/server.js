@@ -5,6 +5,9 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { startStatsRollupSchedule } = require('./services/statsScheduler');
+const { startAssignmentSchedule } = require('./services/vendorAssignments');
+const { startImportWorker } = require('./services/importWorker');
 
 const app = express();
 
@@ -54,7 +57,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Handle preflight requests
@@ -70,6 +74,14 @@ app.use('/api/students', require('./routes/students'));
 app.use('/api/vendors', require('./routes/vendors'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/verification', require('./routes/verification'));
+app.use('/api/plans', require('./routes/plans'));
+app.use('/api/subscriptions', require('./routes/subscriptions'));
+app.use('/api/credits', require('./routes/credits'));
+app.use('/api/opt-outs', require('./routes/optOuts'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/invoices', require('./routes/invoices'));
+app.use('/api/hostels', require('./routes/hostels'));
+app.use('/api/import-profiles', require('./routes/importProfiles'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -107,6 +119,9 @@ const connectDB = async () => {
       w: 'majority'
     });
     console.log('✅ Connected to MongoDB');
+    startAssignmentSchedule();
+    startStatsRollupSchedule();
+    startImportWorker();
   } catch (error) {
     console.error('❌ MongoDB connection error:', error);
     console.log('⚠️  Server will continue without database connection');
@@ -0,0 +1,212 @@
+const VerificationAttempt = require('../models/VerificationAttempt');
+const FraudFlag = require('../models/FraudFlag');
+const Student = require('../models/Student');
+
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+};
+
+const MINUTE = 60 * 1000;
+
+// Thresholds can be tuned per deployment through the environment
+const config = {
+  multiVendorWindowMinutes: readNumber('FRAUD_MULTI_VENDOR_MINUTES', 10),
+  repeatedClaimLimit: readNumber('FRAUD_REPEATED_CLAIM_LIMIT', 3),
+  repeatedClaimWindowMinutes: readNumber('FRAUD_REPEATED_CLAIM_WINDOW_MINUTES', 60),
+  operatorRateLimit: readNumber('FRAUD_OPERATOR_RATE_LIMIT', 30),
+  operatorRateWindowMinutes: readNumber('FRAUD_OPERATOR_RATE_WINDOW_MINUTES', 1),
+  // A used token scanned again by the same operator this soon is a retry, not a replay
+  replayRetryWindowMinutes: readNumber('FRAUD_REPLAY_RETRY_MINUTES', 2),
+  // Don't raise the same rule for the same student/operator again while a flag is open this long
+  dedupeWindowMinutes: 60,
+  autoBlock: process.env.FRAUD_AUTO_BLOCK === 'true'
+};
+
+// Each rule looks at a freshly recorded attempt and returns null or { message, details }.
+// `subject` says whether the flag is about the student or the operator doing the scanning.
+const rules = [
+  {
+    id: 'MULTI_VENDOR_SCAN',
+    severity: 'high',
+    subject: 'student',
+    evaluate: async (attempt) => {
+      if (!attempt.student || !attempt.vendor) return null;
+
+      const windowMs = config.multiVendorWindowMinutes * MINUTE;
+      const other = await VerificationAttempt.findOne({
+        _id: { $ne: attempt._id },
+        student: attempt.student,
+        vendor: { $exists: true, $ne: attempt.vendor },
+        scannedAt: {
+          $gte: new Date(attempt.scannedAt.getTime() - windowMs),
+          $lte: new Date(attempt.scannedAt.getTime() + windowMs)
+        }
+      }).populate('vendor', 'name');
+
+      if (!other) return null;
+
+      return {
+        message: `QR presented at ${other.vendor?.name || 'another vendor'} within ${config.multiVendorWindowMinutes} minutes`,
+        details: { otherAttempt: other._id, otherVendor: other.vendor?._id }
+      };
+    }
+  },
+  {
+    id: 'TOKEN_REPLAYED',
+    severity: 'high',
+    subject: 'student',
+    evaluate: async (attempt) => {
+      if (!attempt.student || attempt.outcome !== 'QR_TOKEN_REPLAYED') return null;
+
+      // Offline counters replay their own queue on sync, so only live scans count
+      if (attempt.source !== 'online') return null;
+
+      const retry = await VerificationAttempt.exists({
+        _id: { $ne: attempt._id },
+        identifierHash: attempt.identifierHash,
+        operator: attempt.operator,
+        scannedAt: {
+          $gte: new Date(attempt.scannedAt.getTime() - config.replayRetryWindowMinutes * MINUTE),
+          $lte: attempt.scannedAt
+        }
+      });
+      if (retry) return null;
+
+      return { message: 'A QR code that had already been used was presented again' };
+    }
+  },
+  {
+    id: 'REPEATED_ALREADY_CLAIMED',
+    severity: 'medium',
+    subject: 'student',
+    evaluate: async (attempt) => {
+      if (!attempt.student || attempt.outcome !== 'ALREADY_CLAIMED') return null;
+
+      const count = await VerificationAttempt.countDocuments({
+        student: attempt.student,
+        outcome: 'ALREADY_CLAIMED',
+        scannedAt: { $gte: new Date(attempt.scannedAt.getTime() - config.repeatedClaimWindowMinutes * MINUTE) }
+      });
+
+      if (count < config.repeatedClaimLimit) return null;
+
+      return {
+        message: `${count} already-claimed attempts in ${config.repeatedClaimWindowMinutes} minutes`,
+        details: { count }
+      };
+    }
+  },
+  {
+    id: 'OUTSIDE_SERVICE_HOURS',
+    severity: 'low',
+    subject: 'student',
+    evaluate: async (attempt) => {
+      if (!attempt.student || attempt.outcome !== 'OUTSIDE_SERVICE_WINDOW') return null;
+      return { message: 'Scanned outside service hours' };
+    }
+  },
+  {
+    id: 'HIGH_OPERATOR_RATE',
+    severity: 'medium',
+    subject: 'operator',
+    evaluate: async (attempt) => {
+      // Offline claims arrive in bulk, so only live scans say anything about scanning speed
+      if (attempt.source !== 'online') return null;
+
+      const count = await VerificationAttempt.countDocuments({
+        operator: attempt.operator,
+        source: 'online',
+        scannedAt: { $gte: new Date(attempt.scannedAt.getTime() - config.operatorRateWindowMinutes * MINUTE) }
+      });
+
+      if (count < config.operatorRateLimit) return null;
+
+      return {
+        message: `${count} scans by this operator in ${config.operatorRateWindowMinutes} minute(s)`,
+        details: { count }
+      };
+    }
+  }
+];
+
+// Stop a student from claiming further meals until an admin clears the block
+const blockStudentClaims = async ({ studentId, reason, flag, user }) => {
+  return Student.findByIdAndUpdate(
+    studentId,
+    {
+      claimsBlocked: true,
+      claimsBlock: {
+        reason,
+        flag: flag?._id,
+        blockedBy: user?._id,
+        blockedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+const unblockStudentClaims = async (studentId) => {
+  return Student.findByIdAndUpdate(
+    studentId,
+    { claimsBlocked: false, $unset: { claimsBlock: 1 } },
+    { new: true }
+  );
+};
+
+// Run every rule against a recorded attempt. Never throws; returns the flags raised
+const runFraudRules = async (attempt) => {
+  const flags = [];
+
+  for (const rule of rules) {
+    try {
+      const result = await rule.evaluate(attempt);
+      if (!result) continue;
+
+      const subjectQuery = rule.subject === 'operator'
+        ? { operator: attempt.operator }
+        : { student: attempt.student };
+
+      const existing = await FraudFlag.exists({
+        rule: rule.id,
+        status: 'open',
+        ...subjectQuery,
+        createdAt: { $gte: new Date(Date.now() - config.dedupeWindowMinutes * MINUTE) }
+      });
+      if (existing) continue;
+
+      const blockClaims = config.autoBlock && rule.severity === 'high' && Boolean(attempt.student);
+
+      const flag = await FraudFlag.create({
+        rule: rule.id,
+        severity: rule.severity,
+        student: attempt.student,
+        vendor: attempt.vendor,
+        operator: attempt.operator,
+        attempt: attempt._id,
+        message: result.message,
+        details: result.details,
+        blockedClaims: blockClaims
+      });
+
+      if (blockClaims) {
+        await blockStudentClaims({ studentId: attempt.student, reason: result.message, flag });
+      }
+
+      console.log(`🚩 Fraud flag ${rule.id} raised:`, result.message);
+      flags.push(flag);
+    } catch (error) {
+      console.error(`Fraud rule ${rule.id} error:`, error);
+    }
+  }
+
+  return flags;
+};
+
+module.exports = {
+  rules,
+  runFraudRules,
+  blockStudentClaims,
+  unblockStudentClaims
+};
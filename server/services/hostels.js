@@ -0,0 +1,38 @@
+const Hostel = require('../models/Hostel');
+const Vendor = require('../models/Vendor');
+
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const cleanHostelName = (name) => (typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '');
+
+// Case-insensitive lookup by name
+const findHostelByName = (name) => {
+  return Hostel.findOne({ name: cleanHostelName(name) }).collation(NAME_COLLATION);
+};
+
+// The hostel with this name, created if it is new (CSV imports). Returns null for a blank name.
+const findOrCreateHostel = async (name) => {
+  const cleanName = cleanHostelName(name);
+  if (!cleanName) {
+    return null;
+  }
+
+  return Hostel.findOneAndUpdate(
+    { name: cleanName },
+    { $setOnInsert: { name: cleanName } },
+    { new: true, upsert: true, collation: NAME_COLLATION }
+  );
+};
+
+// Make exactly these vendors list the hostel as one they serve
+const setHostelVendors = async (hostelId, vendorIds) => {
+  await Vendor.updateMany({ _id: { $in: vendorIds } }, { $addToSet: { hostels: hostelId } });
+  await Vendor.updateMany({ _id: { $nin: vendorIds }, hostels: hostelId }, { $pull: { hostels: hostelId } });
+};
+
+module.exports = {
+  cleanHostelName,
+  findHostelByName,
+  findOrCreateHostel,
+  setHostelVendors
+};
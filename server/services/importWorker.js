@@ -0,0 +1,463 @@
+const crypto = require('crypto');
+const Student = require('../models/Student');
+const Vendor = require('../models/Vendor');
+const VendorAssignment = require('../models/VendorAssignment');
+const Subscription = require('../models/Subscription');
+const RosterImport = require('../models/RosterImport');
+const RosterImportSnapshot = require('../models/RosterImportSnapshot');
+const { planRenewal } = require('./subscriptions');
+const { openAssignmentsFilter, planVendorChange } = require('./vendorAssignments');
+const { findOrCreateHostel } = require('./hostels');
+const { CHUNK_SIZE, countChunks, loadRows, loadChanges, loadChunk } = require('./rosterImportChunks');
+const { toServiceDate, addServiceDays } = require('../utils/date');
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+// A running job whose worker has not checked in for this long is picked up again
+const STALE_AFTER_MS = 5 * 60 * 1000;
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+// Student fields a rollback puts back
+const SNAPSHOT_FIELDS = 'name email rollNumber batch vendor hostel dietaryPreference allergyNotes isActive';
+const RESULT_KEYS = { create: 'created', update: 'updated', reactivate: 'reactivated', unchanged: 'unchanged' };
+
+const emptyCounts = () => ({ created: 0, updated: 0, reactivated: 0, unchanged: 0, subscriptions: { created: 0, renewed: 0, unchanged: 0 } });
+
+let timer = null;
+let running = null;
+
+// Take the oldest queued job, or one whose worker went away
+const claimJob = () => {
+  const now = new Date();
+  return RosterImport.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - STALE_AFTER_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lock: crypto.randomUUID(), lockedAt: now, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+// Vendors and hostels the import introduces, by lowercase name. Looked up before they
+// are created so a retried job reuses the ones its earlier attempt made.
+const createVendorsAndHostels = async (job) => {
+  const { changes } = job;
+  const rows = changes.vendorsToCreate.length > 0 ? await loadRows(job._id) : [];
+
+  const vendors = new Map();
+  for (const name of changes.vendorsToCreate) {
+    const key = name.toLowerCase();
+    const firstRow = rows.find(row => row.vendor?.toLowerCase() === key);
+    const vendor = await Vendor.findOneAndUpdate(
+      { name },
+      {
+        $setOnInsert: {
+          name,
+          location: firstRow?.hostel || 'TBD',
+          description: 'Auto-created from CSV import'
+        }
+      },
+      { new: true, upsert: true, collation: NAME_COLLATION }
+    );
+    vendors.set(key, vendor._id);
+  }
+
+  const hostels = new Map();
+  for (const name of changes.hostelsToCreate) {
+    const hostel = await findOrCreateHostel(name);
+    hostels.set(name.toLowerCase(), hostel._id);
+  }
+
+  return { vendors, hostels };
+};
+
+// Active subscriptions an import may change: the renewal cuts or extends those around
+// the plan period, and the vendor change moves those running from assignmentStart on
+const importedSubscriptions = (job) => ({
+  status: 'active',
+  $or: [
+    { startDate: { $lte: addServiceDays(job.endDate, 1) }, endDate: { $gte: addServiceDays(job.startDate, -1) } },
+    { endDate: { $gte: job.assignmentStart || job.startDate } }
+  ]
+});
+
+// Record the students about to be written, with the vendor assignments and subscriptions
+// their vendor change and renewal may change. A retried chunk keeps the first record,
+// which is the state before any attempt touched it.
+const snapshotStudents = async (job, targets) => {
+  const studentIds = targets.map(({ entry }) => entry.student).filter(Boolean);
+  const [students, assignments, subscriptions] = await Promise.all([
+    Student.find({ _id: { $in: studentIds } }).select(SNAPSHOT_FIELDS).lean(),
+    VendorAssignment.find({
+      student: { $in: studentIds },
+      $or: [{ endDate: null }, { endDate: { $gte: job.assignmentStart } }]
+    }).lean(),
+    Subscription.find({ student: { $in: studentIds }, ...importedSubscriptions(job) }).lean()
+  ]);
+
+  const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+  const ofStudent = (docs, studentId) => docs.filter(doc => doc.student.toString() === studentId);
+
+  const ops = targets.map(({ entry, row }) => {
+    const snapshot = { action: entry.action, vendorAssignments: [], subscriptions: [], createdAt: new Date() };
+    const studentId = entry.student?.toString();
+    if (studentId) {
+      const { _id, email, ...before } = studentsById.get(studentId) || {};
+      Object.assign(snapshot, {
+        student: entry.student,
+        before,
+        vendorAssignments: ofStudent(assignments, studentId),
+        subscriptions: ofStudent(subscriptions, studentId)
+      });
+    }
+
+    return {
+      updateOne: {
+        filter: { rosterImport: job._id, email: row.email },
+        update: { $setOnInsert: snapshot },
+        upsert: true
+      }
+    };
+  });
+
+  if (ops.length > 0) {
+    await RosterImportSnapshot.bulkWrite(ops, { ordered: false });
+  }
+};
+
+// Student fields for a new student. Save hooks do not run for bulk writes, so the QR
+// code is generated here.
+const newStudentFields = (row, vendorId, hostelId, now) => {
+  const fields = {
+    name: row.name,
+    email: row.email,
+    rollNumber: row.rollNumber,
+    vendor: vendorId,
+    isActive: true,
+    qrCode: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now
+  };
+  if (row.batch) fields.batch = row.batch;
+  if (hostelId) fields.hostel = hostelId;
+  if (row.dietaryPreference) fields.dietaryPreference = row.dietaryPreference;
+  if (row.allergyNotes) fields.allergyNotes = row.allergyNotes;
+  return fields;
+};
+
+// One bulk write per document, so unordered writes to the same document cannot overtake
+// each other
+const saveOp = (doc) => {
+  if (doc.isNew) {
+    return { insertOne: { document: doc.toObject() } };
+  }
+  const update = {};
+  doc.directModifiedPaths().forEach(path => {
+    update[path] = doc.get(path);
+  });
+  return { updateOne: { filter: { _id: doc._id }, update: { $set: update } } };
+};
+
+// Run `writes` ({ op, target }) unordered. Writes the database rejects mark their target
+// row with the error; the rest go through.
+const bulkWriteRows = async (Model, writes) => {
+  if (writes.length === 0) return;
+  try {
+    await Model.bulkWrite(writes.map(({ op }) => op), { ordered: false });
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    [].concat(error.writeErrors).forEach(writeError => {
+      writes[writeError.index].target.error = writeError.errmsg || writeError.message;
+    });
+  }
+};
+
+const groupByStudent = (docs) => {
+  const groups = new Map();
+  docs.forEach(doc => {
+    const key = doc.student.toString();
+    groups.set(key, [...(groups.get(key) || []), doc]);
+  });
+  return groups;
+};
+
+// Write one chunk of entries. Every write can be repeated safely: new students are
+// upserted on email, updates set the same values again, and vendor assignments and
+// subscriptions come out unchanged the second time. Each collection is written in one
+// bulk write. Rows the database rejects, or whose changes cannot be worked out, are
+// returned as errors; anything else throws and fails the job.
+const applyChunk = async (job, { index, rows, entries }, { created }) => {
+  const now = new Date();
+  const user = { _id: job.appliedBy };
+  const counts = emptyCounts();
+  const errors = [];
+
+  const targets = entries.map(entry => {
+    const row = rows[entry.row - index * CHUNK_SIZE];
+    return {
+      entry,
+      row,
+      vendorId: entry.vendor || created.vendors.get(row.vendor.toLowerCase()),
+      hostelId: entry.hostel || (row.hostel ? created.hostels.get(row.hostel.toLowerCase()) : null)
+    };
+  });
+
+  await snapshotStudents(job, targets);
+
+  // The hostel column links the vendor to the hostels it serves
+  const hostelLinks = targets.filter(target => target.hostelId).map(({ vendorId, hostelId }) => ({
+    updateOne: { filter: { _id: vendorId }, update: { $addToSet: { hostels: hostelId } } }
+  }));
+  if (hostelLinks.length > 0) {
+    await Vendor.bulkWrite(hostelLinks, { ordered: false });
+  }
+
+  // The vendor itself moves with the vendor assignment below
+  const writes = targets.filter(target => target.entry.action !== 'unchanged');
+  const studentOps = writes.map(({ entry, row, vendorId, hostelId }) => {
+    if (entry.action === 'create') {
+      return {
+        updateOne: {
+          filter: { email: row.email },
+          update: { $setOnInsert: newStudentFields(row, vendorId, hostelId, now) },
+          upsert: true
+        }
+      };
+    }
+
+    const update = { isActive: true, updatedAt: now };
+    entry.changes.forEach(({ field, to }) => {
+      if (field === 'hostel') update.hostel = hostelId;
+      else if (field !== 'vendor' && field !== 'isActive') update[field] = to;
+    });
+    return { updateOne: { filter: { _id: entry.student }, update: { $set: update } } };
+  });
+
+  // Rows that did not go through are kept out of the rest
+  await bulkWriteRows(Student, studentOps.map((op, index) => ({ op, target: writes[index] })));
+
+  const createdEmails = writes.filter(target => target.entry.action === 'create' && !target.error).map(target => target.row.email);
+  const createdStudents = createdEmails.length > 0
+    ? await Student.find({ email: { $in: createdEmails } }).select('email').lean()
+    : [];
+  const createdIds = new Map(createdStudents.map(student => [student.email, student._id]));
+
+  const pending = targets.filter(target => !target.error);
+  pending.forEach(target => {
+    target.studentId = target.entry.student || createdIds.get(target.row.email);
+    if (!target.studentId) target.error = 'Student was not created';
+  });
+  const studentIds = pending.filter(target => !target.error).map(target => target.studentId);
+
+  const [assignments, subscriptions] = await Promise.all([
+    VendorAssignment.find({ student: { $in: studentIds }, ...openAssignmentsFilter(job.assignmentStart) }),
+    Subscription.find({ student: { $in: studentIds }, ...importedSubscriptions(job) })
+  ]);
+  const assignmentsByStudent = groupByStudent(assignments);
+  const subscriptionsByStudent = groupByStudent(subscriptions);
+
+  // Work out every row's vendor change and subscription renewal, then write them together
+  const assignmentWrites = [];
+  const subscriptionWrites = [];
+  const vendorWrites = [];
+
+  for (const target of pending) {
+    if (target.error) continue;
+    const { studentId, vendorId } = target;
+
+    try {
+      const change = planVendorChange({
+        assignments: assignmentsByStudent.get(studentId.toString()) || [],
+        subscriptions: subscriptionsByStudent.get(studentId.toString()) || [],
+        studentId,
+        vendorId,
+        startDate: job.assignmentStart,
+        source: 'csv',
+        user,
+        now
+      });
+
+      // Create the subscription for this period, or extend the one already running
+      const renewal = planRenewal({
+        subscriptions: change.subscriptions,
+        studentId,
+        vendorId,
+        planId: job.plan,
+        startDate: job.startDate,
+        endDate: job.endDate,
+        source: 'csv',
+        user,
+        now
+      });
+
+      const changed = new Set([...change.changed, ...renewal.changed]);
+      changed.forEach(doc => {
+        if (!doc.isNew && !doc.isModified()) return;
+        const write = { op: saveOp(doc), target };
+        if (doc instanceof Subscription) subscriptionWrites.push(write);
+        else assignmentWrites.push(write);
+      });
+      change.removed.forEach(_id => {
+        assignmentWrites.push({ op: { deleteOne: { filter: { _id } } }, target });
+      });
+      if (change.applyNow) {
+        vendorWrites.push({
+          op: { updateOne: { filter: { _id: studentId }, update: { $set: { vendor: vendorId, updatedAt: now } } } },
+          target
+        });
+      }
+      target.subscriptionAction = renewal.action;
+    } catch (error) {
+      target.error = error.message;
+    }
+  }
+
+  // A row whose vendor change did not go through keeps its old vendor and subscriptions
+  const stillPending = ({ target }) => !target.error;
+  await bulkWriteRows(VendorAssignment, assignmentWrites);
+  await bulkWriteRows(Student, vendorWrites.filter(stillPending));
+  await bulkWriteRows(Subscription, subscriptionWrites.filter(stillPending));
+
+  for (const { entry, row, error, subscriptionAction } of targets) {
+    if (error) {
+      errors.push({ line: row.line, email: row.email, message: error });
+      continue;
+    }
+    counts[RESULT_KEYS[entry.action]]++;
+    counts.subscriptions[subscriptionAction]++;
+  }
+
+  return { counts, errors };
+};
+
+// Apply a claimed job chunk by chunk from where it got to. Returns false if another
+// worker took the job over.
+const runJob = async (job) => {
+  // Vendor changes never rewrite the past: they apply from the period start or the day
+  // the job first ran, whichever is later. A retry keeps that day so snapshots line up.
+  if (!job.assignmentStart) {
+    const today = toServiceDate();
+    job.assignmentStart = job.startDate > today ? job.startDate : today;
+    await RosterImport.updateOne({ _id: job._id, lock: job.lock }, { $set: { assignmentStart: job.assignmentStart } });
+  }
+
+  const created = await createVendorsAndHostels(job);
+
+  for (let index = job.progress.chunks || 0; index < countChunks(job.totalRows); index++) {
+    const chunk = await loadChunk(job._id, index);
+    if (!chunk) {
+      throw new Error(`Rows ${index * CHUNK_SIZE + 1} onwards are missing`);
+    }
+    const { counts, errors } = chunk.entries.length > 0
+      ? await applyChunk(job, chunk, { created })
+      : { counts: emptyCounts(), errors: [] };
+
+    // Progress, counts and errors are saved together, so a retried chunk is never counted twice
+    const saved = await RosterImport.updateOne(
+      { _id: job._id, lock: job.lock },
+      {
+        $set: { 'progress.chunks': index + 1, lockedAt: new Date(), updatedAt: new Date() },
+        $inc: {
+          'progress.processed': chunk.entries.length,
+          'result.created': counts.created,
+          'result.updated': counts.updated,
+          'result.reactivated': counts.reactivated,
+          'result.unchanged': counts.unchanged,
+          'result.subscriptions.created': counts.subscriptions.created,
+          'result.subscriptions.renewed': counts.subscriptions.renewed,
+          'result.subscriptions.unchanged': counts.subscriptions.unchanged
+        },
+        $push: { applyErrors: { $each: errors } }
+      }
+    );
+    if (saved.matchedCount === 0) {
+      return false;
+    }
+  }
+
+  // Everyone missing from the sheet goes last, once the sheet itself is in
+  const { deactivate } = await loadChanges(job._id);
+  const deactivateIds = deactivate.map(change => change.student);
+  const deactivating = await Student.find({ _id: { $in: deactivateIds }, isActive: true }).select(SNAPSHOT_FIELDS).lean();
+  if (deactivating.length > 0) {
+    await RosterImportSnapshot.bulkWrite(deactivating.map(({ _id, email, ...before }) => ({
+      updateOne: {
+        filter: { rosterImport: job._id, email },
+        update: { $setOnInsert: { student: _id, action: 'deactivate', before, createdAt: new Date() } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+  await Student.updateMany(
+    { _id: { $in: deactivateIds }, isActive: true },
+    { $set: { isActive: false, updatedAt: new Date() } }
+  );
+  const deactivated = await Student.countDocuments({ _id: { $in: deactivateIds }, isActive: false });
+
+  const finished = await RosterImport.updateOne(
+    { _id: job._id, lock: job.lock },
+    {
+      $set: { status: 'applied', 'result.deactivated': deactivated, appliedAt: new Date(), updatedAt: new Date() },
+      $unset: { lock: 1, lockedAt: 1 }
+    }
+  );
+  return finished.matchedCount > 0;
+};
+
+const processQueue = async () => {
+  let job;
+  while ((job = await claimJob())) {
+    try {
+      if (await runJob(job)) {
+        console.log(`✅ Roster import ${job._id} applied (${job.progress.total} rows)`);
+      } else {
+        console.log(`⚠️ Roster import ${job._id} was taken over by another worker`);
+      }
+    } catch (error) {
+      console.error(`❌ Roster import ${job._id} failed:`, error);
+      await RosterImport.updateOne(
+        { _id: job._id, lock: job.lock },
+        {
+          $set: { status: 'failed', error: error.message, updatedAt: new Date() },
+          $unset: { lock: 1, lockedAt: 1 }
+        }
+      );
+    }
+  }
+};
+
+// Work through queued imports unless the worker is already at it. Called after an
+// import is queued and while the admin panel polls one, as well as on the schedule.
+const runImportWorker = () => {
+  if (!running) {
+    running = processQueue()
+      .catch(error => console.error('❌ Import worker error:', error))
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+};
+
+// Check for queued imports now and then every IMPORT_WORKER_INTERVAL_SECONDS (0 disables)
+const startImportWorker = () => {
+  const seconds = Number(process.env.IMPORT_WORKER_INTERVAL_SECONDS ?? DEFAULT_INTERVAL_SECONDS);
+  if (!seconds || seconds < 0 || timer) {
+    return;
+  }
+
+  runImportWorker();
+  timer = setInterval(runImportWorker, seconds * 1000);
+  // Do not keep the process alive just for the worker
+  timer.unref();
+};
+
+module.exports = {
+  importedSubscriptions,
+  runImportWorker,
+  startImportWorker
+};
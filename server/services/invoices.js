@@ -0,0 +1,366 @@
+const MealRecord = require('../models/MealRecord');
+const RateCard = require('../models/RateCard');
+const Invoice = require('../models/Invoice');
+const AuditLog = require('../models/AuditLog');
+const { MEAL_TYPES } = require('../utils/serviceWindows');
+const { getServiceDateRange, getMonthServiceDates, toServiceDate } = require('../utils/date');
+const { createPdf } = require('../utils/pdf');
+const { getAssignedStudentIds, assignedVendorStages } = require('./vendorAssignments');
+
+const isMonth = (value) => typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// First and last service dates of a YYYY-MM month
+const getMonthBounds = (month) => getMonthServiceDates(getServiceDateRange(`${month}-01`).from);
+
+const invoiceNumber = (vendorId, month) => {
+  return `INV-${month.replace('-', '')}-${vendorId.toString().slice(-6).toUpperCase()}`;
+};
+
+// The rate card in force at a vendor on a service date: the vendor's own latest
+// card, otherwise the latest default card. `cards` must be sorted newest first.
+const findRateCard = (cards, vendorId, serviceDate) => {
+  const inForce = cards.filter(card => card.effectiveFrom <= serviceDate);
+  return inForce.find(card => card.vendor?.toString() === vendorId.toString())
+    || inForce.find(card => !card.vendor)
+    || null;
+};
+
+// Bill one vendor-month from MealRecord: claims per meal type, grouped by the rate
+// they are paid at, with voided claims subtracted. A meal is billed to the vendor
+// the student was assigned to on its service date.
+// Returns { periodStart, periodEnd, lineItems, totals } or { error }
+const computeInvoice = async (vendorId, month) => {
+  const { startDate, endDate } = getMonthBounds(month);
+  const assignedStudents = await getAssignedStudentIds(vendorId, startDate, endDate);
+
+  const counts = await MealRecord.aggregate([
+    {
+      $match: {
+        claimed: true,
+        serviceDate: { $gte: startDate, $lte: endDate },
+        $or: [{ vendor: vendorId }, { student: { $in: assignedStudents } }]
+      }
+    },
+    ...assignedVendorStages(),
+    { $match: { assignedVendor: vendorId } },
+    {
+      $group: {
+        _id: { serviceDate: '$serviceDate', mealType: '$mealType' },
+        claimed: { $sum: 1 },
+        voided: { $sum: { $cond: [{ $eq: ['$voided', true] }, 1, 0] } }
+      }
+    },
+    { $sort: { '_id.serviceDate': 1 } }
+  ]);
+
+  const cards = await RateCard.find({
+    vendor: { $in: [vendorId, null] },
+    effectiveFrom: { $lte: endDate }
+  }).sort({ effectiveFrom: -1 });
+
+  const lines = new Map();
+
+  for (const { _id: { serviceDate, mealType }, claimed, voided } of counts) {
+    const card = findRateCard(cards, vendorId, serviceDate);
+    const rate = card?.rates?.[mealType];
+
+    if (rate === undefined || rate === null) {
+      return {
+        error: {
+          status: 400,
+          code: 'RATE_MISSING',
+          message: `No ${mealType} rate is set for ${serviceDate}. Add a rate card first`
+        }
+      };
+    }
+
+    const key = `${mealType}:${card._id}`;
+    if (!lines.has(key)) {
+      lines.set(key, {
+        mealType,
+        rate,
+        rateCard: card._id,
+        fromDate: serviceDate,
+        toDate: serviceDate,
+        claimed: 0,
+        voided: 0
+      });
+    }
+
+    const line = lines.get(key);
+    line.toDate = serviceDate;
+    line.claimed += claimed;
+    line.voided += voided;
+  }
+
+  const lineItems = [...lines.values()]
+    .map(line => {
+      const quantity = line.claimed - line.voided;
+      return { ...line, quantity, amount: roundMoney(quantity * line.rate) };
+    })
+    .sort((a, b) => MEAL_TYPES.indexOf(a.mealType) - MEAL_TYPES.indexOf(b.mealType)
+      || a.fromDate.localeCompare(b.fromDate));
+
+  const totals = lineItems.reduce((sum, line) => ({
+    claimed: sum.claimed + line.claimed,
+    voided: sum.voided + line.voided,
+    quantity: sum.quantity + line.quantity,
+    amount: roundMoney(sum.amount + line.amount)
+  }), { claimed: 0, voided: 0, quantity: 0, amount: 0 });
+
+  return { periodStart: startDate, periodEnd: endDate, lineItems, totals };
+};
+
+// Create or refresh the draft invoice for a vendor-month. Approved and paid
+// invoices are left alone. Returns { invoice, action } or { error }
+const generateInvoice = async ({ vendor, month, user }) => {
+  const existing = await Invoice.findOne({ vendor: vendor._id, month });
+  if (existing && existing.status !== 'draft') {
+    return {
+      error: {
+        status: 409,
+        code: 'INVOICE_LOCKED',
+        message: `The ${month} invoice for ${vendor.name} is already ${existing.status}`
+      }
+    };
+  }
+
+  const computed = await computeInvoice(vendor._id, month);
+  if (computed.error) {
+    return { error: computed.error };
+  }
+
+  const fields = {
+    ...computed,
+    generatedBy: user._id,
+    generatedAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  if (existing) {
+    const invoice = await Invoice.findOneAndUpdate(
+      { _id: existing._id, status: 'draft' },
+      { $set: fields },
+      { new: true }
+    );
+    if (!invoice) {
+      return { error: { status: 409, code: 'INVOICE_LOCKED', message: 'The invoice was approved while it was being regenerated' } };
+    }
+    return { invoice, action: 'regenerated' };
+  }
+
+  try {
+    const invoice = await Invoice.create({
+      number: invoiceNumber(vendor._id, month),
+      vendor: vendor._id,
+      month,
+      ...fields
+    });
+    return { invoice, action: 'created' };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { error: { status: 409, code: 'INVOICE_EXISTS', message: `An invoice for ${month} is already being generated` } };
+  }
+};
+
+// Lock a draft. The figures are recomputed first; if meals were voided or claimed
+// since the draft was made, the draft is refreshed instead so the admin can review
+// it again. Returns { invoice } or { error }
+const approveInvoice = async ({ invoice, user }) => {
+  if (invoice.status !== 'draft') {
+    return { error: { status: 400, code: 'INVOICE_LOCKED', message: `Invoice is already ${invoice.status}` } };
+  }
+
+  if (invoice.periodEnd >= toServiceDate()) {
+    return { error: { status: 400, message: 'Invoices can only be approved after the month has ended' } };
+  }
+
+  const computed = await computeInvoice(invoice.vendor._id || invoice.vendor, invoice.month);
+  if (computed.error) {
+    return { error: computed.error };
+  }
+
+  if (computed.totals.amount !== invoice.totals.amount || computed.totals.quantity !== invoice.totals.quantity) {
+    const refreshed = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: 'draft' },
+      { $set: { ...computed, generatedBy: user._id, generatedAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+    return {
+      error: {
+        status: 409,
+        code: 'INVOICE_CHANGED',
+        message: 'Meals changed since this draft was generated. The draft has been refreshed; please review it before approving',
+        invoice: refreshed
+      }
+    };
+  }
+
+  const approved = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'draft' },
+    { $set: { status: 'approved', approvedBy: user._id, approvedAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!approved) {
+    return { error: { status: 409, code: 'INVOICE_LOCKED', message: 'Invoice is no longer a draft' } };
+  }
+
+  await AuditLog.create({
+    action: 'invoice.approve',
+    actor: user._id,
+    targetModel: 'Invoice',
+    target: approved._id,
+    details: {
+      number: approved.number,
+      vendor: approved.vendor,
+      month: approved.month,
+      amount: approved.totals.amount
+    }
+  });
+
+  return { invoice: approved };
+};
+
+// Record that an approved invoice was paid. Returns { invoice } or { error }
+const markInvoicePaid = async ({ invoice, user, reference }) => {
+  const paid = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'approved' },
+    { $set: { status: 'paid', paidBy: user._id, paidAt: new Date(), paymentReference: reference, updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!paid) {
+    return { error: { status: 400, message: `Only approved invoices can be marked paid (this one is ${invoice.status})` } };
+  }
+
+  await AuditLog.create({
+    action: 'invoice.pay',
+    actor: user._id,
+    targetModel: 'Invoice',
+    target: paid._id,
+    reason: reference,
+    details: {
+      number: paid.number,
+      amount: paid.totals.amount
+    }
+  });
+
+  return { invoice: paid };
+};
+
+const formatMoney = (amount) => amount.toFixed(2);
+
+const csvValue = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Invoice as CSV: one row per line item, then a total row. Expects vendor populated.
+const invoiceToCsv = (invoice) => {
+  const header = ['Invoice', 'Vendor', 'Month', 'Meal', 'From', 'To', 'Rate', 'Claimed', 'Voided', 'Billable', 'Amount', 'Status'];
+  const rows = invoice.lineItems.map(line => [
+    invoice.number,
+    invoice.vendor.name,
+    invoice.month,
+    line.mealType,
+    line.fromDate,
+    line.toDate,
+    formatMoney(line.rate),
+    line.claimed,
+    line.voided,
+    line.quantity,
+    formatMoney(line.amount),
+    invoice.status
+  ]);
+  rows.push([
+    invoice.number,
+    invoice.vendor.name,
+    invoice.month,
+    'Total',
+    invoice.periodStart,
+    invoice.periodEnd,
+    '',
+    invoice.totals.claimed,
+    invoice.totals.voided,
+    invoice.totals.quantity,
+    formatMoney(invoice.totals.amount),
+    invoice.status
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+};
+
+const PDF_COLUMNS = [
+  { label: 'Meal', x: 50 },
+  { label: 'Dates', x: 120 },
+  { label: 'Rate', x: 300, align: 'right' },
+  { label: 'Claimed', x: 360, align: 'right' },
+  { label: 'Voided', x: 415, align: 'right' },
+  { label: 'Billable', x: 475, align: 'right' },
+  { label: 'Amount', x: 545, align: 'right' }
+];
+
+const ROWS_PER_PAGE = 30;
+
+// Invoice as a printable PDF. Expects vendor populated.
+const invoiceToPdf = (invoice) => {
+  const heading = [
+    { text: `Invoice ${invoice.number}`, x: 50, y: 60, size: 18, bold: true },
+    { text: invoice.status.toUpperCase(), x: 545, y: 60, size: 12, bold: true, align: 'right' },
+    { text: `Vendor: ${invoice.vendor.name}${invoice.vendor.location ? ` (${invoice.vendor.location})` : ''}`, x: 50, y: 90 },
+    { text: `Period: ${invoice.periodStart} to ${invoice.periodEnd}`, x: 50, y: 105 },
+    { text: `Generated: ${toServiceDate(invoice.generatedAt)}`, x: 50, y: 120 },
+    ...(invoice.approvedAt ? [{ text: `Approved: ${toServiceDate(invoice.approvedAt)}`, x: 300, y: 90 }] : []),
+    ...(invoice.paidAt ? [{ text: `Paid: ${toServiceDate(invoice.paidAt)}${invoice.paymentReference ? ` (ref ${invoice.paymentReference})` : ''}`, x: 300, y: 105 }] : []),
+    ...PDF_COLUMNS.map(column => ({ text: column.label, x: column.x, y: 150, bold: true, align: column.align })),
+    { line: [50, 156, 545, 156] }
+  ];
+
+  const rows = invoice.lineItems.map(line => [
+    line.mealType.charAt(0).toUpperCase() + line.mealType.slice(1),
+    line.fromDate === line.toDate ? line.fromDate : `${line.fromDate} to ${line.toDate}`,
+    formatMoney(line.rate),
+    line.claimed,
+    line.voided,
+    line.quantity,
+    formatMoney(line.amount)
+  ]);
+
+  const pages = [];
+  for (let start = 0; start === 0 || start < rows.length; start += ROWS_PER_PAGE) {
+    const items = [...heading];
+    rows.slice(start, start + ROWS_PER_PAGE).forEach((row, index) => {
+      row.forEach((value, column) => {
+        items.push({ text: value, x: PDF_COLUMNS[column].x, y: 172 + index * 16, align: PDF_COLUMNS[column].align });
+      });
+    });
+    pages.push(items);
+  }
+
+  const last = pages[pages.length - 1];
+  const totalY = 172 + Math.min(rows.length - (pages.length - 1) * ROWS_PER_PAGE, ROWS_PER_PAGE) * 16 + 4;
+  last.push(
+    { line: [50, totalY - 10, 545, totalY - 10] },
+    { text: 'Total', x: 50, y: totalY + 4, bold: true },
+    { text: invoice.totals.claimed, x: 360, y: totalY + 4, bold: true, align: 'right' },
+    { text: invoice.totals.voided, x: 415, y: totalY + 4, bold: true, align: 'right' },
+    { text: invoice.totals.quantity, x: 475, y: totalY + 4, bold: true, align: 'right' },
+    { text: `${invoice.currency} ${formatMoney(invoice.totals.amount)}`, x: 545, y: totalY + 4, bold: true, align: 'right' },
+    { text: 'Billable = claimed meals minus voided claims. Amounts are computed from meal records at the rates in force on each day.', x: 50, y: totalY + 40, size: 8 }
+  );
+
+  return createPdf(pages);
+};
+
+module.exports = {
+  isMonth,
+  computeInvoice,
+  generateInvoice,
+  approveInvoice,
+  markInvoicePaid,
+  invoiceToCsv,
+  invoiceToPdf
+};
@@ -0,0 +1,140 @@
+const MealRecord = require('../models/MealRecord');
+const Student = require('../models/Student');
+const AuditLog = require('../models/AuditLog');
+const { refundCreditForMeal } = require('./mealCredits');
+
+// Record a claimed meal for a student. The unique { student, serviceDate, mealType }
+// index makes this safe under concurrent scans: only one claim per meal can win.
+// Returns { claimed: true, mealRecord } or { claimed: false, code: 'ALREADY_CLAIMED', existingMeal }
+const claimMeal = async ({
+  student,
+  vendorId,
+  mealType,
+  serviceDate,
+  claimedAt = new Date(),
+  claimedBy,
+  source = 'online',
+  clientClaimId
+}) => {
+  let mealRecord;
+
+  try {
+    mealRecord = await MealRecord.create({
+      student: student._id,
+      vendor: vendorId,
+      date: claimedAt,
+      serviceDate,
+      mealType,
+      claimed: true,
+      claimedAt,
+      claimedBy,
+      source,
+      clientClaimId
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const existingMeal = await MealRecord.findOne({
+      student: student._id,
+      serviceDate,
+      mealType,
+      claimed: true,
+      voided: { $ne: true }
+    });
+
+    // A duplicate clientClaimId (rather than a second claim) surfaces here too
+    if (!existingMeal && clientClaimId) {
+      const syncedMeal = await MealRecord.findOne({ clientClaimId });
+      if (syncedMeal) {
+        return { claimed: true, mealRecord: syncedMeal, duplicate: true };
+      }
+    }
+
+    return { claimed: false, code: 'ALREADY_CLAIMED', existingMeal };
+  }
+
+  // Only move lastMealClaimed forward (offline claims may sync out of order)
+  await Student.updateOne(
+    {
+      _id: student._id,
+      $or: [
+        { 'lastMealClaimed.date': { $exists: false } },
+        { 'lastMealClaimed.date': { $lt: claimedAt } }
+      ]
+    },
+    {
+      $set: {
+        lastMealClaimed: { date: claimedAt, vendor: vendorId },
+        updatedAt: new Date()
+      }
+    }
+  );
+
+  return { claimed: true, mealRecord };
+};
+
+// Point lastMealClaimed at the student's most recent claim that still counts
+const recomputeLastMealClaimed = async (studentId) => {
+  const latest = await MealRecord.findOne({
+    student: studentId,
+    claimed: true,
+    voided: { $ne: true }
+  }).sort({ claimedAt: -1 });
+
+  const update = latest
+    ? { $set: { lastMealClaimed: { date: latest.claimedAt, vendor: latest.vendor }, updatedAt: new Date() } }
+    : { $unset: { lastMealClaimed: 1 }, $set: { updatedAt: new Date() } };
+
+  await Student.updateOne({ _id: studentId }, update);
+};
+
+// Void a claimed meal. The record is kept (marked voided), any meal credit it spent is
+// refunded and the action is audited.
+// Returns the updated record, or null if it was already voided.
+const voidMeal = async ({ mealRecord, user, reason }) => {
+  const voidedAt = new Date();
+
+  const voidedRecord = await MealRecord.findOneAndUpdate(
+    { _id: mealRecord._id, voided: { $ne: true } },
+    {
+      voided: true,
+      voidedAt,
+      voidedBy: user._id,
+      voidReason: reason
+    },
+    { new: true }
+  );
+
+  if (!voidedRecord) {
+    return null;
+  }
+
+  await recomputeLastMealClaimed(voidedRecord.student);
+  const refund = await refundCreditForMeal({ mealRecord: voidedRecord, user, reason });
+
+  await AuditLog.create({
+    action: 'meal.void',
+    actor: user._id,
+    targetModel: 'MealRecord',
+    target: voidedRecord._id,
+    reason,
+    details: {
+      student: voidedRecord.student,
+      vendor: voidedRecord.vendor,
+      serviceDate: voidedRecord.serviceDate,
+      mealType: voidedRecord.mealType,
+      claimedAt: voidedRecord.claimedAt,
+      role: user.role,
+      creditRefunded: Boolean(refund)
+    }
+  });
+
+  return voidedRecord;
+};
+
+module.exports = {
+  claimMeal,
+  voidMeal
+};
@@ -0,0 +1,216 @@
+const MealCreditAccount = require('../models/MealCreditAccount');
+const MealCreditTransaction = require('../models/MealCreditTransaction');
+
+const isExpired = (account, at = new Date()) => Boolean(account.expiresAt && account.expiresAt <= at);
+
+// Zero out credits that have passed their expiry and record it in the ledger
+const expireCredits = async (account, { at = new Date() } = {}) => {
+  if (!isExpired(account, at) || account.balance <= 0) {
+    return;
+  }
+
+  const previous = await MealCreditAccount.findOneAndUpdate(
+    { _id: account._id, balance: { $gt: 0 }, expiresAt: { $lte: at } },
+    { $set: { balance: 0, updatedAt: new Date() } }
+  );
+
+  if (previous) {
+    await MealCreditTransaction.create({
+      account: previous._id,
+      student: previous.student,
+      vendor: previous.vendor,
+      type: 'expire',
+      amount: -previous.balance,
+      balanceAfter: 0,
+      reason: `Credits expired on ${previous.expiresAt.toISOString()}`
+    });
+  }
+};
+
+// Current balances for a student (expired credits lapse first)
+const getAccounts = async (studentId, { vendorId } = {}) => {
+  const query = { student: studentId };
+  if (vendorId) query.vendor = vendorId;
+
+  const accounts = await MealCreditAccount.find(query).populate('vendor', 'name');
+  return Promise.all(accounts.map(async (account) => {
+    if (isExpired(account) && account.balance > 0) {
+      await expireCredits(account);
+      account.balance = 0;
+    }
+    return account;
+  }));
+};
+
+// Take one credit for a claim made at `at`. The conditional update means two
+// simultaneous scans can never spend the same credit. Returns { account } with the
+// new balance, or { error: { status, code, message } }
+const consumeCredit = async ({ studentId, vendorId, at = new Date() }) => {
+  const account = await MealCreditAccount.findOneAndUpdate(
+    {
+      student: studentId,
+      vendor: vendorId,
+      balance: { $gt: 0 },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: at } }]
+    },
+    { $inc: { balance: -1 }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (account) {
+    return { account };
+  }
+
+  const existing = await MealCreditAccount.findOne({ student: studentId, vendor: vendorId });
+  if (existing && existing.balance > 0 && isExpired(existing, at)) {
+    await expireCredits(existing, { at });
+    return {
+      error: {
+        status: 403,
+        code: 'CREDITS_EXPIRED',
+        message: 'Student\'s meal credits have expired'
+      }
+    };
+  }
+
+  return {
+    error: {
+      status: 403,
+      code: 'NO_MEAL_CREDITS',
+      message: 'Student has no meal credits left'
+    }
+  };
+};
+
+// Put back a credit taken by consumeCredit when the claim did not go through
+const restoreCredit = ({ account }) => {
+  return MealCreditAccount.updateOne(
+    { _id: account._id },
+    { $inc: { balance: 1 }, $set: { updatedAt: new Date() } }
+  );
+};
+
+// Ledger entry for a credit spent on a claim
+const recordConsumption = ({ account, mealRecord, user }) => {
+  return MealCreditTransaction.create({
+    account: account._id,
+    student: account.student,
+    vendor: account.vendor,
+    type: 'consume',
+    amount: -1,
+    balanceAfter: account.balance,
+    mealRecord: mealRecord._id,
+    actor: user?._id
+  });
+};
+
+// Give back the credit a voided claim consumed, if it consumed one
+const refundCreditForMeal = async ({ mealRecord, user, reason }) => {
+  const consumption = await MealCreditTransaction.findOne({ mealRecord: mealRecord._id, type: 'consume' });
+  if (!consumption) {
+    return null;
+  }
+
+  // The unique { mealRecord, type } index stops a second refund
+  let refund;
+  try {
+    refund = await MealCreditTransaction.create({
+      account: consumption.account,
+      student: consumption.student,
+      vendor: consumption.vendor,
+      type: 'refund',
+      amount: 1,
+      mealRecord: mealRecord._id,
+      reason,
+      actor: user?._id
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const account = await MealCreditAccount.findByIdAndUpdate(
+    consumption.account,
+    { $inc: { balance: 1 }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+
+  refund.balanceAfter = account?.balance;
+  await refund.save();
+  return refund;
+};
+
+// Add credits, optionally setting when the balance expires (a later expiry extends it)
+const grantCredits = async ({ studentId, vendorId, amount, reason, expiresAt, user }) => {
+  const existing = await MealCreditAccount.findOne({ student: studentId, vendor: vendorId });
+  if (existing) {
+    // Credits that already lapsed are not revived by a new grant
+    await expireCredits(existing);
+  }
+
+  const update = { $inc: { balance: amount }, $set: { updatedAt: new Date() } };
+  if (expiresAt && (!existing?.expiresAt || isExpired(existing) || expiresAt > existing.expiresAt)) {
+    update.$set.expiresAt = expiresAt;
+  }
+
+  const account = await MealCreditAccount.findOneAndUpdate(
+    { student: studentId, vendor: vendorId },
+    update,
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const transaction = await MealCreditTransaction.create({
+    account: account._id,
+    student: studentId,
+    vendor: vendorId,
+    type: 'grant',
+    amount,
+    balanceAfter: account.balance,
+    reason,
+    actor: user._id,
+    expiresAt
+  });
+
+  return { account, transaction };
+};
+
+// Remove credits. Returns { account, transaction }, or { error } if the balance is too low
+const revokeCredits = async ({ studentId, vendorId, amount, reason, user }) => {
+  const existing = await MealCreditAccount.findOne({ student: studentId, vendor: vendorId });
+  if (existing) {
+    await expireCredits(existing);
+  }
+
+  const account = await MealCreditAccount.findOneAndUpdate(
+    { student: studentId, vendor: vendorId, balance: { $gte: amount } },
+    { $inc: { balance: -amount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!account) {
+    return { error: { status: 400, message: 'Cannot revoke more credits than the student has' } };
+  }
+
+  const transaction = await MealCreditTransaction.create({
+    account: account._id,
+    student: studentId,
+    vendor: vendorId,
+    type: 'revoke',
+    amount: -amount,
+    balanceAfter: account.balance,
+    reason,
+    actor: user._id
+  });
+
+  return { account, transaction };
+};
+
+module.exports = {
+  getAccounts,
+  consumeCredit,
+  restoreCredit,
+  recordConsumption,
+  refundCreditForMeal,
+  grantCredits,
+  revokeCredits
+};
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const MealRecord = require('../models/MealRecord');
+const Subscription = require('../models/Subscription');
+const Student = require('../models/Student');
+const MealPlan = require('../models/MealPlan');
+const MealOptOut = require('../models/MealOptOut');
+const { MEAL_TYPES } = require('../utils/serviceWindows');
+const { DIETARY_PREFERENCES } = require('../utils/dietary');
+
+// Meals that still count (claimed and not voided) at a vendor in [from, to).
+// Used by both the vendor dashboard and verification stats so their numbers agree.
+const getVendorMealStats = async (vendorId, { from, to }) => {
+  const [result] = await MealRecord.aggregate([
+    {
+      $match: {
+        vendor: new mongoose.Types.ObjectId(vendorId),
+        date: { $gte: from, $lt: to },
+        claimed: true,
+        voided: { $ne: true }
+      }
+    },
+    {
+      $facet: {
+        byMealType: [{ $group: { _id: '$mealType', count: { $sum: 1 } } }],
+        students: [{ $group: { _id: '$student' } }, { $count: 'total' }]
+      }
+    }
+  ]);
+
+  const mealTypeStats = MEAL_TYPES.reduce((stats, mealType) => {
+    const entry = result.byMealType.find(c => c._id === mealType);
+    stats[mealType] = entry ? entry.count : 0;
+    return stats;
+  }, {});
+
+  return {
+    totalMeals: result.byMealType.reduce((sum, c) => sum + c.count, 0),
+    studentsClaimed: result.students[0]?.total || 0,
+    mealTypeStats
+  };
+};
+
+// Turn [{ _id: { mealType, preference }, count }] into
+// { breakfast: { vegetarian, non_vegetarian, unspecified, total }, ... }
+const toPreferenceCounts = (groups) => {
+  return MEAL_TYPES.reduce((counts, mealType) => {
+    const row = { unspecified: 0, total: 0 };
+    DIETARY_PREFERENCES.forEach(preference => { row[preference] = 0; });
+
+    groups.filter(group => group._id.mealType === mealType).forEach(group => {
+      const key = DIETARY_PREFERENCES.includes(group._id.preference) ? group._id.preference : 'unspecified';
+      row[key] += group.count;
+      row.total += group.count;
+    });
+
+    counts[mealType] = row;
+    return counts;
+  }, {});
+};
+
+const lookupStudent = (localField) => [
+  {
+    $lookup: {
+      from: Student.collection.name,
+      localField,
+      foreignField: '_id',
+      as: 'studentDoc'
+    }
+  },
+  { $unwind: '$studentDoc' }
+];
+
+// Veg/non-veg headcount at a vendor for one service date, per meal type: `expected`
+// counts active students whose subscription plan includes the meal that day minus
+// those who opted out of it (what the kitchen should cook), `optedOut` counts the
+// opt-outs and `served` counts meals actually claimed
+const getDietarySummary = async (vendorId, serviceDate) => {
+  const vendor = new mongoose.Types.ObjectId(vendorId);
+
+  const subscribed = await Subscription.aggregate([
+    {
+      $match: {
+        vendor,
+        status: 'active',
+        startDate: { $lte: serviceDate },
+        endDate: { $gte: serviceDate }
+      }
+    },
+    { $lookup: { from: MealPlan.collection.name, localField: 'plan', foreignField: '_id', as: 'planDoc' } },
+    { $unwind: '$planDoc' },
+    ...lookupStudent('student'),
+    { $match: { 'studentDoc.isActive': true } },
+    { $unwind: '$planDoc.mealTypes' },
+    // A student with two overlapping subscriptions is still one mouth to feed
+    { $group: { _id: { student: '$student', mealType: '$planDoc.mealTypes' }, preference: { $first: '$studentDoc.dietaryPreference' } } },
+    {
+      $lookup: {
+        from: MealOptOut.collection.name,
+        let: { student: '$_id.student', mealType: '$_id.mealType' },
+        pipeline: [
+          {
+            $match: {
+              serviceDate,
+              status: 'active',
+              $expr: { $and: [{ $eq: ['$student', '$$student'] }, { $eq: ['$mealType', '$$mealType'] }] }
+            }
+          },
+          { $limit: 1 }
+        ],
+        as: 'optOut'
+      }
+    },
+    {
+      $group: {
+        _id: { mealType: '$_id.mealType', preference: '$preference', optedOut: { $gt: [{ $size: '$optOut' }, 0] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const served = await MealRecord.aggregate([
+    {
+      $match: {
+        vendor,
+        serviceDate,
+        claimed: true,
+        voided: { $ne: true }
+      }
+    },
+    ...lookupStudent('student'),
+    { $group: { _id: { mealType: '$mealType', preference: '$studentDoc.dietaryPreference' }, count: { $sum: 1 } } }
+  ]);
+
+  return {
+    serviceDate,
+    expected: toPreferenceCounts(subscribed.filter(group => !group._id.optedOut)),
+    optedOut: toPreferenceCounts(subscribed.filter(group => group._id.optedOut)),
+    served: toPreferenceCounts(served)
+  };
+};
+
+// Meals claimed on service dates in [from, to] grouped by a field of the student who
+// claimed them (hostel, batch), optionally only for students whose field is `value`.
+// Returns [{ key, meals, voided, uniqueStudents, byMealType }], busiest first; `key`
+// is null for students without the field.
+const getMealsByStudentField = async (field, { from, to, value }) => {
+  const match = { claimed: true, serviceDate: { $gte: from, $lte: to } };
+  if (value !== undefined) {
+    match.student = { $in: await Student.distinct('_id', { [field]: value }) };
+  }
+
+  const rows = await MealRecord.aggregate([
+    { $match: match },
+    ...lookupStudent('student'),
+    {
+      $group: {
+        _id: { key: { $ifNull: [`$studentDoc.${field}`, null] }, mealType: '$mealType' },
+        meals: { $sum: { $cond: [{ $ne: ['$voided', true] }, 1, 0] } },
+        voided: { $sum: { $cond: [{ $eq: ['$voided', true] }, 1, 0] } },
+        students: { $addToSet: { $cond: [{ $ne: ['$voided', true] }, '$student', '$$REMOVE'] } }
+      }
+    }
+  ]);
+
+  const groups = new Map();
+  for (const row of rows) {
+    const id = row._id.key === null ? null : row._id.key.toString();
+    if (!groups.has(id)) {
+      groups.set(id, { key: row._id.key, meals: 0, voided: 0, students: new Set(), byMealType: {} });
+    }
+    const group = groups.get(id);
+    group.meals += row.meals;
+    group.voided += row.voided;
+    group.byMealType[row._id.mealType] = row.meals;
+    row.students.forEach(student => group.students.add(student.toString()));
+  }
+
+  return [...groups.values()]
+    .map(({ students, ...group }) => ({ ...group, uniqueStudents: students.size }))
+    .sort((a, b) => b.meals - a.meals);
+};
+
+module.exports = {
+  getVendorMealStats,
+  getDietarySummary,
+  getMealsByStudentField
+};
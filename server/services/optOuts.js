@@ -0,0 +1,236 @@
+const MealOptOut = require('../models/MealOptOut');
+const Subscription = require('../models/Subscription');
+const Vendor = require('../models/Vendor');
+const { MEAL_TYPES, getServiceWindows } = require('../utils/serviceWindows');
+const { toServiceDate, addServiceDays, getServiceDateTime } = require('../utils/date');
+const { findActiveSubscription, noSubscriptionError } = require('./subscriptions');
+const { grantCredits, revokeCredits } = require('./mealCredits');
+const { getSettings } = require('./settings');
+
+// Students can plan this far ahead
+const MAX_DAYS_AHEAD = 60;
+
+// The last moment a meal can be skipped or un-skipped: the configured number of hours
+// before the vendor starts serving it. Null when the vendor does not serve the meal.
+const getOptOutCutoff = (vendor, serviceDate, mealType, cutoffHours) => {
+  const window = getServiceWindows(vendor).find(w => w.mealType === mealType);
+  if (!window) {
+    return null;
+  }
+  return new Date(getServiceDateTime(serviceDate, window.start).getTime() - cutoffHours * 60 * 60 * 1000);
+};
+
+// Each day in the next `days`, with every meal the student's subscription covers:
+// when it closes for changes and whether it is currently skipped
+const getOptOutCalendar = async (student, { days = 14, now = new Date() } = {}) => {
+  const { optOutCutoffHours } = await getSettings();
+  const from = toServiceDate(now);
+  const to = addServiceDays(from, days - 1);
+
+  const subscriptions = await Subscription.find({
+    student: student._id,
+    status: 'active',
+    startDate: { $lte: to },
+    endDate: { $gte: from }
+  })
+    .sort({ startDate: -1 })
+    .populate('vendor', 'name settings')
+    .populate('plan', 'name mealTypes');
+
+  const optOuts = await MealOptOut.find({
+    student: student._id,
+    serviceDate: { $gte: from, $lte: to },
+    status: 'active'
+  });
+
+  const calendar = [];
+
+  for (let serviceDate = from; serviceDate <= to; serviceDate = addServiceDays(serviceDate, 1)) {
+    const subscription = subscriptions.find(s => s.startDate <= serviceDate && s.endDate >= serviceDate);
+
+    const meals = !subscription ? [] : MEAL_TYPES
+      .filter(mealType => subscription.plan.mealTypes.includes(mealType))
+      .map(mealType => {
+        const cutoffAt = getOptOutCutoff(subscription.vendor, serviceDate, mealType, optOutCutoffHours);
+        const optOut = optOuts.find(o => o.serviceDate === serviceDate && o.mealType === mealType);
+        return {
+          mealType,
+          cutoffAt,
+          open: Boolean(cutoffAt && now < cutoffAt),
+          optOutId: optOut?._id || null
+        };
+      })
+      .filter(meal => meal.cutoffAt);
+
+    calendar.push({
+      serviceDate,
+      vendor: subscription?.vendor.name || null,
+      meals
+    });
+  }
+
+  return calendar;
+};
+
+const closedError = (mealType, serviceDate, cutoffAt) => ({
+  status: 400,
+  code: 'OPT_OUT_CLOSED',
+  message: `Changes to ${mealType} on ${serviceDate} closed at ${cutoffAt.toISOString()}`
+});
+
+// Skip a meal. Returns { optOut } or { error: { status, code, message } }
+const createOptOut = async ({ student, serviceDate, mealType, user, now = new Date() }) => {
+  if (!MEAL_TYPES.includes(mealType)) {
+    return { error: { status: 400, message: `Invalid meal type: ${mealType}` } };
+  }
+  if (serviceDate > addServiceDays(toServiceDate(now), MAX_DAYS_AHEAD)) {
+    return { error: { status: 400, message: `Meals can be skipped at most ${MAX_DAYS_AHEAD} days ahead` } };
+  }
+
+  const subscription = await findActiveSubscription(student._id, serviceDate);
+  if (!subscription) {
+    return { error: noSubscriptionError(serviceDate) };
+  }
+  if (!subscription.plan.mealTypes.includes(mealType)) {
+    return {
+      error: {
+        status: 400,
+        code: 'MEAL_NOT_IN_PLAN',
+        message: `The ${subscription.plan.name} plan does not include ${mealType}`
+      }
+    };
+  }
+
+  const vendor = await Vendor.findById(subscription.vendor._id);
+  const settings = await getSettings();
+  const cutoffAt = getOptOutCutoff(vendor, serviceDate, mealType, settings.optOutCutoffHours);
+
+  if (!cutoffAt) {
+    return { error: { status: 400, message: `${vendor.name} does not serve ${mealType}` } };
+  }
+  if (now >= cutoffAt) {
+    return { error: closedError(mealType, serviceDate, cutoffAt) };
+  }
+
+  let optOut;
+  try {
+    optOut = await MealOptOut.create({
+      student: student._id,
+      vendor: vendor._id,
+      serviceDate,
+      mealType,
+      createdBy: user._id
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return {
+      error: {
+        status: 409,
+        code: 'ALREADY_OPTED_OUT',
+        message: `You have already skipped ${mealType} on ${serviceDate}`
+      }
+    };
+  }
+
+  if (settings.optOutEarnsCredits) {
+    const { transaction } = await grantCredits({
+      studentId: student._id,
+      vendorId: vendor._id,
+      amount: 1,
+      reason: `Skipped ${mealType} on ${serviceDate}`,
+      user
+    });
+    optOut.creditTransaction = transaction._id;
+    await optOut.save();
+  }
+
+  return { optOut };
+};
+
+// Take back an opt-out before its cutoff, along with any credit it earned.
+// Returns { optOut } or { error }
+const cancelOptOut = async ({ optOut, user, now = new Date() }) => {
+  const { optOutCutoffHours } = await getSettings();
+  const vendor = await Vendor.findById(optOut.vendor);
+  const cutoffAt = getOptOutCutoff(vendor, optOut.serviceDate, optOut.mealType, optOutCutoffHours);
+
+  if (cutoffAt && now >= cutoffAt) {
+    return { error: closedError(optOut.mealType, optOut.serviceDate, cutoffAt) };
+  }
+
+  const cancelled = await MealOptOut.findOneAndUpdate(
+    { _id: optOut._id, status: 'active' },
+    { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    return { error: { status: 400, message: 'This opt-out is no longer active' } };
+  }
+
+  if (cancelled.creditTransaction) {
+    const revoked = await revokeCredits({
+      studentId: cancelled.student,
+      vendorId: cancelled.vendor,
+      amount: 1,
+      reason: `Cancelled skip of ${cancelled.mealType} on ${cancelled.serviceDate}`,
+      user
+    });
+
+    if (revoked.error) {
+      await MealOptOut.updateOne(
+        { _id: cancelled._id },
+        { $set: { status: 'active', updatedAt: new Date() }, $unset: { cancelledAt: 1 } }
+      );
+      return {
+        error: {
+          status: 400,
+          code: 'OPT_OUT_CREDIT_USED',
+          message: 'The meal credit earned for skipping this meal has already been used'
+        }
+      };
+    }
+  }
+
+  return { optOut: cancelled };
+};
+
+// A student who opted out of a meal claimed it anyway. The opt-out stops counting
+// against the headcount and any credit it earned is taken back if still unspent.
+// Returns the opt-out (so the counter can be warned), or null if there was none.
+const recordClaimDespiteOptOut = async ({ studentId, serviceDate, mealType, mealRecord, user }) => {
+  const optOut = await MealOptOut.findOneAndUpdate(
+    { student: studentId, serviceDate, mealType, status: 'active' },
+    { $set: { status: 'claimed', claimedMealRecord: mealRecord._id, updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (optOut?.creditTransaction) {
+    const revoked = await revokeCredits({
+      studentId,
+      vendorId: optOut.vendor,
+      amount: 1,
+      reason: `Claimed ${mealType} on ${serviceDate} after skipping it`,
+      user
+    });
+    if (revoked.error) {
+      console.warn(`⚠️ Could not take back opt-out credit for student ${studentId}: already spent`);
+    }
+  }
+
+  return optOut;
+};
+
+const optedOutWarning = (mealType) => ({
+  code: 'OPTED_OUT',
+  message: `Student had opted out of ${mealType} today`
+});
+
+module.exports = {
+  getOptOutCutoff,
+  getOptOutCalendar,
+  createOptOut,
+  cancelOptOut,
+  recordClaimDespiteOptOut,
+  optedOutWarning
+};
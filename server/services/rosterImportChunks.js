@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const RosterImportChunk = require('../models/RosterImportChunk');
+
+// Rows per chunk document, which is also what the worker writes per bulk write
+const CHUNK_SIZE = 200;
+const CHANGE_LISTS = ['create', 'update', 'reactivate', 'deactivate'];
+const BUCKET_NAME = 'rosterImports';
+
+const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+// Keep an uploaded file in GridFS. Returns its id
+const saveImportFile = async (rosterImportId, file) => {
+  const upload = bucket().openUploadStream(file.originalname, {
+    contentType: 'text/csv',
+    metadata: { rosterImport: rosterImportId }
+  });
+  await pipeline(Readable.from([file.buffer]), upload);
+  return upload.id;
+};
+
+const openImportFile = (fileId) => bucket().openDownloadStream(fileId);
+
+const sliceOf = (list, index) => list.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+
+const countChunks = (length) => Math.ceil(length / CHUNK_SIZE);
+
+const saveRows = async (rosterImportId, rows) => {
+  const chunks = Array.from({ length: countChunks(rows.length) }, (_, index) => ({
+    rosterImport: rosterImportId,
+    index,
+    rows: sliceOf(rows, index)
+  }));
+  if (chunks.length > 0) {
+    await RosterImportChunk.insertMany(chunks);
+  }
+};
+
+const loadRows = async (rosterImportId) => {
+  const chunks = await RosterImportChunk.find({ rosterImport: rosterImportId })
+    .sort({ index: 1 })
+    .select('rows')
+    .lean();
+  return chunks.flatMap(chunk => chunk.rows);
+};
+
+// Spread the lists of student changes over the chunks, replacing any saved before
+const saveChanges = async (rosterImportId, changes) => {
+  const count = countChunks(Math.max(...CHANGE_LISTS.map(list => changes[list].length)));
+  const ops = Array.from({ length: count }, (_, index) => ({
+    updateOne: {
+      filter: { rosterImport: rosterImportId, index },
+      update: { $set: Object.fromEntries(CHANGE_LISTS.map(list => [`changes.${list}`, sliceOf(changes[list], index)])) },
+      upsert: true
+    }
+  }));
+  if (ops.length > 0) {
+    await RosterImportChunk.bulkWrite(ops);
+  }
+  await RosterImportChunk.updateMany(
+    { rosterImport: rosterImportId, index: { $gte: count } },
+    { $set: Object.fromEntries(CHANGE_LISTS.map(list => [`changes.${list}`, []])) }
+  );
+};
+
+// The import's changes as planned: `summary` (RosterImport.changes) with the lists from its chunks
+const loadChanges = async (rosterImportId, summary = {}) => {
+  const chunks = await RosterImportChunk.find({ rosterImport: rosterImportId })
+    .sort({ index: 1 })
+    .select('changes')
+    .lean();
+
+  const changes = { ...summary };
+  CHANGE_LISTS.forEach(list => {
+    changes[list] = chunks.flatMap(chunk => chunk.changes?.[list] || []);
+  });
+  return changes;
+};
+
+// Put each entry in the chunk holding its row
+const saveEntries = async (rosterImportId, totalRows, entries) => {
+  const ops = Array.from({ length: countChunks(totalRows) }, (_, index) => ({
+    updateOne: {
+      filter: { rosterImport: rosterImportId, index },
+      update: {
+        $set: {
+          entries: entries.filter(entry => Math.floor(entry.row / CHUNK_SIZE) === index)
+        }
+      }
+    }
+  }));
+  if (ops.length > 0) {
+    await RosterImportChunk.bulkWrite(ops);
+  }
+};
+
+const loadChunk = (rosterImportId, index) => {
+  return RosterImportChunk.findOne({ rosterImport: rosterImportId, index }).select('index rows entries').lean();
+};
+
+module.exports = {
+  CHUNK_SIZE,
+  countChunks,
+  saveImportFile,
+  openImportFile,
+  saveRows,
+  loadRows,
+  saveChanges,
+  loadChanges,
+  saveEntries,
+  loadChunk
+};
@@ -0,0 +1,527 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Vendor = require('../models/Vendor');
+const Hostel = require('../models/Hostel');
+const VendorAssignment = require('../models/VendorAssignment');
+const Subscription = require('../models/Subscription');
+const AuditLog = require('../models/AuditLog');
+const RosterImport = require('../models/RosterImport');
+const RosterImportSnapshot = require('../models/RosterImportSnapshot');
+const { cleanHostelName } = require('./hostels');
+const { importedSubscriptions } = require('./importWorker');
+const { saveImportFile, saveRows, loadRows, saveChanges, saveEntries } = require('./rosterImportChunks');
+const { parseDietaryPreference } = require('../utils/dietary');
+const { parseBatch } = require('../utils/batch');
+const { normalizeRollNumber, deriveRollNumber } = require('../utils/rollNumber');
+const { ROSTER_FIELDS, resolveColumns } = require('../utils/rosterColumns');
+const { readCSV } = require('../utils/csv');
+
+// Student fields an import can change, in the order the preview lists them
+const TRACKED_FIELDS = ['name', 'rollNumber', 'batch', 'vendor', 'hostel', 'dietaryPreference', 'allergyNotes'];
+// Student fields a rollback restores from the snapshot
+const RESTORED_FIELDS = [...TRACKED_FIELDS, 'isActive'];
+
+const cleanCell = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Map CSV records onto student fields
+const readRosterRow = (record, columns) => {
+  const cell = (field) => (columns[field] ? cleanCell(record[columns[field]]) : '');
+  const email = cell('email').toLowerCase();
+
+  return {
+    line: record.line,
+    name: cell('name'),
+    email,
+    rollNumber: normalizeRollNumber(cell('rollNumber')) || deriveRollNumber(email),
+    batch: parseBatch(cell('batch')),
+    vendor: cell('vendor'),
+    hostel: cleanHostelName(cell('hostel')) || null,
+    dietaryPreference: parseDietaryPreference(cell('dietaryPreference')),
+    allergyNotes: cell('allergyNotes') || null
+  };
+};
+
+const readRosterRows = (records, columns) => records.map(record => readRosterRow(record, columns));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Work out what importing these rows would do, without writing anything. Returns
+// { rowErrors, changes, entries, fingerprint }: `changes` is the diff shown to the
+// admin, `entries` how to apply it and `fingerprint` a hash of the diff.
+const planRosterImport = async (rows, { deactivateMissing = true } = {}) => {
+  const [students, vendors, hostels] = await Promise.all([
+    Student.find({})
+      .select('name email rollNumber batch vendor hostel isActive dietaryPreference allergyNotes')
+      .lean(),
+    Vendor.find({}).select('name isActive').lean(),
+    Hostel.find({}).select('name').lean()
+  ]);
+
+  const studentsByEmail = new Map(students.map(student => [student.email, student]));
+  const studentsByRollNumber = new Map(students.map(student => [student.rollNumber, student]));
+  const vendorNames = new Map(vendors.map(vendor => [vendor._id.toString(), vendor.name]));
+  const hostelNames = new Map(hostels.map(hostel => [hostel._id.toString(), hostel.name]));
+
+  // Active vendors by name, with and without spaces ("Uniworld " matches "Uniworld")
+  const vendorMap = new Map();
+  vendors.filter(vendor => vendor.isActive).forEach(vendor => {
+    const cleanName = vendor.name.trim().toLowerCase();
+    vendorMap.set(cleanName, vendor);
+    vendorMap.set(cleanName.replace(/\s+/g, ''), vendor);
+  });
+
+  const resolveVendor = (name) => {
+    const key = name.toLowerCase();
+    if (!vendorMap.has(key)) {
+      // Fall back to a partial name match, case insensitive
+      const pattern = new RegExp(escapeRegex(name), 'i');
+      vendorMap.set(key, vendors.find(vendor => pattern.test(vendor.name)) || null);
+    }
+    return vendorMap.get(key);
+  };
+
+  const resolveHostel = (name) => hostels.find(hostel => hostel.name.toLowerCase() === name.toLowerCase()) || null;
+
+  const rowErrors = [];
+  const entries = [];
+  const changes = { create: [], update: [], reactivate: [], deactivate: [], unchanged: 0, vendorsToCreate: [], hostelsToCreate: [] };
+  const linesByEmail = new Map();
+  const emailsByRollNumber = new Map();
+
+  for (const [index, row] of rows.entries()) {
+    if (row.email && !linesByEmail.has(row.email)) {
+      linesByEmail.set(row.email, row.line);
+    }
+
+    if (!row.name || !row.email || !row.vendor) {
+      rowErrors.push(`Line ${row.line}: Missing required fields`);
+      continue;
+    }
+
+    if (!row.email.endsWith('@sst.scaler.com')) {
+      rowErrors.push(`Line ${row.line}: Invalid email domain for ${row.email}`);
+      continue;
+    }
+
+    if (linesByEmail.get(row.email) !== row.line) {
+      rowErrors.push(`Line ${row.line}: ${row.email} is already on line ${linesByEmail.get(row.email)}`);
+      continue;
+    }
+
+    if (!row.rollNumber) {
+      rowErrors.push(`Line ${row.line}: No roll number for ${row.email}`);
+      continue;
+    }
+
+    // Roll numbers are unique, so one held by someone else means the sheet has a typo
+    const rollNumberOwner = studentsByRollNumber.get(row.rollNumber);
+    const rollNumberEmail = emailsByRollNumber.get(row.rollNumber) || rollNumberOwner?.email;
+    if (rollNumberEmail && rollNumberEmail !== row.email) {
+      rowErrors.push(`Line ${row.line}: Roll number ${row.rollNumber} already belongs to ${rollNumberEmail}`);
+      continue;
+    }
+    emailsByRollNumber.set(row.rollNumber, row.email);
+
+    const vendor = resolveVendor(row.vendor);
+    if (!vendor && !changes.vendorsToCreate.some(name => name.toLowerCase() === row.vendor.toLowerCase())) {
+      changes.vendorsToCreate.push(row.vendor);
+    }
+
+    const hostel = row.hostel ? resolveHostel(row.hostel) : null;
+    if (row.hostel && !hostel && !changes.hostelsToCreate.some(name => name.toLowerCase() === row.hostel.toLowerCase())) {
+      changes.hostelsToCreate.push(row.hostel);
+    }
+
+    const vendorName = vendor ? vendor.name : row.vendor;
+    const hostelName = hostel ? hostel.name : row.hostel;
+    const student = studentsByEmail.get(row.email);
+    const entry = { index, row, student: student?._id || null, vendorId: vendor?._id || null, hostelId: hostel?._id || null };
+
+    if (!student) {
+      entry.action = 'create';
+      entries.push(entry);
+      changes.create.push({
+        line: row.line,
+        name: row.name,
+        email: row.email,
+        changes: TRACKED_FIELDS
+          .map(field => ({ field, to: { vendor: vendorName, hostel: hostelName }[field] ?? row[field] }))
+          .filter(change => change.to)
+      });
+      continue;
+    }
+
+    // Blank cells keep what the student or an admin already set
+    const fieldChanges = [];
+    const compare = (field, from, to, same = from === to) => {
+      if (to && !same) fieldChanges.push({ field, from: from ?? null, to });
+    };
+    compare('name', student.name, row.name);
+    compare('rollNumber', student.rollNumber, row.rollNumber);
+    compare('batch', student.batch, row.batch);
+    compare('vendor', vendorNames.get(student.vendor?.toString()) || null, vendorName,
+      Boolean(vendor) && vendor._id.toString() === student.vendor?.toString());
+    compare('hostel', hostelNames.get(student.hostel?.toString()) || null, hostelName,
+      Boolean(hostel) && hostel._id.toString() === student.hostel?.toString());
+    compare('dietaryPreference', student.dietaryPreference, row.dietaryPreference);
+    compare('allergyNotes', student.allergyNotes, row.allergyNotes);
+
+    if (!student.isActive) {
+      fieldChanges.push({ field: 'isActive', from: false, to: true });
+    }
+
+    entry.action = !student.isActive ? 'reactivate' : fieldChanges.length > 0 ? 'update' : 'unchanged';
+    entry.changes = fieldChanges;
+    entries.push(entry);
+
+    if (entry.action === 'unchanged') {
+      changes.unchanged++;
+    } else {
+      changes[entry.action].push({ student: student._id, line: row.line, name: student.name, email: student.email, changes: fieldChanges });
+    }
+  }
+
+  // Everyone missing from the sheet is deactivated, unless the sheet has no emails to go by
+  if (deactivateMissing && linesByEmail.size > 0) {
+    changes.deactivate = students
+      .filter(student => student.isActive && !linesByEmail.has(student.email))
+      .map(student => ({
+        student: student._id,
+        name: student.name,
+        email: student.email,
+        changes: [{ field: 'isActive', from: true, to: false }]
+      }));
+  }
+
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify({ rowErrors, changes })).digest('hex');
+
+  return { rowErrors, changes, entries, fingerprint };
+};
+
+// What RosterImport keeps of the changes; the lists of students are in its chunks
+const changeSummary = ({ unchanged, vendorsToCreate, hostelsToCreate }) => ({ unchanged, vendorsToCreate, hostelsToCreate });
+
+// Read an uploaded roster and save what importing it would change, for an admin to review.
+// Columns come from the import profile, or the usual header names without one; a file
+// missing a required column is rejected with what was detected, and one that cannot
+// be parsed with the line at fault.
+const previewRosterImport = async ({ file, plan, profile, startDate, endDate, user }) => {
+  // Each record becomes a roster row as it is read, so the file is never held as records too
+  let match = null;
+  const rows = [];
+  let csv;
+  try {
+    csv = await readCSV(file.buffer, {
+      onRecord: (record, headers) => {
+        match = match || resolveColumns(headers, profile);
+        if (match.missing.length === 0) rows.push(readRosterRow(record, match.columns));
+      }
+    });
+  } catch (error) {
+    if (error.code !== 'CSV_INVALID') throw error;
+    return { error: { status: 400, code: 'CSV_INVALID', message: error.message, line: error.line } };
+  }
+
+  const { headers } = csv;
+  if (headers.length === 0) {
+    return { error: { status: 400, message: 'CSV file is empty' } };
+  }
+
+  const { columns, missing, unmatched } = match || resolveColumns(headers, profile);
+  console.log('📋 CSV Headers:', headers, `(${csv.encoding}, ${JSON.stringify(csv.delimiter)} separated)`);
+
+  if (missing.length > 0) {
+    const labels = missing.map(field => ROSTER_FIELDS[field]).join(', ');
+    return {
+      error: {
+        status: 400,
+        code: 'COLUMNS_UNMAPPED',
+        message: profile
+          ? `The file has no column for ${labels} in the "${profile.name}" profile`
+          : `Could not find a column for ${labels}. Choose an import profile that maps them`,
+        headers,
+        columns,
+        missing,
+        unmatched
+      }
+    };
+  }
+
+  const { rowErrors, changes, fingerprint } = await planRosterImport(rows, { deactivateMissing: Boolean(columns.email) });
+
+  if (!columns.email) {
+    console.log('⚠️ No email header found, students missing from the sheet will not be deactivated');
+  }
+
+  // The file and chunks go first: an import is only listed once it is complete
+  const rosterImportId = new mongoose.Types.ObjectId();
+  const fileId = await saveImportFile(rosterImportId, file);
+  await saveRows(rosterImportId, rows);
+  await saveChanges(rosterImportId, changes);
+
+  const rosterImport = await RosterImport.create({
+    _id: rosterImportId,
+    fileName: file.originalname,
+    fileId,
+    encoding: csv.encoding,
+    delimiter: csv.delimiter,
+    plan: plan._id,
+    profile: profile?._id,
+    headers,
+    columns,
+    unmatchedColumns: unmatched,
+    startDate,
+    endDate,
+    totalRows: rows.length,
+    parseErrors: csv.errors,
+    rowErrors,
+    changes: changeSummary(changes),
+    fingerprint,
+    createdBy: user._id
+  });
+
+  console.log(`📊 Roster preview ${rosterImport._id}: ${changes.create.length} new, ${changes.update.length} updated, ${changes.reactivate.length} reactivated, ${changes.deactivate.length} deactivated, ${rowErrors.length} errors`);
+
+  return { rosterImport };
+};
+
+// Queue a previewed import for the worker. The changes are worked out again first;
+// if they are no longer what the admin reviewed, the preview is refreshed instead.
+// Returns { rosterImport } or { error }
+const queueRosterImport = async ({ rosterImport, user }) => {
+  if (rosterImport.status !== 'preview') {
+    return { error: { status: 409, code: 'IMPORT_NOT_PREVIEW', message: `This import is already ${rosterImport.status}` } };
+  }
+
+  const rows = await loadRows(rosterImport._id);
+  const plan = await planRosterImport(rows, { deactivateMissing: Boolean(rosterImport.columns?.email) });
+  const now = new Date();
+
+  if (plan.fingerprint === rosterImport.fingerprint) {
+    // The entries are saved before the import is queued so the worker always finds them.
+    // Every request that gets here planned the same changes, so they write the same entries.
+    await saveEntries(rosterImport._id, rows.length, plan.entries.map(entry => ({
+      row: entry.index,
+      action: entry.action,
+      student: entry.student,
+      vendor: entry.vendorId,
+      hostel: entry.hostelId,
+      changes: entry.changes
+    })));
+
+    // Only queued if it is still the preview the admin saw, so two clicks cannot queue it twice
+    const queued = await RosterImport.findOneAndUpdate(
+      { _id: rosterImport._id, status: 'preview', fingerprint: plan.fingerprint },
+      {
+        $set: {
+          status: 'queued',
+          progress: { processed: 0, chunks: 0, total: plan.entries.length },
+          applyErrors: [],
+          result: {
+            created: 0,
+            updated: 0,
+            reactivated: 0,
+            unchanged: 0,
+            deactivated: 0,
+            vendorsCreated: plan.changes.vendorsToCreate.length,
+            hostelsCreated: plan.changes.hostelsToCreate.length,
+            subscriptions: { created: 0, renewed: 0, unchanged: 0 }
+          },
+          appliedBy: user._id,
+          updatedAt: now
+        }
+      },
+      { new: true }
+    );
+
+    if (queued) {
+      console.log(`📥 Roster import ${queued._id} queued: ${plan.entries.length} rows`);
+      return { rosterImport: queued };
+    }
+  }
+
+  const refreshed = await RosterImport.findOneAndUpdate(
+    { _id: rosterImport._id, status: 'preview' },
+    { $set: { rowErrors: plan.rowErrors, changes: changeSummary(plan.changes), fingerprint: plan.fingerprint, updatedAt: now } },
+    { new: true }
+  );
+
+  if (!refreshed) {
+    const current = await RosterImport.findById(rosterImport._id).select('status');
+    return { error: { status: 409, code: 'IMPORT_NOT_PREVIEW', message: `This import is already ${current?.status || 'gone'}` } };
+  }
+  await saveChanges(rosterImport._id, plan.changes);
+
+  return {
+    error: {
+      status: 409,
+      code: 'IMPORT_CHANGED',
+      message: 'Students or vendors changed since this preview. It has been refreshed; please review it again',
+      rosterImport: refreshed
+    }
+  };
+};
+
+// Put a failed import back in the queue. The worker carries on from the last saved chunk.
+const retryRosterImport = async ({ rosterImport }) => {
+  const queued = await RosterImport.findOneAndUpdate(
+    { _id: rosterImport._id, status: 'failed' },
+    { $set: { status: 'queued', updatedAt: new Date() }, $unset: { error: 1 } },
+    { new: true }
+  );
+
+  if (!queued) {
+    return { error: { status: 409, code: 'IMPORT_NOT_FAILED', message: `Only failed imports can be retried; this one is ${rosterImport.status}` } };
+  }
+
+  return { rosterImport: queued };
+};
+
+// Undo an applied (or partly applied, failed) import from the snapshots the worker took:
+// students get their fields and active flags back, the vendor assignments and
+// subscriptions it changed are restored and the ones it added removed or cancelled.
+// Students it created are deactivated rather than deleted, as they may have claimed
+// meals since. Vendors and hostels it created are kept. Returns { rosterImport } or { error }
+const rollbackRosterImport = async ({ rosterImport, user, reason }) => {
+  if (!['applied', 'failed'].includes(rosterImport.status)) {
+    return { error: { status: 409, code: 'IMPORT_NOT_APPLIED', message: `Only applied or failed imports can be rolled back; this one is ${rosterImport.status}` } };
+  }
+
+  // Rolling back under a later import would undo its changes too. An unfinished import
+  // counts as later if it was uploaded after this one or (re)queued since this one ran
+  const ranAt = rosterImport.appliedAt || rosterImport.updatedAt;
+  const later = await RosterImport.findOne({
+    _id: { $ne: rosterImport._id },
+    $or: [
+      {
+        status: { $in: ['queued', 'running', 'failed'] },
+        $or: [{ createdAt: { $gt: rosterImport.createdAt } }, { updatedAt: { $gt: ranAt } }]
+      },
+      { status: 'applied', appliedAt: { $gt: ranAt } }
+    ]
+  }).select('fileName status');
+
+  if (later) {
+    return {
+      error: {
+        status: 409,
+        code: 'IMPORT_SUPERSEDED',
+        message: `"${later.fileName}" (${later.status}) came after this import. Roll that back first`
+      }
+    };
+  }
+
+  const snapshots = await RosterImportSnapshot.find({ rosterImport: rosterImport._id }).lean();
+  const created = snapshots.filter(snapshot => snapshot.action === 'create');
+  const createdStudents = await Student.find({ email: { $in: created.map(snapshot => snapshot.email) } }).select('email').lean();
+  const createdIds = new Map(createdStudents.map(student => [student.email, student._id]));
+  const studentIdOf = (snapshot) => snapshot.student || createdIds.get(snapshot.email);
+
+  // Deactivated students only lost their active flag; everyone else may have new assignments and subscriptions
+  const reassigned = snapshots.filter(snapshot => snapshot.action !== 'deactivate' && studentIdOf(snapshot));
+  const reassignedIds = reassigned.map(studentIdOf);
+  const keptAssignments = reassigned.flatMap(snapshot => snapshot.vendorAssignments);
+  const keptSubscriptions = reassigned.flatMap(snapshot => snapshot.subscriptions);
+
+  const studentOps = snapshots.filter(studentIdOf).map(snapshot => {
+    if (!snapshot.before) {
+      return { updateOne: { filter: { _id: studentIdOf(snapshot) }, update: { $set: { isActive: false, updatedAt: new Date() } } } };
+    }
+
+    const update = { $set: { updatedAt: new Date() } };
+    RESTORED_FIELDS.forEach(field => {
+      if (snapshot.before[field] === undefined) {
+        update.$unset = { ...update.$unset, [field]: 1 };
+      } else {
+        update.$set[field] = snapshot.before[field];
+      }
+    });
+    return { updateOne: { filter: { _id: snapshot.student }, update } };
+  });
+
+  // No transaction, so this runs on a standalone MongoDB: every write below can be
+  // repeated, and the status only flips once they are all done. If the rollback stops
+  // part way, the import stays applied (or failed) and rolling back again finishes it.
+  if (studentOps.length > 0) {
+    await Student.bulkWrite(studentOps);
+  }
+
+  let assignmentsRemoved = 0;
+  let subscriptionsCancelled = 0;
+  if (reassignedIds.length > 0) {
+    const removedAssignments = await VendorAssignment.deleteMany({
+      student: { $in: reassignedIds },
+      $or: [{ endDate: null }, { endDate: { $gte: rosterImport.assignmentStart } }],
+      _id: { $nin: keptAssignments.map(assignment => assignment._id) }
+    });
+    if (keptAssignments.length > 0) {
+      await VendorAssignment.bulkWrite(keptAssignments.map(assignment => ({
+        replaceOne: { filter: { _id: assignment._id }, replacement: assignment, upsert: true }
+      })));
+    }
+
+    const cancelledSubscriptions = await Subscription.updateMany({
+      student: { $in: reassignedIds },
+      ...importedSubscriptions(rosterImport),
+      source: 'csv',
+      _id: { $nin: keptSubscriptions.map(subscription => subscription._id) }
+    }, {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: user._id,
+        cancelReason: 'Roster import rolled back',
+        updatedAt: new Date()
+      }
+    });
+    if (keptSubscriptions.length > 0) {
+      await Subscription.bulkWrite(keptSubscriptions.map(subscription => ({
+        replaceOne: { filter: { _id: subscription._id }, replacement: subscription, upsert: true }
+      })));
+    }
+    assignmentsRemoved = removedAssignments.deletedCount;
+    subscriptionsCancelled = cancelledSubscriptions.modifiedCount;
+  }
+
+  // After an interrupted attempt, the removed and cancelled counts only cover this one
+  const result = {
+    restored: snapshots.filter(snapshot => snapshot.before && snapshot.action !== 'deactivate').length,
+    reactivated: snapshots.filter(snapshot => snapshot.action === 'deactivate').length,
+    deactivated: createdStudents.length,
+    assignmentsRemoved,
+    subscriptionsCancelled
+  };
+
+  const rolledBack = await RosterImport.findOneAndUpdate(
+    { _id: rosterImport._id, status: rosterImport.status },
+    { $set: { status: 'rolledBack', rollbackResult: result, rolledBackBy: user._id, rolledBackAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!rolledBack) {
+    return { error: { status: 409, code: 'IMPORT_NOT_APPLIED', message: 'This import changed while rolling back; reload it and try again' } };
+  }
+
+  await AuditLog.create({
+    action: 'rosterImport.rollback',
+    actor: user._id,
+    targetModel: 'RosterImport',
+    target: rosterImport._id,
+    reason,
+    details: { fileName: rosterImport.fileName, previousStatus: rosterImport.status, ...result }
+  });
+
+  console.log(`↩️ Roster import ${rosterImport._id} rolled back: ${result.restored} restored, ${result.reactivated} reactivated, ${result.deactivated} deactivated`);
+
+  return { rosterImport: rolledBack };
+};
+
+module.exports = {
+  readRosterRows,
+  planRosterImport,
+  previewRosterImport,
+  queueRosterImport,
+  retryRosterImport,
+  rollbackRosterImport
+};
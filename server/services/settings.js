@@ -0,0 +1,77 @@
+const Setting = require('../models/Setting');
+const AuditLog = require('../models/AuditLog');
+
+// Every admin-editable setting with its default and a validator that returns the
+// cleaned value, or undefined when the input is invalid
+const SETTINGS = {
+  // How many hours before a meal's service window opens students must opt out
+  optOutCutoffHours: {
+    default: 12,
+    parse: (value) => {
+      const hours = Number(value);
+      return Number.isInteger(hours) && hours >= 0 && hours <= 72 ? hours : undefined;
+    },
+    error: 'Opt-out cutoff must be a whole number of hours between 0 and 72'
+  },
+  // Whether each skipped meal gives the student a meal credit at their vendor
+  optOutEarnsCredits: {
+    default: false,
+    parse: (value) => (typeof value === 'boolean' ? value : undefined),
+    error: 'Opt-out credits must be true or false'
+  }
+};
+
+// All settings, with defaults filled in for keys never saved
+const getSettings = async () => {
+  const saved = await Setting.find({ key: { $in: Object.keys(SETTINGS) } }).lean();
+
+  return Object.entries(SETTINGS).reduce((settings, [key, definition]) => {
+    const entry = saved.find(s => s.key === key);
+    settings[key] = entry ? entry.value : definition.default;
+    return settings;
+  }, {});
+};
+
+// Save the given settings and audit each change. Returns { settings } or { error }
+const updateSettings = async (values, user) => {
+  const changes = {};
+
+  for (const [key, value] of Object.entries(values)) {
+    const definition = SETTINGS[key];
+    if (!definition) {
+      return { error: { status: 400, message: `Unknown setting: ${key}` } };
+    }
+    const parsed = definition.parse(value);
+    if (parsed === undefined) {
+      return { error: { status: 400, message: definition.error } };
+    }
+    changes[key] = parsed;
+  }
+
+  const current = await getSettings();
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (current[key] === value) continue;
+
+    const setting = await Setting.findOneAndUpdate(
+      { key },
+      { $set: { value, updatedBy: user._id, updatedAt: new Date() } },
+      { new: true, upsert: true }
+    );
+
+    await AuditLog.create({
+      action: 'settings.update',
+      actor: user._id,
+      targetModel: 'Setting',
+      target: setting._id,
+      details: { key, from: current[key], to: value }
+    });
+  }
+
+  return { settings: { ...current, ...changes } };
+};
+
+module.exports = {
+  getSettings,
+  updateSettings
+};
@@ -0,0 +1,56 @@
+const { rollupVendorStats } = require('./vendorStats');
+const { applyDueAssignments } = require('./vendorAssignments');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let timer = null;
+let running = null;
+
+// Run the stats rollup unless one is already in progress, in which case that run's
+// result is returned. Shared by the schedule and the admin trigger.
+const runStatsRollup = (options = {}) => {
+  if (!running) {
+    running = rollupVendorStats(options).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+// Roll up vendor stats now and then every STATS_ROLLUP_INTERVAL_MINUTES (0 disables).
+// Vendor assignments that start today are applied first so student counts are current;
+// they also have their own schedule (startAssignmentSchedule), which runs regardless.
+const startStatsRollupSchedule = () => {
+  const minutes = Number(process.env.STATS_ROLLUP_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+  if (!minutes || minutes < 0 || timer) {
+    return;
+  }
+
+  const tick = async () => {
+    try {
+      const applied = await applyDueAssignments();
+      if (applied > 0) {
+        console.log(`🔀 Applied ${applied} scheduled vendor assignment(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Vendor assignment error:', error);
+    }
+
+    try {
+      const summary = await runStatsRollup();
+      console.log(`📈 Vendor stats rolled up (${summary.from} to ${summary.to}) in ${summary.durationMs}ms`);
+    } catch (error) {
+      console.error('❌ Vendor stats rollup error:', error);
+    }
+  };
+
+  tick();
+  timer = setInterval(tick, minutes * 60 * 1000);
+  // Do not keep the process alive just for the schedule
+  timer.unref();
+};
+
+module.exports = {
+  runStatsRollup,
+  startStatsRollupSchedule
+};
@@ -0,0 +1,243 @@
+const Subscription = require('../models/Subscription');
+const MealPlan = require('../models/MealPlan');
+const MealRecord = require('../models/MealRecord');
+const AuditLog = require('../models/AuditLog');
+const { addServiceDays } = require('../utils/date');
+
+const DEFAULT_PLAN_NAME = 'Standard';
+
+// Plan used when none is chosen (CSV upload, migration). Created on first use.
+const getDefaultPlan = async () => {
+  let plan = await MealPlan.findOne({ isDefault: true, isActive: true });
+  if (!plan) {
+    plan = await MealPlan.findOneAndUpdate(
+      { name: DEFAULT_PLAN_NAME },
+      {
+        $set: { isDefault: true, isActive: true },
+        $setOnInsert: {
+          description: 'All meals, one claim per meal per day',
+          mealTypes: ['breakfast', 'lunch', 'dinner']
+        }
+      },
+      { new: true, upsert: true }
+    );
+  }
+  return plan;
+};
+
+// The subscription a student is entitled to eat under on a service date, if any
+const findActiveSubscription = (studentId, serviceDate) => {
+  return Subscription.findOne({
+    student: studentId,
+    status: 'active',
+    startDate: { $lte: serviceDate },
+    endDate: { $gte: serviceDate }
+  })
+    .sort({ startDate: -1 })
+    .populate('vendor', 'name location')
+    .populate('plan');
+};
+
+const noSubscriptionError = (serviceDate) => ({
+  status: 403,
+  code: 'NO_ACTIVE_SUBSCRIPTION',
+  message: `Student has no active meal subscription for ${serviceDate}`
+});
+
+// Check a claim against the subscription's plan. Returns null when allowed,
+// otherwise { status, code, message }
+const checkPlanAllowance = async ({ subscription, studentId, mealType, serviceDate }) => {
+  const { plan } = subscription;
+
+  if (!plan.mealTypes.includes(mealType)) {
+    return {
+      status: 403,
+      code: 'MEAL_NOT_IN_PLAN',
+      message: `The ${plan.name} plan does not include ${mealType}`
+    };
+  }
+
+  // A second claim of this same meal is reported as ALREADY_CLAIMED by claimMeal, not as over the limit
+  const claimed = {
+    student: studentId,
+    claimed: true,
+    voided: { $ne: true },
+    $nor: [{ serviceDate, mealType }]
+  };
+
+  if (plan.mealsPerDay) {
+    const mealsToday = await MealRecord.countDocuments({ ...claimed, serviceDate });
+    if (mealsToday >= plan.mealsPerDay) {
+      return {
+        status: 403,
+        code: 'MEAL_LIMIT_REACHED',
+        message: `Daily limit of ${plan.mealsPerDay} meal(s) on the ${plan.name} plan reached`
+      };
+    }
+  }
+
+  if (plan.mealsPerMonth) {
+    const month = serviceDate.slice(0, 7);
+    const mealsThisMonth = await MealRecord.countDocuments({
+      ...claimed,
+      serviceDate: { $gte: `${month}-01`, $lte: `${month}-31` }
+    });
+    if (mealsThisMonth >= plan.mealsPerMonth) {
+      return {
+        status: 403,
+        code: 'MEAL_LIMIT_REACHED',
+        message: `Monthly limit of ${plan.mealsPerMonth} meals on the ${plan.name} plan reached`
+      };
+    }
+  }
+
+  return null;
+};
+
+// Work out creating or extending a student's subscription for [startDate, endDate],
+// given their active subscriptions. One with the same vendor and plan that overlaps or
+// adjoins the period is extended; other overlapping subscriptions are cut short so the
+// new one takes over from startDate. Changes the given documents in place and saves
+// nothing: the caller saves `changed`.
+const planRenewal = ({
+  subscriptions,
+  studentId,
+  vendorId,
+  planId,
+  startDate,
+  endDate,
+  source = 'manual',
+  user,
+  now = new Date()
+}) => {
+  const existing = subscriptions
+    .filter(s => s.status === 'active' && s.startDate <= addServiceDays(endDate, 1) && s.endDate >= addServiceDays(startDate, -1))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  const changed = [];
+  const matching = [];
+
+  for (const subscription of existing) {
+    if (subscription.vendor.toString() === vendorId.toString() && subscription.plan.toString() === planId.toString()) {
+      matching.push(subscription);
+      continue;
+    }
+
+    // Only adjoining, not overlapping
+    if (subscription.endDate < startDate || subscription.startDate > endDate) continue;
+
+    if (subscription.startDate < startDate) {
+      subscription.endDate = addServiceDays(startDate, -1);
+    } else {
+      subscription.status = 'cancelled';
+      subscription.cancelledAt = now;
+      subscription.cancelledBy = user?._id;
+      subscription.cancelReason = 'Replaced by a new subscription';
+    }
+    subscription.updatedAt = now;
+    changed.push(subscription);
+  }
+
+  if (matching.length === 0) {
+    const subscription = new Subscription({
+      student: studentId,
+      vendor: vendorId,
+      plan: planId,
+      startDate,
+      endDate,
+      source,
+      createdBy: user?._id
+    });
+    return { subscription, action: 'created', changed: [...changed, subscription] };
+  }
+
+  // Fold every matching subscription into the first
+  const [subscription, ...merged] = matching;
+  const mergedStart = [startDate, ...matching.map(s => s.startDate)].sort()[0];
+  const mergedEnd = [endDate, ...matching.map(s => s.endDate)].sort().pop();
+
+  if (merged.length === 0 && subscription.startDate === mergedStart && subscription.endDate === mergedEnd) {
+    return { subscription, action: 'unchanged', changed };
+  }
+
+  for (const duplicate of merged) {
+    duplicate.status = 'cancelled';
+    duplicate.cancelledAt = now;
+    duplicate.cancelledBy = user?._id;
+    duplicate.cancelReason = `Merged into subscription ${subscription._id}`;
+    duplicate.updatedAt = now;
+    changed.push(duplicate);
+  }
+
+  subscription.startDate = mergedStart;
+  subscription.endDate = mergedEnd;
+  subscription.updatedAt = now;
+  changed.push(subscription);
+
+  return { subscription, action: 'renewed', changed };
+};
+
+// Create or extend a student's subscription for [startDate, endDate] (see planRenewal).
+// Returns { subscription, action: 'created' | 'renewed' | 'unchanged' }
+const renewSubscription = async ({ studentId, startDate, endDate, ...options }) => {
+  const subscriptions = await Subscription.find({
+    student: studentId,
+    status: 'active',
+    startDate: { $lte: addServiceDays(endDate, 1) },
+    endDate: { $gte: addServiceDays(startDate, -1) }
+  });
+
+  const { subscription, action, changed } = planRenewal({ ...options, subscriptions, studentId, startDate, endDate });
+
+  for (const doc of changed) {
+    await doc.save();
+  }
+
+  return { subscription, action };
+};
+
+// Cancel a subscription and audit it. Returns null if it was already cancelled.
+const cancelSubscription = async ({ subscriptionId, user, reason }) => {
+  const subscription = await Subscription.findOneAndUpdate(
+    { _id: subscriptionId, status: 'active' },
+    {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy: user._id,
+      cancelReason: reason,
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!subscription) {
+    return null;
+  }
+
+  await AuditLog.create({
+    action: 'subscription.cancel',
+    actor: user._id,
+    targetModel: 'Subscription',
+    target: subscription._id,
+    reason,
+    details: {
+      student: subscription.student,
+      vendor: subscription.vendor,
+      plan: subscription.plan,
+      startDate: subscription.startDate,
+      endDate: subscription.endDate
+    }
+  });
+
+  return subscription;
+};
+
+module.exports = {
+  getDefaultPlan,
+  findActiveSubscription,
+  noSubscriptionError,
+  checkPlanAllowance,
+  planRenewal,
+  renewSubscription,
+  cancelSubscription
+};
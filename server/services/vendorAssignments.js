@@ -0,0 +1,260 @@
+const VendorAssignment = require('../models/VendorAssignment');
+const Student = require('../models/Student');
+const Subscription = require('../models/Subscription');
+const { toServiceDate, addServiceDays } = require('../utils/date');
+
+const isSameVendor = (a, b) => a.toString() === b.toString();
+
+// What planVendorChange needs to know about a student: assignments ending on or after
+// `startDate` and active subscriptions with another vendor running into it
+const openAssignmentsFilter = (startDate) => ({
+  $or: [{ endDate: null }, { endDate: { $gte: startDate } }]
+});
+
+const movableSubscriptionsFilter = (vendorId, startDate) => ({
+  status: 'active',
+  vendor: { $ne: vendorId },
+  endDate: { $gte: startDate }
+});
+
+// Work out moving a student to a vendor from `startDate` on. The assignment running on
+// that date is cut short (or simply kept, if it is already with this vendor) and any
+// assignment starting later is replaced. Verification checks the subscription's vendor,
+// so active subscriptions with another vendor move too; one running on that date is
+// split, the earlier days staying with the old vendor.
+// Changes the given documents in place and saves nothing: the caller deletes `removed`
+// and saves `changed`, and sets Student.vendor if `applyNow`.
+const planVendorChange = ({
+  assignments,
+  subscriptions,
+  studentId,
+  vendorId,
+  startDate,
+  source,
+  reason,
+  user,
+  today = toServiceDate(),
+  now = new Date()
+}) => {
+  const changed = [];
+  let removed = [];
+  let assignment;
+  let action;
+
+  const existing = assignments
+    .filter(a => a.endDate === null || a.endDate >= startDate)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  const covering = existing.find(a => a.startDate < startDate);
+  const later = existing.filter(a => a.startDate >= startDate);
+
+  const [current] = later;
+  if (later.length === 1 && current.startDate === startDate && current.endDate === null && isSameVendor(current.vendor, vendorId)) {
+    [assignment, action] = [current, 'unchanged'];
+  } else if (later.length === 0 && covering && covering.endDate === null && isSameVendor(covering.vendor, vendorId)) {
+    [assignment, action] = [covering, 'unchanged'];
+  } else {
+    removed = later.map(a => a._id);
+
+    if (covering && isSameVendor(covering.vendor, vendorId)) {
+      // Still with the same vendor: the running assignment just carries on
+      covering.endDate = null;
+      covering.updatedAt = now;
+      [assignment, action] = [covering, 'extended'];
+    } else {
+      if (covering) {
+        covering.endDate = addServiceDays(startDate, -1);
+        covering.updatedAt = now;
+        changed.push(covering);
+      }
+      assignment = new VendorAssignment({
+        student: studentId,
+        vendor: vendorId,
+        startDate,
+        source,
+        reason,
+        createdBy: user?._id
+      });
+      action = 'created';
+    }
+
+    if (startDate <= today) {
+      assignment.appliedAt = assignment.appliedAt || now;
+    }
+    changed.push(assignment);
+  }
+
+  const moving = subscriptions.filter(s => s.status === 'active' && !isSameVendor(s.vendor, vendorId) && s.endDate >= startDate);
+  const splits = [];
+  for (const subscription of moving) {
+    if (subscription.startDate < startDate) {
+      splits.push(new Subscription({
+        student: studentId,
+        vendor: vendorId,
+        plan: subscription.plan,
+        startDate,
+        endDate: subscription.endDate,
+        // Roster imports cancel their own csv subscriptions when rolled back
+        source: source === 'csv' ? 'csv' : subscription.source,
+        createdBy: user?._id
+      }));
+      subscription.endDate = addServiceDays(startDate, -1);
+    } else {
+      subscription.vendor = vendorId;
+    }
+    subscription.updatedAt = now;
+    changed.push(subscription);
+  }
+  changed.push(...splits);
+
+  return {
+    assignment,
+    action,
+    changed,
+    removed,
+    applyNow: action !== 'unchanged' && startDate <= today,
+    subscriptionsMoved: moving.length,
+    // The student's subscriptions after the change, for planning a renewal on top
+    subscriptions: [...subscriptions, ...splits]
+  };
+};
+
+// Move a student to a vendor from `startDate` on, with their subscriptions (see
+// planVendorChange). Student.vendor follows straight away unless the change is in the
+// future, in which case applyDueAssignments switches it on the day.
+// Returns { assignment, action: 'created' | 'extended' | 'unchanged', subscriptionsMoved }
+const assignVendor = async ({
+  studentId,
+  vendorId,
+  startDate = toServiceDate(),
+  source,
+  reason,
+  user
+}) => {
+  const [assignments, subscriptions] = await Promise.all([
+    VendorAssignment.find({ student: studentId, ...openAssignmentsFilter(startDate) }),
+    Subscription.find({ student: studentId, ...movableSubscriptionsFilter(vendorId, startDate) })
+  ]);
+
+  const plan = planVendorChange({ assignments, subscriptions, studentId, vendorId, startDate, source, reason, user });
+
+  if (plan.removed.length > 0) {
+    await VendorAssignment.deleteMany({ _id: { $in: plan.removed } });
+  }
+  for (const doc of plan.changed) {
+    await doc.save();
+  }
+  if (plan.applyNow) {
+    await Student.updateOne({ _id: studentId }, { vendor: vendorId, updatedAt: new Date() });
+  }
+
+  return { assignment: plan.assignment, action: plan.action, subscriptionsMoved: plan.subscriptionsMoved };
+};
+
+// Switch Student.vendor for assignments whose start date has arrived. Run on a schedule.
+const applyDueAssignments = async () => {
+  const today = toServiceDate();
+  const due = await VendorAssignment.find({
+    appliedAt: null,
+    startDate: { $lte: today },
+    $or: [{ endDate: null }, { endDate: { $gte: today } }]
+  });
+
+  for (const assignment of due) {
+    const now = new Date();
+    await Student.updateOne({ _id: assignment.student }, { vendor: assignment.vendor, updatedAt: now });
+    assignment.appliedAt = now;
+    await assignment.save();
+  }
+
+  return due.length;
+};
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+let timer = null;
+
+// Apply due vendor changes now and then every VENDOR_ASSIGNMENT_INTERVAL_MINUTES. There
+// is no off switch: students would keep their old vendor after the change was due
+const startAssignmentSchedule = () => {
+  if (timer) return;
+  const minutes = Number(process.env.VENDOR_ASSIGNMENT_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const tick = async () => {
+    try {
+      const applied = await applyDueAssignments();
+      if (applied > 0) {
+        console.log(`🔀 Applied ${applied} scheduled vendor assignment(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Vendor assignment error:', error);
+    }
+  };
+
+  tick();
+  timer = setInterval(tick, Math.max(minutes, 1) * 60 * 1000);
+  // Do not keep the process alive just for the schedule
+  timer.unref();
+};
+
+// A student's assignments, newest first
+const getVendorHistory = (studentId) => {
+  return VendorAssignment.find({ student: studentId })
+    .sort({ startDate: -1 })
+    .populate('vendor', 'name location')
+    .populate('createdBy', 'name email');
+};
+
+// Students assigned to a vendor at any point in [startDate, endDate]
+const getAssignedStudentIds = (vendorId, startDate, endDate) => {
+  return VendorAssignment.distinct('student', {
+    vendor: vendorId,
+    startDate: { $lte: endDate },
+    $or: [{ endDate: null }, { endDate: { $gte: startDate } }]
+  });
+};
+
+// Aggregation stages for MealRecord that add `assignedVendor`: the vendor the student
+// was assigned to on the meal's service date. Meals from before the student has any
+// history fall back to the vendor that served them.
+const assignedVendorStages = () => [
+  {
+    $lookup: {
+      from: VendorAssignment.collection.name,
+      let: { student: '$student', serviceDate: '$serviceDate' },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [
+                { $eq: ['$student', '$$student'] },
+                { $lte: ['$startDate', '$$serviceDate'] },
+                { $gte: [{ $ifNull: ['$endDate', '9999-12-31'] }, '$$serviceDate'] }
+              ]
+            }
+          }
+        },
+        { $sort: { startDate: -1 } },
+        { $limit: 1 },
+        { $project: { vendor: 1 } }
+      ],
+      as: 'assignment'
+    }
+  },
+  {
+    $addFields: {
+      assignedVendor: { $ifNull: [{ $arrayElemAt: ['$assignment.vendor', 0] }, '$vendor'] }
+    }
+  },
+  { $project: { assignment: 0 } }
+];
+
+module.exports = {
+  openAssignmentsFilter,
+  planVendorChange,
+  assignVendor,
+  applyDueAssignments,
+  startAssignmentSchedule,
+  getVendorHistory,
+  getAssignedStudentIds,
+  assignedVendorStages
+};
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const MealRecord = require('../models/MealRecord');
+const VendorStat = require('../models/VendorStat');
+const Vendor = require('../models/Vendor');
+const Student = require('../models/Student');
+const { toServiceDate, addServiceDays } = require('../utils/date');
+const { assignedVendorStages } = require('./vendorAssignments');
+
+// Months kept on Vendor.monthlyStats
+const MONTHLY_STATS_KEPT = 12;
+
+// Longest range an admin can backfill in one run
+const MAX_ROLLUP_DAYS = 366;
+
+const notVoided = { $ne: ['$voided', true] };
+
+// Meals, voids and unique students for the records grouped under `_id`
+const countFields = {
+  meals: { $sum: { $cond: [notVoided, 1, 0] } },
+  voided: { $sum: { $cond: [notVoided, 0, 1] } },
+  students: { $addToSet: { $cond: [notVoided, '$student', '$$REMOVE'] } }
+};
+
+const countStages = (id) => [
+  { $group: { _id: id, ...countFields } },
+  { $project: { meals: 1, voided: 1, uniqueStudents: { $size: '$students' } } }
+];
+
+// { byMeal, all } rows for MealRecords in [startDate, endDate], keyed by `periodKey`.
+// Meals count towards the vendor the student was assigned to on the day.
+const aggregatePeriod = async (startDate, endDate, periodKey) => {
+  const [result] = await MealRecord.aggregate([
+    { $match: { claimed: true, serviceDate: { $gte: startDate, $lte: endDate } } },
+    ...assignedVendorStages(),
+    { $addFields: { periodKey } },
+    {
+      $facet: {
+        byMeal: countStages({ vendor: '$assignedVendor', periodKey: '$periodKey', mealType: '$mealType' }),
+        all: countStages({ vendor: '$assignedVendor', periodKey: '$periodKey', mealType: 'all' })
+      }
+    }
+  ]);
+  return [...result.byMeal, ...result.all];
+};
+
+// Write rows for a period and drop rows in the recomputed range that no longer
+// have any meals (e.g. every claim of a day moved to another vendor)
+const saveRows = async (period, rows, keyRange, computedAt) => {
+  if (rows.length > 0) {
+    await VendorStat.bulkWrite(rows.map(row => ({
+      updateOne: {
+        filter: { vendor: row._id.vendor, period, periodKey: row._id.periodKey, mealType: row._id.mealType },
+        update: { $set: { meals: row.meals, voided: row.voided, uniqueStudents: row.uniqueStudents, computedAt } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  await VendorStat.deleteMany({
+    period,
+    periodKey: { $gte: keyRange[0], $lte: keyRange[1] },
+    computedAt: { $lt: computedAt }
+  });
+};
+
+// Copy the rollup onto the Vendor documents for code that reads them directly
+const refreshVendorFields = async (today) => {
+  const vendors = await Vendor.find().select('_id');
+  const studentCounts = await Student.aggregate([
+    { $match: { isActive: true } },
+    { $group: { _id: '$vendor', count: { $sum: 1 } } }
+  ]);
+
+  for (const vendor of vendors) {
+    const [todayRow, monthRows] = await Promise.all([
+      VendorStat.findOne({ vendor: vendor._id, period: 'day', periodKey: today, mealType: 'all' }),
+      VendorStat.find({ vendor: vendor._id, period: 'month', mealType: 'all' })
+        .sort({ periodKey: -1 })
+        .limit(MONTHLY_STATS_KEPT)
+    ]);
+
+    await Vendor.updateOne({ _id: vendor._id }, {
+      $set: {
+        totalStudents: studentCounts.find(c => c._id?.toString() === vendor._id.toString())?.count || 0,
+        dailyMealsServed: todayRow?.meals || 0,
+        monthlyStats: monthRows.map(row => ({
+          month: row.periodKey,
+          year: Number(row.periodKey.slice(0, 4)),
+          totalMeals: row.meals,
+          uniqueStudents: row.uniqueStudents
+        }))
+      }
+    });
+  }
+
+  return vendors.length;
+};
+
+// Recompute day rows for service dates in [from, to] and month rows for every month
+// they touch. By default covers the previous month and this month so late voids and
+// offline syncs are picked up. Returns a summary, or { error } for a bad range.
+const rollupVendorStats = async ({ from, to } = {}) => {
+  const startedAt = Date.now();
+  const today = toServiceDate();
+  const startDate = from || `${addServiceDays(`${today.slice(0, 7)}-01`, -1).slice(0, 7)}-01`;
+  const endDate = to || today;
+
+  if (startDate > endDate) {
+    return { error: { status: 400, message: 'The start date must not be after the end date' } };
+  }
+  if (addServiceDays(startDate, MAX_ROLLUP_DAYS) <= endDate) {
+    return { error: { status: 400, message: `At most ${MAX_ROLLUP_DAYS} days can be rolled up at once` } };
+  }
+
+  const computedAt = new Date();
+
+  const dayRows = await aggregatePeriod(startDate, endDate, '$serviceDate');
+  await saveRows('day', dayRows, [startDate, endDate], computedAt);
+
+  // Whole months, even when the range starts or ends mid-month
+  const monthStart = `${startDate.slice(0, 7)}-01`;
+  const monthEnd = `${endDate.slice(0, 7)}-31`;
+  const monthRows = await aggregatePeriod(monthStart, monthEnd, { $substrCP: ['$serviceDate', 0, 7] });
+  await saveRows('month', monthRows, [startDate.slice(0, 7), endDate.slice(0, 7)], computedAt);
+
+  const vendors = await refreshVendorFields(today);
+
+  return {
+    from: startDate,
+    to: endDate,
+    dayRows: dayRows.length,
+    monthRows: monthRows.length,
+    vendors,
+    computedAt,
+    durationMs: Date.now() - startedAt
+  };
+};
+
+// Meals counted towards a vendor this month: earlier days from the rollup, and today
+// live, keyed the same way (by the vendor the student was assigned to)
+const getMonthToDateMeals = async (vendorId) => {
+  const today = toServiceDate();
+  const [rows, [live]] = await Promise.all([
+    VendorStat.find({
+      vendor: vendorId,
+      period: 'day',
+      mealType: 'all',
+      periodKey: { $gte: `${today.slice(0, 7)}-01`, $lt: today }
+    }).select('meals'),
+    MealRecord.aggregate([
+      { $match: { claimed: true, voided: { $ne: true }, serviceDate: today } },
+      ...assignedVendorStages(),
+      { $match: { assignedVendor: new mongoose.Types.ObjectId(vendorId) } },
+      { $count: 'meals' }
+    ])
+  ]);
+
+  return rows.reduce((sum, row) => sum + row.meals, 0) + (live?.meals || 0);
+};
+
+const getLastRollupAt = async () => {
+  const latest = await VendorStat.findOne().sort({ computedAt: -1 }).select('computedAt');
+  return latest?.computedAt || null;
+};
+
+module.exports = {
+  rollupVendorStats,
+  getMonthToDateMeals,
+  getLastRollupAt
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const VerificationAttempt = require('../models/VerificationAttempt');
+const { isSignedToken } = require('../utils/qrToken');
+const { normalizeRollNumber } = require('../utils/rollNumber');
+const { runFraudRules } = require('./fraudRules');
+
+const hashIdentifier = (identifier) => {
+  return crypto.createHash('sha256').update(String(identifier).trim()).digest('hex');
+};
+
+// Work out what kind of identifier was scanned, using the matched student when there is one
+const getIdentifierType = (identifier, student) => {
+  if (isSignedToken(identifier)) return 'token';
+  if (!student) return 'unknown';
+  if (student.qrCode === identifier) return 'legacy_qr';
+  if (student.rollNumber === normalizeRollNumber(identifier)) return 'roll_number';
+  if (student.email === String(identifier).trim().toLowerCase()) return 'email';
+  return 'unknown';
+};
+
+// Log a verification attempt and run the fraud rules against it.
+// Never throws: a logging failure must not block a meal claim
+const recordAttempt = async ({
+  identifier,
+  student,
+  vendor,
+  operator,
+  outcome,
+  message,
+  mealType,
+  source = 'online',
+  scannedAt = new Date()
+}) => {
+  try {
+    const attempt = await VerificationAttempt.create({
+      identifierHash: hashIdentifier(identifier),
+      identifierType: getIdentifierType(identifier, student),
+      student: student?._id || student,
+      vendor,
+      operator,
+      outcome,
+      verified: outcome === 'VERIFIED',
+      message,
+      mealType,
+      source,
+      scannedAt
+    });
+
+    await runFraudRules(attempt);
+  } catch (error) {
+    console.error('Record verification attempt error:', error);
+  }
+};
+
+module.exports = {
+  hashIdentifier,
+  recordAttempt
+};
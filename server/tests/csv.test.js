@@ -0,0 +1,164 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { readCSV } = require('../utils/csv');
+
+// Feed the bytes in chunks of `size`, the way a large upload arrives
+const inChunks = (bytes, size) => {
+  const chunks = [];
+  for (let start = 0; start < bytes.length; start += size) {
+    chunks.push(bytes.subarray(start, start + size));
+  }
+  return Readable.from(chunks);
+};
+
+const ROWS = 2000;
+const roster = (lastName) => [
+  'name,email',
+  ...Array.from({ length: ROWS }, (_, index) => `Student ${index},student${index}@example.com`),
+  `${lastName},last@example.com`,
+  ''
+].join('\r\n');
+
+describe('CSV encoding', () => {
+  it('reads Windows-1252 whose first accented letter is past the first chunk', async () => {
+    const bytes = Buffer.from(roster('Renée Müller'), 'latin1');
+    const csv = await readCSV(inChunks(bytes, 1024));
+
+    assert.equal(csv.encoding, 'windows-1252');
+    assert.equal(csv.records.length, ROWS + 1);
+    assert.equal(csv.records.at(-1).name, 'Renée Müller');
+    assert.equal(csv.records[0].name, 'Student 0');
+  });
+
+  it('reads Windows-1252 whose first accented letter ends a chunk', async () => {
+    const bytes = Buffer.from('name,email\r\nJosé,jose@example.com\r\n', 'latin1');
+    const csv = await readCSV(inChunks(bytes, bytes.indexOf(0xe9) + 1));
+
+    assert.equal(csv.encoding, 'windows-1252');
+    assert.equal(csv.records[0].name, 'José');
+  });
+
+  it('keeps the UTF-8 before the first invalid byte of a chunk', async () => {
+    const bytes = Buffer.concat([
+      Buffer.from('name,email\r\nZoë,zoe@example.com\r\n', 'utf-8'),
+      Buffer.from('José,jose@example.com\r\n', 'latin1')
+    ]);
+
+    for (const size of [bytes.length, 4]) {
+      const csv = await readCSV(inChunks(bytes, size));
+      assert.equal(csv.encoding, 'windows-1252');
+      assert.deepEqual(csv.records.map(record => record.name), ['Zoë', 'José']);
+    }
+  });
+
+  it('reads UTF-8 whose characters are split across chunks', async () => {
+    const bytes = Buffer.from(roster('Renée Łódź € \u{1f600}'), 'utf-8');
+
+    for (const size of [1, 2, 3, 1023]) {
+      const csv = await readCSV(inChunks(bytes, size));
+      assert.equal(csv.encoding, 'utf-8');
+      assert.equal(csv.records.at(-1).name, 'Renée Łódź € \u{1f600}');
+    }
+  });
+
+  it('reads a file with a UTF-8 byte order mark', async () => {
+    const bytes = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('name,email\nZoë,zoe@example.com\n', 'utf-8')]);
+    const csv = await readCSV(bytes);
+
+    assert.equal(csv.encoding, 'utf-8');
+    assert.deepEqual(csv.headers, ['name', 'email']);
+    assert.equal(csv.records[0].name, 'Zoë');
+  });
+
+  it('keeps an encoding that is given', async () => {
+    const bytes = Buffer.from('name,email\nJosé,jose@example.com\n', 'latin1');
+    const csv = await readCSV(bytes, { encoding: 'utf-8' });
+
+    assert.equal(csv.encoding, 'utf-8');
+    assert.equal(csv.records[0].name, 'Jos�');
+  });
+});
+
+describe('CSV parsing', () => {
+  it('reads "" inside a quoted field as a quote', async () => {
+    const csv = await readCSV(Buffer.from('name,note\n"Sam ""The Chef"" Lee","say ""hi"", then go"\n'));
+
+    assert.equal(csv.records[0].name, 'Sam "The Chef" Lee');
+    assert.equal(csv.records[0].note, 'say "hi", then go');
+  });
+
+  it('keeps line breaks inside quoted fields and counts the lines they take', async () => {
+    const csv = await readCSV(Buffer.from('name,note\n"Asha","first line\r\nsecond line\rthird"\nRavi,plain\n'));
+
+    assert.equal(csv.records[0].note, 'first line\nsecond line\nthird');
+    assert.equal(csv.records[0].line, 2);
+    assert.equal(csv.records[1].name, 'Ravi');
+    assert.equal(csv.records[1].line, 5);
+  });
+
+  it('reads CRLF and lone CR line endings', async () => {
+    for (const newline of ['\r\n', '\r']) {
+      const csv = await readCSV(Buffer.from(['name,email', 'Asha,asha@example.com', 'Ravi,ravi@example.com'].join(newline)));
+
+      assert.deepEqual(csv.headers, ['name', 'email']);
+      assert.deepEqual(csv.records.map(record => [record.name, record.line]), [['Asha', 2], ['Ravi', 3]]);
+    }
+  });
+
+  it('reads the header after a byte order mark', async () => {
+    const utf8 = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('name;email\nAsha;asha@example.com\n')]);
+    const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('name\temail\nAsha\tasha@example.com\n', 'utf16le')]);
+
+    for (const [bytes, encoding] of [[utf8, 'utf-8'], [utf16, 'utf-16le']]) {
+      const csv = await readCSV(bytes);
+      assert.equal(csv.encoding, encoding);
+      assert.deepEqual(csv.headers, ['name', 'email']);
+      assert.equal(csv.records[0].email, 'asha@example.com');
+    }
+  });
+
+  it('detects semicolon and tab delimiters from the header', async () => {
+    const semicolon = await readCSV(Buffer.from('name;email;note\nAsha;asha@example.com;"a, b"\n'));
+    assert.equal(semicolon.delimiter, ';');
+    assert.equal(semicolon.records[0].note, 'a, b');
+
+    const tab = await readCSV(Buffer.from('name\temail\nAsha, B\tasha@example.com\n'));
+    assert.equal(tab.delimiter, '\t');
+    assert.equal(tab.records[0].name, 'Asha, B');
+  });
+
+  it('ignores delimiters inside quotes when detecting', async () => {
+    const csv = await readCSV(Buffer.from('"name, full";email\nAsha;asha@example.com\n'));
+
+    assert.equal(csv.delimiter, ';');
+    assert.deepEqual(csv.headers, ['name, full', 'email']);
+  });
+
+  it('fails on a quoted field that is never closed, at the line it opens on', async () => {
+    await assert.rejects(
+      readCSV(Buffer.from('name,note\nAsha,ok\nRavi,"never\nclosed\n')),
+      { code: 'CSV_INVALID', line: 3, message: 'Line 3: Quoted field is never closed' }
+    );
+  });
+
+  it('fails on a character after a closing quote, at its line', async () => {
+    await assert.rejects(
+      readCSV(Buffer.from('name,note\n"Asha","two\nlines"x\n')),
+      { code: 'CSV_INVALID', line: 3, message: 'Line 3: Unexpected "x" after a closing quote' }
+    );
+  });
+});
+
+describe('CSV records', () => {
+  it('hands each record to onRecord instead of collecting them', async () => {
+    const seen = [];
+    const csv = await readCSV(Buffer.from('name,email\nAsha,asha@example.com\n\nRavi,ravi@example.com,extra\nMeera,meera@example.com\n'), {
+      onRecord: (record, headers) => seen.push([record.name, record.line, headers])
+    });
+
+    assert.deepEqual(csv.records, []);
+    assert.deepEqual(seen, [['Asha', 2, ['name', 'email']], ['Meera', 5, ['name', 'email']]]);
+    assert.deepEqual(csv.errors, ['Line 4: 3 values, but the header has 2 columns']);
+  });
+});
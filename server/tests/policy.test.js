@@ -0,0 +1,418 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'policy-test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const MealRecord = require('../models/MealRecord');
+const MealOptOut = require('../models/MealOptOut');
+const Invoice = require('../models/Invoice');
+
+// No database here: anything a handler does past the policy checks fails fast with a 500
+mongoose.set('bufferCommands', false);
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+const VENDOR = id();
+const OTHER_VENDOR = id();
+
+const USERS = {
+  admin: { _id: id(), role: 'admin', email: 'admin@example.com', isActive: true },
+  vendor: { _id: id(), role: 'vendor', email: 'staff@example.com', vendor: VENDOR, isActive: true },
+  unlinkedVendor: { _id: id(), role: 'vendor', email: 'unlinked@example.com', isActive: true },
+  student: { _id: id(), role: 'student', email: 'student@example.com', isActive: true }
+};
+
+const ROLES = ['admin', 'vendor', 'student'];
+
+// Every protected route and which roles may use it, on whose records. A role left out
+// must be refused. Keep in step with server.js and middleware/policy.js.
+const ANY = 'any';
+const OWN_VENDOR = 'ownVendor';
+const SELF = 'self';
+
+const ROUTES = {
+  'GET /api/auth/me': { admin: ANY, vendor: ANY, student: ANY },
+  'POST /api/auth/logout': { admin: ANY, vendor: ANY, student: ANY },
+  'POST /api/auth/create-user': { admin: ANY },
+  'GET /api/students/my-qr-code': { admin: ANY, student: SELF },
+  'GET /api/students/': { admin: ANY },
+  'GET /api/students/batches': { admin: ANY },
+  'GET /api/students/:id': { admin: ANY, vendor: OWN_VENDOR, student: SELF },
+  'GET /api/students/search/:identifier': { admin: ANY, vendor: OWN_VENDOR },
+  'PUT /api/students/:id': { admin: ANY, student: SELF },
+  'DELETE /api/students/:id': { admin: ANY },
+  'GET /api/students/:id/meals': { admin: ANY, vendor: OWN_VENDOR, student: SELF },
+  'GET /api/students/:id/vendor-assignments': { admin: ANY, student: SELF },
+  'POST /api/students/:id/vendor-assignments': { admin: ANY },
+  'POST /api/students/cleanup-vendors': { admin: ANY },
+  'GET /api/vendors/': { admin: ANY, vendor: ANY, student: ANY },
+  'GET /api/vendors/:id': { admin: ANY, vendor: ANY, student: ANY },
+  'GET /api/vendors/:id/dashboard': { admin: ANY, vendor: OWN_VENDOR },
+  'GET /api/vendors/:id/dietary-summary': { admin: ANY, vendor: OWN_VENDOR },
+  'GET /api/vendors/:id/students/search': { admin: ANY, vendor: OWN_VENDOR },
+  'POST /api/vendors/': { admin: ANY },
+  'PUT /api/vendors/:id': { admin: ANY, vendor: OWN_VENDOR },
+  'POST /api/admin/upload-csv': { admin: ANY },
+  'GET /api/admin/imports': { admin: ANY },
+  'GET /api/admin/imports/:id': { admin: ANY },
+  'POST /api/admin/imports/:id/apply': { admin: ANY },
+  'POST /api/admin/imports/:id/retry': { admin: ANY },
+  'GET /api/admin/imports/:id/file': { admin: ANY },
+  'POST /api/admin/imports/:id/rollback': { admin: ANY },
+  'POST /api/admin/cleanup-vendors': { admin: ANY },
+  'GET /api/admin/export-students': { admin: ANY },
+  'GET /api/admin/stats': { admin: ANY },
+  'GET /api/admin/stats/hostels': { admin: ANY },
+  'GET /api/admin/stats/batches': { admin: ANY },
+  'POST /api/admin/stats/rollup': { admin: ANY },
+  'GET /api/admin/sync-conflicts': { admin: ANY },
+  'PUT /api/admin/sync-conflicts/:id/resolve': { admin: ANY },
+  'GET /api/admin/verification-attempts': { admin: ANY },
+  'GET /api/admin/fraud-flags': { admin: ANY },
+  'PUT /api/admin/fraud-flags/:id/review': { admin: ANY },
+  'GET /api/admin/blocked-students': { admin: ANY },
+  'PUT /api/admin/students/:id/unblock': { admin: ANY },
+  'POST /api/admin/bulk-deactivate': { admin: ANY },
+  'POST /api/verification/verify': { admin: ANY, vendor: OWN_VENDOR },
+  'POST /api/verification/meals/:id/void': { admin: ANY, vendor: OWN_VENDOR },
+  'GET /api/verification/roster/:vendorId': { admin: ANY, vendor: OWN_VENDOR },
+  'POST /api/verification/sync': { admin: ANY, vendor: OWN_VENDOR },
+  'GET /api/verification/history/:vendorId': { admin: ANY, vendor: OWN_VENDOR },
+  'GET /api/verification/stats/:vendorId': { admin: ANY, vendor: OWN_VENDOR },
+  'GET /api/plans/': { admin: ANY },
+  'POST /api/plans/': { admin: ANY },
+  'PUT /api/plans/:id': { admin: ANY },
+  'GET /api/subscriptions/': { admin: ANY },
+  'POST /api/subscriptions/': { admin: ANY },
+  'PUT /api/subscriptions/:id/cancel': { admin: ANY },
+  'GET /api/credits/transactions': { admin: ANY },
+  'GET /api/credits/students/:studentId': { admin: ANY, student: SELF },
+  'POST /api/credits/grant': { admin: ANY },
+  'POST /api/credits/revoke': { admin: ANY },
+  'GET /api/opt-outs/': { admin: ANY, vendor: OWN_VENDOR },
+  'GET /api/opt-outs/me': { student: SELF },
+  'POST /api/opt-outs/me': { student: SELF },
+  'DELETE /api/opt-outs/me/:id': { student: SELF },
+  'GET /api/settings/': { admin: ANY },
+  'PUT /api/settings/': { admin: ANY },
+  'GET /api/invoices/rates': { admin: ANY },
+  'POST /api/invoices/rates': { admin: ANY },
+  'DELETE /api/invoices/rates/:id': { admin: ANY },
+  'GET /api/invoices/': { admin: ANY, vendor: OWN_VENDOR },
+  'POST /api/invoices/generate': { admin: ANY },
+  'GET /api/invoices/:id': { admin: ANY, vendor: OWN_VENDOR },
+  'GET /api/invoices/:id/csv': { admin: ANY, vendor: OWN_VENDOR },
+  'GET /api/invoices/:id/pdf': { admin: ANY, vendor: OWN_VENDOR },
+  'PUT /api/invoices/:id/approve': { admin: ANY },
+  'PUT /api/invoices/:id/pay': { admin: ANY },
+  'DELETE /api/invoices/:id': { admin: ANY },
+  'GET /api/hostels/': { admin: ANY, vendor: ANY, student: ANY },
+  'POST /api/hostels/': { admin: ANY },
+  'PUT /api/hostels/:id': { admin: ANY },
+  'GET /api/import-profiles/': { admin: ANY },
+  'POST /api/import-profiles/': { admin: ANY },
+  'PUT /api/import-profiles/:id': { admin: ANY },
+  'DELETE /api/import-profiles/:id': { admin: ANY }
+};
+
+const PUBLIC_ROUTES = ['POST /api/auth/register', 'POST /api/auth/login'];
+
+// A stand-in for a Mongoose query that resolves to `result`
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  for (const method of ['populate', 'select', 'lean', 'sort', 'limit', 'skip']) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+// Routers as server.js mounts them
+const MOUNTS = [...fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8')
+  .matchAll(/app\.use\('([^']+)', require\('\.\/routes\/(\w+)'\)\)/g)]
+  .map(([, prefix, file]) => ({ prefix, router: require(`../routes/${file}`) }));
+
+const routeTable = MOUNTS.flatMap(({ prefix, router }) => router.stack
+  .filter(layer => layer.route)
+  .map(layer => ({
+    key: `${Object.keys(layer.route.methods)[0].toUpperCase()} ${prefix}${layer.route.path}`,
+    handlers: layer.route.stack.map(({ handle }) => handle)
+  })));
+
+const findRoute = (key) => routeTable.find(route => route.key === key);
+
+const policyOf = (key) => findRoute(key).handlers.find(handle => handle.policy).policy;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(User, 'findById', (userId) => query(Object.values(USERS).find(user => user._id === userId.toString()) || null));
+  mock.method(console, 'error', () => {});
+  mock.method(console, 'log', () => {});
+
+  const app = express();
+  app.use(express.json());
+  for (const { prefix, router } of MOUNTS) {
+    app.use(prefix, router);
+  }
+  app.use((req, res) => res.status(404).json({ message: 'Route not found' }));
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Send the route's request as `user`, with `vendorId` wherever the route takes a vendor
+const send = async (key, { user, vendorId, params = {}, body = {} } = {}) => {
+  const [method, pattern] = key.split(' ');
+  const vendorParam = findRoute(key).handlers.find(handle => handle.policy)?.policy.vendor;
+  const query = new URLSearchParams();
+  const payload = { ...body };
+
+  let url = pattern.replace(/:(\w+)/g, (_match, name) => {
+    if (vendorParam?.[0] === 'params' && vendorParam[1] === name && vendorId) return vendorId;
+    return params[name] || id();
+  });
+
+  if (vendorId && vendorParam?.[0] === 'query') query.set(vendorParam[1], vendorId);
+  if (vendorId && vendorParam?.[0] === 'body') payload[vendorParam[1]] = vendorId;
+  if (query.size) url += `?${query}`;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (user) {
+    headers.Authorization = `Bearer ${jwt.sign({ userId: user._id }, process.env.JWT_SECRET)}`;
+  }
+
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: method === 'GET' ? undefined : JSON.stringify(payload)
+  });
+  const text = await response.text();
+  let json = {};
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // CSV and PDF downloads
+  }
+  return { status: response.status, body: json };
+};
+
+const assertAllowed = (response, label) => {
+  assert.notEqual(response.status, 401, `${label} was not authenticated`);
+  assert.notEqual(response.status, 403, `${label} was refused: ${response.body.message}`);
+  assert.notEqual(response.body.message, 'Route not found', `${label} did not reach a route`);
+};
+
+const assertDenied = (response, label, code) => {
+  assert.equal(response.status, 403, `${label} was let through`);
+  if (code) assert.equal(response.body.code, code, label);
+};
+
+describe('route table', () => {
+  it('lists every route the server mounts', () => {
+    const mounted = routeTable.map(route => route.key).sort();
+    assert.deepEqual(mounted, [...Object.keys(ROUTES), ...PUBLIC_ROUTES].sort());
+  });
+
+  it('authenticates and authorizes every protected route before its handler', () => {
+    const { auth } = require('../middleware/auth');
+
+    for (const key of Object.keys(ROUTES)) {
+      const { handlers } = findRoute(key);
+      assert.equal(handlers[0], auth, `${key} does not start with auth`);
+      assert.ok(handlers[1]?.policy, `${key} is not authorized right after auth`);
+    }
+  });
+
+  it('grants each role the expected scope', () => {
+    const { POLICIES } = require('../middleware/policy');
+
+    for (const [key, expected] of Object.entries(ROUTES)) {
+      const { resource, action } = policyOf(key);
+      const rule = POLICIES[resource][action];
+      for (const role of ROLES) {
+        assert.equal(rule[role], expected[role], `${key} (${resource}.${action}) for ${role}`);
+      }
+    }
+  });
+});
+
+describe('policy matrix', () => {
+  for (const [key, expected] of Object.entries(ROUTES)) {
+    describe(key, () => {
+      it('requires a login', async () => {
+        const response = await send(key);
+        assert.equal(response.status, 401);
+      });
+
+      for (const role of ROLES) {
+        if (!expected[role]) {
+          it(`refuses ${role}`, async () => {
+            assertDenied(await send(key, { user: USERS[role] }), `${key} as ${role}`);
+          });
+          continue;
+        }
+
+        it(`allows ${role} (${expected[role]})`, async () => {
+          const vendorId = expected[role] === OWN_VENDOR ? VENDOR : undefined;
+          assertAllowed(await send(key, { user: USERS[role], vendorId }), `${key} as ${role}`);
+        });
+      }
+
+      const vendorParam = policyOf(key).vendor;
+
+      if (expected.vendor === OWN_VENDOR && vendorParam) {
+        it('refuses vendor staff at another vendor', async () => {
+          const response = await send(key, { user: USERS.vendor, vendorId: OTHER_VENDOR });
+          assertDenied(response, `${key} at another vendor`, 'VENDOR_FORBIDDEN');
+        });
+
+        it('refuses vendor staff not linked to a vendor', async () => {
+          const response = await send(key, { user: USERS.unlinkedVendor });
+          assertDenied(response, `${key} without a linked vendor`, 'VENDOR_NOT_LINKED');
+        });
+
+        it('defaults vendor staff to their own vendor', async () => {
+          if (vendorParam[0] === 'params') return;
+          assertAllowed(await send(key, { user: USERS.vendor }), `${key} without a vendor`);
+        });
+      }
+
+      if (expected.admin === ANY && vendorParam) {
+        it('lets admins use any vendor', async () => {
+          assertAllowed(await send(key, { user: USERS.admin, vendorId: OTHER_VENDOR }), `${key} as admin`);
+        });
+      }
+    });
+  }
+});
+
+// Routes whose ownVendor or self scope is checked in the handler once the record is
+// loaded. `load` stubs the lookup with a record owned by `owner`; `denied` is the
+// status the handler answers with for someone else's record.
+const studentRecord = ({ email, vendor }) => ({ _id: id(), name: 'Test Student', email, vendor, isActive: true });
+
+const byEmail = (owner) => (filter) => query(filter.email === owner.email ? studentRecord(owner) : null);
+
+const RECORD_ROUTES = {
+  'GET /api/students/my-qr-code': { load: [Student, 'findOne', byEmail], denied: 404 },
+  'GET /api/students/:id': { load: [Student, 'findById', owner => () => query(studentRecord(owner))], denied: 403 },
+  'GET /api/students/search/:identifier': { load: [Student, 'findOne', owner => () => query(studentRecord(owner))], denied: 403 },
+  'PUT /api/students/:id': {
+    load: [Student, 'findById', owner => () => query(studentRecord(owner))],
+    body: { name: 'Renamed' },
+    denied: 403
+  },
+  'GET /api/students/:id/meals': { load: [Student, 'findById', owner => () => query(studentRecord(owner))], denied: 403 },
+  'GET /api/students/:id/vendor-assignments': { load: [Student, 'findById', owner => () => query(studentRecord(owner))], denied: 403 },
+  'POST /api/verification/meals/:id/void': {
+    load: [MealRecord, 'findById', owner => () => query({
+      _id: id(),
+      claimed: true,
+      claimedAt: new Date(),
+      vendor: { _id: owner.vendor, settings: {} }
+    })],
+    body: { reason: 'Wrong student' },
+    denied: 403
+  },
+  'GET /api/credits/students/:studentId': { load: [Student, 'findById', owner => () => query(studentRecord(owner))], denied: 403 },
+  'GET /api/opt-outs/me': { load: [Student, 'findOne', byEmail], denied: 404 },
+  'POST /api/opt-outs/me': {
+    load: [Student, 'findOne', byEmail],
+    body: { serviceDate: '2030-01-01', mealType: 'lunch' },
+    denied: 404
+  },
+  'DELETE /api/opt-outs/me/:id': {
+    load: [MealOptOut, 'findById', owner => () => query({ _id: id(), student: { email: owner.email } })],
+    denied: 404
+  },
+  'GET /api/invoices/:id': { load: [Invoice, 'findById', owner => () => query({ _id: id(), vendor: owner.vendor })], denied: 404 },
+  'GET /api/invoices/:id/csv': { load: [Invoice, 'findById', owner => () => query({ _id: id(), vendor: owner.vendor })], denied: 404 },
+  'GET /api/invoices/:id/pdf': { load: [Invoice, 'findById', owner => () => query({ _id: id(), vendor: owner.vendor })], denied: 404 }
+};
+
+// Whose record a role owns, and someone else's
+const OWNERS = {
+  [OWN_VENDOR]: { own: { email: 'someone@example.com', vendor: VENDOR }, other: { email: 'someone@example.com', vendor: OTHER_VENDOR } },
+  [SELF]: { own: { email: USERS.student.email, vendor: VENDOR }, other: { email: 'someone.else@example.com', vendor: VENDOR } }
+};
+
+describe('record ownership', () => {
+  it('covers every route checked against a loaded record', () => {
+    const recordScoped = Object.entries(ROUTES)
+      .filter(([key, expected]) => Object.values(expected).some(scope => scope !== ANY) && !policyOf(key).vendor)
+      .map(([key]) => key);
+    assert.deepEqual(Object.keys(RECORD_ROUTES).sort(), recordScoped.sort());
+  });
+
+  for (const [key, { load, body, denied }] of Object.entries(RECORD_ROUTES)) {
+    describe(key, () => {
+      const [Model, method, stub] = load;
+
+      for (const role of ROLES) {
+        const scope = ROUTES[key][role];
+        if (!scope || scope === ANY) continue;
+
+        it(`allows ${role} on their own record`, async (t) => {
+          t.mock.method(Model, method, stub(OWNERS[scope].own));
+          const response = await send(key, { user: USERS[role], body });
+          assertAllowed(response, `${key} as ${role}`);
+          assert.notEqual(response.status, denied, `${key} as ${role}: ${response.body.message}`);
+        });
+
+        it(`refuses ${role} on someone else's record`, async (t) => {
+          t.mock.method(Model, method, stub(OWNERS[scope].other));
+          const response = await send(key, { user: USERS[role], body });
+          assert.equal(response.status, denied, `${key} as ${role} was let through`);
+        });
+      }
+
+      if (ROUTES[key].admin === ANY) {
+        it('allows admin on any record', async (t) => {
+          t.mock.method(Model, method, stub(OWNERS[OWN_VENDOR].other));
+          const response = await send(key, { user: USERS.admin, body });
+          assertAllowed(response, `${key} as admin`);
+        });
+      }
+    });
+  }
+});
+
+describe('vendor settings', () => {
+  it('lets vendor staff edit their own vendor profile', async () => {
+    const response = await send('PUT /api/vendors/:id', { user: USERS.vendor, vendorId: VENDOR, body: { name: 'Canteen' } });
+    assertAllowed(response, 'profile update');
+  });
+
+  for (const body of [
+    { settings: { voidGraceMinutes: 600 } },
+    { settings: { allowLegacyQr: true } },
+    { settings: { serviceWindows: {} } },
+    { isActive: false }
+  ]) {
+    it(`keeps ${JSON.stringify(body)} for admins`, async () => {
+      const staff = await send('PUT /api/vendors/:id', { user: USERS.vendor, vendorId: VENDOR, body });
+      assertDenied(staff, 'vendor staff');
+
+      const admin = await send('PUT /api/vendors/:id', { user: USERS.admin, vendorId: VENDOR, body });
+      assertAllowed(admin, 'admin');
+    });
+  }
+});
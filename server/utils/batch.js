@@ -0,0 +1,15 @@
+// Tidy the batch typed into the sign-up sheet: "batch 2028", "2028" and "Batch  2028"
+// all become "Batch 2028"; anything else is kept as typed. Returns null if blank.
+const parseBatch = (value) => {
+  if (value === undefined || value === null) return null;
+
+  const cleaned = String(value).trim().replace(/\s+/g, ' ');
+  if (!cleaned) return null;
+
+  const year = cleaned.match(/^(?:batch\s*)?(\d{4})$/i);
+  return year ? `Batch ${year[1]}` : cleaned;
+};
+
+module.exports = {
+  parseBatch
+};
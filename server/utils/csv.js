@@ -0,0 +1,297 @@
+const { Transform, Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Delimiters tried when the file does not say, most likely first
+const DELIMITERS = [',', ';', '\t', '|'];
+
+const csvError = (message, line) => Object.assign(new Error(`Line ${line}: ${message}`), { code: 'CSV_INVALID', line });
+
+// The encoding a byte order mark names, or null without one
+const encodingFromBOM = (bytes) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  return null;
+};
+
+// How many bytes at the start of `bytes` are whole, valid UTF-8 characters
+const validUTF8Length = (bytes) => {
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    if (byte < 0x80) {
+      i++;
+      continue;
+    }
+
+    const length = byte >= 0xc2 && byte <= 0xdf ? 2 : byte >= 0xe0 && byte <= 0xef ? 3 : byte >= 0xf0 && byte <= 0xf4 ? 4 : 0;
+    if (length === 0 || i + length > bytes.length) return i;
+
+    // The second byte's range rules out overlong forms, surrogates and code points past U+10FFFF
+    const [low, high] = byte === 0xe0 ? [0xa0, 0xbf]
+      : byte === 0xed ? [0x80, 0x9f]
+        : byte === 0xf0 ? [0x90, 0xbf]
+          : byte === 0xf4 ? [0x80, 0x8f]
+            : [0x80, 0xbf];
+    if (bytes[i + 1] < low || bytes[i + 1] > high) return i;
+    for (let j = 2; j < length; j++) {
+      if (bytes[i + j] < 0x80 || bytes[i + j] > 0xbf) return i;
+    }
+    i += length;
+  }
+  return i;
+};
+
+// How many bytes at the end of `bytes` belong to a UTF-8 sequence that is not finished
+const unfinishedSequence = (bytes) => {
+  for (let i = bytes.length - 1; i >= Math.max(0, bytes.length - 3); i--) {
+    if (bytes[i] < 0x80) return 0;
+    if (bytes[i] >= 0xc0) {
+      const length = bytes[i] >= 0xf0 ? 4 : bytes[i] >= 0xe0 ? 3 : 2;
+      return bytes.length - i < length ? bytes.length - i : 0;
+    }
+  }
+  return 0;
+};
+
+// The delimiter that appears most often on the header line, outside quotes
+const detectDelimiter = (text) => {
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === '\n' || char === '\r')) break;
+    else if (!inQuotes && counts.has(char)) counts.set(char, counts.get(char) + 1);
+  }
+
+  const [best] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return best[1] > 0 ? best[0] : ',';
+};
+
+// Whether `text` holds the whole first line, so the delimiter can be detected
+const hasFirstLine = (text) => {
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === '\n' || char === '\r')) return true;
+  }
+  return false;
+};
+
+// RFC 4180 parser as a stream: write the file's bytes in, read { fields, line } out
+// for every record, where `line` is the line of the file the record starts on. Quoted
+// fields may hold delimiters, "" for a quote and line breaks (LF, CRLF or CR, all read
+// as LF). The encoding and delimiter are detected unless given, and exposed on the
+// stream once known. Without a byte order mark the file is read as UTF-8 until the
+// first byte that is not valid UTF-8, and from there on as Windows-1252 (what Excel
+// saves "CSV" as on Windows). Malformed quoting fails the stream with an error carrying `line`.
+const createCSVStream = ({ delimiter, encoding } = {}) => {
+  let decoder = null;
+  // Whether the encoding is still a guess: UTF-8, until a byte says otherwise
+  let sniffing = false;
+  // The bytes of an unfinished UTF-8 sequence at the end of the last chunk
+  let carry = Buffer.alloc(0);
+  let pending = '';
+  let state = 'start';
+  let field = '';
+  let fields = [];
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 1;
+  let afterCR = false;
+
+  const stream = new Transform({
+    readableObjectMode: true,
+    transform(chunk, _encoding, callback) {
+      try {
+        if (!decoder) {
+          const declared = encoding || encodingFromBOM(chunk);
+          stream.encoding = declared || 'utf-8';
+          sniffing = !declared;
+          // The decoder drops a byte order mark at the start
+          decoder = new TextDecoder(stream.encoding, { fatal: sniffing });
+        }
+        feed(decode(chunk));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        if (decoder) feed(decode());
+        if (!stream.delimiter) {
+          stream.delimiter = detectDelimiter(pending);
+          parse(pending);
+        }
+        finish();
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+  stream.encoding = encoding || null;
+  stream.delimiter = delimiter || null;
+
+  // Decode the next chunk, or what is left at the end without one
+  const decode = (chunk) => {
+    const options = { stream: chunk !== undefined };
+    if (!sniffing) return decoder.decode(chunk, options);
+
+    try {
+      const text = decoder.decode(chunk, options);
+      if (chunk) {
+        const tail = Buffer.concat([carry, chunk.subarray(-3)]);
+        carry = tail.subarray(tail.length - unfinishedSequence(tail));
+      }
+      return text;
+    } catch {
+      // Not UTF-8 after all. The bytes the decoder has not returned yet are read as
+      // UTF-8 up to the first invalid one, and as Windows-1252 from there on
+      const bytes = chunk ? Buffer.concat([carry, chunk]) : carry;
+      const valid = validUTF8Length(bytes);
+      const text = new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes.subarray(0, valid));
+      sniffing = false;
+      stream.encoding = 'windows-1252';
+      decoder = new TextDecoder(stream.encoding);
+      return text + decoder.decode(bytes.subarray(valid), options);
+    }
+  };
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    state = 'start';
+  };
+
+  const endRecord = () => {
+    endField();
+    stream.push({ fields, line: recordLine });
+    fields = [];
+  };
+
+  const parse = (text) => {
+    for (const char of text) {
+      const isNewline = char === '\n' || char === '\r';
+
+      // The LF of a CRLF was counted with the CR
+      if (afterCR) {
+        afterCR = false;
+        if (char === '\n') continue;
+      }
+      if (isNewline) {
+        line++;
+        afterCR = char === '\r';
+      }
+
+      if (state === 'quoted') {
+        if (char === '"') state = 'quote';
+        else field += isNewline ? '\n' : char;
+        continue;
+      }
+
+      if (state === 'quote') {
+        // A quote in a quoted field is either escaped ("") or closes it
+        if (char === '"') {
+          field += '"';
+          state = 'quoted';
+          continue;
+        }
+        if (char !== stream.delimiter && !isNewline) {
+          throw csvError(`Unexpected "${char}" after a closing quote`, line);
+        }
+      }
+
+      if (state === 'start' && char === '"') {
+        state = 'quoted';
+        quoteLine = line;
+      } else if (char === stream.delimiter) {
+        endField();
+      } else if (isNewline) {
+        endRecord();
+        recordLine = line;
+      } else {
+        // Quotes inside an unquoted field are kept as they are
+        field += char;
+        state = 'unquoted';
+      }
+    }
+  };
+
+  const feed = (text) => {
+    if (stream.delimiter) {
+      parse(text);
+      return;
+    }
+
+    pending += text;
+    if (hasFirstLine(pending)) {
+      stream.delimiter = detectDelimiter(pending);
+      parse(pending);
+      pending = '';
+    }
+  };
+
+  const finish = () => {
+    if (state === 'quoted') {
+      throw csvError('Quoted field is never closed', quoteLine);
+    }
+    // The last record need not end with a line break
+    if (state !== 'start' || fields.length > 0) {
+      endRecord();
+    }
+  };
+
+  return stream;
+};
+
+// Read a whole CSV (a Buffer or a readable stream) into objects keyed by header, each
+// with the `line` it starts on. Blank lines are skipped, and rows with more values
+// than there are headers are left out and listed in `errors`. With `onRecord`, each
+// record is handed to it with the headers as soon as it is read instead of collected.
+// Returns { headers, records, errors, encoding, delimiter }
+const readCSV = async (input, { onRecord, ...options } = {}) => {
+  const parser = createCSVStream(options);
+  const source = Buffer.isBuffer(input) ? Readable.from([input]) : input;
+  let headers = null;
+  const records = [];
+  const errors = [];
+
+  await pipeline(source, parser, async (rows) => {
+    for await (const { fields, line } of rows) {
+      if (fields.every(value => value.trim() === '')) continue;
+
+      if (!headers) {
+        headers = fields.map(header => header.trim());
+        continue;
+      }
+
+      if (fields.slice(headers.length).some(value => value.trim() !== '')) {
+        errors.push(`Line ${line}: ${fields.length} values, but the header has ${headers.length} columns`);
+        continue;
+      }
+
+      const record = { line };
+      headers.forEach((header, index) => {
+        record[header] = fields[index] ?? '';
+      });
+      if (onRecord) onRecord(record, headers);
+      else records.push(record);
+    }
+  });
+
+  return {
+    headers: headers || [],
+    records,
+    errors,
+    encoding: parser.encoding,
+    delimiter: parser.delimiter
+  };
+};
+
+module.exports = {
+  createCSVStream,
+  readCSV
+};
@@ -0,0 +1,120 @@
+// All day boundaries are taken in the institution's timezone rather than the
+// server's (Vercel runs in UTC), so "today" starts at midnight on campus.
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const getTimezone = () => process.env.INSTITUTION_TIMEZONE || DEFAULT_TIMEZONE;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall-clock time of `date` on campus: { year, month (1-12), day, hour, minute, second }
+const getZonedParts = (date = new Date()) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(getTimezone()).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return parts;
+};
+
+// Difference between campus wall-clock time and UTC at `date`, in milliseconds
+const getOffsetMs = (date) => {
+  const p = getZonedParts(date);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant at which a campus wall-clock time occurs. Out-of-range values roll over
+// like Date.UTC (day 32 is the 1st of the next month)
+const zonedTimeToDate = (year, month, day, hour = 0, minute = 0) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wallClock - getOffsetMs(new Date(wallClock));
+  // Recheck in case the guess landed on the other side of a DST change
+  return new Date(wallClock - getOffsetMs(new Date(guess)));
+};
+
+// Calendar day (YYYY-MM-DD) a meal belongs to, used to key one claim per meal per day
+const toServiceDate = (date = new Date()) => {
+  const { year, month, day } = getZonedParts(date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const isServiceDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// [from, to) covering a service date (YYYY-MM-DD) on campus
+const getServiceDateRange = (serviceDate) => {
+  const [year, month, day] = serviceDate.split('-').map(Number);
+  return {
+    from: zonedTimeToDate(year, month, day),
+    to: zonedTimeToDate(year, month, day + 1)
+  };
+};
+
+// The instant a campus wall-clock time (HH:MM) occurs on a service date
+const getServiceDateTime = (serviceDate, time) => {
+  const [year, month, day] = serviceDate.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return zonedTimeToDate(year, month, day, hour, minute);
+};
+
+// Service date `days` calendar days before or after another (YYYY-MM-DD)
+const addServiceDays = (serviceDate, days) => {
+  const [year, month, day] = serviceDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// First and last service dates of the campus month containing `date`
+const getMonthServiceDates = (date = new Date()) => {
+  const { year, month } = getZonedParts(date);
+  const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
+  const nextMonth = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+  return { startDate, endDate: addServiceDays(nextMonth, -1) };
+};
+
+// [from, to) covering the campus day containing `date`
+const getDayRange = (date = new Date()) => {
+  return getServiceDateRange(toServiceDate(date));
+};
+
+// [from, to) covering the campus month containing `date`
+const getMonthRange = (date = new Date()) => {
+  const { year, month } = getZonedParts(date);
+  return {
+    from: zonedTimeToDate(year, month, 1),
+    to: zonedTimeToDate(year, month + 1, 1)
+  };
+};
+
+// Minutes since campus midnight, for matching against HH:MM service windows
+const getMinutesOfDay = (date = new Date()) => {
+  const { hour, minute } = getZonedParts(date);
+  return hour * 60 + minute;
+};
+
+module.exports = {
+  getTimezone,
+  getZonedParts,
+  toServiceDate,
+  isServiceDate,
+  getServiceDateRange,
+  getServiceDateTime,
+  addServiceDays,
+  getMonthServiceDates,
+  getDayRange,
+  getMonthRange,
+  getMinutesOfDay
+};
@@ -0,0 +1,17 @@
+const DIETARY_PREFERENCES = ['vegetarian', 'non_vegetarian'];
+
+// Map the free-text values people type into the sign-up sheet ("Vegetarian",
+// "Non-Vegetarian", "non veg", "Veg") onto DIETARY_PREFERENCES. Returns null if unrecognised.
+const parseDietaryPreference = (value) => {
+  if (!value) return null;
+
+  const normalized = String(value).trim().toLowerCase().replace(/[^a-z]/g, '');
+  if (normalized.startsWith('non')) return 'non_vegetarian';
+  if (normalized.startsWith('veg')) return 'vegetarian';
+  return null;
+};
+
+module.exports = {
+  DIETARY_PREFERENCES,
+  parseDietaryPreference
+};
@@ -0,0 +1,79 @@
+// Minimal PDF writer for simple text documents (invoices, reports). Supports the
+// built-in Helvetica fonts, text and straight lines on A4 pages, which is all the
+// server needs, without pulling in a PDF library.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// PDF strings are Latin-1 here; anything outside it is replaced
+const escapeText = (text) => {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+};
+
+// Rough width of Helvetica text, good enough to right-align numbers
+const textWidth = (text, size) => String(text).length * size * 0.5;
+
+// Each item: { text, x, y, size, bold, align } or { line: [x1, y1, x2, y2] }.
+// Coordinates are in points from the top-left corner of the page.
+const renderPage = (items) => {
+  return items.map((item) => {
+    if (item.line) {
+      const [x1, y1, x2, y2] = item.line;
+      return `0.5 w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`;
+    }
+
+    const size = item.size || 10;
+    const x = item.align === 'right' ? item.x - textWidth(item.text, size) : item.x;
+    return `BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${PAGE_HEIGHT - item.y} Td (${escapeText(item.text)}) Tj ET`;
+  }).join('\n');
+};
+
+// Build a PDF from an array of pages (arrays of items). Returns a Buffer.
+const createPdf = (pages) => {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map((items) => {
+    const content = renderPage(items);
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  createPdf
+};
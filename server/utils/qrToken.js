@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+// Signed QR tokens look like: S2G1.<base64url payload>.<base64url Ed25519 signature>
+// Ed25519 is used (rather than HMAC) so that vendor clients can verify tokens with
+// the public key alone.
+const TOKEN_PREFIX = 'S2G1';
+const DEFAULT_TTL_SECONDS = 60;
+
+// PKCS#8 DER header for a raw 32-byte Ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+let cachedKeys = null;
+
+const getKeys = () => {
+  if (cachedKeys) return cachedKeys;
+
+  let privateKey;
+  if (process.env.QR_SIGNING_PRIVATE_KEY) {
+    privateKey = crypto.createPrivateKey(process.env.QR_SIGNING_PRIVATE_KEY.replace(/\\n/g, '\n'));
+  } else {
+    // Derive a stable key from JWT_SECRET so every serverless instance signs with the same key
+    const seed = crypto
+      .createHmac('sha256', process.env.JWT_SECRET || 'scan2go')
+      .update('scan2go-qr-signing-key')
+      .digest();
+    privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  cachedKeys = { privateKey, publicKey };
+  return cachedKeys;
+};
+
+const getTokenTTL = () => {
+  const ttl = parseInt(process.env.QR_TOKEN_TTL_SECONDS, 10);
+  return ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+};
+
+// Raw Ed25519 public key (base64url) handed to vendor clients for offline verification
+const getPublicKey = () => {
+  return getKeys().publicKey.export({ format: 'jwk' }).x;
+};
+
+const isSignedToken = (identifier) => {
+  return typeof identifier === 'string' && identifier.startsWith(`${TOKEN_PREFIX}.`);
+};
+
+// Create a signed, short-lived token for a student
+const signToken = (studentId) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = {
+    sid: studentId.toString(),
+    iat: issuedAt,
+    exp: issuedAt + getTokenTTL(),
+    jti: crypto.randomBytes(12).toString('base64url')
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signingInput = `${TOKEN_PREFIX}.${encodedPayload}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), getKeys().privateKey);
+
+  return {
+    token: `${signingInput}.${signature.toString('base64url')}`,
+    payload,
+    expiresAt: new Date(payload.exp * 1000)
+  };
+};
+
+// Verify a token's signature and expiry. Never throws; returns { valid, code, payload }
+const verifyToken = (token, { now = Date.now() } = {}) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    return { valid: false, code: 'QR_TOKEN_INVALID' };
+  }
+
+  const [prefix, encodedPayload, encodedSignature] = parts;
+  let signatureValid = false;
+  try {
+    signatureValid = crypto.verify(
+      null,
+      Buffer.from(`${prefix}.${encodedPayload}`),
+      getKeys().publicKey,
+      Buffer.from(encodedSignature, 'base64url')
+    );
+  } catch {
+    signatureValid = false;
+  }
+
+  if (!signatureValid) {
+    return { valid: false, code: 'QR_TOKEN_INVALID' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, code: 'QR_TOKEN_INVALID' };
+  }
+
+  if (!payload.sid || !payload.jti || !payload.exp) {
+    return { valid: false, code: 'QR_TOKEN_INVALID' };
+  }
+
+  if (payload.exp * 1000 <= now) {
+    return { valid: false, code: 'QR_TOKEN_EXPIRED', payload };
+  }
+
+  return { valid: true, payload };
+};
+
+module.exports = {
+  isSignedToken,
+  getPublicKey,
+  signToken,
+  verifyToken,
+  getTokenTTL
+};
@@ -0,0 +1,18 @@
+// Roll numbers are stored lowercase without spaces so "24BCS 10155" and "24bcs10155" match
+const normalizeRollNumber = (value) => {
+  if (value === undefined || value === null) return null;
+  const normalized = String(value).trim().toLowerCase().replace(/\s+/g, '');
+  return normalized || null;
+};
+
+// Student emails are <roll number>@sst.scaler.com, so the local part is the roll
+// number when the sheet does not give one
+const deriveRollNumber = (email) => {
+  if (typeof email !== 'string' || !email.includes('@')) return null;
+  return normalizeRollNumber(email.split('@')[0]);
+};
+
+module.exports = {
+  normalizeRollNumber,
+  deriveRollNumber
+};
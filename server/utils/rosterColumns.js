@@ -0,0 +1,61 @@
+// Student fields a roster CSV can fill in, with how the admin panel labels them
+const ROSTER_FIELDS = {
+  name: 'Name',
+  email: 'Email',
+  rollNumber: 'Roll number',
+  batch: 'Batch',
+  vendor: 'Vendor',
+  hostel: 'Hostel',
+  dietaryPreference: 'Dietary preference',
+  allergyNotes: 'Allergies'
+};
+
+// A file without these cannot be imported; the roll number comes from the email when missing
+const REQUIRED_ROSTER_FIELDS = ['name', 'email', 'vendor'];
+
+// Header variations seen in exported sheets, used when no import profile is chosen. First match wins
+const HEADER_OPTIONS = {
+  name: ['Full Name', 'Name', 'name', 'full_name', 'FullName'],
+  email: ['Email Address', 'Email', 'email', 'EmailAddress', 'email_address'],
+  rollNumber: ['Roll Number', 'roll_number', 'RollNumber', 'rollNumber', 'Roll No'],
+  batch: ['Batch', 'batch', 'Cohort', 'cohort'],
+  vendor: ['Vendor', 'vendor', 'Vendor Name', 'vendor_name'],
+  hostel: ['Hostel :', 'Hostel', 'hostel', 'Location', 'location'],
+  dietaryPreference: ['Choose your preference', 'Preference', 'preference', 'Dietary Preference', 'dietary_preference'],
+  allergyNotes: ['Allergies', 'allergies', 'Allergy Notes', 'allergy_notes']
+};
+
+// The file's header for each field, or null when it has none. With a profile its mapping
+// is used (ignoring case and surrounding spaces); otherwise the usual header names are tried.
+// Returns { columns, missing, unmatched }: `missing` lists required fields without a column,
+// `unmatched` profile columns the file does not have.
+const resolveColumns = (headers, profile) => {
+  const findHeader = (name) => {
+    const wanted = name.trim().toLowerCase();
+    return headers.find(header => header.trim().toLowerCase() === wanted) || null;
+  };
+
+  const columns = {};
+  const unmatched = [];
+  for (const field of Object.keys(ROSTER_FIELDS)) {
+    if (profile) {
+      const mapped = profile.columns?.[field];
+      columns[field] = mapped ? findHeader(mapped) : null;
+      if (mapped && !columns[field]) unmatched.push({ field, header: mapped });
+    } else {
+      columns[field] = HEADER_OPTIONS[field].find(option => headers.includes(option)) || null;
+    }
+  }
+
+  return {
+    columns,
+    missing: REQUIRED_ROSTER_FIELDS.filter(field => !columns[field]),
+    unmatched
+  };
+};
+
+module.exports = {
+  ROSTER_FIELDS,
+  REQUIRED_ROSTER_FIELDS,
+  resolveColumns
+};
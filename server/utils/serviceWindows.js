@@ -0,0 +1,73 @@
+const { getMinutesOfDay } = require('./date');
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+const DEFAULT_SERVICE_WINDOWS = [
+  { mealType: 'breakfast', start: '07:30', end: '10:00' },
+  { mealType: 'lunch', start: '12:00', end: '15:00' },
+  { mealType: 'dinner', start: '19:00', end: '22:00' }
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const getServiceWindows = (vendor) => {
+  const windows = vendor?.settings?.serviceWindows;
+  return windows && windows.length > 0 ? windows : DEFAULT_SERVICE_WINDOWS;
+};
+
+// Work out which meal is being served by a vendor at the given time on campus (null if none)
+const resolveMealType = (vendor, date = new Date()) => {
+  const minutes = getMinutesOfDay(date);
+
+  const window = getServiceWindows(vendor).find(w => {
+    return minutes >= toMinutes(w.start) && minutes < toMinutes(w.end);
+  });
+
+  return window ? window.mealType : null;
+};
+
+// Returns an error message for an invalid list of windows, or null when valid
+const validateServiceWindows = (windows) => {
+  if (!Array.isArray(windows)) {
+    return 'Service windows must be an array';
+  }
+
+  for (const window of windows) {
+    if (!MEAL_TYPES.includes(window.mealType)) {
+      return `Invalid meal type: ${window.mealType}`;
+    }
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      return `Times for ${window.mealType} must be in HH:MM format`;
+    }
+    if (toMinutes(window.start) >= toMinutes(window.end)) {
+      return `The ${window.mealType} window must end after it starts`;
+    }
+  }
+
+  const sorted = [...windows].sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+  for (let i = 1; i < sorted.length; i++) {
+    if (toMinutes(sorted[i].start) < toMinutes(sorted[i - 1].end)) {
+      return `The ${sorted[i - 1].mealType} and ${sorted[i].mealType} windows overlap`;
+    }
+  }
+
+  const mealTypes = windows.map(w => w.mealType);
+  if (new Set(mealTypes).size !== mealTypes.length) {
+    return 'Each meal type can only have one service window';
+  }
+
+  return null;
+};
+
+module.exports = {
+  MEAL_TYPES,
+  DEFAULT_SERVICE_WINDOWS,
+  getServiceWindows,
+  resolveMealType,
+  validateServiceWindows
+};